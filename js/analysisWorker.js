@@ -0,0 +1,289 @@
+/******************************************************
+ * analysisWorker.js
+ *
+ * 入力サンプルを解析する Worker
+ *
+ * 役割:
+ *  - メインスレッドから届くサンプルのブロックを hop ごとのフレームに切り出し、
+ *    補正済みスペクトルを返す（SpectrumFrameAnalyzer）
+ *  - 最新の波形から音程を推定する（要求があったときだけ）
+ *  - 波形のトリガー（要求があったときだけ走査する）
+ *  - サウンドレベルメーター（周波数重み付け・時間重み付け・Leq）
+ *  - 音声ファイル全体の一括解析
+ *
+ * 結果の配列は転送（transfer）で返すのでコピーは起きない。
+ * 設定を変えると世代（generation）が進み、結果には計算したときの世代を付ける。
+ * メインスレッドは今の世代と違う結果を捨てる。
+ *
+ * ※ DedicatedWorkerGlobalScope で実行されるため DOM は使えない
+ ******************************************************/
+
+importScripts("appDsp.js");
+
+/**
+ * 計測中の解析（reset で作り直す）
+ * @type {SpectrumFrameAnalyzer|null}
+ */
+let analyzer = null;
+
+/** @type {SpectrumAnalysisSettings|null} */
+let settings = null;
+
+/** 今の設定の世代（結果に付けて返す） */
+let generation = 0;
+
+/** @type {PitchDetector|null} */
+let pitchDetector = null;
+
+/** 音程の推定に使う波形（fftSize サンプル） */
+let pitchWaveform = null;
+
+/** @type {SoundLevelMeter|null} */
+let levelMeter = null;
+
+/**
+ * 波形のトリガー（解析位置をリセットしたら作り直す）
+ * @type {WaveformTrigger|null}
+ */
+let trigger = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case "configure":
+            configure(message);
+            break;
+        case "reset":
+            generation = message.generation;
+            if (analyzer) analyzer.reset(message.startIndex);
+            if (trigger) trigger = new WaveformTrigger(trigger.settings);
+            break;
+        case "samples":
+            receiveSamples(message);
+            break;
+        case "resetLevelMeter":
+            generation = message.generation;
+            levelMeter = createLevelMeter(message.options);
+            break;
+        case "setLevelCalibration":
+            if (levelMeter) levelMeter.calibrationDb = message.calibrationDb;
+            break;
+        case "resetLevelStatistics":
+            if (levelMeter) levelMeter.reset();
+            postLevel();
+            break;
+        case "configureTrigger":
+            trigger = new WaveformTrigger(message.settings);
+            break;
+        case "armTrigger":
+            if (trigger) {
+                trigger.arm();
+                postTrigger(null);
+            }
+            break;
+        case "analyzeAll":
+            analyzeAll(message);
+            break;
+    }
+};
+
+/**
+ * 解析の設定を変える
+ *
+ * サンプリング周波数が変わったときだけ保持するサンプルを捨てる
+ * （それ以外は解析位置をそのまま続ける）。
+ *
+ * @param {{ generation: number, settings: SpectrumAnalysisSettings }} message
+ */
+function configure(message) {
+    const next = message.settings;
+    generation = message.generation;
+
+    if (!analyzer || !settings || settings.sampleRate !== next.sampleRate) {
+        // 描画が数秒止まっても取りこぼさない容量
+        const capacity = Math.pow(2, Math.ceil(Math.log2(Math.max(next.sampleRate * 4, next.fftSize * 2))));
+        const startIndex = analyzer ? analyzer.ring.writeIndex : 0;
+        analyzer = new SpectrumFrameAnalyzer(capacity);
+        analyzer.reset(startIndex);
+    }
+    analyzer.configure(next);
+    settings = next;
+}
+
+/**
+ * 計測中のサンプルのブロックを受け取る
+ *
+ * @param {{ startIndex: number, samples: Float32Array, pitch: boolean, waveform: boolean }} message
+ */
+function receiveSamples(message) {
+    if (levelMeter) {
+        levelMeter.process(message.samples);
+        postLevel();
+    }
+    if (!analyzer) return;
+
+    analyzer.write(message.startIndex, message.samples);
+
+    const frames = analyzer.analyze();
+    if (frames.length > 0) {
+        self.postMessage(
+            { type: "frames", generation, frames },
+            frames.map(frame => frame.spectrum.buffer)
+        );
+    }
+
+    if (message.pitch) {
+        self.postMessage({
+            type: "pitch",
+            generation,
+            reading: detectPitch(analyzer, analyzer.ring.writeIndex / settings.sampleRate)
+        });
+    }
+
+    if (message.waveform && trigger) {
+        const status = trigger.status;
+        const capture = trigger.update(analyzer.ring, analyzer.validFrom);
+        if (capture || trigger.status !== status) postTrigger(capture);
+    }
+}
+
+/**
+ * トリガーの状態と、新しく切り出した波形を送る
+ *
+ * @param {{ samples: Float32Array, triggerIndex: number|null, endIndex: number }|null} capture
+ */
+function postTrigger(capture) {
+    self.postMessage(
+        { type: "trigger", generation, capture, status: trigger.status },
+        capture ? [capture.samples.buffer] : []
+    );
+}
+
+/**
+ * 最新の波形（fftSize サンプル）から音程を推定する
+ *
+ * @param {SpectrumFrameAnalyzer} source
+ * @param {number} timeSec - 波形の末尾の時刻 [sec]
+ * @returns {PitchReading|null} 波形が揃っていなければ null
+ */
+function detectPitch(source, timeSec) {
+    const { sampleRate, fftSize } = source.settings;
+    if (!pitchDetector || pitchDetector.sampleRate !== sampleRate) {
+        pitchDetector = new PitchDetector(sampleRate);
+    }
+    if (!pitchWaveform || pitchWaveform.length !== fftSize) {
+        pitchWaveform = new Float32Array(fftSize);
+    }
+    if (!source.readLatest(pitchWaveform)) return null;
+
+    const detected = pitchDetector.detect(pitchWaveform);
+    return {
+        timeSec,
+        frequency: detected ? detected.frequency : null,
+        clarity: detected ? detected.clarity : 0
+    };
+}
+
+/**
+ * サウンドレベルメーターを作る
+ *
+ * @param {{ sampleRate: number, frequencyWeighting: string, timeWeighting: string,
+ *           intervalSec: number, calibrationDb: number }} options
+ * @returns {SoundLevelMeter}
+ */
+function createLevelMeter(options) {
+    return new SoundLevelMeter(options.sampleRate, options);
+}
+
+/**
+ * サウンドレベルメーターの読み取り値を送る
+ */
+function postLevel() {
+    self.postMessage({ type: "level", generation, readings: getLevelReadings(levelMeter) });
+}
+
+/**
+ * サウンドレベルメーターの読み取り値に重み付けの種類を加えたもの
+ *
+ * @param {SoundLevelMeter} meter
+ * @returns {Object}
+ */
+function getLevelReadings(meter) {
+    return {
+        frequencyWeighting: meter.frequencyWeighting,
+        timeWeighting: meter.timeWeighting,
+        ...meter.getReadings()
+    };
+}
+
+/**
+ * サンプル列全体を一括で解析する
+ *
+ * maxFrames を超える場合は、連続するフレームをまとめて各ビンの最大値を取る
+ * （画面の横幅以上の列があっても見えないため）。
+ * 計測中の解析とは別の状態で行うので、計測中の解析・レベルメーターには影響しない。
+ *
+ * @param {{ id: number, samples: Float32Array, settings: SpectrumAnalysisSettings,
+ *           maxFrames: number, levelMeter: Object, trigger: TriggerSettings }} message
+ */
+function analyzeAll(message) {
+    const { id, samples, maxFrames } = message;
+    const { fftSize, hopSamples, sampleRate } = message.settings;
+
+    const batch = new SpectrumFrameAnalyzer(samples.length, samples);
+    batch.configure(message.settings);
+
+    const total = samples.length >= fftSize
+        ? Math.floor((samples.length - fftSize) / hopSamples) + 1
+        : 0;
+    // まとめるフレーム数
+    const groupSize = Math.max(1, Math.ceil(total / maxFrames));
+
+    const frames = [];
+    let latestSpectrum = null;
+    for (let i = 0; i < total; i += groupSize) {
+        const group = batch.analyze(groupSize);
+        if (group.length === 0) break;
+
+        const merged = group[0];
+        for (let g = 1; g < group.length; g++) {
+            const spectrum = group[g].spectrum;
+            for (let k = 0; k < spectrum.length; k++) {
+                if (spectrum[k] > merged.spectrum[k]) merged.spectrum[k] = spectrum[k];
+            }
+        }
+        merged.timeSec = group[group.length - 1].timeSec;
+        frames.push(merged);
+        latestSpectrum = group[group.length - 1].spectrum;
+
+        if (frames.length % 64 === 0) {
+            self.postMessage({ type: "progress", id, progress: (i + group.length) / total });
+        }
+    }
+
+    // ファイル全体の Leq など
+    const meter = createLevelMeter(message.levelMeter);
+    meter.process(samples);
+
+    // 波形のトリガー（シングルなら最初、それ以外は最後にかかった位置）
+    const batchTrigger = new WaveformTrigger(message.trigger);
+    const capture = batchTrigger.update(batch.ring);
+
+    // 最後のフレームがまとめた配列と同じなら複製してから返す（同じバッファは 2 回転送できない）
+    if (latestSpectrum && frames.length > 0 && latestSpectrum === frames[frames.length - 1].spectrum) {
+        latestSpectrum = latestSpectrum.slice();
+    }
+
+    const transfer = frames.map(frame => frame.spectrum.buffer);
+    if (latestSpectrum) transfer.push(latestSpectrum.buffer);
+    if (capture) transfer.push(capture.samples.buffer);
+    self.postMessage({
+        type: "analyzed",
+        id,
+        frames,
+        latestSpectrum,
+        pitch: detectPitch(batch, samples.length / sampleRate),
+        level: getLevelReadings(meter),
+        trigger: { capture, status: batchTrigger.status }
+    }, transfer);
+}
@@ -55,14 +55,48 @@ const DEFAULT_CONFIG = {
     freqMaxInput: 20000,
     recordDurationSec: 60,
     colorScale: 'Standard',
-    autoScrollMode: false,
+    autoScrollMode: 'off',
+    waterfallStyle: 'lines',
+    waterfallSlices: 40,
+    triggerMode: 'auto',
+    triggerEdge: 'rising',
+    triggerLevel: 0,
+    triggerPosition: 10,
+    triggerHoldoffMs: 0,
     autoPeakCursor: false,
+    dualCursor: false,
+    peakCount: 1,
+    peakMinSpacingHz: 50,
+    peakThresholdDb: 20,
+    harmonicCount: 10,
+    octaveFraction: 3,
+    tunerA4Hz: 440,
+    tunerTemperament: 'equal',
+    tunerTonic: 0,
+    pitchTrace: false,
+    fftAverageMode: 'off',
+    fftAverageCount: 8,
+    fftAverageTimeSec: 1.0,
+    fftMaxHold: false,
+    fftMinHold: false,
     // FFT
     samplingRate: 44100,
     fftWindow: 'Blackman',
+    kaiserBeta: 8.6,
     fftSize: 2048,
+    overlap: 0,
     // アプリ
-    dbCorrectionGain: 100.0
+    dbCorrectionGain: 100.0,
+    levelReference: 2,
+    inputDeviceId: '',
+    stereoInput: false,
+    transferAverageCount: 16,
+    transferDelayMs: 0,
+    recordFormat: 'pcm24',
+    levelMeter: false,
+    slmFrequencyWeighting: 'A',
+    slmTimeWeighting: 'F',
+    slmIntervalSec: 60
 };
 
 /* ====================================================
@@ -83,9 +117,25 @@ const CONFIG_UI_MAP = {
     freqMinInput:     { type: "number",   id: "freqMinInput" },
     freqMaxInput:     { type: "number",   id: "freqMaxInput" },
     recordDurationSec:{ type: "number",   id: "recordDurationSec" },
+    waterfallSlices:  { type: "number",   id: "waterfallSlices" },
+    triggerLevel:     { type: "number",   id: "triggerLevel" },
+    triggerPosition:  { type: "number",   id: "triggerPosition" },
+    triggerHoldoffMs: { type: "number",   id: "triggerHoldoffMs" },
 
-    autoScrollMode:   { type: "checkbox", id: "autoScrollMode" },
     autoPeakCursor:   { type: "checkbox", id: "autoPeakCursor" },
+    dualCursor:       { type: "checkbox", id: "dualCursor" },
+    peakCount:        { type: "number",   id: "peakCount" },
+    peakMinSpacingHz: { type: "number",   id: "peakMinSpacingHz" },
+    peakThresholdDb:  { type: "number",   id: "peakThresholdDb" },
+    harmonicCount:    { type: "number",   id: "harmonicCount" },
+    octaveFraction:   { type: "select",   id: "octaveFractionSelect" },
+    tunerA4Hz:        { type: "number",   id: "tunerA4Hz" },
+    tunerTonic:       { type: "select",   id: "tunerTonicSelect" },
+    pitchTrace:       { type: "checkbox", id: "pitchTrace" },
+    fftAverageCount:  { type: "number",   id: "fftAverageCount" },
+    fftAverageTimeSec:{ type: "number",   id: "fftAverageTimeSec" },
+    fftMaxHold:       { type: "checkbox", id: "fftMaxHold" },
+    fftMinHold:       { type: "checkbox", id: "fftMinHold" },
 
     // radio グループ
     graphType:  {
@@ -100,7 +150,79 @@ const CONFIG_UI_MAP = {
             fftOnly:       "fftOnly",
             waterfallOnly: "waterfallOnly",
             colorOnly:     "colorOnly",
-            waveOnly:      "waveOnly"
+            waveOnly:      "waveOnly",
+            fftHarmonics:  "fftHarmonics",
+            fftOctave:     "fftOctave",
+            octaveColor:   "octaveColor",
+            octaveOnly:    "octaveOnly",
+            fftTransfer:   "fftTransfer",
+            transferCoherence: "transferCoherence",
+            transferImpulse:   "transferImpulse",
+            tunerColor:        "tunerColor",
+            tunerFft:          "tunerFft",
+            sweepImpulseEtc:      "sweepImpulseEtc",
+            sweepImpulseResponse: "sweepImpulseResponse",
+            sweepEtcResponse:     "sweepEtcResponse"
+        }
+    },
+
+    autoScrollMode: {
+        type: "radio",
+        name: "autoScrollMode",
+        valueMap: {
+            autoScrollOff:    "off",
+            autoScrollScroll: "scroll",
+            autoScrollSweep:  "sweep"
+        }
+    },
+
+    waterfallStyle: {
+        type: "radio",
+        name: "waterfallStyle",
+        valueMap: {
+            waterfallStyleLines:   "lines",
+            waterfallStyleSurface: "surface"
+        }
+    },
+
+    triggerMode: {
+        type: "radio",
+        name: "triggerMode",
+        valueMap: {
+            triggerModeAuto:   "auto",
+            triggerModeNormal: "normal",
+            triggerModeSingle: "single"
+        }
+    },
+
+    triggerEdge: {
+        type: "radio",
+        name: "triggerEdge",
+        valueMap: {
+            triggerEdgeRising:  "rising",
+            triggerEdgeFalling: "falling"
+        }
+    },
+
+    fftAverageMode: {
+        type: "radio",
+        name: "fftAverageMode",
+        valueMap: {
+            fftAverageOff:         "off",
+            fftAverageLinear:      "linear",
+            fftAverageExponential: "exponential",
+            fftAveragePower:       "power"
+        }
+    },
+
+    tunerTemperament: {
+        type: "radio",
+        name: "tunerTemperament",
+        valueMap: {
+            tunerTemperamentEqual:       "equal",
+            tunerTemperamentJust:        "just",
+            tunerTemperamentPythagorean: "pythagorean",
+            tunerTemperamentMeantone:    "meantone"
         }
     },
 
@@ -121,20 +243,66 @@ const CONFIG_UI_MAP = {
         type: "radio",
         name: "winFunc",
         valueMap: {
-            fftWindowBlackman: "Blackman",
-            fftWindowHanning:  "Hanning",
-            fftWindowFlatTop:  "FlatTop",
-            fftWindowRect:     "Rect"
+            fftWindowBlackman:       "Blackman",
+            fftWindowHanning:        "Hanning",
+            fftWindowHamming:        "Hamming",
+            fftWindowBlackmanHarris: "BlackmanHarris",
+            fftWindowFlatTop:        "FlatTop",
+            fftWindowKaiser:         "Kaiser",
+            fftWindowRect:           "Rect"
         }
     },
 
+    kaiserBeta: { type: "number", id: "kaiserBeta" },
+
     fftSize: {
         type: "select",
         id: "fftSizeSelect"
     },
 
+    overlap: { type: "select", id: "overlapSelect" },
+
     // ===== アプリ =====
-    dbCorrectionGain: { type: "number", id: "dbCorrectionGain" }
+    dbCorrectionGain: { type: "number", id: "dbCorrectionGain" },
+    // 空文字は既定のデバイス
+    inputDeviceId:    { type: "select", id: "inputDeviceSelect", valueType: "string" },
+
+    stereoInput:          { type: "checkbox", id: "stereoInput" },
+    transferAverageCount: { type: "number",   id: "transferAverageCount" },
+    transferDelayMs:      { type: "number",   id: "transferDelayMs" },
+
+    recordFormat: {
+        type: "radio",
+        name: "recordFormat",
+        valueMap: {
+            recordFormatPcm16:   "pcm16",
+            recordFormatPcm24:   "pcm24",
+            recordFormatFloat32: "float32"
+        }
+    },
+
+    levelMeter:     { type: "checkbox", id: "levelMeter" },
+    slmIntervalSec: { type: "number",   id: "slmIntervalSec" },
+
+    slmFrequencyWeighting: {
+        type: "radio",
+        name: "slmFrequencyWeighting",
+        valueMap: {
+            slmFrequencyA: "A",
+            slmFrequencyC: "C",
+            slmFrequencyZ: "Z"
+        }
+    },
+
+    slmTimeWeighting: {
+        type: "radio",
+        name: "slmTimeWeighting",
+        valueMap: {
+            slmTimeFast:    "F",
+            slmTimeSlow:    "S",
+            slmTimeImpulse: "I"
+        }
+    }
 };
 
 /* ====================================================
@@ -157,15 +325,50 @@ const ConfigManager = (() => {
         // 物理的に破綻する値だけ防ぐ
         if (safe.samplingRate <= 0) safe.samplingRate = 44100;
         if (safe.fftSize <= 0) safe.fftSize = 1024;
+        if (!(safe.kaiserBeta >= 0)) safe.kaiserBeta = 8.6;
+        if (![0, 0.5, 0.75, 0.875].includes(safe.overlap)) safe.overlap = 0;
+        if (!(safe.recordFormat in WavFormat.FORMATS)) safe.recordFormat = "pcm24";
+        if (typeof safe.inputDeviceId !== "string") safe.inputDeviceId = "";
+
+        // 旧バージョンの ON/OFF スイッチからの移行
+        if (typeof safe.autoScrollMode === "boolean") {
+            safe.autoScrollMode = safe.autoScrollMode ? "scroll" : "off";
+        }
+        if (!["lines", "surface"].includes(safe.waterfallStyle)) safe.waterfallStyle = "lines";
+        if (!(safe.waterfallSlices >= 5 && safe.waterfallSlices <= 200)) safe.waterfallSlices = 40;
+        safe.waterfallSlices = Math.round(safe.waterfallSlices);
+        if (!["auto", "normal", "single"].includes(safe.triggerMode)) safe.triggerMode = "auto";
+        if (!["rising", "falling"].includes(safe.triggerEdge)) safe.triggerEdge = "rising";
+        if (!(safe.triggerLevel >= -1 && safe.triggerLevel <= 1)) safe.triggerLevel = 0;
+        if (!(safe.triggerPosition >= 0 && safe.triggerPosition <= 100)) safe.triggerPosition = 10;
+        if (!(safe.triggerHoldoffMs >= 0 && safe.triggerHoldoffMs <= 1000)) safe.triggerHoldoffMs = 0;
+        if (!(safe.peakCount >= 1)) safe.peakCount = 1;
+        if (!(safe.peakMinSpacingHz >= 0)) safe.peakMinSpacingHz = 0;
+        if (!(safe.harmonicCount >= 2)) safe.harmonicCount = 10;
+        if (![1, 3, 6].includes(safe.octaveFraction)) safe.octaveFraction = 3;
+        if (!(safe.tunerA4Hz >= 400 && safe.tunerA4Hz <= 480)) safe.tunerA4Hz = 440;
+        if (!MusicalPitch.TEMPERAMENTS.includes(safe.tunerTemperament)) safe.tunerTemperament = "equal";
+        if (!(safe.tunerTonic >= 0 && safe.tunerTonic <= 11)) safe.tunerTonic = 0;
+        if (!["off", "linear", "exponential", "power"].includes(safe.fftAverageMode)) safe.fftAverageMode = "off";
+        if (!(safe.fftAverageCount >= 2)) safe.fftAverageCount = 8;
+        if (!(safe.fftAverageTimeSec > 0)) safe.fftAverageTimeSec = 1.0;
+        if (!["A", "C", "Z"].includes(safe.slmFrequencyWeighting)) safe.slmFrequencyWeighting = "A";
+        if (!["F", "S", "I"].includes(safe.slmTimeWeighting)) safe.slmTimeWeighting = "F";
+        if (!(safe.slmIntervalSec >= 1)) safe.slmIntervalSec = 60;
+        if (!(safe.transferAverageCount >= 1)) safe.transferAverageCount = 16;
+        if (!(safe.transferDelayMs >= 0)) safe.transferDelayMs = 0;
 
         return safe;
     }
 
     // 派生値生成
     function buildDerived(cfg) {
+        const hopSamples = Math.round(cfg.fftSize * (1 - cfg.overlap));
         return {
             ...cfg,
-            fftBinHz: cfg.samplingRate / cfg.fftSize
+            fftBinHz: cfg.samplingRate / cfg.fftSize,
+            hopSamples: hopSamples,
+            hopSec: hopSamples / cfg.samplingRate
         };
     }
 
@@ -193,7 +396,12 @@ function initializeApp() {
     const saved = loadConfigFromStorage();
 
     if (saved) {
-        currentConfig = saved;
+        // 旧バージョンの設定値もここで正規化される
+        ConfigManager.apply(saved);
+        currentConfig = ConfigManager.get();
+
+        // 移行した値を次回から読み込めるよう保存し直す
+        saveConfigToStorage(currentConfig);
     } else {
         // 保存が無ければデフォルト設定を使用
         ConfigManager.apply(structuredClone(DEFAULT_CONFIG));
@@ -209,6 +417,12 @@ function initializeApp() {
     // 入力値バリデーション管理
     setupSettingsEventHandlers();
 
+    // デバイスの抜き差しで一覧を更新する
+    // （InputDevices は app.js より後に読み込まれるので、ここで登録する）
+    InputDevices.onChange(() => {
+        if (settingsModalEl.classList.contains("show")) updateDeviceSelect(inputDeviceSelectEl.value);
+    });
+
     // グラフ描画処理を初期化
     GraphManager.init(document.getElementById("graph1"), currentConfig);
 }
@@ -250,10 +464,17 @@ function openSettings() {
 
     // 周波数範囲・分解能の表示を更新
     updateFftInfoDisplay();
+    updateKaiserBetaState();
+    updateDeviceSelect();
+    updateCalibrationInfo();
+    updateLevelCalibrationHistory();
 
     // 直前正常値を currentConfig で初期化
     lastValidValues = structuredClone(currentConfig);
 
+    // 選んでいるデバイス専用の設定があれば、そちらを表示する
+    syncDeviceSettingsToUI(currentConfig.inputDeviceId);
+
     settingsModal.show();
 }
 
@@ -265,6 +486,24 @@ function applySettings() {
     // UIの現在値を読み取り、新しい設定オブジェクトを作成
     const newConfig = readConfigFromUI();
 
+    // 設定変更でパネルが作り直されるので、HOLD は解除しておく
+    releaseHold();
+
+    // サンプリング周波数が変わると録音を続けられないので、ここで確定させる
+    if (newConfig.samplingRate !== MeasurementController.getSampleRate()) {
+        stopRecording();
+    }
+
+    // 入力デバイス専用の設定（補正ゲイン・サンプリング周波数）はデバイスごとに保存し、
+    // 共通の値は変えない（計測側で開いたデバイスに合わせて使い分ける）
+    saveDeviceOverrides(newConfig);
+    if (deviceOverrideEl.checked) {
+        InputDevices.OVERRIDE_KEYS.forEach(key => { newConfig[key] = currentConfig[key]; });
+    }
+    const deviceChanged = newConfig.inputDeviceId !== currentConfig.inputDeviceId;
+    // チャンネル数はマイクを開くときに決まる
+    const channelsChanged = newConfig.stereoInput !== currentConfig.stereoInput;
+
     // 正式設定として更新
     ConfigManager.apply(newConfig);
     currentConfig = ConfigManager.get();
@@ -273,7 +512,17 @@ function applySettings() {
     saveConfigToStorage(currentConfig);
 
     // 各マネージャへ反映
-    applyConfigToSystem();
+    applyConfigToSystem().then(() => {
+        // 一括解析の結果を表示中なら、新しい設定で解析し直す
+        if (lastAnalyzedFile && MeasurementController.getState() === "STOPPED") {
+            analyzeWholeFile(lastAnalyzedFile);
+        }
+        // マイクで計測中に入力デバイス・チャンネル数を変えたら開き直す
+        if ((deviceChanged || channelsChanged) && MeasurementController.isMicInput()) {
+            stopMeasurement();
+            startMeasurement();
+        }
+    });
 
     // グラフレイアウトを更新
     GraphManager.updateAllPanelVisibility();
@@ -358,6 +607,8 @@ function readConfigFromUI() {
 
             if (def.type === "checkbox") {
                 newConfig[key] = el.checked;
+            } else if (def.valueType === "string") {
+                newConfig[key] = el.value;
             } else {
                 newConfig[key] = Number(el.value);
             }
@@ -411,6 +662,9 @@ function setupSettingsEventHandlers() {
     const freqMaxEl = document.getElementById("freqMaxInput");
     const samplingRateEl = document.getElementById("samplingRate");
     const fftSizeEl = document.getElementById("fftSizeSelect");
+    const overlapEl = document.getElementById("overlapSelect");
+    const kaiserBetaEl = document.getElementById("kaiserBeta");
+    const windowRadios = document.querySelectorAll('input[type="radio"][name="winFunc"]');
 
     // 振幅入力
     ampMinEl.addEventListener("change", () => {
@@ -440,11 +694,92 @@ function setupSettingsEventHandlers() {
         updateFftInfoDisplay();
         normalizeFrequencyInputsInUI();
     });
+
+    overlapEl.addEventListener("change", () => {
+        updateFftInfoDisplay();
+    });
+
+    // 窓関数（カイザー窓のみ β を編集可能にする）
+    windowRadios.forEach(radio => {
+        radio.addEventListener("change", () => {
+            updateKaiserBetaState();
+        });
+    });
+
+    kaiserBetaEl.addEventListener("change", () => {
+        normalizeNumberInputInUI("kaiserBeta", 0, 20);
+    });
+
+    // ウォーターフォール
+    document.getElementById("waterfallSlices").addEventListener("change", () => {
+        normalizeNumberInputInUI("waterfallSlices", 5, 200, true);
+    });
+
+    // 波形のトリガー
+    document.getElementById("triggerLevel").addEventListener("change", () => {
+        normalizeNumberInputInUI("triggerLevel", -1, 1);
+    });
+    document.getElementById("triggerPosition").addEventListener("change", () => {
+        normalizeNumberInputInUI("triggerPosition", 0, 100);
+    });
+    document.getElementById("triggerHoldoffMs").addEventListener("change", () => {
+        normalizeNumberInputInUI("triggerHoldoffMs", 0, 1000);
+    });
+
+    // 自動ピークカーソル
+    document.getElementById("peakCount").addEventListener("change", () => {
+        normalizeNumberInputInUI("peakCount", 1, 10, true);
+    });
+    document.getElementById("peakMinSpacingHz").addEventListener("change", () => {
+        normalizeNumberInputInUI("peakMinSpacingHz", 0, Infinity);
+    });
+    document.getElementById("peakThresholdDb").addEventListener("change", () => {
+        normalizeNumberInputInUI("peakThresholdDb", -Infinity, Infinity);
+    });
+
+    // 歪み解析
+    document.getElementById("harmonicCount").addEventListener("change", () => {
+        normalizeNumberInputInUI("harmonicCount", 2, 20, true);
+    });
+
+    // チューナー
+    document.getElementById("tunerA4Hz").addEventListener("change", () => {
+        normalizeNumberInputInUI("tunerA4Hz", 400, 480);
+    });
+
+    // 平均化
+    document.getElementById("fftAverageCount").addEventListener("change", () => {
+        normalizeNumberInputInUI("fftAverageCount", 2, 256, true);
+    });
+    document.getElementById("fftAverageTimeSec").addEventListener("change", () => {
+        normalizeNumberInputInUI("fftAverageTimeSec", 0.01, 60);
+    });
+
+    // サウンドレベルメーター
+    document.getElementById("slmIntervalSec").addEventListener("change", () => {
+        normalizeNumberInputInUI("slmIntervalSec", 1, 3600, true);
+    });
+
+    // 伝達関数
+    document.getElementById("transferAverageCount").addEventListener("change", () => {
+        normalizeNumberInputInUI("transferAverageCount", 1, 256, true);
+    });
+    document.getElementById("transferDelayMs").addEventListener("change", () => {
+        normalizeNumberInputInUI("transferDelayMs", 0, 1000);
+    });
+}
+
+/**
+ * 選択中の窓関数に応じて β 入力欄の有効／無効を切り替える。
+ */
+function updateKaiserBetaState() {
+    const cfg = readConfigFromUI();
+    document.getElementById("kaiserBeta").disabled = (cfg.fftWindow !== "Kaiser");
 }
 
 /**
- * samplingRate / fftSize から
- * 周波数範囲・分解能の表示を更新する。
+ * samplingRate / fftSize / overlap から
+ * 周波数範囲・分解能・時間分解能の表示を更新する。
  */
 function updateFftInfoDisplay() {
     const cfg = readConfigFromUI();
@@ -454,10 +789,12 @@ function updateFftInfoDisplay() {
 
     const df = sr / fftSize;
     const ny = sr / 2;
+    const hop = Math.round(fftSize * (1 - cfg.overlap));
 
     const infoEl = document.getElementById("fftInfo");
     infoEl.innerHTML =
-        `周波数範囲: 0 ～ ${ny.toFixed(1)} Hz<br> 周波数分解能: ${df.toFixed(3)} Hz`;
+        `周波数範囲: 0 ～ ${ny.toFixed(1)} Hz<br> 周波数分解能: ${df.toFixed(3)} Hz<br>` +
+        ` 時間分解能: ${(hop / sr * 1000).toFixed(2)} ms（${hop} サンプル）`;
 }
 
 /* ====================================================
@@ -566,6 +903,30 @@ function normalizeFrequencyInputsInUI() {
     lastValidValues.freqMaxInput = fMax;
 }
 
+/**
+ * 単独の数値入力を正規化する。
+ *
+ * ・NaN / 無効入力 → lastValidValues にロールバック
+ * ・min ～ max に clamp
+ *
+ * @param {string} idname  input要素のid（CONFIG_UI_MAP のキーと同じもの）
+ * @param {number} min
+ * @param {number} max
+ * @param {boolean} [integer=false] 整数に丸める
+ */
+function normalizeNumberInputInUI(idname, min, max, integer = false) {
+    const el = document.getElementById(idname);
+
+    let value = readConfigFromUI()[idname];
+    if (!Number.isFinite(value)) { rollbackInputs(idname); return; }
+
+    if (integer) value = Math.round(value);
+    value = Math.min(Math.max(value, min), max);
+    el.value = value;
+
+    lastValidValues[idname] = value;
+}
+
 /**
  * 指定した input 要素の値を lastValidValues に基づきロールバックする。
  *
@@ -590,10 +951,13 @@ function rollbackInputs(idname) {
 /**
  * currentConfig を各マネージャへ反映
  * システム全体を再構成する唯一の入口
+ *
+ * @returns {Promise<void>} 計測側への反映まで完了したら解決する
  */
 function applyConfigToSystem() {
     ConfigManager.apply(currentConfig);
-    GraphManager.applyConfig(ConfigManager.get());
+    levelMeterBarEl.classList.toggle("btn-hidden", !currentConfig.levelMeter);
+    return GraphManager.applyConfig(ConfigManager.get());
 }
 
 
@@ -603,6 +967,20 @@ function applyConfigToSystem() {
 
 const STORAGE_KEY = "appConfig";
 
+/**
+ * 保存した補正ゲインの基準レベルの版
+ *  - 1（levelReference なし）: AnalyserNode の値。振幅 1.0 の正弦波が約 -13.6 dB（ブラックマン窓）
+ *  - 2: 窓のコヒーレントゲインで正規化。振幅 1.0 の正弦波が 0 dB
+ */
+const LEVEL_REFERENCE_VERSION = 2;
+
+/**
+ * 版 1 の補正ゲインを版 2 に直すときに加える量 [dB]
+ * AnalyserNode は振幅を FFT サイズで割るだけなので、ブラックマン窓の
+ * コヒーレントゲイン 0.42 と片側スペクトルの 1/2 の分だけ低く出ていた
+ */
+const LEVEL_REFERENCE_OFFSET_DB = 20 * Math.log10(0.42 / 2);
+
 /**
  * 設定を localStorage に保存
  */
@@ -619,6 +997,7 @@ function loadConfigFromStorage() {
 
     try {
         const parsed = JSON.parse(json);
+        migrateLevelReference(parsed);
         return { ...DEFAULT_CONFIG, ...parsed };
     } catch (e) {
         console.warn("設定の読み込みに失敗しました。デフォルト設定を使用します。");
@@ -627,6 +1006,20 @@ function loadConfigFromStorage() {
 }
 
 
+/**
+ * 旧版の基準レベルで保存した補正ゲインを、表示値が変わらないよう直す
+ * @param {Object} saved - 保存されていた設定（書き換える）
+ */
+function migrateLevelReference(saved) {
+    if ((saved.levelReference ?? 1) >= LEVEL_REFERENCE_VERSION) return;
+
+    if (typeof saved.dbCorrectionGain === "number") {
+        saved.dbCorrectionGain = Math.round((saved.dbCorrectionGain + LEVEL_REFERENCE_OFFSET_DB) * 100) / 100;
+    }
+    saved.levelReference = LEVEL_REFERENCE_VERSION;
+}
+
+
 /* ====================================================
    START / STOP ボタン制御
 ==================================================== */
@@ -634,11 +1027,56 @@ function loadConfigFromStorage() {
 const btnStart = document.getElementById("btnStart");
 const btnStop  = document.getElementById("btnStop");
 
-btnStart.addEventListener("click", startMeasurement);
+btnStart.addEventListener("click", () => startMeasurement());
 btnStop.addEventListener("click", stopMeasurement);
 
-async function startMeasurement() {
-    await MeasurementController.start();
+/**
+ * 計測を開始する
+ *
+ * @param {{type: "mic"} | {type: "file", data: ArrayBuffer}} [source] 入力元（省略時はマイク）
+ */
+async function startMeasurement(source = { type: "mic" }) {
+    // 開始中・計測中に重ねて呼ばれた
+    if (MeasurementController.getState() !== "STOPPED") return;
+
+    lastAnalyzedFile = null;
+    if (source.type === "mic") {
+        hideSourceStatus();
+        // 最後に選んだ入力デバイス（空なら既定のデバイス）
+        if (currentConfig.inputDeviceId) {
+            source = { ...source, deviceId: currentConfig.inputDeviceId };
+        }
+    }
+
+    // 開始中に START を重ねて押せないようにする
+    btnStart.disabled = true;
+    try {
+        await MeasurementController.start(source, {
+            // ファイルを最後まで再生した・マイクが取り外されたら自動で停止
+            onEnded: () => {
+                stopMeasurement();
+                if (source.type === "mic") {
+                    showSourceStatus('<i class="bi bi-mic-mute"></i> 入力デバイスが切断されたため停止しました');
+                }
+            }
+        });
+    } catch (err) {
+        // ファイルの読み込み失敗は呼び出し側で表示する
+        if (source.type !== "mic") throw err;
+
+        // マイクの使用拒否・デバイスが見つからないなど
+        console.error(err);
+        showSourceStatus(err.name === "NotAllowedError"
+            ? '<i class="bi bi-mic-mute"></i> マイクの使用が許可されていません'
+            : '<i class="bi bi-mic-mute"></i> マイクを開始できませんでした');
+        return;
+    } finally {
+        btnStart.disabled = false;
+    }
+
+    // 開始中に停止された
+    if (MeasurementController.getState() !== "RUNNING") return;
+
     applyConfigToSystem();
     GraphManager.resetAxes();
     GraphManager.start();
@@ -646,16 +1084,1253 @@ async function startMeasurement() {
     // 表示切替のみ（DOM構造は固定）
     btnStart.classList.add('btn-hidden');
     btnStop.classList.remove('btn-hidden');
+    btnHold.disabled = false;
+    btnRecord.disabled = false;
+    updateCalibrationStatus();
+
+    updateLevelMeter();
+    clearInterval(levelMeterTimerId);
+    levelMeterTimerId = setInterval(updateLevelMeter, 250);
 }
 
 function stopMeasurement() {
+    // 録音中なら、エンジンを破棄する前に確定させる
+    stopRecording();
+    releaseHold();
+
     MeasurementController.stop();
     GraphManager.stop();
 
+    // 停止までの値を表示したまま止める
+    clearInterval(levelMeterTimerId);
+    levelMeterTimerId = null;
+    updateLevelMeter();
+
     btnStop.classList.add('btn-hidden');
     btnStart.classList.remove('btn-hidden');
+    btnHold.disabled = true;
+    btnRecord.disabled = true;
+}
+
+
+/* ====================================================
+   サウンドレベルメーター
+==================================================== */
+
+const levelMeterBarEl   = document.getElementById("levelMeterBar");
+const levelMeterLabelEl = document.getElementById("levelMeterLpLabel");
+const levelMeterLpEl    = document.getElementById("levelMeterLp");
+const levelMeterStatsEl = document.getElementById("levelMeterStats");
+
+/**
+ * 表示の更新タイマー（計測中のみ）
+ * @type {number|null}
+ */
+let levelMeterTimerId = null;
+
+document.getElementById("btnLevelReset").addEventListener("click", () => {
+    MeasurementController.resetLevelStatistics();
+    updateLevelMeter();
+});
+
+/**
+ * レベルメーターの表示を更新する
+ *
+ * 表記は JIS/IEC の慣例に合わせ、L + 周波数重み付け + 時間重み付け（例: LAF, LAeq）
+ */
+function updateLevelMeter() {
+    const r = MeasurementController.getLevelReadings();
+    if (!r) {
+        levelMeterLpEl.textContent = "--.-";
+        levelMeterStatsEl.textContent = "";
+        return;
+    }
+
+    const fw = r.frequencyWeighting;
+    const ft = fw + r.timeWeighting;
+    const db = (v) => v === null ? "--.-" : v.toFixed(1);
+
+    levelMeterLabelEl.textContent = "L" + ft;
+    levelMeterLpEl.textContent = db(r.lp);
+
+    const interval = Math.round(currentConfig.slmIntervalSec);
+    const last = r.intervals.length > 0 ? db(r.intervals[0].leq) : "--.-";
+    levelMeterStatsEl.innerHTML =
+        `L${ft}max ${db(r.lmax)} / L${ft}min ${db(r.lmin)} dB<br>` +
+        `L${fw}eq ${db(r.leq)} dB（${formatDuration(r.durationSec)}）` +
+        ` / L${fw}eq,${interval}s 前区間 ${last} dB・現在 ${db(r.intervalLeq)} dB（${formatDuration(r.intervalElapsedSec)}）`;
+}
+
+/**
+ * 秒を mm:ss（1 時間以上は h:mm:ss）にする
+ * @param {number} sec
+ * @returns {string}
+ */
+function formatDuration(sec) {
+    const total = Math.floor(sec);
+    const h = Math.floor(total / 3600);
+    const mm = String(Math.floor(total / 60) % 60).padStart(2, "0");
+    const ss = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+
+/* ====================================================
+   入力デバイス
+==================================================== */
+
+const inputDeviceSelectEl = document.getElementById("inputDeviceSelect");
+const deviceOverrideEl    = document.getElementById("deviceOverride");
+
+// デバイスを選んだら、そのデバイスの設定を入力欄に読み込む
+inputDeviceSelectEl.addEventListener("change", () => {
+    syncDeviceSettingsToUI(inputDeviceSelectEl.value);
+});
+
+/**
+ * デバイス専用の設定（無ければ共通の設定）の補正ゲイン・サンプリング周波数を入力欄に出す
+ * @param {string} deviceId
+ */
+function syncDeviceSettingsToUI(deviceId) {
+    const overrides = InputDevices.loadOverrides(deviceId);
+    deviceOverrideEl.checked = Boolean(overrides);
+
+    const values = overrides ?? currentConfig;
+    document.getElementById("dbCorrectionGain").value = values.dbCorrectionGain;
+    document.getElementById("samplingRate").value = values.samplingRate;
+    lastValidValues.dbCorrectionGain = values.dbCorrectionGain;
+    lastValidValues.samplingRate = values.samplingRate;
+    updateFftInfoDisplay();
+}
+
+/**
+ * 入力デバイスの選択肢を作り直す
+ *
+ * 選んでいたデバイスが未接続でも、選択を失わないよう選択肢に残す。
+ *
+ * @param {string} [selected] - 選択するデバイス ID（省略時は設定の値）
+ */
+async function updateDeviceSelect(selected = currentConfig.inputDeviceId) {
+    let devices = [];
+    try {
+        devices = await InputDevices.list();
+    } catch (err) {
+        console.error(err);
+    }
+
+    const options = [{ value: "", text: "既定のデバイス" }];
+    devices
+        .filter(d => d.deviceId !== "default" && d.deviceId !== "")
+        .forEach((d, i) => {
+            // 名前はマイクを許可するまで分からない
+            options.push({ value: d.deviceId, text: d.label || `マイク ${i + 1}` });
+        });
+    if (selected && !options.some(o => o.value === selected)) {
+        const label = InputDevices.getSavedLabel(selected) ?? "保存済みのデバイス";
+        options.push({ value: selected, text: `${label}（未接続）` });
+    }
+
+    inputDeviceSelectEl.replaceChildren(...options.map(o => new Option(o.text, o.value)));
+    inputDeviceSelectEl.value = selected;
+    deviceOverrideEl.checked = Boolean(InputDevices.loadOverrides(selected));
+}
+
+/**
+ * 「このデバイス専用の設定」に応じて、補正ゲインとサンプリング周波数を保存・削除する
+ * @param {Object} newConfig
+ */
+function saveDeviceOverrides(newConfig) {
+    const deviceId = newConfig.inputDeviceId;
+    if (deviceOverrideEl.checked) {
+        const option = inputDeviceSelectEl.selectedOptions[0];
+        InputDevices.saveOverrides(deviceId, option ? option.text : deviceId, newConfig);
+    } else {
+        InputDevices.saveOverrides(deviceId, "", null);
+    }
+}
+
+
+/* ====================================================
+   マイクの周波数特性の校正
+==================================================== */
+
+const calibrationFileEl    = document.getElementById("calibrationFile");
+const calibrationInfoEl    = document.getElementById("calibrationInfo");
+const calibrationMessageEl = document.getElementById("calibrationMessage");
+const calibrationStatusEl  = document.getElementById("calibrationStatus");
+
+// 設定の「適用」を待たず、その場で登録する
+calibrationFileEl.addEventListener("change", async () => {
+    const file = calibrationFileEl.files[0];
+    calibrationFileEl.value = "";
+    const device = MeasurementController.getInputDevice();
+    if (!file || !device) return;
+
+    try {
+        const calibration = MicCalibration.parse(await file.text(), file.name);
+        MicCalibration.save(device.deviceId, device.label, calibration);
+        calibrationMessageEl.classList.add("btn-hidden");
+    } catch (err) {
+        console.error(err);
+        calibrationMessageEl.textContent = `読み込めませんでした: ${err.message}`;
+        calibrationMessageEl.classList.remove("btn-hidden");
+    }
+    onCalibrationChanged();
+});
+
+document.getElementById("btnRemoveCalibration").addEventListener("click", () => {
+    const device = MeasurementController.getInputDevice();
+    if (!device) return;
+    MicCalibration.save(device.deviceId, device.label, null);
+    onCalibrationChanged();
+});
+
+/**
+ * 校正の登録・削除を反映する
+ */
+function onCalibrationChanged() {
+    MeasurementController.reloadCalibration();
+    updateCalibrationInfo();
+    updateCalibrationStatus();
+}
+
+/**
+ * 設定画面の校正の表示（登録先のマイクと登録済みのファイル）を更新する
+ */
+function updateCalibrationInfo() {
+    const device = MeasurementController.getInputDevice();
+    const removeBtn = document.getElementById("btnRemoveCalibration");
+
+    if (!device) {
+        calibrationInfoEl.textContent = "計測を一度開始すると、使用中のマイクに校正ファイルを登録できます。";
+        calibrationFileEl.disabled = true;
+        removeBtn.disabled = true;
+        return;
+    }
+
+    const calibration = MicCalibration.load(device.deviceId);
+    calibrationInfoEl.innerHTML =
+        `マイク: ${escapeHtml(device.label || device.deviceId)}<br>` +
+        `校正: ${calibration ? escapeHtml(MicCalibration.describe(calibration)) : "なし"}`;
+    calibrationFileEl.disabled = false;
+    removeBtn.disabled = !calibration;
+}
+
+/**
+ * グラフ左下に使用中の校正を表示する
+ */
+function updateCalibrationStatus() {
+    const calibration = MeasurementController.getCalibration();
+    calibrationStatusEl.textContent = calibration ? `校正: ${calibration.name}` : "";
+    calibrationStatusEl.classList.toggle("btn-hidden", !calibration);
+}
+
+
+/* ====================================================
+   補正ゲインの校正（基準音源）
+==================================================== */
+
+const btnLevelCalibration        = document.getElementById("btnLevelCalibration");
+const levelCalibrationProgressEl = document.getElementById("levelCalibrationProgress");
+const levelCalibrationResultEl   = document.getElementById("levelCalibrationResult");
+const levelCalibrationHistoryEl  = document.getElementById("levelCalibrationHistory");
+
+/**
+ * 測定中の校正
+ * @type {{ session: LevelCalibrationSession, frameSeq: number, timerId: number, gainDb: number }|null}
+ */
+let levelCalibration = null;
+
+btnLevelCalibration.addEventListener("click", () => {
+    if (levelCalibration) {
+        finishLevelCalibration("中止しました。");
+    } else {
+        startLevelCalibration();
+    }
+});
+
+// 設定画面を閉じたら中止する
+settingsModalEl.addEventListener("hide.bs.modal", () => {
+    if (levelCalibration) finishLevelCalibration("");
+});
+
+/**
+ * 基準音源のレベル測定を始める（マイクで計測中のみ）
+ */
+function startLevelCalibration() {
+    if (!MeasurementController.isMicInput() || MeasurementController.getState() !== "RUNNING") {
+        showLevelCalibrationResult("マイクで計測を開始してから校正してください。", true);
+        return;
+    }
+
+    const sampleRate = MeasurementController.getSampleRate();
+    const fftSize    = MeasurementController.getFFTSize();
+    const session = new LevelCalibrationSession({
+        referenceDb: document.getElementById("levelCalibrationRef114").checked ? 114 : 94,
+        binHz: sampleRate / fftSize,
+        binCount: MeasurementController.getFrequencyAxis().length,
+        enbw: MeasurementController.getWindowInfo().enbw,
+        db: currentConfig.dbDisplay
+    });
+
+    levelCalibration = {
+        session,
+        frameSeq: MeasurementController.getLatestFrameSeq(),
+        timerId: setInterval(updateLevelCalibration, 100),
+        // 測定に使っている補正ゲイン（設定画面で未適用の値ではない）
+        gainDb: MeasurementController.getCorrectionGain()
+    };
+
+    btnLevelCalibration.innerHTML = '<i class="bi bi-x-lg"></i> 中止';
+    levelCalibrationProgressEl.classList.remove("btn-hidden");
+    setLevelCalibrationProgress(0);
+    showLevelCalibrationResult("測定中…", false);
+}
+
+/**
+ * 届いたフレームを加え、測定時間に達したら補正ゲインを求めて保存する
+ */
+function updateLevelCalibration() {
+    if (MeasurementController.getState() !== "RUNNING") {
+        finishLevelCalibration("計測が停止したため中止しました。", true);
+        return;
+    }
+
+    const { session } = levelCalibration;
+    const frames = MeasurementController.getFramesSince(levelCalibration.frameSeq);
+    frames.forEach(frame => session.push(frame.spectrum, frame.timeSec));
+    if (frames.length > 0) levelCalibration.frameSeq = frames[frames.length - 1].seq;
+
+    setLevelCalibrationProgress(session.getProgress());
+    if (!session.isComplete()) return;
+
+    let result;
+    try {
+        result = session.evaluate(levelCalibration.gainDb);
+    } catch (err) {
+        finishLevelCalibration(`校正できませんでした: ${err.message}`, true);
+        return;
+    }
+
+    // 補正ゲインを保存して反映（設定画面の入力欄も合わせる）
+    // 開いているデバイス専用の設定があればそちらを、無ければ共通の補正ゲインを更新する
+    const gainDb = Math.round(result.gainDb * 100) / 100;
+    const device = MeasurementController.getInputDevice();
+    const deviceOverrides = MeasurementController.getDeviceOverrides();
+    if (deviceOverrides) {
+        const label = InputDevices.getSavedLabel(deviceOverrides.deviceId) ?? device.label;
+        InputDevices.saveOverrides(deviceOverrides.deviceId, label, { ...deviceOverrides.overrides, dbCorrectionGain: gainDb });
+    } else {
+        currentConfig.dbCorrectionGain = gainDb;
+        saveConfigToStorage(currentConfig);
+    }
+    applyConfigToSystem();
+    document.getElementById("dbCorrectionGain").value = gainDb;
+    lastValidValues.dbCorrectionGain = gainDb;
+
+    MicCalibration.addHistory(device.deviceId, device.label, {
+        date: new Date().toISOString(),
+        referenceDb: session.referenceDb,
+        measuredDb: result.measuredDb,
+        gainDb
+    });
+    updateLevelCalibrationHistory();
+
+    finishLevelCalibration(
+        `補正ゲインを ${gainDb.toFixed(2)} dB にしました` +
+        `（測定 ${result.measuredDb.toFixed(2)} dB → ${session.referenceDb} dB、変動 ${result.spreadDb.toFixed(2)} dB）`
+    );
 }
 
+/**
+ * 測定を終える
+ * @param {string} message
+ * @param {boolean} [isError=false]
+ */
+function finishLevelCalibration(message, isError = false) {
+    clearInterval(levelCalibration.timerId);
+    levelCalibration = null;
+
+    btnLevelCalibration.innerHTML = '<i class="bi bi-bullseye"></i> 校正開始';
+    levelCalibrationProgressEl.classList.add("btn-hidden");
+    showLevelCalibrationResult(message, isError);
+}
+
+/**
+ * @param {number} progress - 0～1
+ */
+function setLevelCalibrationProgress(progress) {
+    levelCalibrationProgressEl.firstElementChild.style.width = `${Math.round(progress * 100)}%`;
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function showLevelCalibrationResult(message, isError) {
+    levelCalibrationResultEl.textContent = message;
+    levelCalibrationResultEl.classList.toggle("text-danger", isError);
+}
+
+/**
+ * 使用中のマイクの校正履歴を表示する
+ */
+function updateLevelCalibrationHistory() {
+    const device = MeasurementController.getInputDevice();
+    const records = device ? MicCalibration.loadHistory(device.deviceId) : [];
+    if (records.length === 0) {
+        levelCalibrationHistoryEl.textContent = "";
+        return;
+    }
+
+    const rows = records.map(r =>
+        `${escapeHtml(new Date(r.date).toLocaleString())}　` +
+        `${r.referenceDb} dB → 補正ゲイン ${r.gainDb.toFixed(2)} dB（測定 ${r.measuredDb.toFixed(2)} dB）`
+    );
+    levelCalibrationHistoryEl.innerHTML =
+        `校正履歴（${escapeHtml(device.label || device.deviceId)}）<br>` + rows.join("<br>");
+}
+
+
+/* ====================================================
+   伝達関数の遅延合わせ
+==================================================== */
+
+const transferDelayMessageEl = document.getElementById("transferDelayMessage");
+
+document.getElementById("btnFindDelay").addEventListener("click", findTransferDelay);
+
+/**
+ * 直近の入力から測定チャンネルの遅れを求め、基準チャンネルの遅延として保存する
+ * （ステレオ入力で計測中のみ）
+ */
+function findTransferDelay() {
+    if (!MeasurementController.isStereoInput() || MeasurementController.getState() !== "RUNNING") {
+        showTransferDelayMessage("ステレオ入力で計測を開始してから検出してください。", true);
+        return;
+    }
+
+    const result = MeasurementController.findTransferDelay();
+    if (!result) {
+        showTransferDelayMessage("入力がまだ足りません。少し待ってからやり直してください。", true);
+        return;
+    }
+    if (Math.abs(result.correlation) < 0.1) {
+        showTransferDelayMessage(
+            `2 つのチャンネルの相関が小さすぎます（${result.correlation.toFixed(2)}）。` +
+            "基準チャンネルと同じ信号を鳴らしてください。", true);
+        return;
+    }
+    if (result.delaySamples < 0) {
+        showTransferDelayMessage(
+            `測定チャンネルが ${(-result.delayMs).toFixed(2)} ms 先行しています。` +
+            "チャンネルの接続（1: 測定、2: 基準）を確認してください。", true);
+        return;
+    }
+
+    // 遅延を保存して反映（設定画面の入力欄も合わせる）
+    const delayMs = Math.round(result.delayMs * 1000) / 1000;
+    currentConfig.transferDelayMs = delayMs;
+    saveConfigToStorage(currentConfig);
+    applyConfigToSystem();
+    document.getElementById("transferDelayMs").value = delayMs;
+    lastValidValues.transferDelayMs = delayMs;
+
+    const polarity = result.correlation < 0 ? "、極性が反転しています" : "";
+    showTransferDelayMessage(
+        `遅延を ${delayMs.toFixed(3)} ms（${result.delaySamples} サンプル、約 ${(delayMs * 0.343).toFixed(2)} m）にしました` +
+        `（相関 ${result.correlation.toFixed(2)}${polarity}）`, false);
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function showTransferDelayMessage(message, isError) {
+    transferDelayMessageEl.textContent = message;
+    transferDelayMessageEl.classList.toggle("text-danger", isError);
+}
+
+
+/* ====================================================
+   信号発生器
+==================================================== */
+
+const GENERATOR_STORAGE_KEY = "generatorSettings";
+
+/**
+ * 信号発生器の初期設定
+ * @type {GeneratorSettings}
+ */
+const GENERATOR_DEFAULTS = {
+    type: "sine",
+    levelDb: -20,
+    frequency: 1000,
+    sweepStartHz: 20,
+    sweepEndHz: 20000,
+    sweepDurationSec: 5,
+    sweepMode: "log",
+    multitoneFrequencies: [100, 1000, 10000]
+};
+
+/** UI(id) ⇔ 設定値 の対応 */
+const GENERATOR_TYPE_MAP = {
+    generatorSine:      "sine",
+    generatorSweep:     "sweep",
+    generatorWhite:     "white",
+    generatorPink:      "pink",
+    generatorMultitone: "multitone"
+};
+
+const btnGenerator          = document.getElementById("btnGenerator");
+const generatorStatusEl     = document.getElementById("generatorStatus");
+const generatorMessageEl    = document.getElementById("generatorMessage");
+const generatorLevelEl      = document.getElementById("generatorLevel");
+const generatorLevelRangeEl = document.getElementById("generatorLevelRange");
+
+/**
+ * 信号発生器（最初に出力するときに作る）
+ * @type {SignalGenerator|null}
+ */
+let signalGenerator = null;
+
+syncGeneratorUI(loadGeneratorSettings());
+
+btnGenerator.addEventListener("click", () => {
+    if (signalGenerator && signalGenerator.isRunning()) {
+        signalGenerator.stop();
+        updateGeneratorButton();
+    } else {
+        startGenerator();
+    }
+});
+
+// 信号の種類・周波数などは、出力中なら鳴らし直す
+document.querySelectorAll('#generatorPanel input:not([id^="generatorLevel"])').forEach(el => {
+    el.addEventListener("change", () => {
+        const settings = readGeneratorUI();
+        updateGeneratorVisibility(settings.type);
+        if (signalGenerator && signalGenerator.isRunning()) startGenerator();
+    });
+});
+
+// レベルは音を止めずに変える
+generatorLevelRangeEl.addEventListener("input", () => {
+    generatorLevelEl.value = generatorLevelRangeEl.value;
+    onGeneratorLevelChanged();
+});
+generatorLevelEl.addEventListener("change", onGeneratorLevelChanged);
+
+/**
+ * 保存済みの設定（なければ初期設定）
+ * @returns {GeneratorSettings}
+ */
+function loadGeneratorSettings() {
+    try {
+        return { ...GENERATOR_DEFAULTS, ...JSON.parse(localStorage.getItem(GENERATOR_STORAGE_KEY)) };
+    } catch (e) {
+        console.warn("信号発生器の設定の読み込みに失敗しました。", e);
+        return { ...GENERATOR_DEFAULTS };
+    }
+}
+
+/**
+ * 設定をパネルに反映する
+ * @param {GeneratorSettings} settings
+ */
+function syncGeneratorUI(settings) {
+    for (const [id, type] of Object.entries(GENERATOR_TYPE_MAP)) {
+        document.getElementById(id).checked = (type === settings.type);
+    }
+    document.getElementById("generatorFrequency").value = settings.frequency;
+    document.getElementById("generatorSweepStart").value = settings.sweepStartHz;
+    document.getElementById("generatorSweepEnd").value = settings.sweepEndHz;
+    document.getElementById("generatorSweepDuration").value = settings.sweepDurationSec;
+    document.getElementById("generatorSweepLog").checked = settings.sweepMode === "log";
+    document.getElementById("generatorSweepLinear").checked = settings.sweepMode !== "log";
+    document.getElementById("generatorMultitoneFrequencies").value = settings.multitoneFrequencies.join(", ");
+    generatorLevelEl.value = settings.levelDb;
+    generatorLevelRangeEl.value = settings.levelDb;
+
+    updateGeneratorVisibility(settings.type);
+}
+
+/**
+ * パネルの入力値を読み取り、範囲外の値を直して保存する
+ * @returns {GeneratorSettings}
+ */
+function readGeneratorUI() {
+    const number = (id, min, max, fallback) => {
+        const el = document.getElementById(id);
+        let value = Number(el.value);
+        value = Number.isFinite(value) && el.value !== "" ? Math.min(Math.max(value, min), max) : fallback;
+        el.value = value;
+        return value;
+    };
+
+    const saved = loadGeneratorSettings();
+    const checked = Object.keys(GENERATOR_TYPE_MAP).find(id => document.getElementById(id).checked);
+
+    const multitone = document.getElementById("generatorMultitoneFrequencies").value
+        .split(/[\s,;]+/)
+        .map(Number)
+        .filter(f => Number.isFinite(f) && f > 0);
+
+    const settings = {
+        type: GENERATOR_TYPE_MAP[checked] ?? "sine",
+        levelDb: number("generatorLevel", -120, 0, saved.levelDb),
+        frequency: number("generatorFrequency", 1, 96000, saved.frequency),
+        sweepStartHz: number("generatorSweepStart", 1, 96000, saved.sweepStartHz),
+        sweepEndHz: number("generatorSweepEnd", 1, 96000, saved.sweepEndHz),
+        sweepDurationSec: number("generatorSweepDuration", 0.1, 60, saved.sweepDurationSec),
+        sweepMode: document.getElementById("generatorSweepLinear").checked ? "linear" : "log",
+        multitoneFrequencies: multitone.length > 0 ? multitone : saved.multitoneFrequencies
+    };
+    generatorLevelRangeEl.value = settings.levelDb;
+
+    localStorage.setItem(GENERATOR_STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * 信号の種類に関係する入力欄だけを表示する
+ * @param {GeneratorSettings["type"]} type
+ */
+function updateGeneratorVisibility(type) {
+    document.querySelectorAll("#generatorPanel [data-generator-types]").forEach(el => {
+        el.classList.toggle("btn-hidden", !el.dataset.generatorTypes.split(" ").includes(type));
+    });
+}
+
+/**
+ * パネルの設定で出力を開始する（出力中なら鳴らし直す）
+ */
+async function startGenerator() {
+    if (!signalGenerator) signalGenerator = new SignalGenerator();
+
+    generatorMessageEl.textContent = "";
+    try {
+        await signalGenerator.start(readGeneratorUI());
+    } catch (err) {
+        console.error(err);
+        signalGenerator.stop();
+        generatorMessageEl.textContent = `出力を開始できませんでした: ${err.message}`;
+    }
+    updateGeneratorButton();
+}
+
+/**
+ * レベルの変更を反映する
+ */
+function onGeneratorLevelChanged() {
+    const settings = readGeneratorUI();
+    if (signalGenerator) signalGenerator.setLevel(settings.levelDb);
+}
+
+/**
+ * 出力中かどうかをボタンとヘッダーのアイコンに反映する
+ */
+function updateGeneratorButton() {
+    const running = Boolean(signalGenerator && signalGenerator.isRunning());
+    btnGenerator.innerHTML = running
+        ? '<i class="bi bi-stop-fill"></i> 出力停止'
+        : '<i class="bi bi-play-fill"></i> 出力開始';
+    btnGenerator.classList.toggle("btn-success", !running);
+    btnGenerator.classList.toggle("btn-danger", running);
+    generatorStatusEl.classList.toggle("btn-hidden", !running);
+}
+
+
+/* ====================================================
+   インパルス応答測定（指数スイープ）
+==================================================== */
+
+const SWEEP_STORAGE_KEY = "sweepSettings";
+
+/**
+ * インパルス応答測定の初期設定
+ */
+const SWEEP_DEFAULTS = {
+    startHz: 20,
+    endHz: 20000,
+    durationSec: 3,
+    tailSec: 1,
+    count: 4,
+    levelDb: -12
+};
+
+/** 測定結果を表示するグラフ種別（どれも選ばれていなければ最初のものに切り替える） */
+const SWEEP_GRAPH_TYPES = ["sweepImpulseResponse", "sweepImpulseEtc", "sweepEtcResponse"];
+
+const btnSweep        = document.getElementById("btnSweep");
+const btnSweepExport  = document.getElementById("btnSweepExport");
+const sweepProgressEl = document.getElementById("sweepProgress");
+const sweepMessageEl  = document.getElementById("sweepMessage");
+
+/**
+ * 測定の進捗表示の更新タイマー（測定中のみ）
+ * @type {number|null}
+ */
+let sweepTimerId = null;
+
+syncSweepUI(loadSweepSettings());
+
+btnSweep.addEventListener("click", () => {
+    if (sweepTimerId !== null) {
+        MeasurementController.cancelSweepMeasurement();
+        finishSweepMeasurement("中止しました。", false);
+    } else {
+        startSweepMeasurement();
+    }
+});
+
+btnSweepExport.addEventListener("click", exportSweepImpulse);
+
+document.querySelectorAll("#sweepPanel input").forEach(el => {
+    el.addEventListener("change", readSweepUI);
+});
+
+/**
+ * 保存済みの設定（なければ初期設定）
+ * @returns {typeof SWEEP_DEFAULTS}
+ */
+function loadSweepSettings() {
+    try {
+        return { ...SWEEP_DEFAULTS, ...JSON.parse(localStorage.getItem(SWEEP_STORAGE_KEY)) };
+    } catch (e) {
+        console.warn("インパルス応答測定の設定の読み込みに失敗しました。", e);
+        return { ...SWEEP_DEFAULTS };
+    }
+}
+
+/**
+ * 設定をパネルに反映する
+ * @param {typeof SWEEP_DEFAULTS} settings
+ */
+function syncSweepUI(settings) {
+    document.getElementById("sweepStart").value = settings.startHz;
+    document.getElementById("sweepEnd").value = settings.endHz;
+    document.getElementById("sweepDuration").value = settings.durationSec;
+    document.getElementById("sweepTail").value = settings.tailSec;
+    document.getElementById("sweepCount").value = settings.count;
+    document.getElementById("sweepLevel").value = settings.levelDb;
+}
+
+/**
+ * パネルの入力値を読み取り、範囲外の値を直して保存する
+ * @returns {typeof SWEEP_DEFAULTS}
+ */
+function readSweepUI() {
+    const number = (id, min, max, fallback, integer = false) => {
+        const el = document.getElementById(id);
+        let value = Number(el.value);
+        value = Number.isFinite(value) && el.value !== "" ? Math.min(Math.max(value, min), max) : fallback;
+        if (integer) value = Math.round(value);
+        el.value = value;
+        return value;
+    };
+
+    const saved = loadSweepSettings();
+    const settings = {
+        startHz: number("sweepStart", 1, 96000, saved.startHz),
+        endHz: number("sweepEnd", 1, 96000, saved.endHz),
+        durationSec: number("sweepDuration", 0.5, 30, saved.durationSec),
+        tailSec: number("sweepTail", 0.1, 10, saved.tailSec),
+        count: number("sweepCount", 1, 16, saved.count, true),
+        levelDb: number("sweepLevel", -60, 0, saved.levelDb)
+    };
+    // 開始と終了が逆なら入れ替える
+    if (settings.startHz > settings.endHz) {
+        [settings.startHz, settings.endHz] = [settings.endHz, settings.startHz];
+        syncSweepUI(settings);
+    }
+
+    localStorage.setItem(SWEEP_STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * パネルの設定でスイープを鳴らし、インパルス応答の測定を始める（マイクで計測中のみ）
+ */
+function startSweepMeasurement() {
+    if (!MeasurementController.isMicInput() || MeasurementController.getState() !== "RUNNING") {
+        showSweepMessage("マイクで計測を開始してから測定してください。", true);
+        return;
+    }
+
+    const settings = readSweepUI();
+    if (settings.endHz / settings.startHz < 2) {
+        showSweepMessage("開始と終了の周波数は 1 オクターブ以上離してください。", true);
+        return;
+    }
+    try {
+        MeasurementController.startSweepMeasurement(settings);
+    } catch (err) {
+        console.error(err);
+        showSweepMessage(`測定を開始できませんでした: ${err.message}`, true);
+        return;
+    }
+
+    // 結果を表示するグラフに切り替える
+    if (!SWEEP_GRAPH_TYPES.includes(currentConfig.graphType)) {
+        currentConfig.graphType = SWEEP_GRAPH_TYPES[0];
+        saveConfigToStorage(currentConfig);
+        applyConfigToSystem();
+        document.getElementById(SWEEP_GRAPH_TYPES[0]).checked = true;
+    }
+
+    sweepTimerId = setInterval(updateSweepMeasurement, 100);
+    btnSweep.innerHTML = '<i class="bi bi-x-lg"></i> 中止';
+    btnSweep.classList.replace("btn-success", "btn-danger");
+    sweepProgressEl.classList.remove("btn-hidden");
+    setSweepProgress(0);
+    showSweepMessage(`測定中… (0/${settings.count})`, false);
+}
+
+/**
+ * 測定の進捗を表示し、終わったら結果を知らせる
+ */
+function updateSweepMeasurement() {
+    const status = MeasurementController.getSweepStatus();
+
+    switch (status.state) {
+        case "measuring": {
+            setSweepProgress(status.progress);
+            const { count } = loadSweepSettings();
+            showSweepMessage(`測定中… (${status.completedCount}/${count})`, false);
+            break;
+        }
+
+        case "done": {
+            const result = MeasurementController.getSweepResult();
+            finishSweepMeasurement(
+                `測定しました（${result.count} 回の平均、遅れ ${(result.delaySec * 1000).toFixed(1)} ms）。`, false);
+            break;
+        }
+
+        case "error":
+            finishSweepMeasurement(status.message, true);
+            break;
+
+        default:
+            // 計測の停止で中止された
+            finishSweepMeasurement("計測が停止したため中止しました。", true);
+            break;
+    }
+}
+
+/**
+ * 測定の表示を終える
+ *
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function finishSweepMeasurement(message, isError) {
+    clearInterval(sweepTimerId);
+    sweepTimerId = null;
+
+    btnSweep.innerHTML = '<i class="bi bi-play-fill"></i> 測定開始';
+    btnSweep.classList.replace("btn-danger", "btn-success");
+    sweepProgressEl.classList.add("btn-hidden");
+    btnSweepExport.disabled = !MeasurementController.getSweepResult();
+    showSweepMessage(message, isError);
+}
+
+/**
+ * 測定したインパルス応答を WAV（32bit float, 最大値の時刻を先頭付近に置く）で保存する
+ */
+function exportSweepImpulse() {
+    const result = MeasurementController.getSweepResult();
+    if (!result) return;
+
+    const settings = loadSweepSettings();
+    const comment = `Impulse response (exponential sweep ${settings.startHz}-${settings.endHz} Hz, ` +
+                    `${result.count} avg, peak at ${(-result.startIndex / result.sampleRate * 1000).toFixed(1)} ms)`;
+    const blob = WavFormat.encodeFile(
+        result.impulse,
+        result.sampleRate,
+        "float32",
+        WavFormat.buildInfo(new Date(), comment)
+    );
+    downloadFile(blob, DataExporter.buildFileName("impulse", "wav"));
+}
+
+/**
+ * @param {number} progress - 0～1
+ */
+function setSweepProgress(progress) {
+    sweepProgressEl.firstElementChild.style.width = `${Math.round(progress * 100)}%`;
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function showSweepMessage(message, isError) {
+    sweepMessageEl.textContent = message;
+    sweepMessageEl.classList.toggle("text-danger", isError);
+}
+
+
+/* ====================================================
+   HOLD（表示の一時停止と履歴の振り返り）
+==================================================== */
+
+const btnHold     = document.getElementById("btnHold");
+const holdBarEl   = document.getElementById("holdBar");
+const holdScrubEl = document.getElementById("holdScrub");
+const holdTimeEl  = document.getElementById("holdTime");
+
+/**
+ * HOLD した時点の履歴の時刻 [sec]
+ * @type {number[]}
+ */
+let holdTimes = [];
+
+/**
+ * 履歴の 1 列にまとめたフレームの時間幅 [sec]（フレームごとの履歴なら null）
+ * @type {number|null}
+ */
+let holdMergedColumnSec = null;
+
+btnHold.addEventListener("click", () => {
+    if (GraphManager.isHolding()) {
+        releaseHold();
+    } else {
+        startHold();
+    }
+});
+
+holdScrubEl.addEventListener("input", () => {
+    const index = Number(holdScrubEl.value);
+    GraphManager.showHoldFrame(index);
+    updateHoldTime(index);
+});
+
+/**
+ * HOLD する（計測・録音は続く）
+ */
+function startHold() {
+    const history = GraphManager.hold((index) => {
+        // スペクトログラムのクリックで位置が変わった
+        holdScrubEl.value = index;
+        updateHoldTime(index);
+    });
+    if (!history) return;
+
+    holdTimes = history.timeSec;
+    holdMergedColumnSec = history.mergedColumnSec;
+    const last = Math.max(0, holdTimes.length - 1);
+    holdScrubEl.max = last;
+    holdScrubEl.value = last;
+    holdScrubEl.disabled = (holdTimes.length < 2);
+    updateHoldTime(last);
+
+    btnHold.classList.replace("btn-outline-warning", "btn-warning");
+    btnHold.innerHTML = '<i class="bi bi-play-fill"></i> <small>LIVE</small>';
+    holdBarEl.classList.remove("btn-hidden");
+}
+
+/**
+ * HOLD を解除してライブ表示に戻る
+ */
+function releaseHold() {
+    if (!GraphManager.isHolding()) return;
+
+    GraphManager.releaseHold();
+    holdTimes = [];
+    holdMergedColumnSec = null;
+
+    btnHold.classList.replace("btn-warning", "btn-outline-warning");
+    btnHold.innerHTML = '<i class="bi bi-pause-fill"></i> <small>HOLD</small>';
+    holdBarEl.classList.add("btn-hidden");
+}
+
+/**
+ * 選択中のフレームの時刻を表示する（HOLD した時点からの差も）
+ * @param {number} index
+ */
+function updateHoldTime(index) {
+    if (holdTimes.length === 0) {
+        holdTimeEl.textContent = "履歴なし";
+        return;
+    }
+    const t = holdTimes[index];
+    const diff = t - holdTimes[holdTimes.length - 1];
+    // 長い時間軸では、列の幅に入るフレームの最大値を表示している
+    const merged = holdMergedColumnSec !== null ? ` ・${holdMergedColumnSec.toFixed(2)} s ごとの最大値` : "";
+    holdTimeEl.textContent = `${t.toFixed(2)} s（${diff.toFixed(2)} s）${merged}`;
+}
+
+
+/* ====================================================
+   録音
+==================================================== */
+
+const btnRecord = document.getElementById("btnRecord");
+
+/**
+ * 録音時間表示の更新タイマー
+ * @type {number|null}
+ */
+let recordTimerId = null;
+
+btnRecord.addEventListener("click", () => {
+    if (MeasurementController.isRecording()) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+});
+
+/**
+ * 録音を開始する（計測中のみ）
+ */
+async function startRecording() {
+    btnRecord.disabled = true;
+    let started = false;
+    try {
+        started = await MeasurementController.startRecording(currentConfig.recordFormat);
+    } catch (err) {
+        console.error(err);
+    }
+    btnRecord.disabled = (MeasurementController.getState() !== "RUNNING");
+    if (!started) return;
+
+    btnRecord.classList.replace("btn-outline-danger", "btn-danger");
+    updateRecordLabel();
+    recordTimerId = setInterval(updateRecordLabel, 500);
+}
+
+/**
+ * 録音を終了し、WAV ファイルをダウンロードする
+ */
+async function stopRecording() {
+    if (!MeasurementController.isRecording()) return;
+
+    clearInterval(recordTimerId);
+    recordTimerId = null;
+    btnRecord.classList.replace("btn-danger", "btn-outline-danger");
+    btnRecord.querySelector("small").textContent = "REC";
+
+    try {
+        const file = await MeasurementController.stopRecording();
+        if (file) downloadFile(file, file.name);
+    } catch (err) {
+        console.error(err);
+        alert("録音ファイルの書き出しに失敗しました。");
+    }
+}
+
+/**
+ * 録音ボタンに経過時間を表示する
+ */
+function updateRecordLabel() {
+    const sec = Math.floor(MeasurementController.getRecordingDurationSec());
+    const mm = String(Math.floor(sec / 60)).padStart(2, "0");
+    const ss = String(sec % 60).padStart(2, "0");
+    btnRecord.querySelector("small").textContent = `${mm}:${ss}`;
+}
+
+/**
+ * Blob をファイルとしてダウンロードさせる
+ *
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // ダウンロード開始前に無効化しないよう少し待つ
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+
+/* ====================================================
+   音声ファイル入力
+==================================================== */
+
+/**
+ * 最後に一括解析したファイル
+ * 設定を変更したときに同じファイルを解析し直すために保持する
+ * @type {File|null}
+ */
+let lastAnalyzedFile = null;
+
+const fileAnalysisModalEl = document.getElementById("fileAnalysisModal");
+const fileAnalysisModal = new bootstrap.Modal(fileAnalysisModalEl);
+const fileInputEl = document.getElementById("audioFileInput");
+const btnStartFile = document.getElementById("startFileAnalysis");
+
+fileInputEl.addEventListener("change", () => {
+    btnStartFile.disabled = (fileInputEl.files.length === 0);
+});
+
+btnStartFile.addEventListener("click", () => {
+    const file = fileInputEl.files[0];
+    if (!file) return;
+    fileAnalysisModal.hide();
+    openAudioFile(file);
+});
+
+/**
+ * グラフ領域へのドラッグ＆ドロップ
+ */
+const graphContainerEl = document.getElementById("graph-container");
+
+graphContainerEl.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    graphContainerEl.classList.add("graph-drop-target");
+});
+graphContainerEl.addEventListener("dragleave", () => {
+    graphContainerEl.classList.remove("graph-drop-target");
+});
+graphContainerEl.addEventListener("drop", (event) => {
+    event.preventDefault();
+    graphContainerEl.classList.remove("graph-drop-target");
+
+    const file = event.dataTransfer.files[0];
+    if (file) openAudioFile(file);
+});
+
+/**
+ * 音声ファイルを解析する
+ * 解析方法はファイル解析モーダルで選択されているものを使う
+ *
+ * @param {File} file
+ */
+async function openAudioFile(file) {
+    const batch = document.getElementById("fileModeBatch").checked;
+
+    // 計測中なら止める
+    stopMeasurement();
+
+    if (batch) {
+        await analyzeWholeFile(file);
+        return;
+    }
+
+    showSourceStatus(`<i class="bi bi-file-earmark-music"></i> ${escapeHtml(file.name)}`);
+    try {
+        await startMeasurement({ type: "file", data: await file.arrayBuffer() });
+    } catch (err) {
+        console.error(err);
+        showSourceStatus(`読み込めませんでした: ${escapeHtml(file.name)}`);
+    }
+}
+
+/**
+ * 音声ファイル全体を一括解析して表示する
+ *
+ * @param {File} file
+ */
+async function analyzeWholeFile(file) {
+    lastAnalyzedFile = null;
+    showSourceStatus("解析中… 0%");
+
+    let result;
+    try {
+        result = await MeasurementController.analyzeFile(await file.arrayBuffer(), (progress) => {
+            showSourceStatus(`解析中… ${Math.round(progress * 100)}%`);
+        });
+    } catch (err) {
+        console.error(err);
+        showSourceStatus(`読み込めませんでした: ${escapeHtml(file.name)}`);
+        return;
+    }
+    if (!result) return;
+
+    // 軸を解析結果に合わせてから描画
+    await applyConfigToSystem();
+    GraphManager.updateAllPanelVisibility();
+    GraphManager.renderBatch(result.frames, result.durationSec);
+    updateLevelMeter();
+
+    lastAnalyzedFile = file;
+    showSourceStatus(
+        `<i class="bi bi-file-earmark-music"></i> ${escapeHtml(file.name)}（全体 ${result.durationSec.toFixed(1)} 秒）`
+    );
+}
+
+/**
+ * グラフ左上に入力元の状態を表示する
+ * @param {string} html
+ */
+function showSourceStatus(html) {
+    const el = document.getElementById("sourceStatus");
+    el.innerHTML = html;
+    el.classList.remove("btn-hidden");
+}
+
+/**
+ * 入力元の状態表示を消す
+ */
+function hideSourceStatus() {
+    document.getElementById("sourceStatus").classList.add("btn-hidden");
+}
+
+/**
+ * HTML 特殊文字をエスケープする（ファイル名の表示用）
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+
+/* ====================================================
+   データ書き出し
+==================================================== */
+
+const exportModalEl = document.getElementById("exportModal");
+const exportModal = new bootstrap.Modal(exportModalEl);
+const exportMessageEl = document.getElementById("exportMessage");
+
+exportModalEl.addEventListener("show.bs.modal", () => {
+    exportMessageEl.classList.add("btn-hidden");
+});
+
+document.getElementById("startExport").addEventListener("click", () => {
+    const kind   = document.getElementById("exportKindSpectrogram").checked ? "spectrogram" : "spectrum";
+    const format = document.getElementById("exportFormatJson").checked ? "json" : "csv";
+
+    const data = GraphManager.getExportData(kind);
+    if (!data) {
+        exportMessageEl.textContent = (kind === "spectrogram")
+            ? "書き出せるデータがありません。スペクトログラムかウォーターフォールを表示して計測してください。"
+            : "書き出せるデータがありません。計測を開始してください。";
+        exportMessageEl.classList.remove("btn-hidden");
+        return;
+    }
+
+    const meta = DataExporter.buildMetadata(
+        currentConfig,
+        MeasurementController.getSampleRate(),
+        MeasurementController.getFFTSize(),
+        MeasurementController.getCalibration()
+    );
+    const blob = DataExporter.build(kind, format, data, meta);
+    downloadFile(blob, DataExporter.buildFileName(kind, format));
+
+    exportModal.hide();
+});
+
+
+/* ====================================================
+   自動スクロール再開ボタン
+==================================================== */
+
+document.getElementById("resumeScrollBtn")
+        .addEventListener("click", () => GraphManager.resumeScroll());
+
 
 /* ====================================================
    設定ボタンイベント
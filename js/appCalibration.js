@@ -0,0 +1,359 @@
+/******************************************************
+ * appCalibration.js
+ *
+ * マイクの周波数特性の校正
+ *
+ * 役割:
+ *  - 校正ファイル（miniDSP / Dayton などの「周波数 dB」形式）の読み込み
+ *  - 入力デバイスごとの保存（localStorage）
+ *  - FFT のビン周波数への補間
+ *  - 基準音源（音響校正器）による補正ゲインの校正と、その履歴
+ ******************************************************/
+
+/******************************************************
+ * MicCalibration
+ ******************************************************/
+
+const MicCalibration = (function () {
+
+    /**
+     * 校正データ
+     *
+     * @typedef {Object} CalibrationData
+     * @property {string} name - 表示名（ファイル名）
+     * @property {number|null} sensitivityDb - ファイルに書かれた感度（miniDSP の "Sens Factor" など）[dB]
+     *      絶対レベルは補正ゲインで合わせるので、表示と書き出しにだけ使う
+     * @property {{ freq: number, db: number }[]} points - 周波数の昇順
+     * @property {string} importedAt - 読み込んだ日時（ISO 8601）
+     */
+
+    const STORAGE_KEY = "micCalibrations";
+
+    /** 補正ゲインの校正履歴の保存先と、デバイスごとの最大件数 */
+    const HISTORY_KEY = "levelCalibrationHistory";
+    const MAX_HISTORY = 20;
+
+    /**
+     * 校正ファイルを読む
+     *
+     * 対応する形式:
+     *   "Sens Factor =-1.23dB, SERNO: 7001234"   ← 感度（任意）
+     *   20.000    -1.25    [位相]                 ← 周波数 [Hz] と補正値 [dB]
+     *   ...
+     * 区切りは空白・タブ・カンマ・セミコロン。
+     * 数値で始まらない行（見出し・コメント）は読み飛ばす。
+     *
+     * @param {string} text
+     * @param {string} name
+     * @returns {CalibrationData}
+     * @throws {Error} 有効な行が 2 つ未満のとき
+     */
+    function parse(text, name) {
+        let sensitivityDb = null;
+        const points = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const sens = line.match(/Sens(?:itivity)?\s*Factor\s*=\s*([-+]?\d*\.?\d+)/i);
+            if (sens) {
+                sensitivityDb = Number(sens[1]);
+                return;
+            }
+
+            const fields = line.trim().replace(/^"|"$/g, "").split(/[\s,;]+/);
+            if (fields.length < 2) return;
+            const freq = Number(fields[0]);
+            const db   = Number(fields[1]);
+            if (!Number.isFinite(freq) || !Number.isFinite(db) || freq <= 0) return;
+
+            points.push({ freq, db });
+        });
+
+        if (points.length < 2) {
+            throw new Error("校正データ（周波数と dB の行）が見つかりません");
+        }
+
+        points.sort((a, b) => a.freq - b.freq);
+
+        return {
+            name,
+            sensitivityDb,
+            points,
+            importedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * FFT のビン周波数ごとの補正値 [dB] を求める
+     *
+     * 周波数は対数軸で線形補間し、範囲外は端の値を使う。
+     * 表示値からこの値を引くとマイクの特性が打ち消される。
+     *
+     * @param {CalibrationData} calibration
+     * @param {ArrayLike<number>} freqAxis
+     * @returns {Float32Array}
+     */
+    function interpolate(calibration, freqAxis) {
+        const pts = calibration.points;
+        const out = new Float32Array(freqAxis.length);
+
+        let k = 0;
+        for (let i = 0; i < freqAxis.length; i++) {
+            const f = freqAxis[i];
+            if (f <= pts[0].freq) {
+                out[i] = pts[0].db;
+                continue;
+            }
+            if (f >= pts[pts.length - 1].freq) {
+                out[i] = pts[pts.length - 1].db;
+                continue;
+            }
+
+            // freqAxis は昇順なので前回の位置から探す
+            while (pts[k + 1].freq < f) k++;
+            const p0 = pts[k], p1 = pts[k + 1];
+            const t = Math.log(f / p0.freq) / Math.log(p1.freq / p0.freq);
+            out[i] = p0.db + (p1.db - p0.db) * t;
+        }
+        return out;
+    }
+
+    /**
+     * 保存済みの校正データ（デバイス ID → { label, calibration }）
+     * @returns {Object<string, { label: string, calibration: CalibrationData }>}
+     */
+    function loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+        } catch (e) {
+            console.warn("MicCalibration: 校正データの読み込みに失敗しました。", e);
+            return {};
+        }
+    }
+
+    /**
+     * デバイスの校正データを取得する
+     *
+     * @param {string} deviceId
+     * @returns {CalibrationData|null}
+     */
+    function load(deviceId) {
+        return loadAll()[deviceId]?.calibration ?? null;
+    }
+
+    /**
+     * デバイスの校正データを保存する（null なら削除）
+     *
+     * @param {string} deviceId
+     * @param {string} label - デバイス名（一覧表示用）
+     * @param {CalibrationData|null} calibration
+     */
+    function save(deviceId, label, calibration) {
+        const all = loadAll();
+        if (calibration) {
+            all[deviceId] = { label, calibration };
+        } else {
+            delete all[deviceId];
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    }
+
+    /**
+     * 一覧表示・書き出し用の説明
+     *
+     * @param {CalibrationData} calibration
+     * @returns {string} 例: "umik1_7001234.txt（20～20000 Hz, 256 点, Sens Factor -1.23 dB）"
+     */
+    function describe(calibration) {
+        const pts = calibration.points;
+        const sens = calibration.sensitivityDb !== null
+            ? `, Sens Factor ${calibration.sensitivityDb} dB`
+            : "";
+        return `${calibration.name}（${pts[0].freq}～${pts[pts.length - 1].freq} Hz, ${pts.length} 点${sens}）`;
+    }
+
+    /**
+     * 補正ゲインの校正記録
+     *
+     * @typedef {Object} LevelCalibrationRecord
+     * @property {string} date - 校正した日時（ISO 8601）
+     * @property {number} referenceDb - 基準音源のレベル [dB]
+     * @property {number} measuredDb - 校正前の補正ゲインで測ったレベル [dB]
+     * @property {number} gainDb - 求めた補正ゲイン [dB]
+     */
+
+    /**
+     * デバイスの補正ゲインの校正履歴（新しい順）
+     *
+     * @param {string} deviceId
+     * @returns {LevelCalibrationRecord[]}
+     */
+    function loadHistory(deviceId) {
+        try {
+            const all = JSON.parse(localStorage.getItem(HISTORY_KEY)) ?? {};
+            return all[deviceId]?.records ?? [];
+        } catch (e) {
+            console.warn("MicCalibration: 校正履歴の読み込みに失敗しました。", e);
+            return [];
+        }
+    }
+
+    /**
+     * 補正ゲインの校正履歴に追加する
+     *
+     * @param {string} deviceId
+     * @param {string} label - デバイス名
+     * @param {LevelCalibrationRecord} record
+     */
+    function addHistory(deviceId, label, record) {
+        let all;
+        try {
+            all = JSON.parse(localStorage.getItem(HISTORY_KEY)) ?? {};
+        } catch (e) {
+            all = {};
+        }
+        const records = [record, ...(all[deviceId]?.records ?? [])].slice(0, MAX_HISTORY);
+        all[deviceId] = { label, records };
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(all));
+    }
+
+    return {
+        parse,
+        interpolate,
+        load,
+        save,
+        describe,
+        loadHistory,
+        addHistory
+    };
+
+})();
+
+
+/******************************************************
+ * LevelCalibrationSession
+ *
+ * 基準音源（例: 1 kHz・94 dB の音響校正器）のレベルを数秒間測り、
+ * 補正ゲインを求める
+ *
+ * 基準周波数を中心とする 1/3 オクターブバンドのパワーを測るので、
+ * 窓関数や FFT サイズによらず、正弦波のレベルがそのまま得られる。
+ ******************************************************/
+
+class LevelCalibrationSession {
+
+    /**
+     * @param {Object} options
+     * @param {number} options.referenceDb - 基準音源のレベル [dB]
+     * @param {number} [options.frequency=1000] - 基準音源の周波数 [Hz]
+     * @param {number} [options.durationSec=3] - 測定時間 [sec]
+     * @param {number} options.binHz
+     * @param {number} options.binCount
+     * @param {number} options.enbw - 窓関数の等価雑音帯域幅 [bin]
+     * @param {boolean} options.db - スペクトルが dB なら true
+     */
+    constructor({ referenceDb, frequency = 1000, durationSec = 3, binHz, binCount, enbw, db }) {
+        this.referenceDb = referenceDb;
+        this.frequency = frequency;
+        this.durationSec = durationSec;
+        this.binHz = binHz;
+        this.db = db;
+
+        // 基準周波数に最も近い 1/3 オクターブバンド
+        const bands = OctaveBands.createBands(3, { minFreq: frequency / 2, maxFreq: frequency * 2 });
+        this.band = bands.reduce((best, b) =>
+            Math.abs(Math.log(b.center / frequency)) < Math.abs(Math.log(best.center / frequency)) ? b : best
+        );
+        this.analyzer = OctaveBands.createAnalyzer([this.band], { binHz, binCount, enbw });
+
+        /** @type {number[]} フレームごとのバンドレベル [dB] */
+        this.levels = [];
+        /** 最大の成分がバンドの外にあったフレーム数 */
+        this.offToneFrames = 0;
+        this.lastPeakHz = 0;
+
+        this.startTimeSec = null;
+        this.lastTimeSec = null;
+    }
+
+    /**
+     * フレームを加える
+     *
+     * @param {ArrayLike<number>} spectrum - 補正済みスペクトル
+     * @param {number} timeSec - フレームの時刻 [sec]
+     */
+    push(spectrum, timeSec) {
+        if (this.startTimeSec === null) this.startTimeSec = timeSec;
+        this.lastTimeSec = timeSec;
+
+        const value = this.analyzer.compute(spectrum, this.db)[0];
+        if (value === null) return;
+        // リニア表示のときは振幅なので dB にする
+        this.levels.push(this.db ? value : 20 * Math.log10(Math.max(value, 1e-15)));
+
+        // 最大の成分が基準周波数のバンドにあるか（DC 付近は除く）
+        let peak = 1;
+        for (let i = 2; i < spectrum.length; i++) {
+            if (spectrum[i] > spectrum[peak]) peak = i;
+        }
+        this.lastPeakHz = peak * this.binHz;
+        if (this.lastPeakHz < this.band.lower || this.lastPeakHz > this.band.upper) {
+            this.offToneFrames++;
+        }
+    }
+
+    /**
+     * 進捗（0～1）
+     * @returns {number}
+     */
+    getProgress() {
+        if (this.startTimeSec === null) return 0;
+        return Math.min(1, (this.lastTimeSec - this.startTimeSec) / this.durationSec);
+    }
+
+    /**
+     * 測定時間に達したか
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.getProgress() >= 1;
+    }
+
+    /**
+     * 測定結果から補正ゲインを求める
+     *
+     * 測ったレベルには現在の補正ゲインが含まれているので、
+     *   新しい補正ゲイン = 現在の補正ゲイン + (基準レベル - 測ったレベル)
+     *
+     * @param {number} currentGainDb - 測定に使った補正ゲイン [dB]
+     * @param {number} [maxSpreadDb=0.5] - 安定とみなすレベルの変動幅 [dB]
+     * @returns {{ measuredDb: number, spreadDb: number, gainDb: number }}
+     * @throws {Error} 基準音源が見つからない、またはレベルが安定しないとき
+     */
+    evaluate(currentGainDb, maxSpreadDb = 0.5) {
+        if (this.levels.length < 3) {
+            throw new Error("測定できたフレームが足りません");
+        }
+        if (this.offToneFrames > this.levels.length * 0.1) {
+            throw new Error(
+                `${this.band.label}Hz の基準音が見つかりません（最大の成分: ${Math.round(this.lastPeakHz)} Hz）`
+            );
+        }
+
+        const max = Math.max(...this.levels);
+        const min = Math.min(...this.levels);
+        const spreadDb = max - min;
+        if (spreadDb > maxSpreadDb) {
+            throw new Error(`レベルが安定しません（変動 ${spreadDb.toFixed(2)} dB）`);
+        }
+
+        // パワー平均
+        const meanPower = this.levels.reduce((sum, l) => sum + Math.pow(10, l / 10), 0) / this.levels.length;
+        const measuredDb = 10 * Math.log10(meanPower);
+
+        return {
+            measuredDb,
+            spreadDb,
+            gainDb: currentGainDb + (this.referenceDb - measuredDb)
+        };
+    }
+}
@@ -0,0 +1,112 @@
+/******************************************************
+ * appDevice.js
+ *
+ * 入力デバイス（マイク・オーディオインターフェース）の管理
+ *
+ * 役割:
+ *  - 接続中の入力デバイスの一覧（enumerateDevices）
+ *  - デバイスの抜き差しの通知
+ *  - デバイスごとの設定（補正ゲイン・サンプリング周波数）の保存
+ *    （周波数特性の校正は MicCalibration がデバイスごとに保存する）
+ ******************************************************/
+
+const InputDevices = (function () {
+
+    const STORAGE_KEY = "deviceOverrides";
+
+    /**
+     * デバイスごとに保存できる設定項目
+     */
+    const OVERRIDE_KEYS = ["dbCorrectionGain", "samplingRate"];
+
+    /**
+     * 入力デバイス
+     * @typedef {Object} InputDevice
+     * @property {string} deviceId
+     * @property {string} label - マイクの許可前は空文字
+     */
+
+    /**
+     * 接続中の入力デバイスの一覧
+     * @returns {Promise<InputDevice[]>}
+     */
+    async function list() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(d => d.kind === "audioinput")
+            .map(d => ({ deviceId: d.deviceId, label: d.label }));
+    }
+
+    /**
+     * デバイスの抜き差しを通知する
+     * @param {() => void} callback
+     */
+    function onChange(callback) {
+        if (!navigator.mediaDevices) return;
+        navigator.mediaDevices.addEventListener("devicechange", callback);
+    }
+
+    /**
+     * 保存済みの設定（デバイス ID → { label, overrides }）
+     * @returns {Object<string, { label: string, overrides: Object }>}
+     */
+    function loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+        } catch (e) {
+            console.warn("InputDevices: デバイスごとの設定の読み込みに失敗しました。", e);
+            return {};
+        }
+    }
+
+    /**
+     * デバイスの設定を取得する
+     *
+     * @param {string} deviceId
+     * @returns {{ dbCorrectionGain: number, samplingRate: number }|null} 保存していなければ null
+     */
+    function loadOverrides(deviceId) {
+        return loadAll()[deviceId]?.overrides ?? null;
+    }
+
+    /**
+     * デバイスの設定を保存する（null なら削除）
+     *
+     * @param {string} deviceId
+     * @param {string} label
+     * @param {Object|null} config - OVERRIDE_KEYS の項目だけ保存する
+     */
+    function saveOverrides(deviceId, label, config) {
+        const all = loadAll();
+        if (config) {
+            const overrides = {};
+            OVERRIDE_KEYS.forEach(key => { overrides[key] = config[key]; });
+            all[deviceId] = { label, overrides };
+        } else {
+            delete all[deviceId];
+        }
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    }
+
+    /**
+     * 保存時のデバイス名（未接続のデバイスの表示用）
+     *
+     * @param {string} deviceId
+     * @returns {string|null}
+     */
+    function getSavedLabel(deviceId) {
+        return loadAll()[deviceId]?.label ?? null;
+    }
+
+    return {
+        OVERRIDE_KEYS,
+        list,
+        onChange,
+        loadOverrides,
+        saveOverrides,
+        getSavedLabel
+    };
+
+})();
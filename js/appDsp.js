@@ -0,0 +1,2329 @@
+/******************************************************
+ * appDsp.js
+ *
+ * 信号処理ユーティリティ
+ *
+ * 役割:
+ *  - 窓関数の生成
+ *  - 実数信号の FFT（radix-2）
+ *  - 入力サンプルのリングバッファ
+ *  - フレームの切り出しと補正済みスペクトルの計算
+ *  - 波形のトリガー（レベル・エッジ・オート／ノーマル／シングル・ホールドオフ）
+ *  - スペクトルのピーク検出
+ *  - 高調波歪みの解析（THD, THD+N, SINAD）
+ *  - オクターブバンド分析（1/1, 1/3, 1/6 オクターブ）
+ *  - サウンドレベルメーター（周波数重み付け・時間重み付け・Leq）
+ *  - スペクトルの平均化と最大／最小ホールド
+ *  - 2 チャンネルの伝達関数・コヒーレンス・インパルス応答と遅延の検出
+ *  - 試験信号（スイープ・ノイズ）の生成
+ *  - 指数スイープによるインパルス応答の測定
+ *  - 基本周波数の推定（YIN 法）と音名・セント偏差への変換
+ *
+ * DOM には依存しない（純粋な計算処理のみ）
+ ******************************************************/
+
+/******************************************************
+ * WindowFunctions
+ *
+ * FFT 用の窓関数を生成する
+ *
+ * すべて周期窓（DFT-even）で生成する。
+ * AnalyserNode のブラックマン窓と同じ定義。
+ ******************************************************/
+
+const WindowFunctions = (function () {
+
+    /**
+     * 対応している窓関数名
+     * @type {string[]}
+     */
+    const NAMES = [
+        "Rect",
+        "Hanning",
+        "Hamming",
+        "Blackman",
+        "BlackmanHarris",
+        "FlatTop",
+        "Kaiser"
+    ];
+
+    /**
+     * コサイン和窓の係数
+     * w[n] = a0 - a1 cos(2πn/N) + a2 cos(4πn/N) - a3 cos(6πn/N) + ...
+     */
+    const COSINE_COEFS = {
+        Rect:           [1.0],
+        Hanning:        [0.5, 0.5],
+        Hamming:        [0.54, 0.46],
+        Blackman:       [0.42, 0.5, 0.08],
+        BlackmanHarris: [0.35875, 0.48829, 0.14128, 0.01168],
+        FlatTop:        [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]
+    };
+
+    /**
+     * 窓関数を生成する
+     *
+     * @param {string} name - 窓関数名（NAMES のいずれか）
+     * @param {number} size - 窓長（FFTサイズ）
+     * @param {Object} [options]
+     * @param {number} [options.kaiserBeta=8.6] - カイザー窓のβ
+     * @returns {Float32Array}
+     */
+    function create(name, size, options = {}) {
+        if (name === "Kaiser") {
+            return createKaiser(size, options.kaiserBeta ?? 8.6);
+        }
+
+        const coefs = COSINE_COEFS[name];
+        if (!coefs) {
+            console.warn("Unknown window:", name);
+            return create("Blackman", size);
+        }
+        return createCosineSum(coefs, size);
+    }
+
+    /**
+     * コサイン和窓を生成する
+     * @param {number[]} coefs
+     * @param {number} size
+     * @returns {Float32Array}
+     */
+    function createCosineSum(coefs, size) {
+        const w = new Float32Array(size);
+        for (let n = 0; n < size; n++) {
+            let v = 0;
+            for (let k = 0; k < coefs.length; k++) {
+                const sign = (k % 2 === 0) ? 1 : -1;
+                v += sign * coefs[k] * Math.cos(2 * Math.PI * k * n / size);
+            }
+            w[n] = v;
+        }
+        return w;
+    }
+
+    /**
+     * カイザー窓を生成する
+     * β が大きいほどサイドローブが下がり、メインローブは広がる。
+     *
+     * @param {number} size
+     * @param {number} beta
+     * @returns {Float32Array}
+     */
+    function createKaiser(size, beta) {
+        const w = new Float32Array(size);
+        const denom = besselI0(beta);
+        for (let n = 0; n < size; n++) {
+            // 周期窓なので中心は size/2
+            const r = (2 * n) / size - 1;
+            w[n] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / denom;
+        }
+        return w;
+    }
+
+    /**
+     * 第1種変形ベッセル関数 I0（級数展開）
+     * @param {number} x
+     * @returns {number}
+     */
+    function besselI0(x) {
+        const half = x / 2;
+        let sum  = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (half / k) * (half / k);
+            sum  += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+
+    /**
+     * 窓関数の特性値を求める
+     *
+     * @param {Float32Array} w
+     * @returns {{ coherentGain: number, enbw: number }}
+     *   - coherentGain : 平均値（振幅補正に使う）
+     *   - enbw         : 等価雑音帯域幅 [bin]
+     */
+    function getInfo(w) {
+        let sum = 0;
+        let sumSq = 0;
+        for (let i = 0; i < w.length; i++) {
+            sum   += w[i];
+            sumSq += w[i] * w[i];
+        }
+        return {
+            coherentGain: sum / w.length,
+            enbw: (w.length * sumSq) / (sum * sum)
+        };
+    }
+
+    /**
+     * メインローブの片側幅 [bin]
+     *
+     * 正弦波 1 本のエネルギーがほぼ収まる範囲。
+     * コサイン和窓は係数の数、カイザー窓は β から求める。
+     *
+     * @param {string} name
+     * @param {number} [kaiserBeta=8.6]
+     * @returns {number}
+     */
+    function getMainLobeHalfWidth(name, kaiserBeta = 8.6) {
+        if (name === "Kaiser") {
+            return Math.ceil(Math.sqrt(1 + Math.pow(kaiserBeta / Math.PI, 2)));
+        }
+        const coefs = COSINE_COEFS[name] ?? COSINE_COEFS.Blackman;
+        // Hamming は Hanning と同じ幅
+        return Math.max(1, coefs.length);
+    }
+
+    return {
+        NAMES,
+        create,
+        getInfo,
+        getMainLobeHalfWidth
+    };
+
+})();
+
+
+/******************************************************
+ * FFTProcessor
+ *
+ * 実数信号用の radix-2 FFT
+ *
+ * 役割:
+ *  - 回転因子・ビット反転表の事前計算
+ *  - 窓掛け → FFT → 振幅スペクトル の計算
+ ******************************************************/
+
+class FFTProcessor {
+
+    /**
+     * @param {number} size - FFTサイズ（2のべき乗）
+     */
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of 2: ${size}`);
+        }
+        this.size = size;
+
+        // 作業バッファ
+        this.re = new Float64Array(size);
+        this.im = new Float64Array(size);
+
+        // 回転因子
+        const half = size / 2;
+        this.cosTable = new Float64Array(half);
+        this.sinTable = new Float64Array(half);
+        for (let i = 0; i < half; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / size);
+            this.sinTable[i] = Math.sin(2 * Math.PI * i / size);
+        }
+
+        // ビット反転表
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = r;
+        }
+    }
+
+    /**
+     * 複素 FFT を実行する（結果は this.re / this.im）
+     *
+     * @param {ArrayLike<number>} real - 実部（長さ size）
+     * @param {ArrayLike<number>} [imag] - 虚部（省略時は 0）
+     */
+    transform(real, imag) {
+        const n  = this.size;
+        const re = this.re;
+        const im = this.im;
+
+        for (let i = 0; i < n; i++) {
+            const j = this.reverse[i];
+            re[j] = real[i];
+            im[j] = imag ? imag[i] : 0;
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const halfLen = len >> 1;
+            const step = n / len;
+            for (let start = 0; start < n; start += len) {
+                for (let k = 0; k < halfLen; k++) {
+                    const wr =  this.cosTable[k * step];
+                    const wi = -this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + halfLen;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+
+    /**
+     * 窓掛けした信号の振幅スペクトルを求める
+     *
+     * 窓のコヒーレントゲインで正規化するため、
+     * 振幅 A の正弦波はビン中心で A と表示される（0 dBFS = 振幅 1.0）。
+     *
+     * @param {Float32Array} samples - 時間波形（長さ size）
+     * @param {Float32Array} window  - 窓関数（長さ size）
+     * @param {Float32Array} out     - 出力（長さ size/2）
+     * @returns {Float32Array} out
+     */
+    amplitudeSpectrum(samples, window, out) {
+        const n = this.size;
+        let windowSum = 0;
+
+        if (!this.windowed) {
+            this.windowed = new Float64Array(n);
+        }
+        for (let i = 0; i < n; i++) {
+            this.windowed[i] = samples[i] * window[i];
+            windowSum += window[i];
+        }
+
+        this.transform(this.windowed);
+
+        // 片側スペクトル：DC 以外は 2 倍
+        const scale = windowSum > 0 ? 2 / windowSum : 0;
+        out[0] = Math.hypot(this.re[0], this.im[0]) * scale / 2;
+        for (let k = 1; k < n / 2; k++) {
+            out[k] = Math.hypot(this.re[k], this.im[k]) * scale;
+        }
+        return out;
+    }
+}
+
+
+/******************************************************
+ * SampleRingBuffer
+ *
+ * 入力サンプルを保持するリングバッファ
+ *
+ * 役割:
+ *  - 絶対サンプル位置（計測開始からの通し番号）での読み出し
+ *  - 上書き済み／未到着の範囲の検出
+ *
+ * storage に SharedArrayBuffer 上の配列を渡した場合、
+ * 書き込みは AudioWorklet 側が行い、こちらは advance() で位置だけ進める。
+ ******************************************************/
+
+class SampleRingBuffer {
+
+    /**
+     * @param {number} capacity - 容量 [サンプル]
+     * @param {Float32Array} [storage] - 外部バッファ（省略時は内部で確保）
+     */
+    constructor(capacity, storage) {
+        this.data = storage ?? new Float32Array(capacity);
+        this.capacity = this.data.length;
+
+        // 書き込み済みサンプル総数（= 次に書き込む絶対位置）
+        this.writeIndex = 0;
+    }
+
+    /**
+     * サンプルを追加する
+     * @param {Float32Array} samples
+     */
+    write(samples) {
+        let src = samples;
+        // 容量を超える分は先頭を捨てる
+        if (src.length > this.capacity) {
+            this.writeIndex += src.length - this.capacity;
+            src = src.subarray(src.length - this.capacity);
+        }
+
+        const pos = this.writeIndex % this.capacity;
+        const first = Math.min(src.length, this.capacity - pos);
+        this.data.set(src.subarray(0, first), pos);
+        if (first < src.length) {
+            this.data.set(src.subarray(first), 0);
+        }
+        this.writeIndex += src.length;
+    }
+
+    /**
+     * 外部で書き込まれた分だけ書き込み位置を進める
+     * @param {number} count
+     */
+    advance(count) {
+        this.writeIndex += count;
+    }
+
+    /**
+     * 読み出し可能な最古の絶対位置
+     * @returns {number}
+     */
+    getOldestIndex() {
+        return Math.max(0, this.writeIndex - this.capacity);
+    }
+
+    /**
+     * 1 サンプルを読み出す（範囲の確認はしない）
+     * @param {number} index - 絶対位置
+     * @returns {number}
+     */
+    at(index) {
+        return this.data[index % this.capacity];
+    }
+
+    /**
+     * 指定位置からサンプルを読み出す
+     *
+     * @param {number} startIndex - 絶対位置
+     * @param {Float32Array} out - 出力（out.length サンプル読む）
+     * @returns {boolean} 範囲が上書き済み／未到着なら false
+     */
+    read(startIndex, out) {
+        if (startIndex < this.getOldestIndex()) return false;
+        if (startIndex + out.length > this.writeIndex) return false;
+
+        const pos = startIndex % this.capacity;
+        const first = Math.min(out.length, this.capacity - pos);
+        out.set(this.data.subarray(pos, pos + first), 0);
+        if (first < out.length) {
+            out.set(this.data.subarray(0, out.length - first), first);
+        }
+        return true;
+    }
+}
+
+
+/******************************************************
+ * SpectrumFrameAnalyzer
+ *
+ * 入力サンプル列から hop ごとにフレームを切り出し、補正済みスペクトルを求める
+ *
+ * 処理:
+ *  1. 窓掛け + FFT（窓のコヒーレントゲインで正規化。0 dB = フルスケールの正弦波）
+ *  2. dB に変換（-120 dB で打ち切る）。リニア表示ならリニアに戻す
+ *  3. 補正ゲインを掛け、マイクの周波数特性の校正を打ち消す
+ *
+ * フレームの位置は絶対サンプル位置（計測開始からの通し番号）で数えるので、
+ * サンプルがどんな長さのブロックで届いても同じフレーム列になる。
+ * 解析用 Worker（analysisWorker.js）の中で使う。
+ ******************************************************/
+
+/**
+ * スペクトル解析の設定
+ *
+ * @typedef {Object} SpectrumAnalysisSettings
+ * @property {number} sampleRate
+ * @property {number} fftSize
+ * @property {number} hopSamples - ホップ長 [サンプル]
+ * @property {string} windowName
+ * @property {number} kaiserBeta
+ * @property {boolean} dbDisplay - true なら dB、false ならリニアのスペクトルを返す
+ * @property {number} correctionDb - 補正ゲイン [dB]
+ * @property {Float32Array|null} calibrationDb
+ *      周波数軸に補間したマイクの周波数特性 [dB]（fftSize / 2 個）。校正しないなら null
+ */
+
+class SpectrumFrameAnalyzer {
+
+    /**
+     * @param {number} capacity - 保持するサンプル数（fftSize と 1 回に届くサンプル数の和以上）
+     * @param {Float32Array} [samples] - 全体を一度に解析するサンプル列（capacity と同じ長さ）
+     */
+    constructor(capacity, samples) {
+        this.ring = new SampleRingBuffer(capacity, samples);
+        if (samples) this.ring.advance(samples.length);
+
+        /** @type {SpectrumAnalysisSettings|null} */
+        this.settings = null;
+        this.fft = null;
+        this.window = null;
+        this.windowKey = "";
+        this.timeData = null;
+        this.linearBuffer = null;
+
+        // 次に解析するフレームの先頭（絶対位置）
+        this.nextFrameIndex = 0;
+        // 届いたサンプルの先頭（これより前は reset で捨てた範囲）
+        this.validFrom = 0;
+    }
+
+    /**
+     * 設定を変える（解析位置はそのまま続ける）
+     * @param {SpectrumAnalysisSettings} settings
+     */
+    configure(settings) {
+        const fftSize = settings.fftSize;
+        if (!this.fft || this.fft.size !== fftSize) {
+            this.fft = new FFTProcessor(fftSize);
+            this.timeData = new Float32Array(fftSize);
+            this.linearBuffer = new Float32Array(fftSize / 2);
+        }
+
+        const windowKey = `${settings.windowName}/${settings.kaiserBeta}/${fftSize}`;
+        if (windowKey !== this.windowKey) {
+            this.window = WindowFunctions.create(settings.windowName, fftSize, {
+                kaiserBeta: settings.kaiserBeta
+            });
+            this.windowKey = windowKey;
+        }
+        this.settings = settings;
+    }
+
+    /**
+     * 保持しているサンプルを捨て、指定位置から解析し直す
+     * @param {number} startIndex - 次に届くサンプルの絶対位置
+     */
+    reset(startIndex) {
+        this.ring = new SampleRingBuffer(this.ring.capacity);
+        this.ring.advance(startIndex);
+        this.nextFrameIndex = startIndex;
+        this.validFrom = startIndex;
+    }
+
+    /**
+     * サンプルを追加する
+     *
+     * 既に受け取った範囲は読み飛ばす。途中が抜けていたら、そこから解析し直す。
+     *
+     * @param {number} startIndex - samples[0] の絶対位置
+     * @param {Float32Array} samples
+     */
+    write(startIndex, samples) {
+        const writeIndex = this.ring.writeIndex;
+        if (startIndex > writeIndex) {
+            this.reset(startIndex);
+        } else if (startIndex < writeIndex) {
+            samples = samples.subarray(Math.min(samples.length, writeIndex - startIndex));
+        }
+        this.ring.write(samples);
+    }
+
+    /**
+     * 揃っているフレームをすべて解析する
+     *
+     * @param {number} [maxFrames=Infinity] - 解析する最大フレーム数（残りは次回）
+     * @returns {{ spectrum: Float32Array, sampleIndex: number, timeSec: number }[]}
+     *      timeSec はフレーム末尾の時刻 [sec]
+     */
+    analyze(maxFrames = Infinity) {
+        const { fftSize, hopSamples, sampleRate } = this.settings;
+
+        // 溢れた範囲は読めないので、残っている最古の位置から再開
+        const oldest = this.ring.getOldestIndex();
+        if (this.nextFrameIndex < oldest) this.nextFrameIndex = oldest;
+
+        const frames = [];
+        while (this.nextFrameIndex + fftSize <= this.ring.writeIndex && frames.length < maxFrames) {
+            const sampleIndex = this.nextFrameIndex;
+            const spectrum = this.computeAt(sampleIndex);
+            if (!spectrum) break;
+
+            frames.push({ spectrum, sampleIndex, timeSec: (sampleIndex + fftSize) / sampleRate });
+            this.nextFrameIndex += hopSamples;
+        }
+        return frames;
+    }
+
+    /**
+     * 指定位置のフレームの補正済みスペクトルを求める
+     *
+     * @param {number} startIndex - フレーム先頭の絶対位置
+     * @returns {Float32Array|null} 新しく確保した配列。サンプルが揃っていなければ null
+     */
+    computeAt(startIndex) {
+        const MIN_DB = -120;
+        const { dbDisplay, correctionDb, calibrationDb } = this.settings;
+
+        if (!this.ring.read(startIndex, this.timeData)) return null;
+        const linear = this.fft.amplitudeSpectrum(this.timeData, this.window, this.linearBuffer);
+
+        const out = new Float32Array(linear.length);
+        for (let i = 0; i < out.length; i++) {
+            // dB に変換（-Infinity対策）してから補正する
+            const raw = 20 * Math.log10(linear[i]);
+            let db = (Number.isFinite(raw) ? Math.max(raw, MIN_DB) : MIN_DB) + correctionDb;
+            if (calibrationDb) db -= calibrationDb[i];
+            out[i] = dbDisplay ? db : Math.pow(10, db / 20);
+        }
+        return out;
+    }
+
+    /**
+     * 最新のサンプルを読み出す
+     * @param {Float32Array} out - 出力（out.length サンプル読む）
+     * @returns {boolean} 揃っていなければ false
+     */
+    readLatest(out) {
+        return this.ring.read(this.ring.writeIndex - out.length, out);
+    }
+}
+
+
+/******************************************************
+ * WaveformTrigger
+ *
+ * オシロスコープのトリガー
+ *
+ * 入力サンプルを順に走査し、レベルを指定したエッジで横切った位置を探す。
+ *  - auto   : しばらくトリガーがかからなければ、最新の波形をそのまま出す
+ *  - normal : トリガーがかかったときだけ波形を出す（かからなければ前の波形のまま）
+ *  - single : 1 回かかったら止まる（arm() で再び待つ）
+ *
+ * トリガー位置は波形の先頭から preTrigger（0～1）の割合の位置に置く。
+ * トリガーがかかった位置からホールドオフの間は、次のトリガーを受け付けない（オシロスコープと同じ）。
+ * 1 回の走査で複数かかったときは最後（最新）の波形を出す。
+ ******************************************************/
+
+/**
+ * トリガーの設定
+ *
+ * @typedef {Object} TriggerSettings
+ * @property {"auto"|"normal"|"single"} mode
+ * @property {"rising"|"falling"} edge
+ * @property {number} level - トリガーレベル（振幅）
+ * @property {number} length - 波形の長さ [サンプル]
+ * @property {number} preTrigger - トリガー位置（波形の先頭からの割合 0～1）
+ * @property {number} holdoffSamples - ホールドオフ [サンプル]
+ * @property {number} autoSamples - auto でこれだけ波形を出していなければ、そのまま出す [サンプル]
+ */
+
+class WaveformTrigger {
+
+    /**
+     * @param {TriggerSettings} settings
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.preSamples = Math.min(settings.length - 1, Math.round(settings.length * settings.preTrigger));
+
+        this.scanIndex = 0;                // 次に調べる位置（直前のサンプルと比べる）
+        this.lastOutputIndex = -Infinity;  // 最後に波形を出したときの書き込み位置
+        this.armed = true;
+        /** @type {"waiting"|"triggered"|"auto"|"stopped"} */
+        this.status = "waiting";
+    }
+
+    /**
+     * シングルで再びトリガーを待つ
+     */
+    arm() {
+        this.armed = true;
+        this.status = "waiting";
+    }
+
+    /**
+     * 前回の続きから走査し、新しい波形があれば切り出す
+     *
+     * @param {SampleRingBuffer} ring
+     * @param {number} [validFrom=0] - これより前の位置は使わない
+     * @returns {{ samples: Float32Array, triggerIndex: number|null, endIndex: number }|null}
+     *      triggerIndex は波形の中のトリガー位置 [サンプル]（auto でそのまま出したときは null）、
+     *      endIndex は波形の末尾の絶対位置。新しい波形がなければ null
+     */
+    update(ring, validFrom = 0) {
+        const { mode, edge, level, length, holdoffSamples, autoSamples } = this.settings;
+        const pre  = this.preSamples;
+        const post = length - pre;
+        const writeIndex = ring.writeIndex;
+        const oldest = Math.max(ring.getOldestIndex(), validFrom);
+
+        // 波形の末尾まで揃っている位置までを調べる
+        const end = writeIndex - post;
+        let t = Math.max(this.scanIndex, oldest + Math.max(pre, 1));
+        let found = -1;
+
+        if (this.armed) {
+            const rising = edge === "rising";
+            while (t <= end) {
+                const prev = ring.at(t - 1);
+                const cur  = ring.at(t);
+                const crossed = rising
+                    ? (prev < level && cur >= level)
+                    : (prev > level && cur <= level);
+                if (!crossed) {
+                    t++;
+                    continue;
+                }
+
+                found = t;
+                if (mode === "single") {
+                    this.armed = false;
+                    t++;
+                    break;
+                }
+                // トリガー位置からホールドオフの間は受け付けない
+                t = found + Math.max(holdoffSamples, 1);
+            }
+        } else {
+            // 止まっている間の入力は、再び待ち始めたときに使わない
+            t = Math.max(t, end + 1);
+        }
+        this.scanIndex = t;
+
+        if (found >= 0) {
+            this.lastOutputIndex = writeIndex;
+            this.status = this.armed ? "triggered" : "stopped";
+            return { samples: this.read(ring, found - pre), triggerIndex: pre, endIndex: found + post };
+        }
+
+        const idle = writeIndex - this.lastOutputIndex >= autoSamples;
+        if (mode === "auto" && idle && writeIndex - length >= oldest) {
+            this.lastOutputIndex = writeIndex;
+            this.status = "auto";
+            return { samples: this.read(ring, writeIndex - length), triggerIndex: null, endIndex: writeIndex };
+        }
+
+        if (!this.armed) {
+            this.status = "stopped";
+        } else if (idle) {
+            this.status = "waiting";
+        }
+        return null;
+    }
+
+    /**
+     * 波形を切り出す
+     *
+     * @param {SampleRingBuffer} ring
+     * @param {number} startIndex
+     * @returns {Float32Array}
+     * @private
+     */
+    read(ring, startIndex) {
+        const out = new Float32Array(this.settings.length);
+        ring.read(startIndex, out);
+        return out;
+    }
+}
+
+
+/******************************************************
+ * PeakFinder
+ *
+ * スペクトルのピーク検出
+ *
+ * 役割:
+ *  - 極大点の抽出
+ *  - 放物線補間によるビン間の周波数・レベル推定
+ *  - 最小間隔・しきい値による上位 N 個の選択
+ ******************************************************/
+
+const PeakFinder = (function () {
+
+    /**
+     * @typedef {Object} SpectrumPeak
+     * @property {number} bin   - 極大点のビン番号
+     * @property {number} freq  - 補間後の周波数 [Hz]
+     * @property {number} level - 補間後のレベル（入力と同じ単位）
+     */
+
+    /**
+     * ピークを検出する
+     *
+     * @param {Float32Array} spectrum - スペクトル（dB またはリニア）
+     * @param {Object} options
+     * @param {number}  options.binHz        - 周波数分解能 [Hz]
+     * @param {boolean} options.db           - spectrum が dB 値なら true
+     * @param {number} [options.count=1]     - 検出する最大個数
+     * @param {number} [options.minSpacingHz=0] - ピーク同士の最小間隔 [Hz]
+     * @param {number} [options.thresholdDb=-Infinity] - これ未満のピークは無視 [dB]
+     * @param {number} [options.minFreq=0]   - 検索範囲の下限 [Hz]
+     * @param {number} [options.maxFreq=Infinity] - 検索範囲の上限 [Hz]
+     * @returns {SpectrumPeak[]} レベルの大きい順
+     */
+    function find(spectrum, options) {
+        const binHz = options.binHz;
+        const count = options.count ?? 1;
+        const minSpacingHz = options.minSpacingHz ?? 0;
+        const thresholdDb = options.thresholdDb ?? -Infinity;
+
+        // DC は除外、両端は補間できないので除外
+        const first = Math.max(1, Math.ceil((options.minFreq ?? 0) / binHz));
+        const last  = Math.min(spectrum.length - 2, Math.floor((options.maxFreq ?? Infinity) / binHz));
+
+        const toDb = options.db
+            ? (v) => v
+            : (v) => 20 * Math.log10(Math.max(v, 1e-12));
+
+        // 極大点の抽出
+        const candidates = [];
+        for (let i = first; i <= last; i++) {
+            const v = spectrum[i];
+            if (v > spectrum[i - 1] && v >= spectrum[i + 1] && toDb(v) >= thresholdDb) {
+                candidates.push(i);
+            }
+        }
+        candidates.sort((a, b) => spectrum[b] - spectrum[a]);
+
+        // 大きい順に、既に選んだピークから離れているものだけ採用
+        const peaks = [];
+        for (const bin of candidates) {
+            if (peaks.length >= count) break;
+            const peak = interpolate(spectrum, bin, binHz, options.db);
+            if (peaks.some(p => Math.abs(p.freq - peak.freq) < minSpacingHz)) continue;
+            peaks.push(peak);
+        }
+        return peaks;
+    }
+
+    /**
+     * 放物線補間で極大点の位置とレベルを推定する
+     * 補間は dB 領域で行う（窓関数のメインローブが放物線に近いため）
+     *
+     * @param {Float32Array} spectrum
+     * @param {number} bin
+     * @param {number} binHz
+     * @param {boolean} db
+     * @returns {SpectrumPeak}
+     */
+    function interpolate(spectrum, bin, binHz, db) {
+        const toDb = (v) => db ? v : 20 * Math.log10(Math.max(v, 1e-12));
+        const a = toDb(spectrum[bin - 1]);
+        const b = toDb(spectrum[bin]);
+        const c = toDb(spectrum[bin + 1]);
+
+        const denom = a - 2 * b + c;
+        const p = denom !== 0 ? 0.5 * (a - c) / denom : 0;
+        const levelDb = b - 0.25 * (a - c) * p;
+
+        return {
+            bin,
+            freq: (bin + p) * binHz,
+            level: db ? levelDb : Math.pow(10, levelDb / 20)
+        };
+    }
+
+    return {
+        find,
+        interpolate
+    };
+
+})();
+
+
+/******************************************************
+ * HarmonicAnalyzer
+ *
+ * 正弦波を入力したときの高調波歪みを解析する
+ *
+ * 役割:
+ *  - 基本波の検出
+ *  - 2 ～ N 次高調波のレベル
+ *  - THD, THD+N, SINAD の計算
+ *
+ * 各成分のパワーは、窓関数のメインローブ幅のビンの二乗和で求める。
+ * 比だけを使うので、窓の ENBW や補正ゲインは打ち消し合う。
+ ******************************************************/
+
+const HarmonicAnalyzer = (function () {
+
+    /**
+     * @typedef {Object} HarmonicComponent
+     * @property {number} order - 次数（1 = 基本波）
+     * @property {number} bin   - 中心のビン番号
+     * @property {number} freq  - 補間後の周波数 [Hz]
+     * @property {number} level - 補間後のレベル（入力と同じ単位）
+     * @property {number} dbc   - 基本波を基準としたレベル [dB]
+     */
+
+    /**
+     * @typedef {Object} HarmonicResult
+     * @property {HarmonicComponent} fundamental
+     * @property {HarmonicComponent[]} harmonics - 2 次以降（帯域内のもののみ）
+     * @property {number} thd     - THD（比、1 = 100%）
+     * @property {number} thdN    - THD+N（比）
+     * @property {number} sinadDb - SINAD [dB]
+     */
+
+    /**
+     * 高調波歪みを解析する
+     *
+     * @param {Float32Array} spectrum - 振幅スペクトル（dB またはリニア）
+     * @param {Object} options
+     * @param {number}  options.binHz      - 周波数分解能 [Hz]
+     * @param {boolean} options.db         - spectrum が dB 値なら true
+     * @param {string}  options.windowName - 解析に使った窓関数名
+     * @param {number} [options.kaiserBeta=8.6]
+     * @param {number} [options.harmonicCount=10] - 解析する最高次数
+     * @param {number} [options.minFreq=20]    - 解析帯域の下限 [Hz]
+     * @param {number} [options.maxFreq=20000] - 解析帯域の上限 [Hz]
+     * @returns {HarmonicResult|null} 基本波が見つからなければ null
+     */
+    function analyze(spectrum, options) {
+        const binHz = options.binHz;
+        const half  = WindowFunctions.getMainLobeHalfWidth(options.windowName, options.kaiserBeta);
+        const harmonicCount = options.harmonicCount ?? 10;
+
+        // 解析帯域（DC のメインローブは除く）
+        const first = Math.max(half + 1, Math.ceil((options.minFreq ?? 20) / binHz));
+        const last  = Math.min(spectrum.length - 2, Math.floor((options.maxFreq ?? 20000) / binHz));
+        if (first + 2 * half > last) return null;
+
+        // パワー（振幅の二乗）
+        const power = new Float64Array(spectrum.length);
+        for (let i = 0; i < spectrum.length; i++) {
+            const amp = options.db ? Math.pow(10, spectrum[i] / 20) : spectrum[i];
+            power[i] = amp * amp;
+        }
+
+        const bandPower = (center) => {
+            let sum = 0;
+            const from = Math.max(first, center - half);
+            const to   = Math.min(last, center + half);
+            for (let i = from; i <= to; i++) sum += power[i];
+            return sum;
+        };
+
+        // 基本波 = 帯域内の最大ビン
+        let fundamentalBin = first;
+        for (let i = first; i <= last; i++) {
+            if (power[i] > power[fundamentalBin]) fundamentalBin = i;
+        }
+        const p1 = bandPower(fundamentalBin);
+        if (!(p1 > 0)) return null;
+
+        const toComponent = (order, bin, p) => ({
+            order,
+            ...PeakFinder.interpolate(spectrum, bin, binHz, options.db),
+            dbc: 10 * Math.log10(Math.max(p, 1e-30) / p1)
+        });
+
+        const fundamental = toComponent(1, fundamentalBin, p1);
+
+        // 高調波：k 倍の周波数の近く（メインローブ幅以内）の最大ビン
+        const harmonics = [];
+        let harmonicPower = 0;
+        for (let order = 2; order <= harmonicCount; order++) {
+            const center = Math.round(order * fundamental.freq / binHz);
+            if (center + half > last) break;
+
+            let bin = center;
+            for (let i = center - half; i <= center + half; i++) {
+                if (power[i] > power[bin]) bin = i;
+            }
+            const p = bandPower(bin);
+            harmonicPower += p;
+            harmonics.push(toComponent(order, bin, p));
+        }
+
+        // 帯域内の全パワー（信号 + 雑音 + 歪み）
+        let total = 0;
+        for (let i = first; i <= last; i++) total += power[i];
+        const noiseAndDistortion = Math.max(total - p1, 1e-30);
+
+        return {
+            fundamental,
+            harmonics,
+            thd: Math.sqrt(harmonicPower / p1),
+            thdN: Math.sqrt(noiseAndDistortion / p1),
+            sinadDb: 10 * Math.log10(total / noiseAndDistortion)
+        };
+    }
+
+    return {
+        analyze
+    };
+
+})();
+
+
+/******************************************************
+ * OctaveBands
+ *
+ * FFT スペクトルからオクターブバンドのレベルを求める
+ *
+ * 役割:
+ *  - IEC 61260-1 の中心周波数・帯域端の計算（10 進系 G = 10^0.3）
+ *  - 呼び周波数（31.5, 63, 125 ...）のラベル
+ *  - 帯域に含まれるビンのパワーの合計
+ *
+ * 帯域端をまたぐビンは、重なっている幅の割合でパワーを按分する。
+ * パワーは窓の ENBW で割り、帯域の中心にある正弦波のレベルが
+ * FFT のピークと一致するようにする。
+ ******************************************************/
+
+const OctaveBands = (function () {
+
+    /** オクターブ比（10 進系） */
+    const G = Math.pow(10, 0.3);
+
+    /** 1/3 オクターブの呼び周波数（R10 数列） */
+    const NOMINAL_R10 = [1, 1.25, 1.6, 2, 2.5, 3.15, 4, 5, 6.3, 8];
+
+    /**
+     * @typedef {Object} OctaveBand
+     * @property {number} center - 中心周波数（厳密値）[Hz]
+     * @property {number} lower  - 下側帯域端 [Hz]
+     * @property {number} upper  - 上側帯域端 [Hz]
+     * @property {string} label  - 呼び周波数の表示（例: "31.5", "1k"）
+     */
+
+    /**
+     * バンドを生成する
+     *
+     * 中心周波数は IEC 61260-1 の式による。
+     *   b が奇数: fm = 1000 × G^(x/b)
+     *   b が偶数: fm = 1000 × G^((2x+1)/(2b))
+     *
+     * @param {1|3|6} fraction - 1/b オクターブの b
+     * @param {Object} [options]
+     * @param {number} [options.minFreq=20]    - 中心周波数の下限 [Hz]
+     * @param {number} [options.maxFreq=20000] - 中心周波数の上限 [Hz]
+     * @returns {OctaveBand[]}
+     */
+    function createBands(fraction, options = {}) {
+        const minFreq = options.minFreq ?? 20;
+        const maxFreq = options.maxFreq ?? 20000;
+        const b = fraction;
+
+        const centerOf = (x) => (b % 2 === 1)
+            ? 1000 * Math.pow(G, x / b)
+            : 1000 * Math.pow(G, (2 * x + 1) / (2 * b));
+
+        // 許容誤差は呼び周波数への丸め（最大 ±6% 程度）を見込む
+        let x = Math.floor(b * Math.log(minFreq / 1000) / Math.log(G)) - 1;
+        const bands = [];
+        for (;; x++) {
+            const center = centerOf(x);
+            if (center < minFreq * 0.94) continue;
+            if (center > maxFreq * 1.06) break;
+            bands.push({
+                center,
+                lower: center * Math.pow(G, -1 / (2 * b)),
+                upper: center * Math.pow(G,  1 / (2 * b)),
+                label: formatLabel(nominalFrequency(center, b))
+            });
+        }
+        return bands;
+    }
+
+    /**
+     * 呼び周波数を求める
+     * 1/1・1/3 オクターブは R10 数列に丸め、それ以外は有効数字 3 桁
+     *
+     * @param {number} center
+     * @param {number} fraction
+     * @returns {number}
+     */
+    function nominalFrequency(center, fraction) {
+        if (fraction !== 1 && fraction !== 3) {
+            return Number(center.toPrecision(3));
+        }
+        const decade = Math.pow(10, Math.floor(Math.log10(center)));
+        let best = NOMINAL_R10[0] * decade;
+        [...NOMINAL_R10, 10].forEach(n => {
+            const candidate = n * decade;
+            if (Math.abs(Math.log(candidate / center)) < Math.abs(Math.log(best / center))) {
+                best = candidate;
+            }
+        });
+        return Number(best.toPrecision(3));
+    }
+
+    /**
+     * 周波数の短い表示（1000 Hz 以上は k 表記）
+     * @param {number} freq
+     * @returns {string}
+     */
+    function formatLabel(freq) {
+        return freq >= 1000 ? `${Number((freq / 1000).toPrecision(3))}k` : String(freq);
+    }
+
+    /**
+     * スペクトルからバンドレベルを求める計算器を作る
+     *
+     * @param {OctaveBand[]} bands
+     * @param {Object} params
+     * @param {number} params.binHz    - 周波数分解能 [Hz]
+     * @param {number} params.binCount - スペクトルのビン数
+     * @param {number} params.enbw     - 窓関数の等価雑音帯域幅 [bin]
+     * @returns {{ bands: OctaveBand[], lowResolution: boolean[],
+     *             compute: (spectrum: ArrayLike<number>, db: boolean, out?: Array) => Array }}
+     *   - lowResolution : 帯域幅が窓の ENBW より狭い（FFT の分解能が足りない）バンド
+     *   - compute       : バンドレベル（入力と同じ単位。帯域が範囲外なら null）
+     */
+    function createAnalyzer(bands, { binHz, binCount, enbw }) {
+        // 各バンドに含まれるビンと重み（ビン幅に対して帯域が重なる割合）
+        const weights = bands.map(band => {
+            const list = [];
+            const first = Math.max(1, Math.floor(band.lower / binHz + 0.5));
+            const last  = Math.min(binCount - 1, Math.ceil(band.upper / binHz - 0.5));
+            for (let k = first; k <= last; k++) {
+                const lo = Math.max(band.lower, (k - 0.5) * binHz);
+                const hi = Math.min(band.upper, (k + 0.5) * binHz);
+                if (hi > lo) list.push({ bin: k, weight: (hi - lo) / binHz });
+            }
+            return list;
+        });
+
+        const nyquist = binCount * binHz;
+        const lowResolution = bands.map(band => (band.upper - band.lower) < enbw * binHz);
+
+        function compute(spectrum, db, out = new Array(bands.length)) {
+            for (let i = 0; i < bands.length; i++) {
+                if (weights[i].length === 0 || bands[i].upper > nyquist) {
+                    out[i] = null;
+                    continue;
+                }
+                let power = 0;
+                weights[i].forEach(({ bin, weight }) => {
+                    const amp = db ? Math.pow(10, spectrum[bin] / 20) : spectrum[bin];
+                    power += weight * amp * amp;
+                });
+                power /= enbw;
+                out[i] = db
+                    ? 10 * Math.log10(Math.max(power, 1e-30))
+                    : Math.sqrt(power);
+            }
+            return out;
+        }
+
+        return { bands, lowResolution, compute };
+    }
+
+    return {
+        createBands,
+        createAnalyzer
+    };
+
+})();
+
+
+/******************************************************
+ * SoundLevelMeter
+ *
+ * 時間波形から音圧レベルを求める（IEC 61672 に準じた簡易実装）
+ *
+ * 役割:
+ *  - 周波数重み付け A / C / Z（アナログ特性を双一次変換した IIR フィルタ）
+ *  - 時間重み付け Fast（125 ms）/ Slow（1 s）/ Impulse（35 ms 立ち上がり・1.5 s 減衰）
+ *  - Lp, Lmax, Lmin と Leq（計測全体・一定間隔ごと）
+ *
+ * レベルはスペクトルと同じ基準にする。
+ * スペクトルは「振幅 1 の正弦波 = 0 dB」なので、
+ *   L = 10 log10(2 × 平均二乗値) + 補正ゲイン
+ * とすると、正弦波の Lp が FFT のピークレベルと一致する（+3.01 dB）。
+ ******************************************************/
+
+class SoundLevelMeter {
+
+    /**
+     * @param {number} sampleRate
+     * @param {Object} [options]
+     * @param {"A"|"C"|"Z"} [options.frequencyWeighting="A"]
+     * @param {"F"|"S"|"I"} [options.timeWeighting="F"]
+     * @param {number} [options.intervalSec=60] - 区間 Leq の長さ [sec]
+     * @param {number} [options.calibrationDb=0] - 補正ゲイン [dB]
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.frequencyWeighting = options.frequencyWeighting ?? "A";
+        this.timeWeighting = options.timeWeighting ?? "F";
+        this.intervalSamples = Math.max(1, Math.round((options.intervalSec ?? 60) * sampleRate));
+        this.calibrationDb = options.calibrationDb ?? 0;
+
+        this.sections = SoundLevelMeter.designWeighting(this.frequencyWeighting, sampleRate);
+
+        // 時間重み付けの係数（1 次の指数平均）
+        const tau = this.timeWeighting === "S" ? 1.0 : this.timeWeighting === "I" ? 0.035 : 0.125;
+        this.alpha = 1 - Math.exp(-1 / (tau * sampleRate));
+        // Impulse は 1.5 s で減衰するピークホールド
+        this.impulseDecay = Math.exp(-1 / (1.5 * sampleRate));
+        // 立ち上がり（時定数の 5 倍）が終わるまでは Lmax / Lmin に含めない
+        this.settleSamples = Math.round(5 * tau * sampleRate);
+
+        this.meanSquare = 0;        // 時間重み付け後の平均二乗値
+        this.impulseHold = 0;
+        this.processedSamples = 0;  // reset() に関係なく処理したサンプル数
+        this.reset();
+    }
+
+    /**
+     * Lmax / Lmin / Leq・区間 Leq をリセットする
+     * （フィルタと時間重み付けの状態は保つ）
+     */
+    reset() {
+        this.maxMeanSquare = 0;
+        this.minMeanSquare = Infinity;
+        this.totalEnergy = 0;
+        this.totalSamples = 0;
+        this.intervalEnergy = 0;
+        this.intervalCount = 0;
+        /** @type {{ endSec: number, meanSquare: number }[]} 完了した区間（新しい順、最大 10 件） */
+        this.intervals = [];
+    }
+
+    /**
+     * サンプルを処理する
+     * @param {Float32Array} samples
+     */
+    process(samples) {
+        const sections = this.sections;
+        const alpha = this.alpha;
+        const impulse = this.timeWeighting === "I";
+
+        let ms = this.meanSquare;
+        const settleAt = this.settleSamples - this.processedSamples;
+        for (let n = 0; n < samples.length; n++) {
+            // 周波数重み付け（1 次セクションの縦続）
+            let v = samples[n];
+            for (let k = 0; k < sections.length; k++) {
+                const sec = sections[k];
+                const y = sec.b0 * v + sec.b1 * sec.x1 - sec.a1 * sec.y1;
+                sec.x1 = v;
+                sec.y1 = y;
+                v = y;
+            }
+            const sq = v * v;
+
+            // 時間重み付け
+            ms += (sq - ms) * alpha;
+
+            let level = ms;
+            if (impulse) {
+                this.impulseHold = Math.max(ms, this.impulseHold * this.impulseDecay);
+                level = this.impulseHold;
+            }
+            if (n >= settleAt) {
+                if (level > this.maxMeanSquare) this.maxMeanSquare = level;
+                if (level < this.minMeanSquare) this.minMeanSquare = level;
+            }
+
+            // Leq（時間重み付けなしのエネルギー平均）
+            this.totalEnergy += sq;
+            this.intervalEnergy += sq;
+            this.intervalCount++;
+            if (this.intervalCount >= this.intervalSamples) {
+                this.intervals.unshift({
+                    endSec: (this.totalSamples + n + 1) / this.sampleRate,
+                    meanSquare: this.intervalEnergy / this.intervalCount
+                });
+                if (this.intervals.length > 10) this.intervals.pop();
+                this.intervalEnergy = 0;
+                this.intervalCount = 0;
+            }
+        }
+        this.meanSquare = ms;
+        this.totalSamples += samples.length;
+        this.processedSamples += samples.length;
+    }
+
+    /**
+     * 現在の読み取り値 [dB]（データがなければ null）
+     *
+     * @returns {{ lp: number|null, lmax: number|null, lmin: number|null,
+     *             leq: number|null, durationSec: number,
+     *             intervalLeq: number|null, intervalElapsedSec: number,
+     *             intervals: { endSec: number, leq: number }[] }}
+     */
+    getReadings() {
+        const current = this.timeWeighting === "I" ? this.impulseHold : this.meanSquare;
+        const tracked = this.minMeanSquare !== Infinity;
+        return {
+            lp:   this.processedSamples > 0 ? this.toDb(current) : null,
+            lmax: tracked ? this.toDb(this.maxMeanSquare) : null,
+            lmin: tracked ? this.toDb(this.minMeanSquare) : null,
+            leq:  this.totalSamples > 0 ? this.toDb(this.totalEnergy / this.totalSamples) : null,
+            durationSec: this.totalSamples / this.sampleRate,
+            intervalLeq: this.intervalCount > 0 ? this.toDb(this.intervalEnergy / this.intervalCount) : null,
+            intervalElapsedSec: this.intervalCount / this.sampleRate,
+            intervals: this.intervals.map(i => ({ endSec: i.endSec, leq: this.toDb(i.meanSquare) }))
+        };
+    }
+
+    /**
+     * 平均二乗値をレベル [dB] にする
+     * @param {number} meanSquare
+     * @returns {number}
+     */
+    toDb(meanSquare) {
+        return 10 * Math.log10(Math.max(2 * meanSquare, 1e-30)) + this.calibrationDb;
+    }
+
+    /**
+     * 周波数重み付けフィルタを設計する
+     *
+     * アナログ特性の極・零点を 1 つずつ離散化し、1 次セクションの縦続で表す。
+     * 最後に 1 kHz で 0 dB になるようゲインを合わせる。
+     *
+     *   A: s^4 / ((s+ω1)^2 (s+ω2)(s+ω3)(s+ω4)^2)
+     *   C: s^2 / ((s+ω1)^2 (s+ω4)^2)
+     *
+     * 低域の極（ω1～ω3）は双一次変換で十分合う。高域の ω4 の 2 つの極は、
+     * 双一次変換だけではナイキスト周波数に向かって落ち込みすぎる（44.1 kHz で 16 kHz が約 -8.5 dB）ため、
+     * 1 つはプリワープした双一次変換（ナイキストで 0 に落ちる）、もう 1 つは整合 z 変換（高域が持ち上がる）にして
+     * 誤差を打ち消す。44.1 kHz でアナログ特性との差は 16 kHz まで約 ±1 dB（IEC 61672 クラス 1 の許容差内）。
+     *
+     * @param {"A"|"C"|"Z"} weighting
+     * @param {number} sampleRate
+     * @returns {{ b0: number, b1: number, a1: number, x1: number, y1: number }[]}
+     */
+    static designWeighting(weighting, sampleRate) {
+        const w = (f) => 2 * Math.PI * f;
+        const w1 = w(20.598997), w2 = w(107.65265), w3 = w(737.86223), w4 = w(12194.217);
+
+        // [極, 変換方法]
+        //   "highpass": s / (s + ωp) を双一次変換（零点 z=1）
+        //   "lowpass" : ωp / (s + ωp) をプリワープして双一次変換（零点 z=-1）
+        //   "matched" : ωp / (s + ωp) を整合 z 変換（極 z=exp(-ωp/fs)、DC ゲイン 1）
+        let poles;
+        if (weighting === "A") {
+            poles = [[w1, "highpass"], [w1, "highpass"], [w2, "highpass"], [w3, "highpass"],
+                     [w4, "lowpass"], [w4, "matched"]];
+        } else if (weighting === "C") {
+            poles = [[w1, "highpass"], [w1, "highpass"], [w4, "lowpass"], [w4, "matched"]];
+        } else {
+            return [];
+        }
+
+        const k = 2 * sampleRate;
+        const sections = poles.map(([wp, method]) => {
+            if (method === "matched") {
+                const p = Math.exp(-wp / sampleRate);
+                return { b0: 1 - p, b1: 0, a1: -p, x1: 0, y1: 0 };
+            }
+            // s = k (1 - z^-1) / (1 + z^-1) で変換（lowpass は極の周波数をプリワープ）
+            const wa = method === "lowpass" ? k * Math.tan(wp / k) : wp;
+            const a0 = k + wa;
+            const a1 = (wa - k) / a0;
+            const b0 = method === "highpass" ? k / a0 : wa / a0;
+            const b1 = method === "highpass" ? -b0 : b0;
+            return { b0, b1, a1, x1: 0, y1: 0 };
+        });
+
+        // 1 kHz のゲインを 1 にする
+        const omega = 2 * Math.PI * 1000 / sampleRate;
+        const re = Math.cos(omega), im = -Math.sin(omega);   // z^-1
+        let gain = 1;
+        sections.forEach(sec => {
+            const numRe = sec.b0 + sec.b1 * re, numIm = sec.b1 * im;
+            const denRe = 1 + sec.a1 * re,     denIm = sec.a1 * im;
+            gain *= Math.hypot(numRe, numIm) / Math.hypot(denRe, denIm);
+        });
+        sections[0].b0 /= gain;
+        sections[0].b1 /= gain;
+
+        return sections;
+    }
+}
+
+
+/******************************************************
+ * SpectrumAverager
+ *
+ * スペクトルのフレーム列を平均化し、最大／最小ホールドを取る
+ *
+ * 平均化の方法:
+ *  - linear      : 直近 N フレームの単純移動平均（表示値そのまま。dB 表示なら dB の平均）
+ *  - exponential : 時定数 τ の指数平均（表示値そのまま）
+ *  - power       : 直近 N フレームのパワー平均（RMS 平均）
+ *                  dB・リニアとも一度パワーに戻して平均するので、ノイズのレベルが正しく出る
+ *
+ * ホールドは平均化の有無に関係なく、入力フレームそのものの最大・最小を取る。
+ ******************************************************/
+
+class SpectrumAverager {
+
+    /**
+     * @param {number} binCount
+     * @param {boolean} db - 入力が dB なら true、リニア振幅なら false
+     */
+    constructor(binCount, db) {
+        this.binCount = binCount;
+        this.db = db;
+
+        this.mode = "off";
+        this.count = 8;
+        this.alpha = 1;
+
+        this.resetAverage();
+        this.resetHold();
+    }
+
+    /**
+     * 平均化の設定を変える
+     * 方法やフレーム数が変わったときだけ平均をやり直す（時定数は途中から反映）
+     *
+     * @param {Object} options
+     * @param {"off"|"linear"|"exponential"|"power"} options.mode
+     * @param {number} options.count - linear / power で平均するフレーム数
+     * @param {number} options.timeConstantSec - exponential の時定数 [sec]
+     * @param {number} options.hopSec - フレーム間隔 [sec]
+     */
+    configure({ mode, count, timeConstantSec, hopSec }) {
+        const n = Math.max(1, Math.round(count));
+        if (mode !== this.mode || n !== this.count) {
+            this.mode = mode;
+            this.count = n;
+            this.resetAverage();
+        }
+        this.alpha = 1 - Math.exp(-hopSec / Math.max(timeConstantSec, 1e-6));
+    }
+
+    /**
+     * 平均をやり直す
+     */
+    resetAverage() {
+        /** @type {Float32Array[]} 移動平均の対象フレーム（linear / power） */
+        this.history = [];
+        this.sum = new Float64Array(this.binCount);
+        /** @type {Float64Array|null} 指数平均の現在値 */
+        this.ema = null;
+    }
+
+    /**
+     * 最大／最小ホールドをやり直す
+     */
+    resetHold() {
+        /** @type {Float32Array|null} */
+        this.maxHold = null;
+        /** @type {Float32Array|null} */
+        this.minHold = null;
+    }
+
+    /**
+     * フレームを 1 つ加える
+     * @param {ArrayLike<number>} spectrum
+     */
+    push(spectrum) {
+        if (spectrum.length !== this.binCount) return;
+
+        // ホールド
+        if (!this.maxHold) {
+            this.maxHold = Float32Array.from(spectrum);
+            this.minHold = Float32Array.from(spectrum);
+        } else {
+            for (let i = 0; i < this.binCount; i++) {
+                if (spectrum[i] > this.maxHold[i]) this.maxHold[i] = spectrum[i];
+                if (spectrum[i] < this.minHold[i]) this.minHold[i] = spectrum[i];
+            }
+        }
+
+        switch (this.mode) {
+            case "linear":
+            case "power": {
+                const value = this.mode === "power"
+                    ? Float32Array.from(spectrum, v => this.toPower(v))
+                    : Float32Array.from(spectrum);
+                this.history.push(value);
+                for (let i = 0; i < this.binCount; i++) this.sum[i] += value[i];
+
+                if (this.history.length > this.count) {
+                    const old = this.history.shift();
+                    for (let i = 0; i < this.binCount; i++) this.sum[i] -= old[i];
+                }
+                break;
+            }
+
+            case "exponential":
+                if (!this.ema) {
+                    this.ema = Float64Array.from(spectrum);
+                } else {
+                    for (let i = 0; i < this.binCount; i++) {
+                        this.ema[i] += (spectrum[i] - this.ema[i]) * this.alpha;
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * 平均化したスペクトル（平均化しない／まだフレームがなければ null）
+     * @returns {Float32Array|null}
+     */
+    getAverage() {
+        switch (this.mode) {
+            case "linear":
+            case "power": {
+                const n = this.history.length;
+                if (n === 0) return null;
+                const out = new Float32Array(this.binCount);
+                for (let i = 0; i < this.binCount; i++) {
+                    const mean = this.sum[i] / n;
+                    // 引き算の丸め誤差で負にならないように（負になり得ない値のときだけ）
+                    if (this.mode === "power") out[i] = this.fromPower(Math.max(mean, 0));
+                    else out[i] = this.db ? mean : Math.max(mean, 0);
+                }
+                return out;
+            }
+
+            case "exponential":
+                return this.ema ? Float32Array.from(this.ema) : null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 平均に使ったフレーム数（linear / power）
+     * @returns {number}
+     */
+    getAveragedCount() {
+        return this.history.length;
+    }
+
+    /**
+     * 表示値をパワーにする
+     * @param {number} v
+     * @returns {number}
+     */
+    toPower(v) {
+        return this.db ? Math.pow(10, v / 10) : v * v;
+    }
+
+    /**
+     * パワーを表示値に戻す
+     * @param {number} p
+     * @returns {number}
+     */
+    fromPower(p) {
+        return this.db ? 10 * Math.log10(Math.max(p, 1e-30)) : Math.sqrt(p);
+    }
+}
+
+
+/******************************************************
+ * TransferFunctionAnalyzer
+ *
+ * 2 チャンネル（基準 x・測定 y）の伝達関数の解析
+ *
+ * フレームごとに両チャンネルを同じ窓で FFT し、
+ * クロススペクトル Gxy = conj(X)·Y とオートスペクトル Gxx = |X|², Gyy = |Y|² を平均する。
+ *
+ *  - 伝達関数   H(f)  = Gxy / Gxx（H1 推定。測定側のノイズが平均で消える）
+ *  - コヒーレンス γ²(f) = |Gxy|² / (Gxx·Gyy)（0～1。1 に近いほど H が信頼できる）
+ *  - インパルス応答 h(t) = IFFT[H(f)]
+ *
+ * 平均はフレーム数が count に達するまでは単純平均、以降は重み 1/count の指数平均。
+ * 位相が正しく出るよう、測定チャンネルの遅れ（音の到達時間）は
+ * 呼び出し側で基準チャンネルを遅らせて合わせる（findDelay で求める）。
+ ******************************************************/
+
+class TransferFunctionAnalyzer {
+
+    /**
+     * @param {number} size - FFT サイズ（2のべき乗）
+     * @param {Float32Array} window - 窓関数（長さ size）
+     */
+    constructor(size, window) {
+        this.size = size;
+        this.window = window;
+        this.fft = new FFTProcessor(size);
+
+        // DC ～ ナイキスト（インパルス応答の逆 FFT に両端が要る）
+        this.bins = size / 2 + 1;
+        this.xRe = new Float64Array(this.bins);
+        this.xIm = new Float64Array(this.bins);
+        this.windowed = new Float64Array(size);
+
+        this.count = 16;
+        this.reset();
+    }
+
+    /**
+     * 平均するフレーム数を変える（変わったときは平均をやり直す）
+     * @param {number} count
+     */
+    setAverageCount(count) {
+        const n = Math.max(1, Math.round(count));
+        if (n === this.count) return;
+        this.count = n;
+        this.reset();
+    }
+
+    /**
+     * 平均をやり直す
+     */
+    reset() {
+        this.gxx = new Float64Array(this.bins);
+        this.gyy = new Float64Array(this.bins);
+        this.gxyRe = new Float64Array(this.bins);
+        this.gxyIm = new Float64Array(this.bins);
+
+        /** 平均に加えたフレーム数（count で頭打ちにはしない） */
+        this.frameCount = 0;
+    }
+
+    /**
+     * フレームを 1 つ加える
+     *
+     * @param {Float32Array} reference - 基準チャンネル（長さ size）
+     * @param {Float32Array} measurement - 測定チャンネル（長さ size）
+     */
+    push(reference, measurement) {
+        const n = this.size;
+        const re = this.fft.re;
+        const im = this.fft.im;
+
+        // 基準チャンネル X
+        for (let i = 0; i < n; i++) this.windowed[i] = reference[i] * this.window[i];
+        this.fft.transform(this.windowed);
+        this.xRe.set(re.subarray(0, this.bins));
+        this.xIm.set(im.subarray(0, this.bins));
+
+        // 測定チャンネル Y
+        for (let i = 0; i < n; i++) this.windowed[i] = measurement[i] * this.window[i];
+        this.fft.transform(this.windowed);
+
+        this.frameCount++;
+        const w = 1 / Math.min(this.frameCount, this.count);
+
+        for (let k = 0; k < this.bins; k++) {
+            const xr = this.xRe[k], xi = this.xIm[k];
+            const yr = re[k], yi = im[k];
+
+            // conj(X)·Y
+            const cr = xr * yr + xi * yi;
+            const ci = xr * yi - xi * yr;
+
+            this.gxx[k]   += (xr * xr + xi * xi - this.gxx[k]) * w;
+            this.gyy[k]   += (yr * yr + yi * yi - this.gyy[k]) * w;
+            this.gxyRe[k] += (cr - this.gxyRe[k]) * w;
+            this.gxyIm[k] += (ci - this.gxyIm[k]) * w;
+        }
+    }
+
+    /**
+     * 平均した伝達関数とコヒーレンス（FFT のビン 0 ～ size/2-1。周波数軸と同じ長さ）
+     *
+     * 基準チャンネルに成分のないビンは null（求まらない）。
+     *
+     * @returns {{ magnitudeDb: Array<number|null>, phaseDeg: Array<number|null>,
+     *             coherence: Array<number|null>, averagedCount: number }|null}
+     *      まだフレームがなければ null
+     */
+    getResult() {
+        if (this.frameCount === 0) return null;
+
+        const binCount = this.size / 2;
+        const magnitudeDb = new Array(binCount);
+        const phaseDeg    = new Array(binCount);
+        const coherence   = new Array(binCount);
+        const floor = this.getReferenceFloor();
+
+        for (let k = 0; k < binCount; k++) {
+            const gxx = this.gxx[k];
+            if (gxx <= floor) {
+                magnitudeDb[k] = phaseDeg[k] = coherence[k] = null;
+                continue;
+            }
+            const gxyRe = this.gxyRe[k], gxyIm = this.gxyIm[k];
+            const cross = gxyRe * gxyRe + gxyIm * gxyIm;
+
+            magnitudeDb[k] = 10 * Math.log10(Math.max(cross / (gxx * gxx), 1e-30));
+            phaseDeg[k]    = Math.atan2(gxyIm, gxyRe) * 180 / Math.PI;
+            coherence[k]   = this.gyy[k] > 0 ? Math.min(1, cross / (gxx * this.gyy[k])) : 0;
+        }
+
+        return {
+            magnitudeDb,
+            phaseDeg,
+            coherence,
+            averagedCount: Math.min(this.frameCount, this.count)
+        };
+    }
+
+    /**
+     * 平均した伝達関数のインパルス応答
+     *
+     * 循環するので、負の時刻（遅延合わせの誤差で基準より前に出た成分）は末尾に回る。
+     * 先頭から preSamples だけ前に戻した位置から返す。
+     *
+     * @param {number} [preSamples=size/16] - 0 より前に含めるサンプル数
+     * @returns {{ samples: Float32Array, startIndex: number }|null}
+     *      startIndex は samples[0] の時刻 [サンプル]（負の値）。まだフレームがなければ null
+     */
+    getImpulseResponse(preSamples = this.size / 16) {
+        if (this.frameCount === 0) return null;
+
+        const n = this.size;
+        const hRe = new Float64Array(n);
+        const hIm = new Float64Array(n);
+        const floor = this.getReferenceFloor();
+
+        // 片側の H からエルミート対称な全体を作る（逆 FFT は共役を取って順 FFT）
+        for (let k = 0; k < this.bins; k++) {
+            const gxx = this.gxx[k];
+            if (gxx <= floor) continue;
+            const re = this.gxyRe[k] / gxx;
+            const im = this.gxyIm[k] / gxx;
+            hRe[k] = re;
+            hIm[k] = -im;
+            if (k > 0 && k < n / 2) {
+                hRe[n - k] = re;
+                hIm[n - k] = im;
+            }
+        }
+        this.fft.transform(hRe, hIm);
+
+        const pre = Math.max(0, Math.min(n - 1, Math.round(preSamples)));
+        const samples = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            samples[i] = this.fft.re[(i - pre + n) % n] / n;
+        }
+        return { samples, startIndex: -pre };
+    }
+
+    /**
+     * これ以下の基準チャンネルのパワーは成分なしとみなす（最大ビンの -120 dB）
+     * @returns {number}
+     * @private
+     */
+    getReferenceFloor() {
+        let max = 0;
+        for (let k = 0; k < this.bins; k++) {
+            if (this.gxx[k] > max) max = this.gxx[k];
+        }
+        return max * 1e-12;
+    }
+
+    /**
+     * 2 チャンネルの遅れを相互相関のピークから求める
+     *
+     * ゼロ詰めして循環しないようにした FFT で相互相関を計算する。
+     * 求まる範囲は ±(長さ - 1) サンプル。
+     *
+     * @param {Float32Array} reference - 基準チャンネル
+     * @param {Float32Array} measurement - 測定チャンネル（reference と同じ長さ、2のべき乗）
+     * @returns {{ delaySamples: number, correlation: number }}
+     *      delaySamples は測定チャンネルが遅れている量（基準より先行していれば負）。
+     *      correlation はピークの相関係数（-1～1。絶対値が小さいと信頼できない）
+     */
+    static findDelay(reference, measurement) {
+        const len = reference.length;
+        const n = len * 2;
+        const fft = new FFTProcessor(n);
+
+        const x = new Float64Array(n);
+        const y = new Float64Array(n);
+        let exx = 0, eyy = 0;
+        for (let i = 0; i < len; i++) {
+            x[i] = reference[i];
+            y[i] = measurement[i];
+            exx += x[i] * x[i];
+            eyy += y[i] * y[i];
+        }
+
+        fft.transform(x);
+        const xRe = Float64Array.from(fft.re);
+        const xIm = Float64Array.from(fft.im);
+        fft.transform(y);
+
+        // conj(X)·Y の逆 FFT（共役を取って順 FFT、実部だけ使う）
+        const cRe = new Float64Array(n);
+        const cIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const xr = xRe[k], xi = xIm[k];
+            const yr = fft.re[k], yi = fft.im[k];
+            cRe[k] = xr * yr + xi * yi;
+            cIm[k] = -(xr * yi - xi * yr);
+        }
+        fft.transform(cRe, cIm);
+
+        // 添字 n/2 以降は負の遅れ
+        let best = 0;
+        for (let i = 1; i < n; i++) {
+            if (Math.abs(fft.re[i]) > Math.abs(fft.re[best])) best = i;
+        }
+        const norm = Math.sqrt(exx * eyy);
+
+        return {
+            delaySamples: best < n / 2 ? best : best - n,
+            correlation: norm > 0 ? fft.re[best] / n / norm : 0
+        };
+    }
+}
+
+
+/******************************************************
+ * TestSignals
+ *
+ * 測定用の試験信号の生成
+ *
+ *  - スイープ（リニア／対数）
+ *  - ホワイトノイズ・ピンクノイズ
+ *
+ * 振幅はすべて 0 dBFS = フルスケールの正弦波 に合わせる
+ * （スイープはピーク 1.0、ノイズは実効値がフルスケールの正弦波と同じ 1/√2）。
+ ******************************************************/
+
+const TestSignals = (function () {
+
+    /**
+     * スイープを生成する
+     *
+     * 対数スイープは Farina の式で、周波数が時間に対して指数的に変わる
+     * （オクターブあたりの時間が一定。ピンクノイズと同じく高域ほどエネルギーが小さい）。
+     *
+     * @param {number} sampleRate
+     * @param {Object} options
+     * @param {number} options.startHz
+     * @param {number} options.endHz
+     * @param {number} options.durationSec
+     * @param {"linear"|"log"} [options.mode="log"]
+     * @param {number} [options.fadeSec=0] - 両端のフェード（半周期コサイン）の長さ [sec]
+     * @returns {Float32Array}
+     */
+    function sweep(sampleRate, { startHz, endHz, durationSec, mode = "log", fadeSec = 0 }) {
+        const length = Math.max(1, Math.round(durationSec * sampleRate));
+        const T = length / sampleRate;
+        const out = new Float32Array(length);
+
+        // 対数スイープは開始・終了が同じ周波数だと式が発散するのでリニアにする
+        const log = mode === "log" && startHz > 0 && endHz > 0 && startHz !== endHz;
+        const rate = log ? Math.log(endHz / startHz) : 0;
+
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const phase = log
+                ? 2 * Math.PI * startHz * T / rate * (Math.exp(t * rate / T) - 1)
+                : 2 * Math.PI * (startHz * t + (endHz - startHz) * t * t / (2 * T));
+            out[i] = Math.sin(phase);
+        }
+
+        applyFade(out, Math.round(fadeSec * sampleRate));
+        return out;
+    }
+
+    /**
+     * ノイズを生成する
+     *
+     * ピンクノイズは Paul Kellet のフィルタ（-3 dB/oct, 誤差 ±0.05 dB）でホワイトノイズを整形する。
+     * ピークは実効値の 3～4 倍になり 1.0 を超えるので、クリップしないよう -12 dBFS 程度以下で使う。
+     *
+     * @param {number} sampleRate
+     * @param {Object} options
+     * @param {"white"|"pink"} [options.color="white"]
+     * @param {number} options.durationSec
+     * @returns {Float32Array}
+     */
+    function noise(sampleRate, { color = "white", durationSec }) {
+        const length = Math.max(1, Math.round(durationSec * sampleRate));
+        const out = new Float32Array(length);
+
+        if (color === "pink") {
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            // 最も遅い極が落ち着くまで空回しする
+            for (let i = -sampleRate; i < length; i++) {
+                const w = Math.random() * 2 - 1;
+                b0 = 0.99886 * b0 + w * 0.0555179;
+                b1 = 0.99332 * b1 + w * 0.0750759;
+                b2 = 0.96900 * b2 + w * 0.1538520;
+                b3 = 0.86650 * b3 + w * 0.3104856;
+                b4 = 0.55000 * b4 + w * 0.5329522;
+                b5 = -0.7616 * b5 - w * 0.0168980;
+                const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+                b6 = w * 0.115926;
+                if (i >= 0) out[i] = pink;
+            }
+        } else {
+            for (let i = 0; i < length; i++) out[i] = Math.random() * 2 - 1;
+        }
+
+        // 実効値を 1/√2 にそろえる
+        let sum = 0;
+        for (let i = 0; i < length; i++) sum += out[i] * out[i];
+        const gain = sum > 0 ? Math.SQRT1_2 / Math.sqrt(sum / length) : 0;
+        for (let i = 0; i < length; i++) out[i] *= gain;
+        return out;
+    }
+
+    /**
+     * 両端に半周期コサインのフェードを掛ける
+     * @param {Float32Array} samples
+     * @param {number} fadeSamples
+     */
+    function applyFade(samples, fadeSamples) {
+        const n = Math.min(fadeSamples, Math.floor(samples.length / 2));
+        for (let i = 0; i < n; i++) {
+            const g = 0.5 - 0.5 * Math.cos(Math.PI * i / n);
+            samples[i] *= g;
+            samples[samples.length - 1 - i] *= g;
+        }
+    }
+
+    return {
+        sweep,
+        noise
+    };
+
+})();
+
+
+/******************************************************
+ * SweepImpulseMeasurement
+ *
+ * 指数スイープ（ESS, Farina 法）によるインパルス応答の測定
+ *
+ *  1. スイープと無音（残響の収録時間）を count 回つなげた信号を再生する
+ *  2. 再生と同時に入力を受け取り、周期ごとに足し合わせる（同期加算で雑音を下げる）
+ *  3. 平均した応答をスイープで逆畳み込みしてインパルス応答を得る
+ *
+ * 逆畳み込みは周波数領域で Y·conj(X) / (|X|² + ε) とする。
+ * 高調波歪みの成分は負の時刻に分かれるので、インパルス応答には混ざらない。
+ ******************************************************/
+
+class SweepImpulseMeasurement {
+
+    /**
+     * @param {Object} options
+     * @param {number} options.sampleRate
+     * @param {number} options.startHz
+     * @param {number} options.endHz
+     * @param {number} options.durationSec - スイープ 1 回の長さ [sec]
+     * @param {number} options.tailSec - スイープ後の無音（インパルス応答として取り出す長さ）[sec]
+     * @param {number} options.count - 平均する回数
+     */
+    constructor({ sampleRate, startHz, endHz, durationSec, tailSec, count }) {
+        this.sampleRate = sampleRate;
+        this.startHz = startHz;
+        this.endHz = endHz;
+        this.durationSec = durationSec;
+        this.count = Math.max(1, Math.round(count));
+
+        this.sweep = TestSignals.sweep(sampleRate, {
+            startHz,
+            endHz,
+            durationSec,
+            mode: "log",
+            // 両端の急な立ち上がりで広帯域の成分が出ないように
+            fadeSec: Math.min(0.01, durationSec / 10)
+        });
+        this.tailLength = Math.max(1, Math.round(tailSec * sampleRate));
+        this.period = this.sweep.length + this.tailLength;
+
+        /** 周期ごとの足し合わせ */
+        this.sum = new Float64Array(this.period);
+        /** 受け取ったサンプル数 */
+        this.received = 0;
+        /** 再生したスイープの振幅（結果を再生レベルによらない値にする） */
+        this.gain = 1;
+    }
+
+    /**
+     * 再生する信号（スイープ + 無音 を count 回）
+     *
+     * @param {number} levelDb - スイープのピークレベル [dBFS]
+     * @returns {Float32Array}
+     */
+    buildPlayback(levelDb) {
+        const gain = Math.pow(10, levelDb / 20);
+        this.gain = gain;
+        const out = new Float32Array(this.period * this.count);
+        for (let k = 0; k < this.count; k++) {
+            const offset = k * this.period;
+            for (let i = 0; i < this.sweep.length; i++) {
+                out[offset + i] = this.sweep[i] * gain;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * 再生開始位置からの入力サンプルを順に加える（必要な分を超えたら無視）
+     * @param {Float32Array} samples
+     */
+    push(samples) {
+        const total = this.period * this.count;
+        const n = Math.min(samples.length, total - this.received);
+        for (let i = 0; i < n; i++) {
+            this.sum[(this.received + i) % this.period] += samples[i];
+        }
+        this.received += n;
+    }
+
+    /**
+     * 進捗（0～1）
+     * @returns {number}
+     */
+    getProgress() {
+        return this.received / (this.period * this.count);
+    }
+
+    /**
+     * 収録し終えたスイープの回数
+     * @returns {number}
+     */
+    getCompletedCount() {
+        return Math.floor(this.received / this.period);
+    }
+
+    /**
+     * すべて収録したか
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.received >= this.period * this.count;
+    }
+
+    /**
+     * インパルス応答・ETC・周波数特性を求める
+     *
+     * インパルス応答は最大値の位置を 0 秒とし、その preSec 前から
+     * 無音区間の終わり（スイープ開始から tailSec 後）までを返す。
+     * 0 秒までの遅れ（出力・入力の遅延と音の到達時間）は delaySec に入る。
+     *
+     * @param {Object} [options]
+     * @param {number} [options.preSec=0.005] - 最大値より前に含める長さ [sec]
+     * @param {number} [options.smoothingOctave=24] - 周波数特性の平滑化（1/N オクターブ）
+     * @returns {SweepImpulseResult}
+     */
+    computeResult({ preSec = 0.005, smoothingOctave = 24 } = {}) {
+        const fs = this.sampleRate;
+        const n = Math.pow(2, Math.ceil(Math.log2(this.period + this.sweep.length)));
+        const fft = new FFTProcessor(n);
+
+        // 同期加算の平均
+        const response = new Float64Array(n);
+        for (let i = 0; i < this.period; i++) response[i] = this.sum[i] / (this.count * this.gain);
+
+        // X（スイープ）
+        const sweep = new Float64Array(n);
+        sweep.set(this.sweep);
+        fft.transform(sweep);
+        const xRe = Float64Array.from(fft.re);
+        const xIm = Float64Array.from(fft.im);
+
+        let maxPower = 0;
+        for (let k = 0; k < n; k++) {
+            maxPower = Math.max(maxPower, xRe[k] * xRe[k] + xIm[k] * xIm[k]);
+        }
+        // スイープの帯域外で割り算が発散しないように（最大の -80 dB）
+        const epsilon = maxPower * 1e-8;
+
+        // H = Y·conj(X) / (|X|² + ε) の逆 FFT（共役を取って順 FFT）
+        fft.transform(response);
+        const hRe = new Float64Array(n);
+        const hIm = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const yr = fft.re[k], yi = fft.im[k];
+            const xr = xRe[k], xi = xIm[k];
+            const denom = xr * xr + xi * xi + epsilon;
+            hRe[k] =  (yr * xr + yi * xi) / denom;
+            hIm[k] = -(yi * xr - yr * xi) / denom;
+        }
+        fft.transform(hRe, hIm);
+
+        // 因果的な部分（無音区間の長さまで）から最大値を探す
+        let peak = 0;
+        for (let i = 1; i < this.tailLength; i++) {
+            if (Math.abs(fft.re[i]) > Math.abs(fft.re[peak])) peak = i;
+        }
+        const start = Math.max(0, peak - Math.round(preSec * fs));
+        const impulse = new Float32Array(this.tailLength - start);
+        for (let i = 0; i < impulse.length; i++) impulse[i] = fft.re[start + i] / n;
+
+        return {
+            sampleRate: fs,
+            impulse,
+            startIndex: start - peak,
+            delaySec: peak / fs,
+            etcDb: SweepImpulseMeasurement.energyTimeCurve(impulse),
+            response: SweepImpulseMeasurement.frequencyResponse(impulse, fs, {
+                minFreq: this.startHz,
+                maxFreq: this.endHz,
+                fraction: smoothingOctave
+            }),
+            count: this.count
+        };
+    }
+
+    /**
+     * エネルギー時間曲線（ETC）
+     *
+     * 解析信号（ヒルベルト変換）の包絡線の 2 乗を dB にし、最大値を 0 dB とする。
+     *
+     * @param {Float32Array} impulse
+     * @returns {Float32Array} [dB]
+     */
+    static energyTimeCurve(impulse) {
+        const n = Math.pow(2, Math.ceil(Math.log2(impulse.length)));
+        const fft = new FFTProcessor(n);
+        fft.transform(impulse.length === n ? impulse : Float64Array.from({ length: n }, (_, i) => impulse[i] ?? 0));
+
+        // 正の周波数を 2 倍、負の周波数を 0 にして逆 FFT（共役を取って順 FFT）
+        const re = new Float64Array(n);
+        const im = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const scale = (k === 0 || k === n / 2) ? 1 : (k < n / 2 ? 2 : 0);
+            re[k] =  fft.re[k] * scale;
+            im[k] = -fft.im[k] * scale;
+        }
+        fft.transform(re, im);
+
+        const energy = new Float32Array(impulse.length);
+        let max = 0;
+        for (let i = 0; i < energy.length; i++) {
+            energy[i] = (fft.re[i] * fft.re[i] + fft.im[i] * fft.im[i]) / (n * n);
+            if (energy[i] > max) max = energy[i];
+        }
+        for (let i = 0; i < energy.length; i++) {
+            energy[i] = 10 * Math.log10(Math.max(energy[i] / max, 1e-15));
+        }
+        return energy;
+    }
+
+    /**
+     * インパルス応答の周波数特性（1/N オクターブで平滑化）
+     *
+     * @param {Float32Array} impulse
+     * @param {number} sampleRate
+     * @param {Object} options
+     * @param {number} options.minFreq
+     * @param {number} options.maxFreq
+     * @param {number} options.fraction - 1/N オクターブの N（点の間隔も同じ）
+     * @returns {{ freq: number[], db: number[] }} 0 dB = 入力と出力のデジタル値が等しい
+     */
+    static frequencyResponse(impulse, sampleRate, { minFreq, maxFreq, fraction }) {
+        const n = Math.pow(2, Math.ceil(Math.log2(impulse.length)));
+        const fft = new FFTProcessor(n);
+        fft.transform(Float64Array.from({ length: n }, (_, i) => impulse[i] ?? 0));
+
+        const binHz = sampleRate / n;
+        const power = new Float64Array(n / 2);
+        for (let k = 0; k < n / 2; k++) {
+            power[k] = fft.re[k] * fft.re[k] + fft.im[k] * fft.im[k];
+        }
+
+        const freq = [];
+        const db = [];
+        const step = Math.pow(2, 1 / fraction);
+        const half = Math.pow(2, 1 / (2 * fraction));
+        const top = Math.min(maxFreq, sampleRate / 2);
+        for (let f = minFreq; f <= top; f *= step) {
+            // 帯域内のビンのパワー平均（ビンより狭い帯域は最も近いビン）
+            const lo = Math.max(1, Math.ceil(f / half / binHz));
+            const hi = Math.min(n / 2 - 1, Math.floor(f * half / binHz));
+            let sum = 0, count = 0;
+            for (let k = lo; k <= hi; k++) {
+                sum += power[k];
+                count++;
+            }
+            const p = count > 0 ? sum / count : power[Math.min(n / 2 - 1, Math.round(f / binHz))];
+            freq.push(f);
+            db.push(10 * Math.log10(Math.max(p, 1e-30)));
+        }
+        return { freq, db };
+    }
+}
+
+/**
+ * インパルス応答の測定結果
+ *
+ * @typedef {Object} SweepImpulseResult
+ * @property {number} sampleRate
+ * @property {Float32Array} impulse - インパルス応答
+ * @property {number} startIndex - impulse[0] の時刻 [サンプル]（最大値が 0。負の値）
+ * @property {number} delaySec - 再生開始から最大値までの遅れ [sec]
+ * @property {Float32Array} etcDb - エネルギー時間曲線（impulse と同じ時刻）[dB]
+ * @property {{ freq: number[], db: number[] }} response - 周波数特性
+ * @property {number} count - 平均した回数
+ */
+
+
+/******************************************************
+ * PitchDetector
+ *
+ * 時間波形から基本周波数を推定する（YIN 法）
+ *
+ * FFT のビン間隔に縛られないので、楽器のチューニングに使える精度が出る。
+ *  1. 差分関数 d(τ) = Σ (x[j] - x[j+τ])²
+ *  2. 累積平均で正規化した d'(τ)（τ が小さいほど有利になるのを防ぐ）
+ *  3. d' が閾値を下回った最初の谷を周期とし、放物線補間で小数サンプルまで求める
+ *
+ * 検出できる最低周波数は、波形の長さの半分が 1 周期になる周波数まで。
+ ******************************************************/
+
+class PitchDetector {
+
+    /**
+     * @param {number} sampleRate
+     * @param {Object} [options]
+     * @param {number} [options.minHz=30] - 探す最低周波数
+     * @param {number} [options.maxHz=4200] - 探す最高周波数
+     * @param {number} [options.threshold=0.15] - d' の閾値（小さいほど厳しい）
+     * @param {number} [options.minRms=1e-4] - これより小さい入力は無音とみなす（約 -80 dBFS）
+     */
+    constructor(sampleRate, { minHz = 30, maxHz = 4200, threshold = 0.15, minRms = 1e-4 } = {}) {
+        this.sampleRate = sampleRate;
+        this.minHz = minHz;
+        this.maxHz = maxHz;
+        this.threshold = threshold;
+        this.minRms = minRms;
+
+        /** d(τ)・d'(τ) の作業領域（長さが足りなければ作り直す） */
+        this.diff = new Float32Array(0);
+        this.normalized = new Float32Array(0);
+    }
+
+    /**
+     * 基本周波数を推定する
+     *
+     * 波形の末尾（最新）を使う。計算量が周期の 2 乗で済むよう、
+     * 積分区間は探す最長の周期と同じ長さにする。
+     *
+     * @param {Float32Array} samples
+     * @returns {{ frequency: number, clarity: number }|null}
+     *      clarity は 1 - d'（1 に近いほど周期的）。音程がなければ null
+     */
+    detect(samples) {
+        const minLag = Math.max(2, Math.floor(this.sampleRate / this.maxHz));
+        const maxLag = Math.min(Math.ceil(this.sampleRate / this.minHz), Math.floor(samples.length / 2));
+        if (maxLag <= minLag + 2) return null;
+
+        const offset = samples.length - 2 * maxLag;
+
+        let energy = 0;
+        for (let j = offset; j < samples.length; j++) energy += samples[j] * samples[j];
+        if (Math.sqrt(energy / (2 * maxLag)) < this.minRms) return null;
+
+        if (this.diff.length < maxLag + 1) {
+            this.diff = new Float32Array(maxLag + 1);
+            this.normalized = new Float32Array(maxLag + 1);
+        }
+        const raw = this.diff;
+        const d = this.normalized;
+
+        // 差分関数と累積平均正規化
+        raw[0] = 0;
+        d[0] = 1;
+        let sum = 0;
+        for (let tau = 1; tau <= maxLag; tau++) {
+            let acc = 0;
+            for (let j = 0; j < maxLag; j++) {
+                const delta = samples[offset + j] - samples[offset + j + tau];
+                acc += delta * delta;
+            }
+            raw[tau] = acc;
+            sum += acc;
+            d[tau] = sum > 0 ? acc * tau / sum : 1;
+        }
+
+        // 閾値を下回った最初の谷
+        let tau = -1;
+        for (let t = minLag; t < maxLag; t++) {
+            if (d[t] < this.threshold) {
+                while (t + 1 < maxLag && d[t + 1] < d[t]) t++;
+                tau = t;
+                break;
+            }
+        }
+        if (tau < 0) return null;
+
+        // 放物線補間（正規化前の d の方が谷の形が崩れない）
+        const a = raw[tau - 1], b = raw[tau], c = raw[tau + 1];
+        const denom = a - 2 * b + c;
+        const shift = denom > 0 ? 0.5 * (a - c) / denom : 0;
+
+        return {
+            frequency: this.sampleRate / (tau + shift),
+            clarity: 1 - d[tau]
+        };
+    }
+}
+
+
+/******************************************************
+ * MusicalPitch
+ *
+ * 周波数を音名・オクターブ・セント偏差に変換する
+ *
+ * 音律は主音（tonic）からの各音の比で決める。
+ * どの音律でも A4 が基準周波数になるように全体をずらす。
+ ******************************************************/
+
+const MusicalPitch = (function () {
+
+    /** 音名（C から半音ずつ） */
+    const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+    /**
+     * 主音からの各音の比（平均律は含まない）
+     * @type {Object<string, number[]>}
+     */
+    const RATIOS = {
+        // 純正律（5 度と長 3 度を純正に）
+        just: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8],
+        // ピタゴラス音律（5 度を純正に）
+        pythagorean: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128],
+        // 1/4 シントニック・コンマ中全音律（長 3 度を純正に。C から数えた 5 度の数、E♭～G#）
+        meantone: [0, 7, 2, -3, 4, -1, 6, 1, 8, 3, -2, 5].map(fifths => {
+            const ratio = Math.pow(5, fifths / 4);
+            return ratio / Math.pow(2, Math.floor(Math.log2(ratio)));
+        })
+    };
+
+    /** 対応している音律 */
+    const TEMPERAMENTS = ["equal", "just", "pythagorean", "meantone"];
+
+    /**
+     * 平均律からのずれ [cent]（C から順に 12 音、A を 0 とする）
+     *
+     * @param {"equal"|"just"|"pythagorean"|"meantone"} temperament
+     * @param {number} tonic - 主音（0 = C … 11 = B）
+     * @returns {number[]}
+     */
+    function getOffsets(temperament, tonic) {
+        const ratios = RATIOS[temperament];
+        if (!ratios) return new Array(12).fill(0);
+
+        // 主音から数えた音程の、平均律とのずれ
+        const fromTonic = ratios.map((r, k) => 1200 * Math.log2(r) - 100 * k);
+        const offsets = NOTE_NAMES.map((_, note) => fromTonic[(note - tonic + 12) % 12]);
+        const a = offsets[9];
+        return offsets.map(v => v - a);
+    }
+
+    /**
+     * 周波数に最も近い音と、そこからのずれを求める
+     *
+     * @param {number} frequency - [Hz]
+     * @param {Object} [options]
+     * @param {number} [options.a4Hz=440] - A4 の周波数
+     * @param {"equal"|"just"|"pythagorean"|"meantone"} [options.temperament="equal"]
+     * @param {number} [options.tonic=0] - 主音（0 = C … 11 = B。平均律では使わない）
+     * @returns {{ name: string, octave: number, cents: number, targetHz: number, midi: number }}
+     *      midi は MIDI ノート番号（A4 = 69）
+     */
+    function analyze(frequency, { a4Hz = 440, temperament = "equal", tonic = 0 } = {}) {
+        const offsets = getOffsets(temperament, tonic);
+        const semitones = 12 * Math.log2(frequency / a4Hz) + 69;
+
+        // 音律でずれた音があるので、前後の音とも比べる
+        let best = null;
+        const center = Math.round(semitones);
+        for (let midi = center - 1; midi <= center + 1; midi++) {
+            const offset = offsets[((midi % 12) + 12) % 12];
+            const targetHz = a4Hz * Math.pow(2, (midi - 69 + offset / 100) / 12);
+            const cents = 1200 * Math.log2(frequency / targetHz);
+            if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+                best = { midi, cents, targetHz };
+            }
+        }
+
+        return {
+            name: NOTE_NAMES[((best.midi % 12) + 12) % 12],
+            octave: Math.floor(best.midi / 12) - 1,
+            cents: best.cents,
+            targetHz: best.targetHz,
+            midi: best.midi
+        };
+    }
+
+    return {
+        NOTE_NAMES,
+        TEMPERAMENTS,
+        getOffsets,
+        analyze
+    };
+
+})();
@@ -0,0 +1,213 @@
+/******************************************************
+ * appExport.js
+ *
+ * 解析データの書き出し
+ *
+ * 役割:
+ *  - スペクトル／スペクトログラムを CSV・JSON に変換
+ *  - 解析条件（サンプリング周波数、FFTサイズ、窓関数、マイクの校正など）をヘッダに付ける
+ *
+ * ※ 大きなスペクトログラムでも 1 本の巨大な文字列を作らないよう、
+ *    行ごとの文字列を Blob のパーツとして渡す
+ ******************************************************/
+
+const DataExporter = (function () {
+
+    /**
+     * 書き出すデータ
+     *
+     * @typedef {Object} ExportData
+     * @property {number[]} frequencyHz - 周波数軸 [Hz]
+     * @property {number[]=} timeSec - 時間軸 [sec]（スペクトログラムのみ。各列の最後のフレーム末尾の時刻）
+     * @property {ArrayLike<number>[]} levels - レベル [time][frequencyBin]
+     *      スペクトルの場合は 1 フレームのみ
+     * @property {number=} columnSec - 1 列の時間幅 [sec]（スペクトログラムのみ）
+     * @property {boolean=} merged - 1 列に複数のフレームを各ビンの最大値でまとめているか
+     *      （長い時間軸・大きな FFT サイズで、保持できる列数を超えるとき）
+     */
+
+    /**
+     * 解析条件のメタデータを作る
+     *
+     * @param {Object} config - currentConfig
+     * @param {number} sampleRate - 実際のサンプリング周波数 [Hz]
+     * @param {number} fftSize
+     * @param {CalibrationData|null} [calibration] - 使用中のマイクの周波数特性の校正
+     * @returns {Object<string, string|number>}
+     */
+    function buildMetadata(config, sampleRate, fftSize, calibration = null) {
+        const meta = {
+            application: "Web Sound Analyzer",
+            exportedAt: new Date().toISOString(),
+            sampleRateHz: sampleRate,
+            fftSize: fftSize,
+            window: config.fftWindow,
+            overlap: config.overlap,
+            hopSamples: Math.round(fftSize * (1 - config.overlap)),
+            scale: config.dbDisplay ? "dB" : "linear",
+            dbCorrectionGain: config.dbCorrectionGain
+        };
+        if (config.fftWindow === "Kaiser") {
+            meta.kaiserBeta = config.kaiserBeta;
+        }
+        meta.micCalibration = calibration ? calibration.name : "none";
+        if (calibration && calibration.sensitivityDb !== null) {
+            meta.micSensitivityDb = calibration.sensitivityDb;
+        }
+        return meta;
+    }
+
+    /**
+     * スペクトル（1 フレーム）を CSV にする
+     *
+     * @param {ExportData} data
+     * @param {Object} meta
+     * @returns {Blob}
+     */
+    function spectrumToCsv(data, meta) {
+        const unit = meta.scale === "dB" ? "level_dB" : "level_linear";
+        const level = data.levels[0];
+
+        const parts = metadataCsvLines(meta);
+        parts.push(`frequency_Hz,${unit}\n`);
+        data.frequencyHz.forEach((f, i) => {
+            parts.push(`${formatNumber(f)},${formatNumber(level[i])}\n`);
+        });
+        return new Blob(parts, { type: "text/csv" });
+    }
+
+    /**
+     * スペクトログラムを CSV にする
+     *
+     * 表計算ソフトの列数制限（16384 列）にかからないよう、
+     * 行を周波数、列を時間にする。
+     *
+     * @param {ExportData} data
+     * @param {Object} meta
+     * @returns {Blob}
+     */
+    function spectrogramToCsv(data, meta) {
+        const parts = metadataCsvLines(meta);
+        parts.push("frequency_Hz\\time_s," + data.timeSec.map(formatNumber).join(",") + "\n");
+
+        data.frequencyHz.forEach((f, bin) => {
+            const row = data.levels.map(column => formatNumber(column[bin]));
+            parts.push(formatNumber(f) + "," + row.join(",") + "\n");
+        });
+        return new Blob(parts, { type: "text/csv" });
+    }
+
+    /**
+     * JSON にする
+     *
+     * {
+     *   metadata: {...},
+     *   frequencyHz: [...],
+     *   timeSec: [...],        // スペクトログラムのみ
+     *   levels: [[...], ...]   // [time][frequencyBin]
+     * }
+     *
+     * @param {ExportData} data
+     * @param {Object} meta
+     * @returns {Blob}
+     */
+    function toJson(data, meta) {
+        const parts = [
+            "{\n",
+            `"metadata":${JSON.stringify(meta)},\n`,
+            `"frequencyHz":[${data.frequencyHz.map(formatNumber).join(",")}],\n`
+        ];
+        if (data.timeSec) {
+            parts.push(`"timeSec":[${data.timeSec.map(formatNumber).join(",")}],\n`);
+        }
+        parts.push(`"levels":[\n`);
+        data.levels.forEach((column, i) => {
+            const sep = i < data.levels.length - 1 ? ",\n" : "\n";
+            parts.push("[" + Array.from(column, formatNumber).join(",") + "]" + sep);
+        });
+        parts.push("]\n}\n");
+        return new Blob(parts, { type: "application/json" });
+    }
+
+    /**
+     * メタデータを CSV のコメント行（# key,value）にする
+     * pandas では comment="#" で読み飛ばせる
+     *
+     * @param {Object} meta
+     * @returns {string[]}
+     */
+    function metadataCsvLines(meta) {
+        return Object.entries(meta).map(([key, value]) => `# ${csvField(key)},${csvField(value)}\n`);
+    }
+
+    /**
+     * CSV のフィールドにする
+     * カンマ・ダブルクォートを含む場合はダブルクォートで囲む（RFC 4180）。
+     * コメント行が 1 行に収まるよう、改行は空白にする
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    function csvField(value) {
+        const text = String(value).replace(/[\r\n]+/g, " ");
+        if (!/[",]/.test(text)) return text;
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+
+    /**
+     * 数値を書き出し用の文字列にする（有効数字 7 桁）
+     * 数値でない場合は JSON としても読める null にする
+     *
+     * @param {number} value
+     * @returns {string}
+     */
+    function formatNumber(value) {
+        if (!Number.isFinite(value)) return "null";
+        return String(Number(value.toPrecision(7)));
+    }
+
+    /**
+     * 書き出しファイル名を作る
+     *
+     * @param {"spectrum"|"spectrogram"|"impulse"} kind
+     * @param {"csv"|"json"|"wav"} format
+     * @returns {string}
+     */
+    function buildFileName(kind, format) {
+        const d = new Date();
+        const pad = (n) => String(n).padStart(2, "0");
+        return `wsa_${kind}_${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+               `_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}.${format}`;
+    }
+
+    /**
+     * データを指定形式のファイルにする
+     *
+     * @param {"spectrum"|"spectrogram"} kind
+     * @param {"csv"|"json"} format
+     * @param {ExportData} data
+     * @param {Object} meta
+     * @returns {Blob}
+     */
+    function build(kind, format, data, meta) {
+        // スペクトログラムの列のまとめ方（フレームごとの値か、列内の最大値か）
+        if (data.columnSec !== undefined) {
+            meta = {
+                ...meta,
+                columnSec: data.columnSec,
+                columnMerge: data.merged ? "max" : "none"
+            };
+        }
+        if (format === "json") return toJson(data, meta);
+        return kind === "spectrogram"
+            ? spectrogramToCsv(data, meta)
+            : spectrumToCsv(data, meta);
+    }
+
+    return {
+        buildMetadata,
+        buildFileName,
+        build
+    };
+
+})();
@@ -0,0 +1,207 @@
+/******************************************************
+ * appGenerator.js
+ *
+ * 信号発生器
+ *
+ * 役割:
+ *  - 正弦波・スイープ・ホワイト／ピンクノイズ・マルチトーンの出力
+ *  - 出力レベルの設定（0 dBFS = フルスケールの正弦波）
+ *
+ * 計測（WebAudioSpectrumEngine）とは別の AudioContext で鳴らすので、
+ * 計測の開始・停止とは関係なく出力できる。
+ ******************************************************/
+
+/**
+ * 信号発生器の設定
+ *
+ * @typedef {Object} GeneratorSettings
+ * @property {"sine"|"sweep"|"white"|"pink"|"multitone"} type
+ * @property {number} levelDb - 出力レベル [dBFS]
+ *      正弦波・スイープはピーク、ノイズは実効値が同じレベルの正弦波と等しい。
+ *      マルチトーンは全体のピークがこのレベルを超えないよう、各トーンを本数で割る
+ * @property {number} frequency - 正弦波の周波数 [Hz]
+ * @property {number} sweepStartHz
+ * @property {number} sweepEndHz
+ * @property {number} sweepDurationSec - 1 回のスイープの長さ（繰り返す）[sec]
+ * @property {"linear"|"log"} sweepMode
+ * @property {number[]} multitoneFrequencies - マルチトーンの周波数 [Hz]
+ */
+
+class SignalGenerator {
+
+    /* コンストラクタ */
+    constructor() {
+        this.audioContext = null;
+        this.output = null;    // 出力レベル（GainNode）
+        /** @type {AudioScheduledSourceNode[]} */
+        this.sources = [];
+
+        /** @type {GeneratorSettings|null} 出力中の設定 */
+        this.settings = null;
+
+        // 開始・停止・レベル変更のフェード時間 [sec]（クリックノイズ防止）
+        this.fadeSec = 0.02;
+        // ノイズのループ長 [sec]
+        this.noiseSec = 10;
+    }
+
+    /**
+     * 出力を開始する（出力中なら新しい設定で鳴らし直す）
+     *
+     * @param {GeneratorSettings} settings
+     * @returns {Promise<void>}
+     */
+    async start(settings) {
+        this.stop();
+
+        const ctx = new AudioContext({ latencyHint: "interactive" });
+        this.audioContext = ctx;
+        this.settings = settings;
+
+        this.output = ctx.createGain();
+        this.output.gain.value = 0;
+        this.output.connect(ctx.destination);
+
+        const nyquist = ctx.sampleRate / 2;
+        const clampHz = (f) => Math.min(Math.max(f, 1), nyquist * 0.99);
+
+        switch (settings.type) {
+            case "sine":
+                this.addOscillator(clampHz(settings.frequency), 1);
+                break;
+
+            case "multitone": {
+                const freqs = settings.multitoneFrequencies.filter(f => f > 0 && f < nyquist);
+                freqs.forEach(f => this.addOscillator(f, 1 / freqs.length));
+                break;
+            }
+
+            case "sweep":
+                this.addBuffer(TestSignals.sweep(ctx.sampleRate, {
+                    startHz: clampHz(settings.sweepStartHz),
+                    endHz: clampHz(settings.sweepEndHz),
+                    durationSec: settings.sweepDurationSec,
+                    mode: settings.sweepMode,
+                    // 繰り返しのつなぎ目で音が飛ばないように
+                    fadeSec: Math.min(0.005, settings.sweepDurationSec / 4)
+                }));
+                break;
+
+            case "white":
+            case "pink":
+                this.addBuffer(TestSignals.noise(ctx.sampleRate, {
+                    color: settings.type,
+                    durationSec: this.noiseSec
+                }));
+                break;
+        }
+
+        // 自動再生の制限で suspended のまま作られることがある
+        if (ctx.state === "suspended") await ctx.resume();
+
+        // 待っている間に停止・切り替えされた
+        if (this.audioContext !== ctx) return;
+        this.setLevel(settings.levelDb);
+    }
+
+    /**
+     * 出力を停止する
+     */
+    stop() {
+        if (!this.audioContext) return;
+
+        const ctx = this.audioContext;
+        const sources = this.sources;
+        this.output.gain.setTargetAtTime(0, ctx.currentTime, this.fadeSec / 4);
+
+        // フェードアウトしてから止める
+        setTimeout(() => {
+            sources.forEach(source => source.stop());
+            ctx.close();
+        }, this.fadeSec * 1000 * 2);
+
+        this.audioContext = null;
+        this.output = null;
+        this.sources = [];
+        this.settings = null;
+    }
+
+    /**
+     * 出力レベルを変える（出力中のみ。音は途切れない）
+     * @param {number} levelDb - [dBFS]
+     */
+    setLevel(levelDb) {
+        if (!this.audioContext) return;
+
+        this.settings = { ...this.settings, levelDb };
+        this.output.gain.setTargetAtTime(
+            Math.pow(10, levelDb / 20),
+            this.audioContext.currentTime,
+            this.fadeSec / 4
+        );
+    }
+
+    /**
+     * 出力中か
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.audioContext !== null;
+    }
+
+    /**
+     * 出力中の設定
+     * @returns {GeneratorSettings|null}
+     */
+    getSettings() {
+        return this.settings;
+    }
+
+    /**
+     * 出力のサンプリング周波数（出力デバイスの既定値）
+     * @returns {number|null}
+     */
+    getSampleRate() {
+        return this.audioContext ? this.audioContext.sampleRate : null;
+    }
+
+    /**
+     * 正弦波の音源を加える
+     *
+     * @param {number} frequency - [Hz]
+     * @param {number} amplitude - ピーク
+     * @private
+     */
+    addOscillator(frequency, amplitude) {
+        const ctx = this.audioContext;
+        const osc = ctx.createOscillator();
+        osc.type = "sine";
+        osc.frequency.value = frequency;
+
+        const gain = ctx.createGain();
+        gain.gain.value = amplitude;
+
+        osc.connect(gain).connect(this.output);
+        osc.start();
+        this.sources.push(osc);
+    }
+
+    /**
+     * サンプル列を繰り返し再生する音源を加える
+     *
+     * @param {Float32Array} samples
+     * @private
+     */
+    addBuffer(samples) {
+        const ctx = this.audioContext;
+        const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+        buffer.copyToChannel(samples, 0);
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(this.output);
+        source.start();
+        this.sources.push(source);
+    }
+}
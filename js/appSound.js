@@ -1,13 +1,16 @@
 /******************************************************
  * WebAudioSpectrumEngine
  *
- * WebAudio API を用いてマイク入力から
+ * WebAudio API を用いてマイク入力（または音声ファイル）から
  * 周波数スペクトルを取得する低レベルエンジン
  *
  * 役割:
- *  - マイク取得
- *  - AudioContext / AnalyserNode 管理
- *  - FFT スペクトル配列の生成
+ *  - マイク取得 / 音声ファイルのデコード・再生
+ *  - AudioContext / AudioWorklet 管理
+ *  - 入力サンプルのリングバッファ管理
+ *  - 窓関数の管理（伝達関数の解析・ENBW の計算に使う）
+ *
+ * スペクトルの計算は解析用 Worker（SpectrumAnalysisWorker）が行う。
  ******************************************************/
 
 class WebAudioSpectrumEngine {
@@ -16,45 +19,82 @@ class WebAudioSpectrumEngine {
     constructor() {
         // WebAudioAPI
         this.audioContext = null;
-        this.analyser     = null;
+        this.captureNode  = null;
         this.mediaStream  = null;
-
-        this.freqData = null;
-        this.timeData = null;
-        this.linearBuffer = null;
+        this.bufferSource = null;   // ファイル再生時の音源
+        this.playbackSource = null; // 測定信号の再生（playSamples）
+
+        // 入力元 { type: "mic", deviceId?: string } | { type: "file", data: ArrayBuffer }
+        this.source = null;
+        // ファイル再生が最後まで終わったときに呼ばれる
+        this.onEnded = null;
+
+        // 入力サンプル
+        this.ring = null;
+        this.ring2 = null;         // ステレオ入力の 2 チャンネル目（伝達関数の基準）
+        this.channels = 1;
+        this.sharedIndex = null;   // SharedArrayBuffer 使用時の書き込み位置
+        this.lastSharedCount = 0;
+        this.captureStartFrame = null; // リングバッファの位置 0 の AudioContext フレーム
+
+        this.fftSize  = 2048;
+
+        // 窓関数
+        this.window = null;
+        this.windowInfo = null;
+        this.windowName = "Blackman";
+        this.kaiserBeta = 8.6;
 
         this.currentSampleRate = null;
     }
 
     /**
-     * マイクと AudioContext を初期化する
+     * 入力元と AudioContext を初期化する
      * 非同期で必ず1回だけ呼ぶ
      *
+     * @param {number} sampleRate
+     * @param {{type: "mic", deviceId?: string} | {type: "file", data: ArrayBuffer}} source
+     *      入力元。deviceId を省略したマイクは既定のデバイス。
+     *      ファイルの場合は実時間で再生しながら解析する
+     * @param {1|2} [channels=1] - 2 ならステレオ入力（1 チャンネル目＝測定、2 チャンネル目＝基準）
      * @returns {Promise<void>}
      */
-    async init(sampleRate = 44100) {
+    async init(sampleRate = 44100, source = { type: "mic" }, channels = 1) {
         /*
          * [接続図]
          *
-         *   【音源：Source】       【加工・解析：Analyser】  【出口：Destination】
-         *   (マイク)               (分析器)                 (スピーカーなど)
+         *   【音源：Source】       【取得：Capture】         【出口：Destination】
+         *   (マイク)               (AudioWorklet)           (スピーカーなど)
          *       |                      |                      |
-         *   [mediaStream] --------> [analyser] ---- × ----> [Speaker]
+         *   [mediaStream] --------> [captureNode] -- × --> [Speaker]
          *       |          接続         |
          *       +------- connect -------+
-         *   ※この段階では、スピーカーは未接続
+         *   ※マイクの場合、スピーカーは未接続
+         *
+         *   [bufferSource] -------> [captureNode]
+         *       |
+         *       +---------------------------------------> [Speaker]
+         *   ※ファイルの場合は再生音を聞けるようにスピーカーへも接続
+         *
+         *   [playbackSource] ---------------------------------> [Speaker]
+         *   ※インパルス応答の測定ではスイープを同じ AudioContext で再生する（playSamples）
+         *
+         *   captureNode は全サンプルをリングバッファへ書き込む。
+         *   メインスレッドはリングバッファから新しいサンプルを読み出し、解析用 Worker へ送る。
+         *   ステレオ入力では 2 チャンネル目を ring2 へ書き込む。
          */
+        this.source = source;
+        this.channels = channels === 2 ? 2 : 1;
 
         // 音源（マイク）
-        this.mediaStream = await navigator.mediaDevices.getUserMedia({
-            audio: {
-                echoCancellation: false,   // エコーキャンセル
-                noiseSuppression: false,   // ノイズ抑制
-                autoGainControl: false,    // 自動ゲイン調整
-                channelCount: 1            // モノラル
-            },
-            video: false
-        });
+        if (source.type === "mic") {
+            this.mediaStream = await this._openMicrophone(source.deviceId);
+
+            // 計測中にデバイスが取り外された
+            this.mediaStream.getAudioTracks()[0].addEventListener("ended", () => {
+                if (this.onEnded) this.onEnded();
+            });
+        }
 
         this.audioContext = new AudioContext({
             sampleRate: sampleRate,
@@ -62,30 +102,215 @@ class WebAudioSpectrumEngine {
         });
         this.currentSampleRate = this.audioContext.sampleRate;
 
-        const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+        // 取得ノード
+        await this._initCapture();
+
+        if (source.type === "file") {
+            // 音源（ファイル）: AudioContext のサンプリング周波数へリサンプリングされる
+            // decodeAudioData は渡したバッファを使えなくするので複製を渡す
+            const audioBuffer = await this.audioContext.decodeAudioData(source.data.slice(0));
+            this.bufferSource = this.audioContext.createBufferSource();
+            this.bufferSource.buffer = audioBuffer;
+            this.bufferSource.onended = () => {
+                if (this.onEnded) this.onEnded();
+            };
+            // 多チャンネルは captureNode 側（channelCount: 1）でモノラルにダウンミックスされる
+            // （ステレオ入力では channelCount: 2 なので L・R がそのまま入る）
+            this.bufferSource.connect(this.captureNode);
+            this.bufferSource.connect(this.audioContext.destination);
+            this.bufferSource.start();
+        } else {
+            const mediaSource = this.audioContext.createMediaStreamSource(this.mediaStream);
+            mediaSource.connect(this.captureNode);
+        }
+
+        // バッファ確保
+        this._reallocBuffers();
+    }
 
-        // 分析器
-        this.analyser = this.audioContext.createAnalyser();
+    /**
+     * マイクを開く
+     *
+     * 指定したデバイスが見つからない（取り外された）場合は、既定のデバイスを使う。
+     *
+     * @param {string} [deviceId] - 省略時は既定のデバイス
+     * @returns {Promise<MediaStream>}
+     * @private
+     */
+    async _openMicrophone(deviceId) {
+        const audio = {
+            echoCancellation: false,   // エコーキャンセル
+            noiseSuppression: false,   // ノイズ抑制
+            autoGainControl: false,    // 自動ゲイン調整
+            channelCount: this.channels
+        };
 
-        // 最低限の初期設定
-        this.analyser.smoothingTimeConstant = 0;
-        // this.analyser.minDecibels = -100
+        if (deviceId) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({
+                    audio: { ...audio, deviceId: { exact: deviceId } },
+                    video: false
+                });
+            } catch (err) {
+                if (err.name !== "NotFoundError" && err.name !== "OverconstrainedError") throw err;
+                console.warn("WebAudioSpectrumEngine: 指定の入力デバイスが見つからないため既定のデバイスを使います。", err);
+            }
+        }
 
-        source.connect(this.analyser);
+        return await navigator.mediaDevices.getUserMedia({ audio, video: false });
+    }
+
+    /**
+     * デコード済みのサンプル列全体を入力として初期化する（ファイル一括解析用）
+     *
+     * AudioContext は作らず、全サンプルを格納したリングバッファから
+     * フレームを切り出せるようにする。
+     *
+     * @param {Float32Array} samples - モノラル（ステレオ入力では 1 チャンネル目）のサンプル列
+     * @param {number} sampleRate
+     * @param {Float32Array} [samples2] - ステレオ入力の 2 チャンネル目（同じ長さ）
+     */
+    initFromSamples(samples, sampleRate, samples2) {
+        this.source = { type: "samples" };
+        this.channels = samples2 ? 2 : 1;
+        this.currentSampleRate = sampleRate;
+
+        // 全体が収まるので上書きは起きない
+        this.ring = new SampleRingBuffer(samples.length, samples);
+        this.ring.advance(samples.length);
+        if (samples2) {
+            this.ring2 = new SampleRingBuffer(samples2.length, samples2);
+            this.ring2.advance(samples2.length);
+        }
 
-        // バッファ確保
         this._reallocBuffers();
     }
 
+    /**
+     * AudioWorklet とリングバッファを準備する
+     *
+     * SharedArrayBuffer はクロスオリジン分離（COOP/COEP）された
+     * ページでしか使えないため、使えない場合は postMessage で受け取る。
+     * @private
+     */
+    async _initCapture() {
+        await this.audioContext.audioWorklet.addModule("./js/captureWorklet.js");
+
+        // 約 8 秒分（メインスレッドが止まっても取りこぼさない余裕）
+        const capacity = Math.pow(2, Math.ceil(Math.log2(this.currentSampleRate * 8)));
+
+        const useShared = (typeof SharedArrayBuffer !== "undefined") && self.crossOriginIsolated;
+        const stereo = this.channels === 2;
+        const processorOptions = { channels: this.channels };
+
+        if (useShared) {
+            const sharedData  = new SharedArrayBuffer(capacity * Float32Array.BYTES_PER_ELEMENT);
+            const sharedIndex = new SharedArrayBuffer(Uint32Array.BYTES_PER_ELEMENT);
+            this.ring = new SampleRingBuffer(capacity, new Float32Array(sharedData));
+            this.sharedIndex = new Uint32Array(sharedIndex);
+            this.lastSharedCount = 0;
+            processorOptions.sharedData  = sharedData;
+            processorOptions.sharedIndex = sharedIndex;
+
+            if (stereo) {
+                const sharedData2 = new SharedArrayBuffer(capacity * Float32Array.BYTES_PER_ELEMENT);
+                this.ring2 = new SampleRingBuffer(capacity, new Float32Array(sharedData2));
+                processorOptions.sharedData2 = sharedData2;
+            }
+        } else {
+            this.ring = new SampleRingBuffer(capacity);
+            this.ring2 = stereo ? new SampleRingBuffer(capacity) : null;
+            this.sharedIndex = null;
+        }
+
+        // 出力なしのノード（スピーカーへは繋がない）
+        this.captureNode = new AudioWorkletNode(this.audioContext, "capture-processor", {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: this.channels,
+            channelCountMode: "explicit",
+            processorOptions
+        });
+
+        this.captureStartFrame = null;
+        this.captureNode.port.onmessage = (event) => {
+            if (event.data.type === "start") {
+                this.captureStartFrame = event.data.frame;
+            } else if (event.data.type === "samples") {
+                // destroy() 後に届いた分は捨てる
+                if (!this.ring) return;
+                this.ring.write(event.data.samples);
+                if (this.ring2) this.ring2.write(event.data.samples2);
+            }
+        };
+    }
+
     /**
      * バッファ再確保
      * @private
      */
     _reallocBuffers() {
-        // 出力先を確保
-        this.freqData     = new Float32Array(this.analyser.frequencyBinCount);
-        this.linearBuffer = new Float32Array(this.analyser.frequencyBinCount);
-        this.timeData     = new Float32Array(this.analyser.fftSize);
+        this._rebuildWindow();
+    }
+
+    /**
+     * 窓関数の再生成
+     * @private
+     */
+    _rebuildWindow() {
+        this.window = WindowFunctions.create(this.windowName, this.fftSize, {
+            kaiserBeta: this.kaiserBeta
+        });
+        this.windowInfo = WindowFunctions.getInfo(this.window);
+    }
+
+    /**
+     * 使用中の窓関数の特性値を取得する
+     * @returns {{ coherentGain: number, enbw: number }|null}
+     */
+    getWindowInfo() {
+        return this.windowInfo;
+    }
+
+    /**
+     * 使用中の窓関数
+     * @returns {Float32Array|null}
+     */
+    getWindow() {
+        return this.window;
+    }
+
+    /**
+     * 入力チャンネル数
+     * @returns {1|2}
+     */
+    getChannelCount() {
+        return this.channels;
+    }
+
+    /**
+     * 入力デバイス（マイク）を取得する
+     * @returns {{ deviceId: string, label: string }|null} ファイル入力のときは null
+     */
+    getInputDevice() {
+        const track = this.mediaStream ? this.mediaStream.getAudioTracks()[0] : null;
+        if (!track) return null;
+        return {
+            deviceId: track.getSettings().deviceId || "default",
+            label: track.label
+        };
+    }
+
+    /**
+     * 窓関数設定
+     * @param {string} name - "Blackman" | "Hanning" | "Hamming" | "BlackmanHarris" | "FlatTop" | "Kaiser" | "Rect"
+     * @param {number} kaiserBeta - カイザー窓のβ（Kaiser 以外では無視）
+     */
+    setWindow(name, kaiserBeta) {
+        if (this.windowName === name && this.kaiserBeta === kaiserBeta) return;
+        this.windowName = name;
+        this.kaiserBeta = kaiserBeta;
+        if (this.window) this._rebuildWindow();
     }
 
     /**
@@ -93,9 +318,9 @@ class WebAudioSpectrumEngine {
      * @param {number} fftSize
      */
     setFftSize(fftSize) {
-        if (!this.analyser) return;
-        if (this.analyser.fftSize !== fftSize) {
-            this.analyser.fftSize = fftSize;
+        if (!this.ring) return;
+        if (this.fftSize !== fftSize) {
+            this.fftSize = fftSize;
             this._reallocBuffers();
         }
     }
@@ -109,11 +334,13 @@ class WebAudioSpectrumEngine {
 
         if (this.currentSampleRate === sampleRate) return;
 
+        const source = this.source;
+
         // 破棄
         await this.destroy();
 
-        // 再初期化
-        await this.init(sampleRate);
+        // 再初期化（ファイルの場合は先頭から再生し直す）
+        await this.init(sampleRate, source, this.channels);
     }
 
     /**
@@ -122,73 +349,86 @@ class WebAudioSpectrumEngine {
      * @param {Object} config
      */
     async updateConfig(config) {
-        if (!this.audioContext) return;
+        if (!this.ring) return;
 
-        // サンプリング周波数
+        // サンプリング周波数（一括解析用のサンプル列は呼び出し側でデコードし直す）
         await this.setSamplingRate(config.samplingRate);
 
         // FFTサイズ
         this.setFftSize(config.fftSize);
+
+        // 窓関数
+        this.setWindow(config.fftWindow, config.kaiserBeta);
     }
 
     /**
-     * FFT スペクトルを取得する
+     * 書き込み済みサンプル総数（次に届くサンプルの絶対位置）を取得する
      *
-     * MeasurementController から周期的に呼ばれる
-     *
-     * @param {"db"|"linear"} mode
-     * @returns {Float32Array}
-     *   - 周波数ビン配列（dB値）
+     * 共有メモリモードでは AudioWorklet が進めた位置をここで取り込む。
+     * @returns {number}
      */
-    getSpectrum(mode = "db") {
-        if (!this.analyser) return null;
-
-        const MIN_DB = -120;
-
-        this.analyser.getFloatFrequencyData(this.freqData);
-
-        // -Infinity対策
-        for (let i = 0; i < this.freqData.length; i++) {
-            if (!Number.isFinite(this.freqData[i])) {
-                this.freqData[i] = MIN_DB;
-            }
+    getWriteIndex() {
+        if (!this.ring) return 0;
+
+        if (this.sharedIndex) {
+            const count = Atomics.load(this.sharedIndex, 0);
+            // Uint32 で一周しても差分は正しく求まる
+            const delta = (count - this.lastSharedCount) >>> 0;
+            this.lastSharedCount = count;
+            this.ring.advance(delta);
+            if (this.ring2) this.ring2.advance(delta);
         }
+        return this.ring.writeIndex;
+    }
 
-        if (mode === "db") {
-            return this.freqData;
-        } else {
-            // linearに変換
-            for (let i = 0; i < this.freqData.length; i++) {
-                this.linearBuffer[i] = Math.pow(10, this.freqData[i] / 20);
-            }
-            return this.linearBuffer;
-        }
+    /**
+     * リングバッファに残っている最古のサンプル位置を取得する
+     * @returns {number}
+     */
+    getOldestIndex() {
+        if (!this.ring) return 0;
+        return this.ring.getOldestIndex();
     }
 
     /**
-     * 波形データを取得する（最小実装）
+     * 波形データを取得する（最新 fftSize サンプル）
      *
      * @returns {Float32Array}
      */
     getWaveform() {
-        if (!this.analyser) return null;
+        if (!this.ring) return null;
 
-        this.analyser.getFloatTimeDomainData(this.timeData);
-        return this.timeData;
+        const out = new Float32Array(this.fftSize);
+        if (!this.ring.read(this.getWriteIndex() - this.fftSize, out)) return null;
+        return out;
+    }
+
+    /**
+     * 指定したサンプル位置から入力サンプルをそのまま読み出す
+     *
+     * @param {number} startIndex - 絶対サンプル位置
+     * @param {Float32Array} out - 読み出し先（長さ分読む）
+     * @param {0|1} [channel=0] - 1 はステレオ入力の 2 チャンネル目
+     * @returns {boolean} リングバッファに残っていれば true
+     */
+    readSamples(startIndex, out, channel = 0) {
+        const ring = channel === 1 ? this.ring2 : this.ring;
+        if (!ring) return false;
+        return ring.read(startIndex, out);
     }
 
     /**
      * サンプリング周波数取得
      */
     getSampleRate() {
-        return this.audioContext.sampleRate;
+        return this.currentSampleRate;
     }
 
     /**
      * FFTサイズ取得
      */
     getFFTSize() {
-        return this.analyser.fftSize;
+        return this.fftSize;
     }
 
     /**
@@ -196,8 +436,8 @@ class WebAudioSpectrumEngine {
      * @returns {number[]}
      */
     getFrequencyAxis() {
-        const sampleRate = this.audioContext.sampleRate;
-        const fftSize = this.analyser.fftSize;
+        const sampleRate = this.currentSampleRate;
+        const fftSize = this.fftSize;
         const binCount = fftSize / 2;
         const df = sampleRate / fftSize;
 
@@ -215,1017 +455,4552 @@ class WebAudioSpectrumEngine {
         return this.audioContext.currentTime;
     }
 
+    /**
+     * サンプル列をスピーカーへ再生する（インパルス応答の測定用）
+     *
+     * 録音と同じ AudioContext のフレーム位置に合わせて再生を始めるので、
+     * 戻り値のサンプル位置から読めば再生した信号と同じ時刻の入力になる
+     * （出力・入力の遅延と音の到達時間の分だけ遅れて届く）。
+     *
+     * @param {Float32Array} samples - AudioContext のサンプリング周波数のサンプル列
+     * @param {number} [leadSec=0.3] - 再生開始までの余裕 [sec]
+     * @returns {number} 再生を始めるサンプル位置（getWriteIndex と同じ絶対位置）
+     */
+    playSamples(samples, leadSec = 0.3) {
+        if (!this.audioContext || this.captureStartFrame === null) {
+            throw new Error("入力の準備ができていません。");
+        }
+        this.stopPlayback();
+
+        const ctx = this.audioContext;
+        const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+        buffer.copyToChannel(samples, 0);
+
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(ctx.destination);
+
+        // フレーム境界ちょうどに始める
+        const startFrame = Math.ceil((ctx.currentTime + leadSec) * ctx.sampleRate);
+        source.start(startFrame / ctx.sampleRate);
+        this.playbackSource = source;
+
+        return startFrame - this.captureStartFrame;
+    }
+
+    /**
+     * playSamples の再生を止める
+     */
+    stopPlayback() {
+        if (!this.playbackSource) return;
+        this.playbackSource.stop();
+        this.playbackSource.disconnect();
+        this.playbackSource = null;
+    }
+
     /**
      * リソースを破棄する
      */
     destroy() {
+        this.stopPlayback();
+        if (this.bufferSource) {
+            this.bufferSource.onended = null;
+            this.bufferSource.stop();
+        }
+        if (this.captureNode) {
+            this.captureNode.port.postMessage("stop");
+            this.captureNode.port.onmessage = null;
+            this.captureNode.disconnect();
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+        }
         if (this.audioContext) {
             this.audioContext.close();
         }
         this.audioContext = null;
-        this.analyser     = null;
+        this.captureNode  = null;
         this.mediaStream  = null;
+        this.bufferSource = null;
+        this.ring         = null;
+        this.ring2        = null;
+        this.sharedIndex  = null;
+        this.window       = null;
+        this.windowInfo   = null;
     }
 }
 
 
 /******************************************************
- * MeasurementController
+ * SpectrumAnalysisWorker
  *
- * 計測全体の統括コントローラ
+ * 解析用 Worker（analysisWorker.js）の窓口
  *
  * 役割:
- *  - WebAudioSpectrumEngine の管理
- *  - 内部データ循環ループ
- *  - GraphManager へ渡すデータ生成
+ *  - 入力サンプルのブロックを Worker へ送る（配列は転送するのでコピーしない）
+ *  - Worker が返したスペクトル・音程・レベルの読み取り値・トリガーした波形をコールバックで渡す
+ *  - 設定を変えたら世代を進め、古い設定で計算された結果を捨てる
+ *  - ファイル全体の一括解析の依頼
  ******************************************************/
 
-const MeasurementController = (function () {
-
-    /**
-     * 内部状態機械
-     * @type {string}
-     * - STOPPED  : AudioContext が存在しない。ノードもストリームも全破棄済み
-     * - STARTING : 非同期初期化中。まだ計測は始まっていない
-     * - RUNNING  : マイク → FFT → バッファ生成 が周期実行中
-     */
-    let state = "STOPPED"; // STOPPED / STARTING / RUNNING
-
-    let engine = null;
-
-    let animationId = null;
-
-    /** 
-     * FFT フレーム更新周期（hop）
-     * @type {number} ホップ時間 [sec]
-     * 
-     * 次の式で求められます。
-     * 
-     *  hopTimeSec = (分析データ長 / サンプリング周波数) * (1.0 - オーバーラップ率);
-     * 
-     * 補足：
-     * この値はあくまで目安として機能します。
-     * 指定したホップ時間がそのままデータの更新間隔とイコールになるわけではありません。
-     * 長い時間を指定すれば時間当たりのデータ量が減り、小さい時間を指定すれば時間当たりのデータ量が減少するという程度の精度で機能します。
-     * また、画像描画の更新頻度（60Hz）を超えて動作させることは出来ません。
-    */
-    let hopTimeSec = 0;
-    let lastFFTTime = 0;
-
-    // 最新のスペクトル
-    let latestSpectrum = null;
-    let latestWaveform = null;
-
-    // 時間管理
-    let measurementStartTime = 0; // 計測開始時刻（AudioContext基準）
-    let latestTimeSec = 0;        // 最新フレームの時間 [sec]
-
-    /**
-     * 計測を開始する
-     *
-     * 状態遷移:
-     * STOPPED → STARTING → RUNNING
-     */
-    async function start() {
-        if (state !== "STOPPED") return;
-
-        state = "STARTING";
-
-        engine = new WebAudioSpectrumEngine();
-        await engine.init(currentConfig.samplingRate);
-        engine.updateConfig(currentConfig);
-
-        measurementStartTime = engine.getCurrentTime();
-        state = "RUNNING";
+class SpectrumAnalysisWorker {
 
-        loop();
+    /* コンストラクタ */
+    constructor() {
+        this.worker = new Worker("./js/analysisWorker.js");
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => this._handleError(event);
+
+        // 今の設定の世代（これと違う世代の結果は捨てる）
+        this.generation = 0;
+
+        /** @type {((frames: { spectrum: Float32Array, sampleIndex: number, timeSec: number }[]) => void)|null} */
+        this.onFrames = null;
+        /** @type {((reading: PitchReading|null) => void)|null} */
+        this.onPitch = null;
+        /** @type {((readings: Object) => void)|null} */
+        this.onLevel = null;
+        /** @type {((capture: Object|null, status: string) => void)|null} */
+        this.onTrigger = null;
+
+        /**
+         * 実行中の一括解析
+         * @type {{ id: number, resolve: Function, reject: Function, onProgress?: Function }|null}
+         */
+        this.batch = null;
+        this.batchSeq = 0;
     }
 
     /**
-     * 計測を停止する
-     *
-     * 状態遷移:
-     * RUNNING → STOPPED
+     * 解析の設定を変える（解析位置はそのまま続ける）
+     * @param {SpectrumAnalysisSettings} settings
      */
-    function stop() {
-        if (state === "STOPPED") return;
-
-        cancelAnimationFrame(animationId);
-
-        engine.destroy();
-        engine = null;
-
-        state = "STOPPED";
+    configure(settings) {
+        this.generation++;
+        this.worker.postMessage({ type: "configure", generation: this.generation, settings });
     }
 
     /**
-     * 設定変更を反映する
-     *
-     * RUNNING 中は一度 stop → start する前提
-     *
-     * @param {Object} config
+     * 解析位置をリセットする（それまでに送ったサンプルの結果は捨てる）
+     * @param {number} startIndex - 次に送るサンプルの絶対位置
      */
-    async function updateConfig(config) {
-        if (!engine) return;
-        await engine.updateConfig(config);
-
-        // FFT フレーム更新周期（hop）
-        const fftSize = config.fftSize;
-        const sampleRate = engine.getSampleRate();
-        const overlap = config.overlap ?? 0.0; // 将来用
-        // ホップ時間 [sec]
-        hopTimeSec = (fftSize / sampleRate) * (1.0 - overlap);
+    reset(startIndex) {
+        this.generation++;
+        this.worker.postMessage({ type: "reset", generation: this.generation, startIndex });
     }
 
     /**
-     * 内部メインループ
+     * 入力サンプルのブロックを送る
      *
-     * RUNNING 中のみ回る
+     * samples は転送するので、呼び出し後は使えなくなる。
+     *
+     * @param {number} startIndex - samples[0] の絶対位置
+     * @param {Float32Array} samples
+     * @param {Object} [requests]
+     * @param {boolean} [requests.pitch=false] - 最新の波形から音程も推定するか
+     * @param {boolean} [requests.waveform=false] - 波形のトリガーも走査するか
      */
-    function loop() {
-        if (state !== "RUNNING") return;
-
-        buildGraphData();
-
-        animationId = requestAnimationFrame(loop);
+    postSamples(startIndex, samples, { pitch = false, waveform = false } = {}) {
+        this.worker.postMessage({ type: "samples", startIndex, samples, pitch, waveform }, [samples.buffer]);
     }
 
     /**
-     * スペクトル取得
+     * 波形のトリガーを設定する（シングルは待ち状態に戻る）
+     * @param {TriggerSettings} settings
      */
-    function getSpectrum() {
-        return latestSpectrum;
+    configureTrigger(settings) {
+        this.worker.postMessage({ type: "configureTrigger", settings });
     }
 
     /**
-     * 波形取得
+     * シングルで再びトリガーを待つ
      */
-    function getWaveform() {
-        return latestWaveform;
+    armTrigger() {
+        this.worker.postMessage({ type: "armTrigger" });
     }
 
     /**
-     * サンプリング周波数取得
+     * サウンドレベルメーターを作り直す（それまでの読み取り値は捨てる）
+     *
+     * @param {{ sampleRate: number, frequencyWeighting: string, timeWeighting: string,
+     *           intervalSec: number, calibrationDb: number }} options
      */
-    function getSampleRate() {
-        if (!engine) return;
-        return engine.getSampleRate();
+    resetLevelMeter(options) {
+        this.generation++;
+        this.worker.postMessage({ type: "resetLevelMeter", generation: this.generation, options });
     }
 
     /**
-     * FFTサイズ取得
+     * サウンドレベルメーターの補正ゲインだけを変える（読み取り値は保つ）
+     * @param {number} calibrationDb
      */
-    function getFFTSize() {
-        if (!engine) return;
-        return engine.getFFTSize();
+    setLevelCalibration(calibrationDb) {
+        this.worker.postMessage({ type: "setLevelCalibration", calibrationDb });
     }
 
     /**
-     * 周波数軸（Hz）を取得
-     * @returns {number[]}
+     * Lmax / Lmin / Leq・区間 Leq をリセットする
      */
-    function getFrequencyAxis() {
-        if (!engine) return;
-        return engine.getFrequencyAxis();
+    resetLevelStatistics() {
+        this.worker.postMessage({ type: "resetLevelStatistics" });
     }
 
     /**
-     * グラフ描画用データを構築する
+     * サンプル列全体を一括で解析する
      *
-     * WebAudio → MeasurementController → GraphManager
-     * の結節点
+     * samples は転送するので、呼び出し後は使えなくなる。
+     *
+     * @param {Float32Array} samples
+     * @param {SpectrumAnalysisSettings} settings
+     * @param {Object} options
+     * @param {number} options.maxFrames - 返す最大フレーム数（超える分は最大値でまとめる）
+     * @param {Object} options.levelMeter - サウンドレベルメーターの設定（resetLevelMeter と同じ）
+     * @param {TriggerSettings} options.trigger - 波形のトリガーの設定
+     * @param {(progress: number) => void} [options.onProgress] - 進捗（0～1）
+     * @returns {Promise<{ frames: { spectrum: Float32Array, sampleIndex: number, timeSec: number }[],
+     *                     latestSpectrum: Float32Array|null, pitch: PitchReading|null, level: Object,
+     *                     trigger: { capture: Object|null, status: string } }>}
      */
-    function buildGraphData() {
-        if (!engine) return;
-
-        const now = performance.now() / 1000; // [sec]
-
-        // hopTime 未経過なら何もしない
-        if (now - lastFFTTime < hopTimeSec) {
-            return;
-        }
-        lastFFTTime = now;
-
-        // FFT
-        // デシベルの補正ゲインで補正。
-        // 本来ならデバイスごとに異なるマイクの補正ゲインで補正すべきだが、今回は省略。
-        const raw = engine.getSpectrum(
-            currentConfig.dbDisplay ? "db" : "linear"
-        );
-        if (!raw) return;
-        
-        // 補正
-        if (currentConfig.dbDisplay) {
-            latestSpectrum = applyDbOffset(raw, currentConfig.dbCorrectionGain);
-        } else {
-            latestSpectrum = applyLinearGain(raw, currentConfig.dbCorrectionGain);
-        }
-
-        // 波形, 時間軸（FFT）
-        latestWaveform = engine.getWaveform();
-        latestTimeSec  = engine.getCurrentTime() - measurementStartTime;
+    analyzeAll(samples, settings, options) {
+        if (this.batch) this.batch.reject(new Error("一括解析が中断されました。"));
+
+        const id = ++this.batchSeq;
+        return new Promise((resolve, reject) => {
+            this.batch = { id, resolve, reject, onProgress: options.onProgress };
+            this.worker.postMessage({
+                type: "analyzeAll",
+                id,
+                samples,
+                settings,
+                maxFrames: options.maxFrames,
+                levelMeter: options.levelMeter,
+                trigger: options.trigger
+            }, [samples.buffer]);
+        });
     }
 
     /**
-     * デシベル値の配列を指定値で増幅する
-     * デシベル値の配列にoffsetDbを加算します。
-     * 
-     * @param {*} rawSpectrum 
-     * @param {*} offsetDb 
-     * @returns 
+     * Worker からの結果を振り分ける
+     * @param {Object} message
+     * @private
      */
-    function applyDbOffset(rawSpectrum, offsetDb) {
-        const out = new Float32Array(rawSpectrum.length);
-        for (let i = 0; i < rawSpectrum.length; i++) {
-            out[i] = rawSpectrum[i] + offsetDb;
+    _handleMessage(message) {
+        switch (message.type) {
+            case "frames":
+                if (message.generation === this.generation && this.onFrames) this.onFrames(message.frames);
+                break;
+            case "pitch":
+                if (message.generation === this.generation && this.onPitch) this.onPitch(message.reading);
+                break;
+            case "level":
+                if (message.generation === this.generation && this.onLevel) this.onLevel(message.readings);
+                break;
+            case "trigger":
+                if (message.generation === this.generation && this.onTrigger) {
+                    this.onTrigger(message.capture, message.status);
+                }
+                break;
+            case "progress":
+                if (this.batch && this.batch.id === message.id && this.batch.onProgress) {
+                    this.batch.onProgress(message.progress);
+                }
+                break;
+            case "analyzed":
+                if (this.batch && this.batch.id === message.id) {
+                    const batch = this.batch;
+                    this.batch = null;
+                    batch.resolve(message);
+                }
+                break;
         }
-        return out;
     }
 
     /**
-     * リニア値の配列を指定値で増幅する
-     * リニア値の配列にoffsetDbで増幅します。
-     * 
-     * @param {*} rawSpectrum 
-     * @param {*} offsetDb 
-     * @returns 
+     * Worker 内で例外が起きた（読み込みの失敗を含む）
+     * @param {ErrorEvent} event
+     * @private
      */
-    function applyLinearGain(rawSpectrum, offsetDb) {
-        const gain = Math.pow(10, offsetDb / 20); // dB → 倍率
-        const out = new Float32Array(rawSpectrum.length);
-        for (let i = 0; i < rawSpectrum.length; i++) {
-            out[i] = rawSpectrum[i] * gain;
+    _handleError(event) {
+        console.error("SpectrumAnalysisWorker: 解析中にエラーが発生しました:", event.message);
+        if (this.batch) {
+            const batch = this.batch;
+            this.batch = null;
+            batch.reject(new Error("音声ファイルを解析できませんでした。"));
         }
-        return out;
     }
+}
 
-    /**
-     * 最新のスペクトログラム用データを取得
-     * @returns {{ spectrum: Float32Array, timeSec: number } | null}
-     */
-    function getGraphData() {
-        if (!latestSpectrum) return null;
 
-        return {
+/******************************************************
+ * MeasurementController
+ *
+ * 計測全体の統括コントローラ
+ *
+ * 役割:
+ *  - WebAudioSpectrumEngine の管理
+ *  - 内部データ循環ループ
+ *  - GraphManager へ渡すデータ生成
+ ******************************************************/
+
+const MeasurementController = (function () {
+
+    /**
+     * 内部状態機械
+     * @type {string}
+     * - STOPPED   : AudioContext が存在しない。ノードもストリームも全破棄済み
+     *               （ファイル一括解析の直後は、軸情報のためにエンジンだけ残る）
+     * - STARTING  : 非同期初期化中。まだ計測は始まっていない
+     * - RUNNING   : 入力 → 解析用 Worker → バッファ生成 が周期実行中
+     * - ANALYZING : ファイル一括解析中
+     */
+    let state = "STOPPED"; // STOPPED / STARTING / RUNNING / ANALYZING
+
+    let engine = null;
+
+    let animationId = null;
+
+    /** 
+     * FFT フレーム更新周期（hop）
+     * @type {number} ホップ長 [サンプル]
+     * 
+     * 次の式で求められます。
+     * 
+     *  hopSamples = 分析データ長 * (1.0 - オーバーラップ率);
+     * 
+     * 補足：
+     * フレームはリングバッファ上のサンプル位置で切り出すため、
+     * 描画の更新頻度（60Hz）とは無関係に、正確に hopSamples ごとのフレームが得られます。
+     * オーバーラップ率は 0 / 0.5 / 0.75 / 0.875 のいずれかで、
+     * FFTサイズが2のべき乗なので hopSamples は常に整数になります。
+    */
+    let hopSamples = 2048;
+
+    /**
+     * 解析用 Worker（スペクトル・音程・サウンドレベルメーター）
+     * 最初に使うときに作り、停止後も使い回す
+     * @type {SpectrumAnalysisWorker|null}
+     */
+    let analysis = null;
+
+    /**
+     * 次に解析用 Worker へ送るサンプルの絶対位置
+     * @type {number}
+     */
+    let analysisIndex = 0;
+
+    /**
+     * 解析済みフレームの履歴（GraphManager が差分を取り出す）
+     *
+     * @typedef {Object} SpectrumFrame
+     * @property {number} seq - 通し番号
+     * @property {Float32Array} spectrum - 補正済みスペクトル
+     * @property {number} sampleIndex - フレーム先頭の絶対サンプル位置
+     * @property {number} timeSec - フレーム末尾の時刻 [sec]（計測開始基準）
+     *
+     * @type {SpectrumFrame[]}
+     */
+    let frames = [];
+    let frameSeq = 0;
+    const MAX_FRAME_HISTORY = 256;
+
+    /**
+     * ファイル一括解析で返す最大フレーム数
+     * これを超える場合は、連続するフレームをまとめて各ビンの最大値を取る
+     * （画面の横幅以上の列があっても見えないため）
+     */
+    const MAX_BATCH_FRAMES = 2000;
+
+    // 最新のスペクトル
+    let latestSpectrum = null;
+    let latestWaveform = null;
+    let latestWaveformTimeSec = 0;  // 最新の波形の末尾の時刻 [sec]
+
+    /**
+     * 次にサンプルを送るとき、音程も推定してもらうか
+     * getPitch() が呼ばれたときだけ立てる
+     */
+    let pitchRequested = false;
+
+    /**
+     * 解析用 Worker が最新の波形から推定した音程
+     *
+     * @typedef {Object} PitchReading
+     * @property {number} timeSec - 波形の末尾の時刻 [sec]（SpectrumFrame と同じ基準）
+     * @property {number|null} frequency - 基本周波数 [Hz]。音程がなければ null
+     * @property {number} clarity - 周期性（0～1）
+     *
+     * @type {PitchReading|null}
+     */
+    let latestPitch = null;
+
+    /**
+     * 次にサンプルを送るとき、波形のトリガーも走査してもらうか
+     * getTriggeredWaveform() が呼ばれたときだけ立てる
+     */
+    let waveformRequested = false;
+
+    /**
+     * 最後にトリガーした波形（normal・single ではトリガーがかかるまで前の波形のまま）
+     *
+     * @typedef {Object} TriggeredWaveform
+     * @property {Float32Array} samples - fftSize サンプル
+     * @property {number|null} triggerIndex - 波形の中のトリガー位置 [サンプル]
+     *      （auto でトリガーがかからずそのまま出したときは null）
+     *
+     * @type {TriggeredWaveform|null}
+     */
+    let triggeredWaveform = null;
+
+    /**
+     * トリガーの状態
+     * @type {"waiting"|"triggered"|"auto"|"stopped"}
+     */
+    let triggerStatus = "waiting";
+
+    /** 解析用 Worker へ送ったトリガーの設定（変わったときだけ送る） */
+    let triggerSettingsKey = "";
+
+    /**
+     * auto でトリガーがかからないとき、そのまま波形を出す間隔 [sec]
+     */
+    const TRIGGER_AUTO_SEC = 0.1;
+
+    // 時間管理
+    let latestTimeSec = 0;        // 最新フレームの時間 [sec]
+
+    /**
+     * 録音（解析に使うのと同じ入力サンプルを WAV に書き出す）
+     * @type {WavRecorder|null}
+     */
+    let recorder = null;
+
+    /**
+     * 次に録音するサンプルの絶対位置
+     * @type {number}
+     */
+    let recordIndex = 0;
+
+    /**
+     * サウンドレベルメーターの設定（メーター本体は解析用 Worker にあり、
+     * 解析に使うのと同じ入力サンプルを全て通す）
+     * @type {{ sampleRate: number, frequencyWeighting: string, timeWeighting: string,
+     *          intervalSec: number, calibrationDb: number }|null}
+     */
+    let levelMeterOptions = null;
+
+    /**
+     * サウンドレベルメーターの最新の読み取り値
+     * 停止後も最後の読み取り値を表示できるよう残しておく
+     * @type {Object|null}
+     */
+    let levelReadings = null;
+
+    /**
+     * 入力デバイス（マイク）。停止後も、校正ファイルの登録先として残しておく
+     * @type {{ deviceId: string, label: string }|null}
+     */
+    let inputDevice = null;
+
+    /**
+     * 開くよう指定した入力デバイスの ID（既定のデバイスなら空文字、ファイル入力では null）
+     * @type {string|null}
+     */
+    let requestedDeviceId = null;
+
+    /**
+     * 入力デバイスの周波数特性の校正（マイク入力のときだけ使う）
+     * @type {CalibrationData|null}
+     */
+    let calibration = null;
+
+    /**
+     * calibration を現在の周波数軸に補間したもの
+     * 周波数軸が変わったら作り直す
+     * @type {{ key: string, db: Float32Array, gain: Float32Array }|null}
+     */
+    let calibrationCurve = null;
+
+    /**
+     * 伝達関数の解析（ステレオ入力のときだけ使う）
+     * FFT サイズ・窓関数が変わったら作り直す
+     * @type {TransferFunctionAnalyzer|null}
+     */
+    let transferAnalyzer = null;
+
+    /** 伝達関数の解析用のフレームバッファ（基準・測定） */
+    let transferReference = null;
+    let transferMeasurement = null;
+
+    /**
+     * 基準チャンネルを遅らせる量 [サンプル]（測定チャンネルの遅れに合わせる）
+     */
+    let transferDelaySamples = 0;
+
+    /**
+     * 遅延の検出に使う長さ [sec]
+     * 検出できる遅れはこれより短い範囲（約 340 m 分）
+     */
+    const DELAY_SEARCH_SEC = 1;
+
+    /**
+     * 指数スイープによるインパルス応答の測定（測定中のみ）
+     * @type {SweepImpulseMeasurement|null}
+     */
+    let sweepMeasurement = null;
+    /** 次に測定へ渡すサンプル位置（再生開始位置から始まる） */
+    let sweepIndex = 0;
+    /**
+     * インパルス応答の測定の状態
+     * @type {{ state: "idle"|"measuring"|"done"|"error", message: string }}
+     */
+    let sweepStatus = { state: "idle", message: "" };
+    /**
+     * 最後に測定したインパルス応答（停止後も残す）
+     * @type {SweepImpulseResult|null}
+     */
+    let sweepResult = null;
+    /** sweepResult の通し番号（表示の更新判定用） */
+    let sweepResultSeq = 0;
+
+    /**
+     * 計測を開始する
+     *
+     * 状態遷移:
+     * STOPPED → STARTING → RUNNING
+     *
+     * @param {{type: "mic", deviceId?: string} | {type: "file", data: ArrayBuffer}} [source]
+     *      入力元（省略時は既定のマイク）
+     * @param {Object} [options]
+     * @param {Function} [options.onEnded] - ファイル再生が終わったとき・マイクが取り外されたときに呼ばれる
+     */
+    async function start(source = { type: "mic" }, options = {}) {
+        if (state !== "STOPPED") return;
+
+        state = "STARTING";
+
+        // 一括解析の結果として残っているエンジンを破棄
+        releaseEngine();
+
+        // 開始中に stop() されると engine が差し替わるので、await のたびに確かめる
+        const starting = new WebAudioSpectrumEngine();
+        engine = starting;
+        engine.onEnded = options.onEnded ?? null;
+        requestedDeviceId = source.type === "mic" ? (source.deviceId ?? "") : null;
+        const abandoned = () => {
+            if (engine === starting && state === "STARTING") return false;
+            // 停止後に開き終えたマイク・AudioContext を閉じる
+            starting.onEnded = null;
+            starting.destroy();
+            return true;
+        };
+
+        // 開くデバイスはまだ分からないので、指定したデバイス専用のサンプリング周波数で開いてみる
+        // （実際に開いたデバイスと違えば、下の updateConfig() で開き直す）
+        const expected = requestedDeviceId !== null ? InputDevices.loadOverrides(requestedDeviceId) : null;
+        const sampleRate = (expected ?? currentConfig).samplingRate;
+        try {
+            await starting.init(sampleRate, source, currentConfig.stereoInput ? 2 : 1);
+        } catch (err) {
+            // 停止された後の失敗は呼び出し側に返さない
+            if (abandoned()) return;
+            // マイク拒否・デコード失敗など
+            releaseEngine();
+            state = "STOPPED";
+            throw err;
+        }
+        if (abandoned()) return;
+
+        if (source.type === "mic") {
+            inputDevice = engine.getInputDevice();
+        }
+        // 校正はマイクの特性なので、ファイル入力には使わない
+        calibration = source.type === "mic" && inputDevice
+            ? MicCalibration.load(inputDevice.deviceId)
+            : null;
+        calibrationCurve = null;
+        // 実際に開いたデバイス専用の設定（無ければ共通の設定）を反映する
+        await updateConfig(currentConfig);
+        if (abandoned()) return;
+
+        resetFrames();
+        resetLevelMeter();
+        resetTransfer();
+        state = "RUNNING";
+
+        loop();
+    }
+
+    /**
+     * 音声ファイル全体を一括で解析する
+     *
+     * 実時間を待たずに全フレームを解析用 Worker で計算し、スペクトログラム用のフレーム列を返す。
+     * 解析後もエンジンは残し、周波数軸などを取得できるようにする。
+     *
+     * 状態遷移:
+     * STOPPED → ANALYZING → STOPPED
+     *
+     * @param {ArrayBuffer} data - 音声ファイルの中身
+     * @param {(progress: number) => void} [onProgress] - 進捗（0～1）
+     * @returns {Promise<{ frames: SpectrumFrame[], durationSec: number }|null>}
+     */
+    async function analyzeFile(data, onProgress) {
+        if (state !== "STOPPED") return null;
+
+        state = "ANALYZING";
+        try {
+            const sampleRate = currentConfig.samplingRate;
+            // ステレオ入力では 1 チャンネル目を測定、2 チャンネル目を基準として解析する
+            const [samples, samples2] = currentConfig.stereoInput
+                ? await decodeToStereo(data, sampleRate)
+                : [await decodeToMono(data, sampleRate)];
+
+            releaseEngine();
+            engine = new WebAudioSpectrumEngine();
+            engine.initFromSamples(samples, sampleRate, samples2);
+            requestedDeviceId = null;
+            calibration = null;
+            await updateConfig(currentConfig);
+            resetFrames();
+            resetTransfer();
+
+            // スペクトル・レベル・音程は Worker で求め、その間に伝達関数の平均を取る
+            // （Worker へはサンプル列を転送するので、エンジンに残す分とは別に複製を渡す）
+            const [batch] = await Promise.all([
+                getAnalysis().analyzeAll(samples.slice(), buildAnalysisSettings(currentConfig), {
+                    maxFrames: MAX_BATCH_FRAMES,
+                    levelMeter: buildLevelMeterOptions(currentConfig),
+                    trigger: buildTriggerSettings(currentConfig),
+                    onProgress
+                }),
+                feedTransferAll(samples.length)
+            ]);
+            if (onProgress) onProgress(1);
+
+            const result = batch.frames.map((frame, i) => ({ seq: i + 1, ...frame }));
+            if (result.length > 0) {
+                latestSpectrum = batch.latestSpectrum;
+                latestTimeSec  = result[result.length - 1].timeSec;
+            }
+
+            latestWaveform = engine.getWaveform();
+            latestWaveformTimeSec = samples.length / sampleRate;
+            latestPitch = batch.pitch;
+            receiveTrigger(batch.trigger.capture, batch.trigger.status);
+
+            // ファイル全体の Leq など
+            levelMeterOptions = buildLevelMeterOptions(currentConfig);
+            levelReadings = batch.level;
+
+            return {
+                frames: result,
+                durationSec: samples.length / sampleRate
+            };
+        } finally {
+            state = "STOPPED";
+        }
+    }
+
+    /**
+     * 音声ファイルをデコードしてモノラルのサンプル列にする
+     *
+     * @param {ArrayBuffer} data
+     * @param {number} sampleRate - このサンプリング周波数にリサンプリングされる
+     * @returns {Promise<Float32Array>}
+     */
+    async function decodeToMono(data, sampleRate) {
+        // decodeAudioData だけが目的なので長さ 1 のオフラインコンテキストで十分
+        const ctx = new OfflineAudioContext(1, 1, sampleRate);
+        // decodeAudioData は渡したバッファを使えなくするので複製を渡す
+        const audioBuffer = await ctx.decodeAudioData(data.slice(0));
+
+        const channels = audioBuffer.numberOfChannels;
+        const mono = new Float32Array(audioBuffer.length);
+        for (let ch = 0; ch < channels; ch++) {
+            const src = audioBuffer.getChannelData(ch);
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += src[i] / channels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * 音声ファイルをデコードして 2 チャンネルのサンプル列にする
+     * モノラルのファイルは両チャンネルに同じものを入れる
+     *
+     * @param {ArrayBuffer} data
+     * @param {number} sampleRate - このサンプリング周波数にリサンプリングされる
+     * @returns {Promise<[Float32Array, Float32Array]>}
+     */
+    async function decodeToStereo(data, sampleRate) {
+        const ctx = new OfflineAudioContext(1, 1, sampleRate);
+        const audioBuffer = await ctx.decodeAudioData(data.slice(0));
+
+        const left = audioBuffer.getChannelData(0);
+        const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+        return [Float32Array.from(left), Float32Array.from(right)];
+    }
+
+    /**
+     * エンジンを破棄する
+     */
+    function releaseEngine() {
+        if (!engine) return;
+        engine.destroy();
+        engine = null;
+    }
+
+    /**
+     * 計測を停止する
+     *
+     * 状態遷移:
+     * RUNNING（または STARTING）→ STOPPED
+     */
+    function stop() {
+        if (state === "STOPPED") return;
+
+        cancelAnimationFrame(animationId);
+        cancelSweepMeasurement();
+
+        // 開始中（マイクの許可待ちなど）ならエンジンはまだ読み出せない
+        // （開き終えたものは start() 側で閉じる）
+        if (state === "RUNNING") {
+            // 録音中なら、エンジンを破棄する前に残りのサンプルを渡しておく
+            // （ファイルの確定は stopRecording() で行う）
+            if (recorder) feedRecorder();
+            // 最後のブロックはレベルメーターのためだけに送る（届いたフレームは停止後なので捨てる）
+            feedAnalysis();
+        }
+
+        releaseEngine();
+
+        state = "STOPPED";
+    }
+
+    /**
+     * 設定変更を反映する
+     *
+     * RUNNING 中は一度 stop → start する前提
+     *
+     * @param {Object} config
+     */
+    async function updateConfig(config) {
+        if (!engine) return;
+
+        // マイク入力では、開いているデバイス専用の補正ゲイン・サンプリング周波数を使う
+        config = withDeviceOverrides(config);
+
+        const current = engine;
+        const prevSampleRate = current.getSampleRate();
+        const prevFftSize    = current.getFFTSize();
+
+        await current.updateConfig(config);
+        // AudioContext を作り直している間に停止された（開き直したものを閉じる）
+        if (engine !== current) {
+            current.destroy();
+            return;
+        }
+
+        // FFT フレーム更新周期（hop）
+        const fftSize = engine.getFFTSize();
+        const overlap = config.overlap ?? 0.0;
+        // ホップ長 [サンプル]
+        hopSamples = Math.max(1, Math.round(fftSize * (1.0 - overlap)));
+
+        // 補正・窓関数などは次に届くサンプルの解析から反映される
+        configureAnalysis(config);
+        configureTrigger(config);
+
+        // AudioContext が作り直された／周波数軸が変わった場合は履歴を捨てる
+        if (engine.getSampleRate() !== prevSampleRate || fftSize !== prevFftSize) {
+            resetFrames();
+        }
+        // 作り直した AudioContext ではスイープの再生も書き込み位置も引き継げない
+        if (sweepMeasurement && engine.getSampleRate() !== prevSampleRate) {
+            failSweep("サンプリング周波数が変わったため測定を中止しました。");
+        }
+
+        // 遅延合わせが変わると位相が変わるので、伝達関数の平均をやり直す
+        const delaySamples = Math.round(config.transferDelayMs * engine.getSampleRate() / 1000);
+        if (delaySamples !== transferDelaySamples) {
+            transferDelaySamples = delaySamples;
+            if (transferAnalyzer) transferAnalyzer.reset();
+        }
+        if (transferAnalyzer) transferAnalyzer.setAverageCount(config.transferAverageCount);
+
+        // 重み付けが変わったらレベルメーターを作り直す（補正ゲインだけなら値を保つ）
+        if (levelMeterOptions) {
+            const options = buildLevelMeterOptions(config);
+            if (options.sampleRate !== levelMeterOptions.sampleRate ||
+                options.frequencyWeighting !== levelMeterOptions.frequencyWeighting ||
+                options.timeWeighting !== levelMeterOptions.timeWeighting ||
+                options.intervalSec !== levelMeterOptions.intervalSec) {
+                resetLevelMeter(config);
+            } else if (options.calibrationDb !== levelMeterOptions.calibrationDb) {
+                getAnalysis().setLevelCalibration(options.calibrationDb);
+                levelMeterOptions = options;
+            }
+        }
+    }
+
+    /**
+     * 解析用 Worker を取得する（初回は作る）
+     * @returns {SpectrumAnalysisWorker}
+     */
+    function getAnalysis() {
+        if (!analysis) {
+            analysis = new SpectrumAnalysisWorker();
+            analysis.onFrames = receiveFrames;
+            analysis.onPitch = (reading) => { latestPitch = reading; };
+            analysis.onLevel = (readings) => { levelReadings = readings; };
+            analysis.onTrigger = receiveTrigger;
+        }
+        return analysis;
+    }
+
+    /**
+     * 現在のエンジン・設定からスペクトル解析の設定を作る
+     *
+     * デシベルの補正ゲインで補正し、マイクの周波数特性の校正があれば打ち消す。
+     *
+     * @param {Object} config
+     * @returns {SpectrumAnalysisSettings}
+     */
+    function buildAnalysisSettings(config) {
+        return {
+            sampleRate: engine.getSampleRate(),
+            fftSize: engine.getFFTSize(),
+            hopSamples,
+            windowName: config.fftWindow,
+            kaiserBeta: config.kaiserBeta,
+            dbDisplay: config.dbDisplay,
+            correctionDb: config.dbCorrectionGain,
+            calibrationDb: calibration ? getCalibrationCurve().db : null
+        };
+    }
+
+    /**
+     * 解析用 Worker へ現在の設定を送る
+     * @param {Object} [config] - 省略時は currentConfig（デバイス専用の設定を反映）
+     */
+    function configureAnalysis(config = withDeviceOverrides(currentConfig)) {
+        if (!engine) return;
+        getAnalysis().configure(buildAnalysisSettings(config));
+    }
+
+    /**
+     * フレーム位置と履歴をリセットする
+     * 以降は現在の書き込み位置から解析を始める
+     * （AudioContext を作り直すとリングバッファの位置も 0 から数え直しになる）
+     */
+    function resetFrames() {
+        if (engine) analysisIndex = engine.getWriteIndex();
+        frames = [];
+        latestSpectrum = null;
+        latestWaveform = null;
+        latestPitch = null;
+        triggeredWaveform = null;
+        triggerStatus = "waiting";
+        if (engine) getAnalysis().reset(engine.getWriteIndex());
+    }
+
+    /**
+     * 内部メインループ
+     *
+     * RUNNING 中のみ回る
+     */
+    function loop() {
+        if (state !== "RUNNING") return;
+
+        buildGraphData();
+
+        animationId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * 内部状態取得
+     * @returns {"STOPPED"|"STARTING"|"RUNNING"|"ANALYZING"}
+     */
+    function getState() {
+        return state;
+    }
+
+    /**
+     * スペクトル取得
+     */
+    function getSpectrum() {
+        return latestSpectrum;
+    }
+
+    /**
+     * 波形取得
+     */
+    function getWaveform() {
+        return latestWaveform;
+    }
+
+    /**
+     * 最新の波形から推定した音程（基本周波数）
+     *
+     * 表示側が必要なときだけ呼ぶ（チューナー・音程の軌跡を表示していなければ推定しない）。
+     * 推定は次にサンプルを解析用 Worker へ送ったときに行うので、結果は 1 回分遅れて届く。
+     *
+     * @returns {PitchReading|null} 波形がなければ null
+     */
+    function getPitch() {
+        if (!engine) return null;
+        pitchRequested = true;
+        return latestPitch;
+    }
+
+    /**
+     * 波形のトリガーの設定
+     *
+     * @param {Object} config
+     * @returns {TriggerSettings}
+     */
+    function buildTriggerSettings(config) {
+        const sampleRate = engine.getSampleRate();
+        return {
+            mode: config.triggerMode,
+            edge: config.triggerEdge,
+            level: config.triggerLevel,
+            length: engine.getFFTSize(),
+            preTrigger: config.triggerPosition / 100,
+            holdoffSamples: Math.round(config.triggerHoldoffMs * sampleRate / 1000),
+            autoSamples: Math.round(TRIGGER_AUTO_SEC * sampleRate)
+        };
+    }
+
+    /**
+     * トリガーの設定が変わっていれば解析用 Worker へ送る（シングルは待ち状態に戻る）
+     * @param {Object} config
+     */
+    function configureTrigger(config) {
+        const settings = buildTriggerSettings(config);
+        const key = JSON.stringify(settings);
+        if (key === triggerSettingsKey) return;
+
+        triggerSettingsKey = key;
+        triggeredWaveform = null;
+        triggerStatus = "waiting";
+        getAnalysis().configureTrigger(settings);
+    }
+
+    /**
+     * 解析用 Worker から届いたトリガーの状態と波形
+     *
+     * @param {{ samples: Float32Array, triggerIndex: number|null }|null} capture - 新しい波形がなければ null
+     * @param {"waiting"|"triggered"|"auto"|"stopped"} status
+     */
+    function receiveTrigger(capture, status) {
+        if (capture) {
+            triggeredWaveform = { samples: capture.samples, triggerIndex: capture.triggerIndex };
+        }
+        triggerStatus = status;
+    }
+
+    /**
+     * トリガーした波形
+     *
+     * 表示側が必要なときだけ呼ぶ（波形を表示していなければトリガーを走査しない）。
+     *
+     * @returns {{ waveform: TriggeredWaveform|null, status: "waiting"|"triggered"|"auto"|"stopped" }|null}
+     *      エンジンがなければ null
+     */
+    function getTriggeredWaveform() {
+        if (!engine) return null;
+        waveformRequested = true;
+        return { waveform: triggeredWaveform, status: triggerStatus };
+    }
+
+    /**
+     * シングルで再びトリガーを待つ（計測中のみ）
+     */
+    function armTrigger() {
+        if (state !== "RUNNING" || !analysis) return;
+        analysis.armTrigger();
+        triggerStatus = "waiting";
+    }
+
+    /**
+     * サンプリング周波数取得
+     */
+    function getSampleRate() {
+        if (!engine) return;
+        return engine.getSampleRate();
+    }
+
+    /**
+     * FFTサイズ取得
+     */
+    function getFFTSize() {
+        if (!engine) return;
+        return engine.getFFTSize();
+    }
+
+    /**
+     * 周波数軸（Hz）を取得
+     * @returns {number[]}
+     */
+    function getFrequencyAxis() {
+        if (!engine) return;
+        return engine.getFrequencyAxis();
+    }
+
+    /**
+     * 窓関数の特性値（ENBW など）を取得
+     * @returns {{ coherentGain: number, enbw: number }|undefined}
+     */
+    function getWindowInfo() {
+        if (!engine) return;
+        return engine.getWindowInfo();
+    }
+
+    /**
+     * グラフ描画用データを構築する
+     *
+     * WebAudio → MeasurementController → GraphManager
+     * の結節点
+     *
+     * 前回の続きから書き込み済みのサンプルを解析用 Worker へ送る。
+     * 解析済みのフレームは、届いたときに receiveFrames() で履歴に加える。
+     */
+    function buildGraphData() {
+        if (!engine) return;
+
+        if (recorder) feedRecorder();
+        feedSweep();
+        feedAnalysis();
+
+        // 波形
+        latestWaveform = engine.getWaveform();
+        latestWaveformTimeSec = engine.getWriteIndex() / engine.getSampleRate();
+    }
+
+    /**
+     * 前回の続きから、書き込み済みのサンプルを解析用 Worker へ送る
+     */
+    function feedAnalysis() {
+        if (!engine || !analysis) return;
+
+        const block = readSamplesSince(analysisIndex, "解析");
+        if (!block) return;
+
+        analysis.postSamples(block.endIndex - block.samples.length, block.samples, {
+            pitch: pitchRequested,
+            waveform: waveformRequested
+        });
+        analysisIndex = block.endIndex;
+        pitchRequested = false;
+        waveformRequested = false;
+    }
+
+    /**
+     * 解析用 Worker から届いたフレームを履歴に加える
+     *
+     * @param {{ spectrum: Float32Array, sampleIndex: number, timeSec: number }[]} received
+     */
+    function receiveFrames(received) {
+        if (state !== "RUNNING") return;
+
+        received.forEach(frame => {
+            pushFrame(frame.spectrum, frame.sampleIndex, frame.timeSec);
+            feedTransfer(frame.sampleIndex);
+        });
+    }
+
+    /**
+     * 録音を開始する
+     *
+     * 押した時点の書き込み位置から、エンジンに入ったサンプルをそのまま書き出す。
+     *
+     * @param {"pcm16"|"pcm24"|"float32"} format
+     * @returns {Promise<boolean>} 開始できたら true
+     */
+    async function startRecording(format) {
+        if (state !== "RUNNING" || recorder) return false;
+
+        const newRecorder = new WavRecorder({
+            sampleRate: engine.getSampleRate(),
+            format,
+            // ステレオ入力では両チャンネルを録音する
+            channels: engine.getChannelCount()
+        });
+        await newRecorder.open();
+
+        // 準備中に停止された・別の録音が始まった（開いたファイルは残さない）
+        if (state !== "RUNNING" || recorder) {
+            await newRecorder.cancel();
+            return false;
+        }
+
+        recordIndex = engine.getWriteIndex();
+        recorder = newRecorder;
+        return true;
+    }
+
+    /**
+     * 録音を終了し、WAV ファイルを返す
+     *
+     * @returns {Promise<File|null>} 録音していなければ null
+     */
+    async function stopRecording() {
+        if (!recorder) return null;
+
+        if (engine) feedRecorder();
+
+        const finished = recorder;
+        recorder = null;
+        return await finished.finish();
+    }
+
+    /**
+     * 録音中かどうか
+     * @returns {boolean}
+     */
+    function isRecording() {
+        return recorder !== null;
+    }
+
+    /**
+     * 録音時間 [sec]
+     * @returns {number}
+     */
+    function getRecordingDurationSec() {
+        return recorder ? recorder.getDurationSec() : 0;
+    }
+
+    /**
+     * 前回の続きから、書き込み済みのサンプルを録音に渡す
+     */
+    function feedRecorder() {
+        const block = readSamplesSince(recordIndex, "録音");
+        if (!block) return;
+
+        // ステレオ入力の 2 チャンネル目（1 チャンネル目と同じ位置に書き込まれている）
+        let samples2;
+        if (recorder.channels === 2) {
+            samples2 = new Float32Array(block.samples.length);
+            engine.readSamples(block.endIndex - samples2.length, samples2, 1);
+        }
+        recorder.append(block.samples, samples2);
+        recordIndex = block.endIndex;
+    }
+
+    /**
+     * 指定位置から現在の書き込み位置までのサンプルを読み出す
+     *
+     * 処理が追いつかずリングバッファから溢れた場合は、残っている最古の位置から読む。
+     *
+     * @param {number} fromIndex - 読み出し開始の絶対サンプル位置
+     * @param {string} label - 読み飛ばしたときの警告に使う名前
+     * @returns {{ samples: Float32Array, endIndex: number }|null} 新しいサンプルがなければ null
+     */
+    function readSamplesSince(fromIndex, label) {
+        const writeIndex = engine.getWriteIndex();
+
+        const oldest = engine.getOldestIndex();
+        if (fromIndex < oldest) {
+            console.warn(`MeasurementController: ${label}が追いつかずサンプルを読み飛ばしました:`, oldest - fromIndex);
+            fromIndex = oldest;
+        }
+
+        const count = writeIndex - fromIndex;
+        if (count <= 0) return null;
+
+        const samples = new Float32Array(count);
+        if (!engine.readSamples(fromIndex, samples)) return null;
+
+        return { samples, endIndex: writeIndex };
+    }
+
+    /**
+     * サウンドレベルメーターの設定
+     *
+     * @param {Object} config
+     * @returns {{ sampleRate: number, frequencyWeighting: string, timeWeighting: string,
+     *             intervalSec: number, calibrationDb: number }}
+     */
+    function buildLevelMeterOptions(config) {
+        return {
+            sampleRate: engine.getSampleRate(),
+            frequencyWeighting: config.slmFrequencyWeighting,
+            timeWeighting: config.slmTimeWeighting,
+            intervalSec: config.slmIntervalSec,
+            // スペクトルと同じ補正ゲイン（正弦波の Lp が FFT のピークレベルと一致する）
+            calibrationDb: config.dbCorrectionGain
+        };
+    }
+
+    /**
+     * サウンドレベルメーターを現在の設定で作り直す
+     * （Lmax / Lmin / Leq もリセットされる）
+     *
+     * @param {Object} [config] - 省略時は currentConfig（デバイス専用の設定を反映）
+     */
+    function resetLevelMeter(config = withDeviceOverrides(currentConfig)) {
+        if (!engine) return;
+
+        levelMeterOptions = buildLevelMeterOptions(config);
+        levelReadings = null;
+        getAnalysis().resetLevelMeter(levelMeterOptions);
+    }
+
+    /**
+     * Lmax / Lmin / Leq・区間 Leq をリセットする
+     */
+    function resetLevelStatistics() {
+        if (analysis && levelMeterOptions) analysis.resetLevelStatistics();
+    }
+
+    /**
+     * サウンドレベルメーターの読み取り値
+     *
+     * @returns {Object|null} SoundLevelMeter#getReadings() に重み付けの種類を加えたもの
+     */
+    function getLevelReadings() {
+        return levelReadings;
+    }
+
+    /**
+     * 周波数特性の校正を現在の周波数軸に補間したもの（周波数軸が変わったら作り直す）
+     * @returns {{ key: string, db: Float32Array, gain: Float32Array }}
+     */
+    function getCalibrationCurve() {
+        const key = `${engine.getFFTSize() / 2}/${engine.getSampleRate()}`;
+        if (!calibrationCurve || calibrationCurve.key !== key) {
+            const db = MicCalibration.interpolate(calibration, engine.getFrequencyAxis());
+            calibrationCurve = {
+                key,
+                db,
+                gain: db.map(v => Math.pow(10, -v / 20))
+            };
+        }
+        return calibrationCurve;
+    }
+
+    /**
+     * 指定位置のフレームを伝達関数の平均に加える（ステレオ入力のときだけ）
+     *
+     * 基準チャンネルは transferDelaySamples だけ前の位置から読む。
+     *
+     * @param {number} startIndex - 測定チャンネルのフレーム先頭の絶対サンプル位置
+     */
+    function feedTransfer(startIndex) {
+        if (!isStereoInput()) return;
+
+        const fftSize = engine.getFFTSize();
+        const window  = engine.getWindow();
+        if (!transferAnalyzer || transferAnalyzer.size !== fftSize || transferAnalyzer.window !== window) {
+            transferAnalyzer = new TransferFunctionAnalyzer(fftSize, window);
+            transferAnalyzer.setAverageCount(currentConfig.transferAverageCount);
+            transferReference   = new Float32Array(fftSize);
+            transferMeasurement = new Float32Array(fftSize);
+        }
+
+        if (!engine.readSamples(startIndex, transferMeasurement, 0)) return;
+        if (!engine.readSamples(startIndex - transferDelaySamples, transferReference, 1)) return;
+        transferAnalyzer.push(transferReference, transferMeasurement);
+    }
+
+    /**
+     * 一括解析で、全フレームを伝達関数の平均に加える（ステレオ入力のときだけ）
+     * @param {number} length - サンプル数
+     */
+    async function feedTransferAll(length) {
+        if (!isStereoInput()) return;
+
+        const fftSize = engine.getFFTSize();
+        for (let i = 0; i * hopSamples + fftSize <= length; i++) {
+            feedTransfer(i * hopSamples);
+
+            // UI が固まらないよう時々制御を返す
+            if (i % 256 === 255) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    /**
+     * 伝達関数の平均をやり直す
+     */
+    function resetTransfer() {
+        if (transferAnalyzer) transferAnalyzer.reset();
+    }
+
+    /**
+     * 平均した伝達関数とコヒーレンス
+     *
+     * 振幅はマイクの周波数特性の校正を打ち消した値（測定チャンネルのマイクの特性）。
+     *
+     * @returns {{ magnitudeDb: Array<number|null>, phaseDeg: Array<number|null>,
+     *             coherence: Array<number|null>, averagedCount: number, frameCount: number }|null}
+     */
+    function getTransferFunction() {
+        if (!transferAnalyzer || !engine || transferAnalyzer.size !== engine.getFFTSize()) return null;
+
+        const result = transferAnalyzer.getResult();
+        if (!result) return null;
+
+        if (calibration) {
+            const db = getCalibrationCurve().db;
+            result.magnitudeDb = result.magnitudeDb.map((v, i) => v === null ? null : v - db[i]);
+        }
+        return { ...result, frameCount: transferAnalyzer.frameCount };
+    }
+
+    /**
+     * 平均した伝達関数のインパルス応答
+     * @returns {{ samples: Float32Array, startIndex: number, sampleRate: number }|null}
+     */
+    function getTransferImpulseResponse() {
+        if (!transferAnalyzer || !engine || transferAnalyzer.size !== engine.getFFTSize()) return null;
+
+        const ir = transferAnalyzer.getImpulseResponse();
+        if (!ir) return null;
+        return { ...ir, sampleRate: engine.getSampleRate() };
+    }
+
+    /**
+     * 伝達関数の平均に加えたフレーム数（表示の更新判定用）
+     * @returns {number}
+     */
+    function getTransferFrameCount() {
+        return transferAnalyzer ? transferAnalyzer.frameCount : 0;
+    }
+
+    /**
+     * 直近の入力から、基準チャンネルに対する測定チャンネルの遅れを求める
+     *
+     * @returns {{ delaySamples: number, delayMs: number, correlation: number }|null}
+     *      ステレオ入力でない、またはサンプルが足りなければ null
+     */
+    function findTransferDelay() {
+        if (!isStereoInput()) return null;
+
+        const sampleRate = engine.getSampleRate();
+        const length = Math.pow(2, Math.ceil(Math.log2(sampleRate * DELAY_SEARCH_SEC)));
+        const startIndex = engine.getWriteIndex() - length;
+        if (startIndex < engine.getOldestIndex()) return null;
+
+        const reference   = new Float32Array(length);
+        const measurement = new Float32Array(length);
+        if (!engine.readSamples(startIndex, reference, 1) ||
+            !engine.readSamples(startIndex, measurement, 0)) {
+            return null;
+        }
+
+        const { delaySamples, correlation } = TransferFunctionAnalyzer.findDelay(reference, measurement);
+        return {
+            delaySamples,
+            delayMs: delaySamples / sampleRate * 1000,
+            correlation
+        };
+    }
+
+    /**
+     * ステレオ入力か（停止中でも一括解析の結果が残っていれば判定できる）
+     * @returns {boolean}
+     */
+    function isStereoInput() {
+        return Boolean(engine && engine.getChannelCount() === 2);
+    }
+
+    /**
+     * 指数スイープによるインパルス応答の測定を始める
+     *
+     * スピーカーからスイープを再生し、同時にマイク入力を受け取る。
+     * 結果は getSweepResult() で取得する（getSweepStatus() が "done" になったら）。
+     *
+     * @param {Object} params
+     * @param {number} params.startHz
+     * @param {number} params.endHz
+     * @param {number} params.durationSec - スイープ 1 回の長さ [sec]
+     * @param {number} params.tailSec - スイープ後の無音 [sec]
+     * @param {number} params.count - 平均する回数
+     * @param {number} params.levelDb - 再生レベル [dBFS]
+     */
+    function startSweepMeasurement(params) {
+        if (state !== "RUNNING" || !isMicInput()) {
+            throw new Error("マイクで計測中のときだけ測定できます。");
+        }
+        cancelSweepMeasurement();
+
+        const sampleRate = engine.getSampleRate();
+        const measurement = new SweepImpulseMeasurement({
+            sampleRate,
+            startHz: params.startHz,
+            endHz: Math.min(params.endHz, sampleRate / 2 * 0.95),
+            durationSec: params.durationSec,
+            tailSec: params.tailSec,
+            count: params.count
+        });
+
+        sweepIndex = engine.playSamples(measurement.buildPlayback(params.levelDb));
+        sweepMeasurement = measurement;
+        sweepStatus = { state: "measuring", message: "" };
+    }
+
+    /**
+     * インパルス応答の測定を中止する（再生も止める）
+     */
+    function cancelSweepMeasurement() {
+        if (!sweepMeasurement) return;
+
+        sweepMeasurement = null;
+        if (engine) engine.stopPlayback();
+        sweepStatus = { state: "idle", message: "" };
+    }
+
+    /**
+     * 前回の続きから、書き込み済みのサンプルをインパルス応答の測定に渡す
+     *
+     * 同期加算の位置がずれるので、読み飛ばしが起きたら測定を失敗にする。
+     */
+    function feedSweep() {
+        if (!sweepMeasurement) return;
+
+        const writeIndex = engine.getWriteIndex();
+        // まだ再生が始まっていない
+        if (writeIndex <= sweepIndex) return;
+
+        if (sweepIndex < engine.getOldestIndex()) {
+            failSweep("処理が追いつかず入力が途切れました。もう一度測定してください。");
+            return;
+        }
+
+        const samples = new Float32Array(writeIndex - sweepIndex);
+        if (!engine.readSamples(sweepIndex, samples)) return;
+        sweepMeasurement.push(samples);
+        sweepIndex = writeIndex;
+
+        if (sweepMeasurement.isComplete()) finishSweep();
+    }
+
+    /**
+     * 収録し終えたスイープからインパルス応答を求める
+     *
+     * 周波数特性はマイクの周波数特性の校正を打ち消した値にする。
+     */
+    function finishSweep() {
+        const measurement = sweepMeasurement;
+        sweepMeasurement = null;
+
+        const result = measurement.computeResult();
+        if (calibration) {
+            const db = MicCalibration.interpolate(calibration, result.response.freq);
+            result.response.db = result.response.db.map((v, i) => v - db[i]);
+        }
+
+        sweepResult = result;
+        sweepResultSeq++;
+        sweepStatus = { state: "done", message: "" };
+    }
+
+    /**
+     * インパルス応答の測定を失敗にする
+     * @param {string} message
+     */
+    function failSweep(message) {
+        sweepMeasurement = null;
+        engine.stopPlayback();
+        sweepStatus = { state: "error", message };
+    }
+
+    /**
+     * インパルス応答の測定の状態
+     *
+     * @returns {{ state: "idle"|"measuring"|"done"|"error", message: string,
+     *             progress: number, completedCount: number }}
+     */
+    function getSweepStatus() {
+        return {
+            ...sweepStatus,
+            progress: sweepMeasurement ? sweepMeasurement.getProgress() : 0,
+            completedCount: sweepMeasurement ? sweepMeasurement.getCompletedCount() : 0
+        };
+    }
+
+    /**
+     * 最後に測定したインパルス応答
+     * @returns {SweepImpulseResult|null}
+     */
+    function getSweepResult() {
+        return sweepResult;
+    }
+
+    /**
+     * インパルス応答の測定結果の通し番号（表示の更新判定用）
+     * @returns {number}
+     */
+    function getSweepResultSeq() {
+        return sweepResultSeq;
+    }
+
+    /**
+     * 入力デバイス（最後に使ったマイク）
+     * @returns {{ deviceId: string, label: string }|null}
+     */
+    function getInputDevice() {
+        return inputDevice;
+    }
+
+    /**
+     * 開いている入力デバイス専用の設定（補正ゲイン・サンプリング周波数）を探す
+     *
+     * 実際に開いたデバイスの設定を使う。既定のデバイスを開いた
+     * （指定のデバイスが見つからず既定のデバイスになった場合も含む）ときで、
+     * そのデバイスの設定が無ければ「既定のデバイス」（ID は空文字）の設定を使う。
+     *
+     * @returns {{ deviceId: string, overrides: Object }|null} マイク入力でない・設定が無ければ null
+     */
+    function getDeviceOverrides() {
+        if (requestedDeviceId === null || !isMicInput()) return null;
+
+        const opened = engine.getInputDevice().deviceId;
+        const candidates = opened === requestedDeviceId ? [opened] : [opened, ""];
+        for (const deviceId of candidates) {
+            const overrides = InputDevices.loadOverrides(deviceId);
+            if (overrides) return { deviceId, overrides };
+        }
+        return null;
+    }
+
+    /**
+     * 設定に、開いている入力デバイス専用の設定を重ねる
+     *
+     * @param {Object} config
+     * @returns {Object} 専用の設定が無ければ config のまま
+     */
+    function withDeviceOverrides(config) {
+        const found = getDeviceOverrides();
+        return found ? { ...config, ...found.overrides } : config;
+    }
+
+    /**
+     * 計測に使っている補正ゲイン [dB]（デバイス専用の設定があればその値）
+     * @returns {number}
+     */
+    function getCorrectionGain() {
+        return withDeviceOverrides(currentConfig).dbCorrectionGain;
+    }
+
+    /**
+     * 使用中の周波数特性の校正
+     * @returns {CalibrationData|null}
+     */
+    function getCalibration() {
+        return calibration;
+    }
+
+    /**
+     * 入力デバイスの校正を読み込み直す（校正ファイルの登録・削除後に呼ぶ）
+     * 計測中なら次のフレームから反映される
+     */
+    function reloadCalibration() {
+        calibration = isMicInput() ? MicCalibration.load(inputDevice.deviceId) : null;
+        calibrationCurve = null;
+        configureAnalysis();
+    }
+
+    /**
+     * マイクから入力中か（ファイル入力・停止中は false）
+     * @returns {boolean}
+     */
+    function isMicInput() {
+        return Boolean(engine && engine.getInputDevice());
+    }
+
+    /**
+     * 解析済みフレームを履歴に追加する
+     *
+     * @param {Float32Array} spectrum
+     * @param {number} sampleIndex
+     * @param {number} timeSec
+     */
+    function pushFrame(spectrum, sampleIndex, timeSec) {
+        frameSeq++;
+        frames.push({ seq: frameSeq, spectrum, sampleIndex, timeSec });
+        if (frames.length > MAX_FRAME_HISTORY) {
+            frames.shift();
+        }
+
+        latestSpectrum = spectrum;
+        latestTimeSec  = timeSec;
+    }
+
+    /**
+     * 最新のスペクトログラム用データを取得
+     * @returns {{ spectrum: Float32Array, timeSec: number } | null}
+     */
+    function getGraphData() {
+        if (!latestSpectrum) return null;
+
+        return {
             spectrum: latestSpectrum,
             timeSec: latestTimeSec
         };
     }
 
-    return {
-        start,
-        stop,
-        updateConfig,
-        getSampleRate,
-        getFFTSize,
-        getFrequencyAxis,
-        getSpectrum,
-        getWaveform,
-        getGraphData
-    };
+    /**
+     * 指定した通し番号より新しいフレームを取得する
+     *
+     * スペクトログラムなど、全フレームを1回ずつ描画したい側が使う。
+     *
+     * @param {number} seq - 前回受け取った最後のフレームの seq
+     * @returns {SpectrumFrame[]}
+     */
+    function getFramesSince(seq) {
+        if (frames.length === 0 || frames[frames.length - 1].seq <= seq) return [];
+
+        const first = frames.findIndex(f => f.seq > seq);
+        return frames.slice(first);
+    }
+
+    /**
+     * 最新フレームの通し番号を取得
+     * @returns {number}
+     */
+    function getLatestFrameSeq() {
+        return frameSeq;
+    }
+
+    return {
+        start,
+        stop,
+        analyzeFile,
+        updateConfig,
+        getState,
+        getSampleRate,
+        getFFTSize,
+        getFrequencyAxis,
+        getWindowInfo,
+        getSpectrum,
+        getWaveform,
+        getPitch,
+        getTriggeredWaveform,
+        armTrigger,
+        getGraphData,
+        getFramesSince,
+        getLatestFrameSeq,
+        startRecording,
+        stopRecording,
+        isRecording,
+        getRecordingDurationSec,
+        getLevelReadings,
+        resetLevelStatistics,
+        getInputDevice,
+        getDeviceOverrides,
+        getCorrectionGain,
+        isMicInput,
+        getCalibration,
+        reloadCalibration,
+        isStereoInput,
+        resetTransfer,
+        getTransferFunction,
+        getTransferImpulseResponse,
+        getTransferFrameCount,
+        findTransferDelay,
+        startSweepMeasurement,
+        cancelSweepMeasurement,
+        getSweepStatus,
+        getSweepResult,
+        getSweepResultSeq
+    };
+
+})();
+
+
+
+/******************************************************
+ * GraphManager
+ *
+ * Plotly.js を用いてスペクトログラムを描画
+ *
+ * 役割:
+ *  - グラフ初期化
+ *  - レイアウト構築
+ *  - requestAnimationFrame による描画更新
+ ******************************************************/
+
+const GraphManager = (function () {
+
+    /**
+     * グラフパネル管理配列
+     *
+     * @typedef {Object} GraphPanel
+     * @property {string} divId - Plotly を描画する div 要素ID。
+     * @property {"spectrogram"|"fft"|"waveform"|"harmonics"|"empty"} type - グラフ種別
+     *      このパネルが表示するデータ種別。
+     *      "spectrogram" : スペクトログラム（周波数×時間）
+     *      "fft"         : 周波数スペクトル（1フレーム）
+     *      "waveform"    : 時間波形
+     *      "harmonics"   : 高調波歪み解析（THD, THD+N, SINAD）
+     *      "octave"      : オクターブバンドのレベル（RTA）
+     *      "octaveSpectrogram" : オクターブバンドのスペクトログラム（バンド×時間）
+     *      "transfer"    : 伝達関数の振幅と位相（ステレオ入力）
+     *      "coherence"   : コヒーレンス（ステレオ入力）
+     *      "impulse"     : 伝達関数のインパルス応答（ステレオ入力）
+     *      "sweepImpulse"  : 指数スイープで測定したインパルス応答
+     *      "sweepEtc"      : 同、エネルギー時間曲線（ETC）
+     *      "sweepResponse" : 同、周波数特性
+     *      "tuner"       : チューナー（音名とセントのずれ）
+     *      "empty"       : 何も表示しない（プレースホルダ）
+     * @property {SpectrogramHistory|null=} history - スペクトログラム・ウォーターフォールの履歴（最初のフレームで作る）
+     * @property {SpectrogramHistory|null=} reviewHistory - ウォーターフォールの HOLD・書き出し用の履歴
+     *      表示用の history はスライスの本数にまとめるので、スペクトログラムと同じ分解能で別に持つ
+     * @property {SpectrogramRenderer|null=} renderer - スペクトログラムの描画（キャンバス）
+     * @property {SpectrogramSegment[]=} spectrogramSegments - 時刻と x 座標の対応（スイープ表示で折り返す）
+     * @property {string=} scaleKey - カラーバー用トレースに反映済みの条件
+     * @property {boolean=} pitchTraceShown - 音程の軌跡を表示中か
+     * @property {number[][]=} fftData - スペクトル
+     * @property {HarmonicResult|null=} drawnHarmonics - 高調波マーカーに反映済みの解析結果
+     * @property {boolean=} overlaysShown - 平均・最大／最小ホールドのトレースに何か描いているか
+     * @property {number=} lastFrameSeq - 描画済みの最後のフレーム通し番号
+     *      MeasurementController.getFramesSince() で差分を取り出すために使用。
+     * @property {number=} waterfallTraceCount - ウォーターフォールのスライス（または曲面）のトレース数
+     *      ピークの線のトレースはこの次の番号
+     * @property {SpectrumFrame[]=} heldFrames
+     *      HOLD 中に届いた、まだ描画していないフレーム
+     * @property {Object[]=} holdBaseShapes
+     *      HOLD した時点のスペクトログラムの shapes（履歴カーソルを重ねる前）
+     * @property {Float32Array=} waveformData - 表示中の波形（手動カーソルの読み取り用）
+     * @property {string=} triggerStatus - タイトルに表示中のトリガーの状態
+     * @property {Array<number|null>=} octaveData - 表示中のバンドレベル
+     * @property {number=} lastTransferCount - 描画済みの伝達関数の平均フレーム数（変化したら描き直す）
+     * @property {number=} lastSweepSeq - 描画済みのインパルス応答の測定結果の通し番号
+     * @property {number|null=} lastPitchTimeSec - 描画済みの音程の時刻（チューナー）
+     */
+
+    /** @type {GraphPanel[]} */
+    const panels = [
+        { divId: "graph1", type: "spectrogram" },
+        { divId: "graph2", type: "empty" }
+    ];
+
+    let isRunning   = false;
+    let animationId = null;
+    let isSyncingFrequency = false;
+
+    /**
+     * 自動ピークカーソルの検出結果（最新スペクトル）
+     * @type {SpectrumPeak[]}
+     */
+    let currentPeaks = [];
+
+    /**
+     * 高調波歪みの解析結果（歪み解析パネルを表示中のみ）
+     * @type {HarmonicResult|null}
+     */
+    let currentHarmonics = null;
+
+    /**
+     * 音程の軌跡（スペクトログラムに重ねる。時間軸の長さだけ保持）
+     * @type {{ timeSec: number[], frequency: Array<number|null> }}
+     */
+    let pitchHistory = { timeSec: [], frequency: [] };
+
+    /**
+     * THD+N・SINAD の解析帯域 [Hz]（可聴帯域。ナイキスト周波数で頭打ち）
+     */
+    const DISTORTION_BAND = { min: 20, max: 20000 };
+
+    /**
+     * オクターブバンドの計算器
+     * バンド幅・FFT 条件・窓関数が変わったら作り直す
+     */
+    let octaveAnalyzer = null;
+    let octaveAnalyzerKey = "";
+
+    /**
+     * FFT パネルの平均化と最大／最小ホールド
+     * applyConfig でパネルを作り直しても続くよう、パネルではなくここで持つ。
+     * 周波数軸・dB／リニア・補正ゲインが変わったときだけ作り直す
+     * @type {SpectrumAverager|null}
+     */
+    let spectrumAverager = null;
+    let spectrumAveragerKey = "";
+
+    /** 平均化に加えた最後のフレーム通し番号 */
+    let averageFrameSeq = 0;
+
+    /**
+     * 時間軸の自動スクロール一時停止中か
+     * ユーザーがスペクトログラムの時間軸をズーム／パンすると true になる
+     */
+    let scrollPaused = false;
+
+    /**
+     * ファイル一括解析の表示中は、時間軸の長さをファイル全体に合わせる
+     * @type {number|null} [sec]（null のときは recordDurationSec を使う）
+     */
+    let batchDurationSec = null;
+
+    /**
+     * HOLD（表示の一時停止）中か
+     * 計測は裏で続き、解除すると保留していたフレームをまとめて描画する
+     */
+    let holding = false;
+
+    /**
+     * HOLD 中に振り返る履歴（HOLD した時点のもの）
+     * @type {{ timeSec: number[], spectra: ArrayLike<number>[] }|null}
+     */
+    let holdHistory = null;
+
+    /**
+     * HOLD 中に表示している履歴の位置（holdHistory のインデックス）
+     */
+    let holdIndex = -1;
+
+    /**
+     * HOLD 中にスペクトログラムをクリックして位置を選んだときに呼ばれる
+     * @type {((index: number) => void)|null}
+     */
+    let onHoldFrameChange = null;
+
+    /**
+     * 手動カーソル A/B の位置（パネル種別ごと）
+     * 未配置のときは null（表示範囲の 1/4・3/4 の位置に置く）
+     *
+     * - fft         : 周波数 [Hz]（ビンにスナップ）
+     * - waveform    : 時間 [sec]（サンプルにスナップ）
+     * - spectrogram : 十字線の位置 { x: 時間軸の座標, y: 周波数 [Hz] }
+     *
+     * @type {{ fft: {a: number, b: number}|null,
+     *          waveform: {a: number, b: number}|null,
+     *          spectrogram: {a: {x: number, y: number}, b: {x: number, y: number}}|null }}
+     */
+    const cursors = { fft: null, waveform: null, spectrogram: null };
+
+    /** カーソルの色 */
+    const CURSOR_COLORS = { a: "#ff7f0e", b: "#17becf" };
+
+    /**
+     * 指定したグラフパネルの表示種別を変更する
+     *
+     * @param {"graph1"|"graph2"} divId
+     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"harmonics"|"octave"|"octaveSpectrogram"|"transfer"|"coherence"|"impulse"|"sweepImpulse"|"sweepEtc"|"sweepResponse"|"tuner"|"empty"} type
+     */
+    function setGraphType(divId, type) {
+        const panel = panels.find(p => p.divId === divId);
+        if (!panel) {
+            console.warn("Unknown panel:", divId);
+            return;
+        }
+
+        panel.type = type;
+        // Plotly を作り直す
+        initPanel(panel);
+        // レイアウト更新
+        updateAllPanelVisibility();
+    }
+
+    /**
+     * graph1 の表示モードを切り替える
+     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"harmonics"|"octave"|"octaveSpectrogram"|"transfer"|"coherence"|"impulse"|"sweepImpulse"|"sweepEtc"|"sweepResponse"|"tuner"|"empty"} type
+     */
+    function setGraph1Type(type) {
+        setGraphType("graph1", type);
+    }
+
+    /**
+     * graph2 の表示モードを切り替える
+     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"harmonics"|"octave"|"octaveSpectrogram"|"transfer"|"coherence"|"impulse"|"sweepImpulse"|"sweepEtc"|"sweepResponse"|"tuner"|"empty"} type
+     */
+    function setGraph2Type(type) {
+        setGraphType("graph2", type);
+    }
+
+    /**
+     * 初期化（ページロード時に1回だけ）
+     * DOM と Plotly の土台を作る
+     */
+    function init() {
+        panels.forEach(panel => {
+            initPanel(panel);
+        });
+    }
+
+    /**
+     * パネル単位の初期化
+     * @param {GraphPanel} panel
+     */
+    function initPanel(panel) {
+        // 共通状態
+        panel.history = null;
+        panel.reviewHistory = null;
+        panel.spectrogramSegments = [{ start: -Infinity, end: Infinity, offset: 0 }];
+        panel.scaleKey = "";
+        panel.pitchTraceShown = false;
+        panel.lastFrameSeq = MeasurementController.getLatestFrameSeq();
+        panel.lastTransferCount = -1;
+        panel.lastSweepSeq = -1;
+        panel.lastPitchTimeSec = null;
+
+        clearPanel(panel);
+
+        switch (panel.type) {
+            case "spectrogram":
+                initSpectrogramPanel(panel);
+                break;
+
+            case "fft":
+                initFFTPanel(panel);
+                break;
+
+            case "waveform":
+                initWaveformPanel(panel);
+                break;
+
+            case "waterfall":
+                initWaterfallPanel(panel);
+                break;
+
+            case "harmonics":
+                initHarmonicsPanel(panel);
+                break;
+
+            case "octave":
+                initOctavePanel(panel);
+                break;
+
+            case "octaveSpectrogram":
+                initOctaveSpectrogramPanel(panel);
+                break;
+
+            case "transfer":
+            case "coherence":
+                initTransferPanel(panel);
+                break;
+
+            case "impulse":
+                initImpulsePanel(panel);
+                break;
+
+            case "sweepImpulse":
+            case "sweepEtc":
+            case "sweepResponse":
+                initSweepPanel(panel);
+                break;
+
+            case "tuner":
+                initTunerPanel(panel);
+                break;
+
+            case "empty":
+            default:
+                break;
+        }
+
+        // Plotly.jsのイベント
+        const div = document.getElementById(panel.divId);
+        div.on('plotly_relayouting', () => {
+            
+        });
+
+        div.on('plotly_relayout', (event) => {
+            // 手動カーソルのドラッグ
+            if (handleCursorDrag(panel, event)) return;
+
+            // FFT以外は、将来の拡張時のためにコメントで残しています。
+
+            // 時間軸のズーム／パンで自動スクロールを一時停止、ダブルクリックで再開
+            // ※ プログラムからの更新は "xaxis.range"（配列）で行うので区別できる
+            if (isSpectrogramType(panel.type)) {
+                if ('xaxis.range[0]' in event) {
+                    if (isRunning) pauseScroll();
+                } else if (event['xaxis.autorange'] === true) {
+                    if (isRunning) resumeScroll();
+                    // オートレンジはカラーバー用のトレースに合ってしまうので、履歴の範囲に戻す
+                    fitSpectrogramTimeRange(panel);
+                }
+            }
+
+            // 同期処理中なら無視（無限ループ防止）
+            if (isSyncingFrequency) return;
+
+            let fMin, fMax;
+
+            // FFT
+            if (panel.type === "fft") {
+                if ('xaxis.range[0]' in event && 'xaxis.range[1]' in event) {
+                    fMin = event['xaxis.range[0]'];
+                    fMax = event['xaxis.range[1]'];
+                }
+                // 振幅レンジ
+                if (!currentConfig.autoScale) {
+                    if ('yaxis.range[0]' in event && 'yaxis.range[1]' in event) {
+                        currentConfig.minAmplitudeInput = event['yaxis.range[0]'];
+                        currentConfig.maxAmplitudeInput = event['yaxis.range[1]'];
+                        applySpectrogramScale();
+                    }
+                }
+            }
+
+            // 伝達関数・コヒーレンス（縦軸は振幅レンジと無関係）
+            if (panel.type === "transfer" || panel.type === "coherence") {
+                if ('xaxis.range[0]' in event && 'xaxis.range[1]' in event) {
+                    fMin = event['xaxis.range[0]'];
+                    fMax = event['xaxis.range[1]'];
+                }
+            }
+
+            // spectrogram（周波数は y 軸）
+            if (panel.type === "spectrogram") {
+                if ('yaxis.range[0]' in event && 'yaxis.range[1]' in event) {
+                    fMin = event['yaxis.range[0]'];
+                    fMax = event['yaxis.range[1]'];
+                }
+            }
+
+            // waterfall（3D）
+            if (panel.type === "waterfall") {
+                if ('scene.xaxis.range[0]' in event && 'scene.xaxis.range[1]' in event) {
+                    fMin = event['scene.xaxis.range[0]'];
+                    fMax = event['scene.xaxis.range[1]'];
+                }
+            }
+
+            if (fMin === undefined || fMax === undefined) return;
+
+            // 周波数軸の最大レンジを実際の周波数データ範囲に合わせる
+            const range = buildFrequencyRange({
+                ...currentConfig,
+                freqMinInput: currentConfig.freqLog ? Math.pow(10,fMin) : fMin,
+                freqMaxInput: currentConfig.freqLog ? Math.pow(10,fMax) : fMax
+            });
+            syncFrequencyRangeToAllPlots(range.min, range.max);
+            // clamp後の値を currentConfig と UI に戻す
+            if (currentConfig.freqLog) {
+                currentConfig.freqMinInput = Math.pow(10, range.min);
+                currentConfig.freqMaxInput = Math.pow(10, range.max);
+            } else {
+                currentConfig.freqMinInput = range.min;
+                currentConfig.freqMaxInput = range.max;
+            }
+            
+        });
+    }
+
+    /**
+     * 設定変更通知
+     *
+     * @param {Object} config
+     * 
+     * 以下のような変更があった場合に使います。
+     * - FFTサイズ変更
+     * - サンプリング周波数変更
+     * - カラーマップ変更
+     * - autoscale ON/OFF
+     */
+    async function notifyConfigChanged(config) {
+        currentConfig = config;
+        await applyConfig(config);
+    }
+
+    /**
+     * スペクトログラムの初期化
+     * @param {GraphPanel} panel
+     */
+    function initSpectrogramPanel(panel) {
+        // 周波数軸とカラーバー（本体は SpectrogramRenderer が描く）
+        const trace = buildScaleTrace(getSpectrogramYValues(panel), null);
+
+        // 音程の軌跡（pitchTrace が有効なときだけ点を入れる）
+        const pitchTrace = {
+            type: "scatter",
+            mode: "lines",
+            name: "Pitch",
+            x: [],
+            y: [],
+            line: { color: "white", width: 2 },
+            hovertemplate: "%{y:.1f} Hz<extra>Pitch</extra>",
+            showlegend: false
+        };
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace, pitchTrace], 
+            buildLayout("spectrogram"), 
+            { 
+                displayModeBar: true, 
+                responsive: true 
+            }
+        );
+        panel.renderer = createSpectrogramRenderer(panel);
+    }
+
+    /**
+     * スペクトログラムの描画を作る
+     *
+     * ホバーではその位置の値を表示し、
+     * HOLD 中のクリックでは振り返る位置を選ぶ。
+     *
+     * @param {GraphPanel} panel
+     * @returns {SpectrogramRenderer}
+     */
+    function createSpectrogramRenderer(panel) {
+        const renderer = new SpectrogramRenderer(document.getElementById(panel.divId), {
+            formatHover: (point) => formatSpectrogramHover(panel, point),
+            onClick: (point) => {
+                if (!holding) return;
+                const index = findHoldIndex(point.x);
+                if (index < 0) return;
+                showHoldFrame(index);
+                if (onHoldFrameChange) onHoldFrameChange(index);
+            }
+        });
+        renderer.setColorScale(getPlotlyColorScale(currentConfig.colorScale));
+        return renderer;
+    }
+
+    /**
+     * スペクトログラムのホバー表示
+     *
+     * @param {GraphPanel} panel
+     * @param {SpectrogramPoint} point
+     * @returns {string}
+     */
+    function formatSpectrogramHover(panel, point) {
+        const y = panel.type === "octaveSpectrogram"
+            ? `${getOctaveBands()[point.bin]?.label ?? "-"} Hz`
+            : formatFreq(point.bin * MeasurementController.getSampleRate() / MeasurementController.getFFTSize());
+        return `${point.timeSec.toFixed(2)} s<br>${y}<br>${formatLevel(point.value)}`;
+    }
+
+    /**
+     * スペクトログラムの縦軸の値（周波数、またはバンド名）
+     *
+     * @param {GraphPanel} panel
+     * @returns {Array<number|string>}
+     */
+    function getSpectrogramYValues(panel) {
+        return panel.type === "octaveSpectrogram"
+            ? getOctaveBands().map(band => band.label)
+            : Array.from(MeasurementController.getFrequencyAxis() ?? []);
+    }
+
+    /**
+     * カラーバー用の透明なヒートマップ（トレース 0）
+     *
+     * 縦軸（周波数の範囲・バンド名のカテゴリ）とカラーバーを Plotly に作らせるためのもの。
+     * 値は描画に使ったレベルの範囲の 2 点だけ入れる（オートスケールの色の範囲になる）。
+     *
+     * @param {Array<number|string>} yValues
+     * @param {[number, number]|null} levelRange
+     * @returns {Object} Plotly のトレース
+     */
+    function buildScaleTrace(yValues, levelRange) {
+        return {
+            type: "heatmap",
+            x: [0],
+            y: yValues,
+            z: buildScaleZ(yValues.length, levelRange),
+            colorscale: getPlotlyColorScale(currentConfig.colorScale),
+            opacity: 0,
+            hoverinfo: "skip"
+        };
+    }
+
+    /**
+     * カラーバー用トレースの z（[y][1]）
+     *
+     * @param {number} rows
+     * @param {[number, number]|null} levelRange
+     * @returns {Array<Array<number|null>>}
+     */
+    function buildScaleZ(rows, levelRange) {
+        return Array.from({ length: rows }, (_, i) => [levelRange && i < 2 ? levelRange[i] : null]);
+    }
+
+    /**
+     * カラーバー用トレースを、描画に使った色とレベルの範囲に合わせる（変わったときだけ）
+     *
+     * @param {GraphPanel} panel
+     */
+    function updateScaleTrace(panel) {
+        const levelRange = panel.renderer.getLevelRange();
+        const key = JSON.stringify([currentConfig.colorScale, levelRange, currentConfig.octaveFraction]);
+        if (key === panel.scaleKey) return;
+        panel.scaleKey = key;
+
+        const yValues = getSpectrogramYValues(panel);
+
+        Plotly.restyle(panel.divId, {
+            y: [yValues],
+            z: [buildScaleZ(yValues.length, levelRange)],
+            colorscale: [getPlotlyColorScale(currentConfig.colorScale)]
+        }, [0]);
+    }
+
+    /**
+     * スペクトログラムの初期化
+     * @param {"Standard"|"Green"|"White"} name
+     */
+    function getPlotlyColorScale(name) {
+        switch (name) {
+            case "Standard":
+                return "Jet";
+
+            case "Green":
+                // 黒 → 緑
+                return [
+                    [0.0, "rgb(0,0,0)"],
+                    [1.0, "rgb(0,255,0)"]
+                ];
+
+            case "White":
+                // 黒 → 白
+                return "Greys";
+
+            default:
+                return "Jet";
+        }
+    }
+
+
+    /**
+     * FFTの初期化
+     * @param {GraphPanel} panel
+     */
+    function initFFTPanel(panel) {
+        const freqAxis = MeasurementController.getFrequencyAxis();
+        const trace = {
+            type: "scatter",
+            mode: "lines",
+            x: freqAxis,  // frequency axis
+            y: []   // [freq]
+        };
+
+        // 自動ピークカーソル
+        const peakTrace = {
+            type: "scatter",
+            mode: "markers",
+            x: [],
+            y: [],
+            marker: { symbol: "triangle-down", size: 10, color: "red" },
+            hoverinfo: "skip",
+            showlegend: false
+        };
+
+        // 高調波マーカー（歪み解析パネルを表示中のみ）
+        const harmonicTrace = {
+            type: "scatter",
+            mode: "markers+text",
+            x: [],
+            y: [],
+            text: [],
+            textposition: "top center",
+            marker: { symbol: "diamond", size: 8, color: "#ff7f0e" },
+            textfont: { size: 10, color: "#ff7f0e" },
+            hoverinfo: "x+y+text",
+            showlegend: false
+        };
+
+        // 平均・最大ホールド・最小ホールド（有効なものだけ凡例に出す）
+        const averaging = currentConfig.fftAverageMode !== "off";
+        const overlay = (name, color, dash, visible) => ({
+            type: "scatter",
+            mode: "lines",
+            name,
+            x: freqAxis,
+            y: [],
+            line: { color, width: 1.5, dash },
+            showlegend: visible
+        });
+        const avgTrace = overlay("Average", "#2ca02c", "solid", averaging);
+        const maxTrace = overlay("Max hold", "#d62728", "dot", currentConfig.fftMaxHold);
+        const minTrace = overlay("Min hold", "#7f7f7f", "dot", currentConfig.fftMinHold);
+
+        const anyOverlay = averaging || currentConfig.fftMaxHold || currentConfig.fftMinHold;
+        trace.name = "Live";
+        trace.showlegend = anyOverlay;
+        // 平均を表示するときはライブを薄くする
+        if (averaging) trace.opacity = 0.4;
+
+        const layout = buildLayout("fft");
+        layout.legend = { orientation: "h", x: 1, xanchor: "right", y: 1, yanchor: "bottom" };
+        panel.drawnHarmonics = null;
+        panel.overlaysShown = false;
+
+        Plotly.newPlot(
+            panel.divId, 
+            [trace, peakTrace, harmonicTrace, avgTrace, maxTrace, minTrace], 
+            layout,
+            {
+                responsive: true,
+                modeBarButtonsToAdd: [
+                    {
+                        name: "平均をリセット",
+                        icon: Plotly.Icons.undo,
+                        click: () => resetSpectrumAverage({ average: true })
+                    },
+                    {
+                        name: "ホールドをリセット",
+                        icon: Plotly.Icons.eraseshape,
+                        click: () => resetSpectrumAverage({ hold: true })
+                    }
+                ]
+            }
+        );
+    }
+
+    /**
+     * 伝達関数・コヒーレンスパネルの初期化
+     *
+     * transfer  : 振幅 [dB]（左軸）と位相 [deg]（右軸）
+     * coherence : コヒーレンス（0～1）
+     *
+     * @param {GraphPanel} panel
+     */
+    function initTransferPanel(panel) {
+        const freqAxis = MeasurementController.getFrequencyAxis();
+
+        const traces = panel.type === "transfer"
+            ? [
+                {
+                    type: "scatter",
+                    mode: "lines",
+                    name: "Magnitude",
+                    x: freqAxis,
+                    y: [],
+                    line: { color: "#1f77b4", width: 1.5 }
+                },
+                {
+                    type: "scatter",
+                    mode: "lines",
+                    name: "Phase",
+                    x: freqAxis,
+                    y: [],
+                    yaxis: "y2",
+                    line: { color: "#ff7f0e", width: 1, dash: "dot" }
+                }
+            ]
+            : [
+                {
+                    type: "scatter",
+                    mode: "lines",
+                    name: "Coherence",
+                    x: freqAxis,
+                    y: [],
+                    line: { color: "#2ca02c", width: 1.5 }
+                }
+            ];
+
+        Plotly.newPlot(
+            panel.divId,
+            traces,
+            buildLayout(panel.type),
+            {
+                responsive: true,
+                modeBarButtonsToAdd: [
+                    {
+                        name: "平均をリセット",
+                        icon: Plotly.Icons.undo,
+                        click: () => MeasurementController.resetTransfer()
+                    }
+                ]
+            }
+        );
+    }
+
+    /**
+     * インパルス応答パネルの初期化
+     * @param {GraphPanel} panel
+     */
+    function initImpulsePanel(panel) {
+        const trace = {
+            type: "scatter",
+            mode: "lines",
+            x: [],  // time axis [ms]
+            y: [],
+            line: { color: "#1f77b4", width: 1 }
+        };
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace],
+            buildLayout("impulse"),
+            {responsive: true}
+        );
+    }
+
+    /**
+     * 指数スイープによるインパルス応答の測定結果のパネルの初期化
+     * 測定結果があればすぐに描く（停止中の表示切り替えでも見られるように）
+     *
+     * @param {GraphPanel} panel
+     */
+    function initSweepPanel(panel) {
+        const trace = {
+            type: "scatter",
+            mode: "lines",
+            x: [],
+            y: [],
+            line: { color: panel.type === "sweepEtc" ? "#d62728" : "#1f77b4", width: 1 }
+        };
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace],
+            buildLayout(panel.type),
+            {responsive: true}
+        );
+        updateSweep(panel);
+    }
+
+    /**
+     * チューナーパネルの初期化
+     *
+     * ±50 cent のゲージに、針（threshold）でずれを示す。
+     * ±5 cent 以内を緑、±15 cent 以内を黄色の帯で示す。
+     *
+     * @param {GraphPanel} panel
+     */
+    function initTunerPanel(panel) {
+        const trace = {
+            type: "indicator",
+            mode: "gauge",
+            value: 0,
+            number: { suffix: " cent", valueformat: "+.1f" },
+            title: { text: "—" },
+            gauge: {
+                shape: "angular",
+                axis: { range: [-50, 50], tickvals: [-50, -30, -15, -5, 0, 5, 15, 30, 50] },
+                bar: { color: "rgba(0,0,0,0)" },
+                steps: [
+                    { range: [-15, 15], color: "#fff3cd" },
+                    { range: [-5, 5], color: "#d1e7dd" }
+                ],
+                threshold: {
+                    line: { color: "#adb5bd", width: 4 },
+                    thickness: 1,
+                    value: 0
+                }
+            }
+        };
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace],
+            buildLayout("tuner"),
+            { responsive: true, displayModeBar: false }
+        );
+    }
+
+    /**
+     * 波形グラフの初期化
+     * @param {GraphPanel} panel
+     */
+    function initWaveformPanel(panel) {
+        const trace = {
+            type: "scatter",
+            mode: "lines",
+            x: [],  // time axis
+            y: []   // [time]
+        };
+
+        const layout = buildLayout("waveform");
+
+        // トリガー位置（縦）とトリガーレベル（横）の目印
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        if (sampleRate && fftSize) {
+            const pre = Math.min(fftSize - 1, Math.round(fftSize * currentConfig.triggerPosition / 100));
+            const marker = { color: "#ff7f0e", width: 1, dash: "dot" };
+            layout.shapes = [
+                {
+                    type: "line", name: "triggerPosition",
+                    xref: "x", x0: pre / sampleRate, x1: pre / sampleRate,
+                    yref: "paper", y0: 0, y1: 1,
+                    line: marker
+                },
+                {
+                    type: "line", name: "triggerLevel",
+                    xref: "paper", x0: 0, x1: 1,
+                    yref: "y", y0: currentConfig.triggerLevel, y1: currentConfig.triggerLevel,
+                    line: marker
+                }
+            ];
+        }
+        panel.triggerStatus = "";
+        panel.waveformData = null;
+
+        // シングルのときだけ、再びトリガーを待つボタンを出す
+        const modeBarButtonsToAdd = currentConfig.triggerMode === "single"
+            ? [{
+                name: "再びトリガーを待つ",
+                icon: Plotly.Icons.undo,
+                click: () => MeasurementController.armTrigger()
+            }]
+            : [];
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace], 
+            layout,
+            { responsive: true, modeBarButtonsToAdd }
+        );
+    }
+
+    /**
+     * 歪み解析パネルの初期化
+     * 高調波ごとのレベル（基本波基準の dBc）を棒グラフで表示し、
+     * THD・THD+N・SINAD はタイトルに表示する
+     *
+     * @param {GraphPanel} panel
+     */
+    function initHarmonicsPanel(panel) {
+        const trace = {
+            type: "bar",
+            x: [],  // 次数
+            y: [],  // [dBc]
+            text: [],
+            textposition: "outside",
+            marker: { color: "#ff7f0e" }
+        };
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace],
+            buildLayout("harmonics"),
+            {responsive: true}
+        );
+    }
+
+    /**
+     * オクターブバンド（RTA）パネルの初期化
+     * @param {GraphPanel} panel
+     */
+    function initOctavePanel(panel) {
+        const trace = {
+            type: "bar",
+            x: getOctaveBands().map(band => band.label),
+            y: [],
+            customdata: [],
+            hovertemplate: "%{x} Hz<br>%{customdata:.1f}<extra></extra>",
+            marker: { color: "#0d6efd" }
+        };
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace],
+            buildLayout("octave"),
+            {responsive: true}
+        );
+    }
+
+    /**
+     * オクターブバンドのスペクトログラムの初期化
+     * 縦軸はバンドの呼び周波数（カテゴリ軸）
+     *
+     * @param {GraphPanel} panel
+     */
+    function initOctaveSpectrogramPanel(panel) {
+        const trace = buildScaleTrace(getSpectrogramYValues(panel), null);
+
+        Plotly.newPlot(
+            panel.divId,
+            [trace],
+            buildLayout("octaveSpectrogram"),
+            {
+                displayModeBar: true,
+                responsive: true
+            }
+        );
+        panel.renderer = createSpectrogramRenderer(panel);
+    }
+
+    /**
+     * ウォーターフォールの初期化
+     * 3次元スペクトログラム、3Dウォーターフォールプロット
+     *
+     * トレースはここで本数分だけ作り、以降は restyle で中身を入れ替える。
+     * - lines   : 時間方向に等間隔のスライス（設定の本数）
+     * - surface : 1 枚の曲面
+     * 最後のトレースは最大ピークの周波数をなぞる線。
+     * 
+     * @param {GraphPanel} panel
+     */
+    function initWaterfallPanel(panel) {
+        const colorscale = getPlotlyColorScale(currentConfig.colorScale);
+
+        const traces = currentConfig.waterfallStyle === "surface"
+            ? [{
+                type: "surface",
+                x: [],
+                y: [],
+                z: [],
+                colorscale,
+                showscale: false
+            }]
+            : Array.from({ length: currentConfig.waterfallSlices }, () => ({
+                type: "scatter3d",
+                mode: "lines",
+                x: [],
+                y: [],
+                z: [],
+                showlegend: false,
+                line: {
+                    width: 2,
+                    color: [],
+                    colorscale
+                }
+            }));
+        panel.waterfallTraceCount = traces.length;
+
+        // 最大ピークの周波数を時間方向の線で示す
+        traces.push({
+            type: "scatter3d",
+            mode: "lines",
+            x: [],
+            y: [],
+            z: [],
+            line: { width: 5, color: "red" },
+            hoverinfo: "skip",
+            showlegend: false
+        });
+
+        const layout = buildLayout("waterfall");
+
+        Plotly.newPlot(
+            panel.divId, 
+            traces, 
+            layout, 
+            { responsive: true }
+        );
+    }
+
+    /**
+     * emptyの初期化
+     * @param {GraphPanel} panel
+     */
+    function clearPanel(panel) {
+        if (panel.renderer) {
+            panel.renderer.destroy();
+            panel.renderer = null;
+        }
+        Plotly.purge(panel.divId);   // Plotlyを完全に消す
+    }
+
+    /**
+     * 軸の再取得・再反映
+     * MeasurementController から最新の軸情報を取得して反映
+     */
+    function resetAxes() {
+        const freqAxis = MeasurementController.getFrequencyAxis();
+
+        panels.forEach(panel => {
+            if (panel.type === "spectrogram") {
+                // 縦軸の値が変わるので、カラーバー用トレースを作り直す
+                panel.scaleKey = "";
+                updateScaleTrace(panel);
+            }
+
+            if (panel.type === "fft") {
+                // スペクトルと平均・ホールドのトレース
+                Plotly.restyle(panel.divId, {
+                    x: [freqAxis, freqAxis, freqAxis, freqAxis]
+                }, [0, 3, 4, 5]);
+            }
+
+            if (panel.type === "transfer") {
+                Plotly.restyle(panel.divId, {
+                    x: [freqAxis, freqAxis]
+                }, [0, 1]);
+            }
+
+            if (panel.type === "coherence") {
+                Plotly.restyle(panel.divId, {
+                    x: [freqAxis]
+                }, [0]);
+            }
+        });
+    }
+
+    /**
+     * 描画開始
+     * MeasurementController の設定を元に再構築
+     */
+    function start() {
+        if (isRunning) return;
+
+        // 内部状態リセット
+        batchDurationSec = null;
+        pitchHistory = { timeSec: [], frequency: [] };
+        spectrumAverager = null;
+        spectrumAveragerKey = "";
+        panels.forEach(panel => {
+            resetPanel(panel);
+        });
+        resumeScroll();
+
+        isRunning = true;
+        loop();
+    }
+
+    /**
+     * ファイル一括解析の結果を表示する
+     *
+     * 描画ループは回さず、全フレームを一度に各パネルへ流し込む。
+     * 時間軸はファイル全体（0 ～ durationSec）になる。
+     *
+     * @param {SpectrumFrame[]} frames
+     * @param {number} durationSec
+     */
+    function renderBatch(frames, durationSec) {
+        stop();
+        batchDurationSec = durationSec;
+        // 音程の軌跡は実時間の計測でのみ記録する
+        pitchHistory = { timeSec: [], frequency: [] };
+        resumeScroll();
+
+        updatePeaks();
+        updateHarmonics();
+
+        // ファイル全体の平均・ホールド
+        spectrumAverager = null;
+        spectrumAveragerKey = "";
+        updateSpectrumAverage(frames);
+
+        // 長いファイルはフレームをまとめてあるので、列の間隔はフレームの間隔に合わせる
+        const frameSec = frames.length > 1
+            ? (frames[frames.length - 1].timeSec - frames[0].timeSec) / (frames.length - 1)
+            : getFrameIntervalSec();
+
+        panels.forEach(panel => {
+            resetPanel(panel);
+            if (panel.type === "empty" || frames.length === 0) return;
+
+            switch (panel.type) {
+                case "spectrogram":
+                    getSpectrogramHistory(panel, frames[0].spectrum.length, frameSec);
+                    updateSpectrogram(panel, frames);
+                    break;
+
+                case "octaveSpectrogram": {
+                    const bandFrames = toBandFrames(frames);
+                    if (bandFrames.length === 0) break;
+                    getSpectrogramHistory(panel, bandFrames[0].spectrum.length, frameSec);
+                    updateSpectrogram(panel, bandFrames);
+                    break;
+                }
+
+                case "waterfall":
+                    getSpectrogramHistory(panel, frames[0].spectrum.length, frameSec);
+                    updateWaterfall(panel, frames, true);
+                    break;
+
+                default:
+                    updatePanel(panel);
+                    break;
+            }
+        });
+
+        updateCursorReadout();
+    }
+
+    /**
+     * 時間軸の長さ（保持する履歴の長さ）[sec]
+     * @returns {number}
+     */
+    function getTimeWindowSec() {
+        return batchDurationSec ?? currentConfig.recordDurationSec;
+    }
+
+    /**
+     * 時間軸の自動スクロールモード
+     * 一括解析の結果は全体を見せたいので常に "off" 扱い
+     * @returns {"off"|"scroll"|"sweep"}
+     */
+    function getScrollMode() {
+        return batchDurationSec !== null ? "off" : currentConfig.autoScrollMode;
+    }
+
+    /**
+     * パネル単位リセット
+     */
+    function resetPanel(panel) {
+        panel.history = null;
+        panel.reviewHistory = null;
+        panel.scaleKey = "";
+        if (panel.renderer) panel.renderer.setHistory(null);
+        panel.lastFrameSeq = MeasurementController.getLatestFrameSeq();
+        panel.lastTransferCount = -1;
+    }
+
+    /**
+     * 描画停止
+     */
+    function stop() {
+        // HOLD 中に溜めたフレームも描いてから止める
+        releaseHold();
+
+        isRunning = false;
+        cancelAnimationFrame(animationId);
+    }
+
+
+    /**
+     * 設定反映
+     * graphType に応じて graph1 / graph2 を切り替える
+     *
+     * @param {Object} config
+     */
+    async function applyConfig(config) {
+        // graphType → graph1 / graph2 対応表
+        const graphTypeMap = {
+            fftWaterfall:   ["fft",         "waterfall"],
+            fftColor:       ["fft",         "spectrogram"],
+            waterfallColor: ["waterfall",   "spectrogram"],
+            waveColor:      ["waveform",    "spectrogram"],
+            waveFft:        ["waveform",    "fft"],
+            fftOnly:        ["fft",         "empty"],
+            waterfallOnly:  ["waterfall",   "empty"],
+            colorOnly:      ["spectrogram", "empty"],
+            waveOnly:       ["waveform",    "empty"],
+            fftHarmonics:   ["fft",         "harmonics"],
+            fftOctave:      ["fft",         "octave"],
+            octaveColor:    ["octave",      "octaveSpectrogram"],
+            octaveOnly:     ["octave",      "empty"],
+            fftTransfer:    ["fft",         "transfer"],
+            transferCoherence: ["transfer", "coherence"],
+            transferImpulse:   ["transfer", "impulse"],
+            tunerColor:     ["tuner",       "spectrogram"],
+            tunerFft:       ["tuner",       "fft"],
+            sweepImpulseEtc:      ["sweepImpulse", "sweepEtc"],
+            sweepImpulseResponse: ["sweepImpulse", "sweepResponse"],
+            sweepEtcResponse:     ["sweepEtc",     "sweepResponse"]
+        };
+
+        const types = graphTypeMap[config.graphType];
+        if (!types) {
+            console.warn("Unknown graphType:", config.graphType);
+            return;
+        }
+
+        // graph1 / graph2 に反映
+        setGraph1Type(types[0]);
+        setGraph2Type(types[1]);
+
+        const auto    = config.autoScale === true;  // オートスケール
+        const freqLog = config.freqLog === true;    // 周波数軸LOG
+
+        // 周波数
+        // 周波数レンジ正規化
+        const range = buildFrequencyRange(config);
+        const fMin = range.min;
+        const fMax = range.max;
+        // clamp後の値を currentConfig と UI に戻す
+        if (freqLog) {
+            config.freqMinInput = Math.pow(10, fMin);
+            config.freqMaxInput = Math.pow(10, fMax);
+            currentConfig.freqMinInput = config.freqMinInput;
+            currentConfig.freqMaxInput = config.freqMaxInput;
+        } else {
+            config.freqMinInput = fMin;
+            config.freqMaxInput = fMax;
+            currentConfig.freqMinInput = config.freqMinInput;
+            currentConfig.freqMaxInput = config.freqMaxInput;
+        }
+
+        panels.forEach(panel => {
+            if (panel.type === "empty") return;
+
+            let layoutUpdate = {};
+
+            if (panel.type === "spectrogram") {
+                layoutUpdate = {
+                        "yaxis.type": freqLog ? "log" : "linear",
+                        "yaxis.autorange": false,
+                        "yaxis.range": [fMin, fMax]
+                    };
+            }
+
+            if (panel.type === "fft") {
+                layoutUpdate = auto
+                    ? {
+                        "xaxis.type": freqLog ? "log" : "linear",
+                        "xaxis.autorange": false,
+                        "xaxis.range": [fMin, fMax],
+                        "yaxis.autorange": true
+                    }
+                    : {
+                        "xaxis.type": freqLog ? "log" : "linear",
+                        "xaxis.autorange": false,
+                        "xaxis.range": [fMin, fMax],
+                        "yaxis.autorange": false,
+                        "yaxis.range": [config.minAmplitudeInput, config.maxAmplitudeInput]
+                    };
+            }
+
+            if (panel.type === "transfer" || panel.type === "coherence") {
+                layoutUpdate = {
+                    "xaxis.type": freqLog ? "log" : "linear",
+                    "xaxis.autorange": false,
+                    "xaxis.range": [fMin, fMax]
+                };
+            }
+
+            if (panel.type === "octave") {
+                layoutUpdate = auto
+                    ? { "yaxis.autorange": true }
+                    : {
+                        "yaxis.autorange": false,
+                        "yaxis.range": [config.minAmplitudeInput, config.maxAmplitudeInput]
+                    };
+            }
+
+            if (panel.type === "tuner") {
+                // 基準ピッチ・音律の変更は次の描画から反映する
+                layoutUpdate = { "title.text": buildTunerTitle() };
+                panel.lastPitchTimeSec = null;
+            }
+
+            if (panel.type === "waveform") {
+                layoutUpdate = auto
+                    ? {
+                        "yaxis.autorange": true
+                    }
+                    : {
+                        "yaxis.autorange": false,
+                        "yaxis.range": [-1, 1]
+                    };
+            }
+
+            if (panel.type === "waterfall") {
+                layoutUpdate = {
+                    "scene.xaxis.type": freqLog ? "log" : "linear",
+                    "scene.xaxis.autorange": false,
+                    "scene.xaxis.range": [fMin, fMax],
+                    "scene.zaxis.autorange": auto,
+                    "scene.zaxis.range": auto 
+                        ? undefined 
+                        : [config.minAmplitudeInput, config.maxAmplitudeInput]
+                };
+            }
+
+            Plotly.relayout(panel.divId, layoutUpdate);
+        });
+        applySpectrogramScale();
+        await MeasurementController.updateConfig(config);
+
+        // 周波数軸が変わっている場合があるので、カーソルをスナップし直す
+        refreshCursors();
+    }
+
+    /**
+     * パネル表示制御
+     * panel.type に応じて DOM の表示／非表示を切り替える。
+     * empty の場合は非表示にする。
+     * 
+     * @param {Object} config
+     */
+    function updatePanelVisibility(panel) {
+        const div = document.getElementById(panel.divId);
+        if (!div) return;
+
+        if (panel.type === "empty") {
+            div.classList.add("graph-hidden");
+        } else {
+            div.classList.remove("graph-hidden");
+        }
+    }
+
+    /**
+     * 全パネルの可視状態を更新する
+     * graph2 が empty の場合、graph1 が全領域を使用する
+     */
+    function updateAllPanelVisibility() {
+        panels.forEach(panel => updatePanelVisibility(panel));
+
+        // 表示変更後に Plotly にサイズ再計算させる
+        requestAnimationFrame(() => {
+            panels.forEach(panel => {
+                const div = document.getElementById(panel.divId);
+                if (!div) return;
+                if (panel.type !== "empty") {
+                    Plotly.Plots.resize(div);
+                }
+            });
+        });
+    }
+
+    /**
+     * メイン描画ループ
+     */
+    function loop() {
+        if (!isRunning) return;
+
+        // HOLD 中も記録は続ける（解除したときに軌跡が途切れないように）
+        updatePitchHistory();
+
+        if (holding) {
+            // 表示は止めたまま、届いたフレームを溜めておく
+            panels.forEach(panel => queueHeldFrames(panel));
+        } else {
+            updatePeaks();
+            updateHarmonics();
+            updateSpectrumAverage();
+
+            panels.forEach(panel => {
+                updatePanel(panel);
+            });
+        }
+
+        updateCursorReadout();
+        
+        animationId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * 自動ピークカーソルの検出
+     * スペクトル（省略時は最新）から、表示中の周波数範囲にあるピークを探す
+     *
+     * @param {ArrayLike<number>} [spectrum]
+     */
+    function updatePeaks(spectrum = MeasurementController.getSpectrum()) {
+        currentPeaks = [];
+        if (!currentConfig.autoPeakCursor) return;
+
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        if (!spectrum || !sampleRate || !fftSize) return;
+
+        currentPeaks = PeakFinder.find(spectrum, {
+            binHz: sampleRate / fftSize,
+            db: currentConfig.dbDisplay,
+            count: currentConfig.peakCount,
+            minSpacingHz: currentConfig.peakMinSpacingHz,
+            thresholdDb: currentConfig.peakThresholdDb,
+            minFreq: currentConfig.freqMinInput,
+            maxFreq: currentConfig.freqMaxInput
+        });
+    }
+
+    /**
+     * ピークの注釈文字列
+     * @param {SpectrumPeak} peak
+     * @returns {string}
+     */
+    function formatPeakLabel(peak) {
+        const freq = peak.freq >= 1000
+            ? `${(peak.freq / 1000).toFixed(3)} kHz`
+            : `${peak.freq.toFixed(1)} Hz`;
+        const level = currentConfig.dbDisplay
+            ? `${peak.level.toFixed(1)} dB`
+            : peak.level.toExponential(2);
+        return `${freq}<br>${level}`;
+    }
+
+    /**
+     * FFT パネル用のピーク注釈を作る
+     * ※ 注釈の x 座標は LOG 軸のとき log10 で指定する必要がある
+     *
+     * @param {SpectrumPeak[]} peaks
+     * @returns {Object[]} Plotly annotations
+     */
+    function buildPeakAnnotations(peaks) {
+        return peaks.map((peak, i) => ({
+            x: currentConfig.freqLog ? Math.log10(peak.freq) : peak.freq,
+            y: peak.level,
+            xref: "x",
+            yref: "y",
+            text: formatPeakLabel(peak),
+            showarrow: true,
+            arrowhead: 0,
+            ax: 0,
+            ay: -30,
+            font: { size: 11, color: i === 0 ? "red" : "#666" },
+            bgcolor: "rgba(255,255,255,0.7)"
+        }));
+    }
+
+    /**
+     * パネル単位更新
+     * 
+     * @param {GraphPanel} panel 
+     */
+    function updatePanel(panel) {
+        if (panel.type === "empty") return;
+
+        switch (panel.type) {
+            case "spectrogram": {
+                const frames = takeNewFrames(panel);
+                if (frames.length > 0) updateSpectrogram(panel, frames);
+                break;
+            }
+
+            case "fft": {
+                const spectrum = MeasurementController.getSpectrum();
+                if (spectrum) updateFFT(panel, spectrum);
+                break;
+            }
+
+            case "waveform": {
+                const triggered = MeasurementController.getTriggeredWaveform();
+                if (triggered) updateWaveform(panel, triggered);
+                break;
+            }
+
+            case "waterfall": {
+                const frames = takeNewFrames(panel);
+                if (frames.length > 0) updateWaterfall(panel, frames);
+                break;
+            }
+
+            case "harmonics":
+                updateHarmonicsPanel(panel);
+                break;
+
+            case "octave": {
+                const spectrum = MeasurementController.getSpectrum();
+                if (spectrum) updateOctave(panel, spectrum);
+                break;
+            }
+
+            case "octaveSpectrogram": {
+                const frames = takeNewFrames(panel);
+                if (frames.length > 0) updateSpectrogram(panel, toBandFrames(frames));
+                break;
+            }
+
+            case "transfer":
+            case "coherence":
+            case "impulse":
+                updateTransfer(panel);
+                break;
+
+            case "sweepImpulse":
+            case "sweepEtc":
+            case "sweepResponse":
+                updateSweep(panel);
+                break;
+
+            case "tuner":
+                updateTuner(panel);
+                break;
+        }
+    }
+
+    /**
+     * スペクトログラム系（時間×周波数のヒートマップ）のパネルか
+     * @param {string} type
+     * @returns {boolean}
+     */
+    function isSpectrogramType(type) {
+        return type === "spectrogram" || type === "octaveSpectrogram";
+    }
+
+    /**
+     * 現在の設定のオクターブバンド
+     * @returns {OctaveBand[]}
+     */
+    function getOctaveBands() {
+        return OctaveBands.createBands(currentConfig.octaveFraction);
+    }
+
+    /**
+     * オクターブバンドの計算器を取得する（条件が変わっていれば作り直す）
+     * @returns {Object|null}
+     */
+    function getOctaveAnalyzer() {
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        const windowInfo = MeasurementController.getWindowInfo();
+        if (!sampleRate || !fftSize || !windowInfo) return null;
+
+        const key = [currentConfig.octaveFraction, sampleRate, fftSize, windowInfo.enbw].join("/");
+        if (key !== octaveAnalyzerKey) {
+            octaveAnalyzer = OctaveBands.createAnalyzer(getOctaveBands(), {
+                binHz: sampleRate / fftSize,
+                binCount: fftSize / 2,
+                enbw: windowInfo.enbw
+            });
+            octaveAnalyzerKey = key;
+        }
+        return octaveAnalyzer;
+    }
+
+    /**
+     * フレームのスペクトルをバンドレベルに置き換える
+     *
+     * @param {SpectrumFrame[]} frames
+     * @returns {SpectrumFrame[]}
+     */
+    function toBandFrames(frames) {
+        const analyzer = getOctaveAnalyzer();
+        if (!analyzer) return [];
+        return frames.map(frame => ({
+            ...frame,
+            spectrum: analyzer.compute(frame.spectrum, currentConfig.dbDisplay)
+        }));
+    }
+
+    /**
+     * オクターブバンド（RTA）パネル更新
+     *
+     * 棒は縦軸の下限から伸ばす（dB 値は負になるため）。
+     * FFT の分解能が足りないバンドは灰色で示す。
+     *
+     * @param {GraphPanel} panel
+     * @param {ArrayLike<number>} spectrum
+     */
+    function updateOctave(panel, spectrum) {
+        const analyzer = getOctaveAnalyzer();
+        if (!analyzer) return;
+
+        const levels = analyzer.compute(spectrum, currentConfig.dbDisplay);
+        panel.octaveData = levels;
+
+        const bottom = currentConfig.dbDisplay ? currentConfig.minAmplitudeInput : 0;
+        Plotly.restyle(panel.divId, {
+            y: [levels.map(v => v === null ? null : v - bottom)],
+            base: [bottom],
+            customdata: [levels],
+            "marker.color": [analyzer.lowResolution.map(low => low ? "#adb5bd" : "#0d6efd")]
+        }, [0]);
+    }
+
+    /**
+     * 伝達関数・コヒーレンス・インパルス応答パネル更新
+     * 平均にフレームが加わったときだけ描き直す
+     *
+     * @param {GraphPanel} panel
+     */
+    function updateTransfer(panel) {
+        const count = MeasurementController.getTransferFrameCount();
+        if (count === panel.lastTransferCount) return;
+        panel.lastTransferCount = count;
+
+        if (panel.type === "impulse") {
+            const ir = MeasurementController.getTransferImpulseResponse();
+            if (!ir) return;
+            const x = Array.from(ir.samples, (_, i) => (ir.startIndex + i) / ir.sampleRate * 1000);
+            Plotly.restyle(panel.divId, {
+                x: [x],
+                y: [Array.from(ir.samples)]
+            }, [0]);
+            return;
+        }
+
+        const result = MeasurementController.getTransferFunction();
+        if (!result) return;
+
+        const title = `${buildLayout(panel.type).title.text} (${result.averagedCount}/${currentConfig.transferAverageCount} avg)`;
+        if (panel.type === "transfer") {
+            Plotly.update(panel.divId, {
+                y: [result.magnitudeDb, result.phaseDeg]
+            }, { "title.text": title }, [0, 1]);
+        } else {
+            Plotly.update(panel.divId, {
+                y: [result.coherence]
+            }, { "title.text": title }, [0]);
+        }
+    }
+
+    /**
+     * インパルス応答の測定結果のパネル更新
+     * 新しい測定結果が出たときだけ描き直す
+     *
+     * @param {GraphPanel} panel
+     */
+    function updateSweep(panel) {
+        const seq = MeasurementController.getSweepResultSeq();
+        if (seq === panel.lastSweepSeq) return;
+        panel.lastSweepSeq = seq;
+
+        const result = MeasurementController.getSweepResult();
+        if (!result) return;
+
+        let x, y;
+        if (panel.type === "sweepResponse") {
+            x = result.response.freq;
+            y = result.response.db;
+        } else {
+            x = Array.from(result.impulse, (_, i) => (result.startIndex + i) / result.sampleRate * 1000);
+            y = Array.from(panel.type === "sweepEtc" ? result.etcDb : result.impulse);
+        }
+
+        const title = `${buildLayout(panel.type).title.text} (${result.count} avg)`;
+        Plotly.update(panel.divId, {
+            x: [x],
+            y: [y]
+        }, { "title.text": title }, [0]);
+    }
+
+    /**
+     * チューナーパネル更新
+     * 新しい波形の音程が求まったときだけ描き直す。音程がなければ針を灰色にして数値を隠す
+     *
+     * @param {GraphPanel} panel
+     */
+    function updateTuner(panel) {
+        const pitch = MeasurementController.getPitch();
+        if (!pitch || pitch.timeSec === panel.lastPitchTimeSec) return;
+        panel.lastPitchTimeSec = pitch.timeSec;
+
+        if (pitch.frequency === null) {
+            Plotly.restyle(panel.divId, {
+                mode: "gauge",
+                "gauge.threshold.line.color": "#adb5bd"
+            }, [0]);
+            return;
+        }
+
+        const note = MusicalPitch.analyze(pitch.frequency, {
+            a4Hz: currentConfig.tunerA4Hz,
+            temperament: currentConfig.tunerTemperament,
+            tonic: currentConfig.tunerTonic
+        });
+        const cents = Math.max(-50, Math.min(50, note.cents));
+        const color = Math.abs(note.cents) <= 5 ? "#198754"
+                    : Math.abs(note.cents) <= 15 ? "#fd7e14"
+                    : "#dc3545";
+
+        Plotly.restyle(panel.divId, {
+            mode: "gauge+number",
+            value: cents,
+            "title.text": `<b style="font-size:2em">${note.name}<sub>${note.octave}</sub></b><br>` +
+                          `<span style="font-size:0.8em">${pitch.frequency.toFixed(2)} Hz ` +
+                          `(${note.targetHz.toFixed(2)} Hz)</span>`,
+            "gauge.threshold.value": cents,
+            "gauge.threshold.line.color": color
+        }, [0]);
+    }
+
+    /**
+     * チューナーのタイトル（基準ピッチと音律）
+     * @returns {string}
+     */
+    function buildTunerTitle() {
+        const names = {
+            equal: "Equal",
+            just: "Just",
+            pythagorean: "Pythagorean",
+            meantone: "1/4-comma Meantone"
+        };
+        const temperament = currentConfig.tunerTemperament === "equal"
+            ? names.equal
+            : `${names[currentConfig.tunerTemperament]} in ${MusicalPitch.NOTE_NAMES[currentConfig.tunerTonic]}`;
+        return `Tuner (A4 = ${currentConfig.tunerA4Hz} Hz, ${temperament})`;
+    }
+
+    /**
+     * パネルがまだ描画していないフレームを取り出す
+     *
+     * @param {GraphPanel} panel
+     * @returns {SpectrumFrame[]}
+     */
+    function takeNewFrames(panel) {
+        const frames = MeasurementController.getFramesSince(panel.lastFrameSeq);
+        if (frames.length > 0) {
+            panel.lastFrameSeq = frames[frames.length - 1].seq;
+        }
+        return frames;
+    }
 
-})();
+    /**
+     * スペクトログラム更新
+     *
+     * 履歴（リングバッファ）にフレームを書き込み、
+     * 新しい列だけを SpectrogramRenderer で塗り足す。
+     * Plotly には軸の範囲・シェイプ・音程の軌跡・カラーバーだけを渡す。
+     *
+     * @param {GraphPanel} panel 
+     * @param {SpectrumFrame[]} frames - 前回描画以降に解析されたフレーム
+     */
+    function updateSpectrogram(panel, frames) {
+        const duration = getTimeWindowSec();
+        const timeSec = frames[frames.length - 1].timeSec;
+        const minTime = timeSec - duration;
 
+        // データ追加
+        const history = getSpectrogramHistory(panel, frames[0].spectrum.length, getFrameIntervalSec());
+        frames.forEach(frame => history.push(frame.timeSec, frame.spectrum));
 
+        // 古いデータを削除
+        history.trimBefore(minTime);
+
+        const mode = getScrollMode();
+        const layoutUpdate = {};
+        const shapes = [];
+
+        panel.spectrogramSegments = buildSpectrogramSegments(timeSec, duration);
+
+        if (mode === "sweep") {
+            // 折り返し表示の書き込み位置
+            const cursor = timeSec % duration;
+            shapes.push({
+                type: "line",
+                xref: "x",     x0: cursor, x1: cursor,
+                yref: "paper", y0: 0, y1: 1,
+                line: { color: "white", width: 2 }
+            });
+        }
 
-/******************************************************
- * GraphManager
- *
- * Plotly.js を用いてスペクトログラムを描画
- *
- * 役割:
- *  - グラフ初期化
- *  - レイアウト構築
- *  - requestAnimationFrame による描画更新
- ******************************************************/
+        if (!scrollPaused) {
+            const range = buildSpectrogramTimeRange(panel, timeSec);
+            if (range) {
+                layoutUpdate["xaxis.autorange"] = false;
+                layoutUpdate["xaxis.range"] = range;
+            }
+        }
 
-const GraphManager = (function () {
+        if (panel.type === "spectrogram" && currentConfig.autoPeakCursor && currentPeaks[0]) {
+            // 最大ピークの周波数を横線で示す
+            const peak = currentPeaks[0];
+            shapes.push({
+                type: "line",
+                xref: "paper", x0: 0, x1: 1,
+                yref: "y",     y0: peak.freq, y1: peak.freq,
+                line: { color: "white", width: 1, dash: "dot" }
+            });
+        }
+
+        if (currentConfig.dualCursor) {
+            shapes.push(...buildCursorShapes(panel));
+        }
+
+        if (currentConfig.autoPeakCursor || currentConfig.dualCursor || mode === "sweep") {
+            layoutUpdate.shapes = shapes;
+        }
+
+        if (Object.keys(layoutUpdate).length > 0) {
+            Plotly.relayout(panel.divId, layoutUpdate);
+        }
+
+        // 軸の範囲を決めてから描く
+        const renderer = panel.renderer;
+        renderer.setColorScale(getPlotlyColorScale(currentConfig.colorScale));
+        renderer.setLevelRange(currentConfig.autoScale
+            ? null
+            : [currentConfig.minAmplitudeInput, currentConfig.maxAmplitudeInput]);
+        renderer.setSegments(panel.spectrogramSegments);
+        if (panel.type === "spectrogram") {
+            renderer.setBinHz(MeasurementController.getSampleRate() / MeasurementController.getFFTSize());
+        }
+        renderer.draw();
+
+        updateScaleTrace(panel);
+
+        if (panel.type === "spectrogram" && (currentConfig.pitchTrace || panel.pitchTraceShown)) {
+            // 音程の軌跡（表示をやめたときは 1 回だけ空にする）
+            const pitch = buildPitchTracePoints(minTime);
+            panel.pitchTraceShown = currentConfig.pitchTrace;
+            Plotly.restyle(panel.divId, { x: [pitch.x], y: [pitch.y] }, [1]);
+        }
+    }
 
     /**
-     * グラフパネル管理配列
+     * スペクトログラムの履歴を取得する（なければ作る）
      *
-     * @typedef {Object} GraphPanel
-     * @property {string} divId - Plotly を描画する div 要素ID。
-     * @property {"spectrogram"|"fft"|"waveform"|"empty"} type - グラフ種別
-     *      このパネルが表示するデータ種別。
-     *      "spectrogram" : スペクトログラム（周波数×時間）
-     *      "fft"         : 周波数スペクトル（1フレーム）
-     *      "waveform"    : 時間波形
-     *      "empty"       : 何も表示しない（プレースホルダ）
-     * @property {number[][]=} spectrogram - スペクトログラム用のバッファ。
-     *      配列形式: [time][frequencyBin]
-     * @property {number[][]=} fftData - スペクトル
-     * @property {number[]=} timeAxis - 横軸用の時間配列 [sec]
-     *      spectrogram の time 次元と対応する。
-     * @property {number=} measurementStartTime - 計測開始時刻（performance.now() の値）
-     *      timeAxis 計算の基準時刻として使用。
-     * @property {Float32Array[]} waterfallFrames
-     *      waterfall 用スペクトル履歴
-     * @property {Float32Array[]} waterfallTimes
-     *      waterfall 用経過時間
+     * @param {GraphPanel} panel
+     * @param {number} binCount - 1 列のビン（バンド）数
+     * @param {number} frameSec - フレームの間隔 [sec]
+     * @returns {SpectrogramHistory}
      */
+    function getSpectrogramHistory(panel, binCount, frameSec) {
+        if (!panel.history || panel.history.binCount !== binCount) {
+            // ウォーターフォールは時間範囲を本数で等分した間隔にまとめる（両端の欠けた列の分を余分に持つ）
+            const options = panel.type === "waterfall"
+                ? { maxColumns: currentConfig.waterfallSlices + 2 }
+                : {};
+            panel.history = SpectrogramHistory.create(binCount, getTimeWindowSec(), frameSec, options);
+            if (panel.renderer) panel.renderer.setHistory(panel.history);
+            panel.reviewHistory = panel.type === "waterfall"
+                ? SpectrogramHistory.create(binCount, getTimeWindowSec(), frameSec)
+                : null;
+        }
+        return panel.history;
+    }
 
-    /** @type {GraphPanel[]} */
-    const panels = [
-        { divId: "graph1", type: "spectrogram" },
-        { divId: "graph2", type: "empty" }
-    ];
-
-    let isRunning   = false;
-    let animationId = null;
-    let isSyncingFrequency = false;
+    /**
+     * 計測中のフレームの間隔（ホップ長）[sec]
+     * @returns {number}
+     */
+    function getFrameIntervalSec() {
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        if (!sampleRate || !fftSize) return 0;
+        return fftSize * (1 - currentConfig.overlap) / sampleRate;
+    }
 
     /**
-     * 指定したグラフパネルの表示種別を変更する
+     * 時刻と x 座標の対応
      *
-     * @param {"graph1"|"graph2"} divId
-     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"empty"} type
+     * スイープ表示では時刻 t を t mod duration の位置に描き、オシロスコープのように折り返す。
+     * 今回の周回はカーソルより左、前回の周回はカーソルより右に並ぶ。
+     *
+     * @param {number} timeSec - 最新フレームの時刻 [sec]
+     * @param {number} duration - 1周の長さ [sec]
+     * @returns {SpectrogramSegment[]}
      */
-    function setGraphType(divId, type) {
-        const panel = panels.find(p => p.divId === divId);
-        if (!panel) {
-            console.warn("Unknown panel:", divId);
-            return;
+    function buildSpectrogramSegments(timeSec, duration) {
+        if (getScrollMode() !== "sweep") {
+            return [{ start: -Infinity, end: Infinity, offset: 0 }];
         }
 
-        panel.type = type;
-        // Plotly を作り直す
-        initPanel(panel);
-        // レイアウト更新
-        updateAllPanelVisibility();
+        const sweepStart = timeSec - timeSec % duration;
+        return [
+            { start: sweepStart, end: Infinity,   offset: sweepStart },
+            { start: -Infinity,  end: sweepStart, offset: sweepStart - duration }
+        ];
     }
 
     /**
-     * graph1 の表示モードを切り替える
-     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"empty"} type
+     * 自動スクロールでの時間軸の範囲
+     *
+     * - scroll : 最新の時刻を右端とした固定幅
+     * - sweep  : 0 ～ 1周の長さ
+     * - off    : 保持している履歴全体
+     *
+     * @param {GraphPanel} panel
+     * @param {number} timeSec - 最新フレームの時刻 [sec]
+     * @returns {[number, number]|null} 履歴がなければ null
      */
-    function setGraph1Type(type) {
-        setGraphType("graph1", type);
+    function buildSpectrogramTimeRange(panel, timeSec) {
+        const duration = getTimeWindowSec();
+        switch (getScrollMode()) {
+            case "scroll":
+                return [timeSec - duration, timeSec];
+            case "sweep":
+                return [0, duration];
+            default:
+                return panel.history ? panel.history.getTimeRange() : null;
+        }
     }
 
     /**
-     * graph2 の表示モードを切り替える
-     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"empty"} type
+     * 時間軸を自動スクロールの範囲に戻す（ダブルクリックのオートレンジの代わり）
+     * @param {GraphPanel} panel
      */
-    function setGraph2Type(type) {
-        setGraphType("graph2", type);
+    function fitSpectrogramTimeRange(panel) {
+        const history = panel.history;
+        if (!history || history.newestSlot < history.firstSlot) return;
+
+        const range = buildSpectrogramTimeRange(panel, history.newestSlot * history.columnSec);
+        if (range) Plotly.relayout(panel.divId, { "xaxis.autorange": false, "xaxis.range": range });
     }
 
     /**
-     * 初期化（ページロード時に1回だけ）
-     * DOM と Plotly の土台を作る
+     * 最新の音程を軌跡に加える（音程の軌跡を表示するときだけ推定する）
      */
-    function init() {
-        panels.forEach(panel => {
-            initPanel(panel);
-        });
+    function updatePitchHistory() {
+        if (!currentConfig.pitchTrace || !panels.some(p => p.type === "spectrogram")) return;
+
+        const pitch = MeasurementController.getPitch();
+        const last = pitchHistory.timeSec[pitchHistory.timeSec.length - 1];
+        if (!pitch || pitch.timeSec === last) return;
+
+        pitchHistory.timeSec.push(pitch.timeSec);
+        pitchHistory.frequency.push(pitch.frequency);
+
+        // 古いデータを削除
+        const minTime = pitch.timeSec - getTimeWindowSec();
+        while (pitchHistory.timeSec.length > 0 && pitchHistory.timeSec[0] < minTime) {
+            pitchHistory.timeSec.shift();
+            pitchHistory.frequency.shift();
+        }
     }
 
     /**
-     * パネル単位の初期化
-     * @param {GraphPanel} panel
+     * スペクトログラムに重ねる音程の軌跡の点
+     *
+     * 音程がない区間と、スイープ表示の折り返しでは線を切る。
+     *
+     * @param {number} minTime - 表示する最も古い時刻 [sec]
+     * @returns {{ x: Array<number|null>, y: Array<number|null> }}
      */
-    function initPanel(panel) {
-        // 共通状態
-        panel.spectrogram = [];
-        panel.timeAxis    = [];
-        panel.waterfallFrames = [];
-        panel.waterfallTimes  = [];
-        panel.measurementStartTime = 0;
+    function buildPitchTracePoints(minTime) {
+        const x = [];
+        const y = [];
+        if (!currentConfig.pitchTrace) return { x, y };
+
+        let prevX = -Infinity;
+        pitchHistory.timeSec.forEach((t, i) => {
+            if (t < minTime) return;
+            const px = toSpectrogramX(t);
+            if (px < prevX) {
+                x.push(null);
+                y.push(null);
+            }
+            x.push(px);
+            y.push(pitchHistory.frequency[i]);
+            prevX = px;
+        });
+        return { x, y };
+    }
 
-        clearPanel(panel);
+    /**
+     * FFT バッファ更新
+     * 
+     * @param {GraphPanel} panel 
+     * @param {Float32Array} spectrum 
+     */
+    function updateFFT(panel, spectrum) {
+        panel.fftData = Array.from(spectrum);
 
-        switch (panel.type) {
-            case "spectrogram":
-                initSpectrogramPanel(panel);
-                break;
+        // 毎フレーム描き直すのは変わったトレースだけにし、1 回の Plotly.update にまとめる
+        const traces = { 0: { y: panel.fftData } };
+        let layout = {};
 
-            case "fft":
-                initFFTPanel(panel);
-                break;
+        if (currentConfig.autoPeakCursor) {
+            traces[1] = {
+                x: currentPeaks.map(p => p.freq),
+                y: currentPeaks.map(p => p.level)
+            };
+            layout = { annotations: buildPeakAnnotations(currentPeaks) };
+        }
 
-            case "waveform":
-                initWaveformPanel(panel);
-                break;
+        // 高調波マーカー（基本波 = H1）は解析結果が変わったときだけ
+        // （歪み解析パネルが無ければ null のまま）
+        if (panel.drawnHarmonics !== currentHarmonics) {
+            panel.drawnHarmonics = currentHarmonics;
+            const components = currentHarmonics
+                ? [currentHarmonics.fundamental, ...currentHarmonics.harmonics]
+                : [];
+            traces[2] = {
+                x: components.map(c => c.freq),
+                y: components.map(c => c.level),
+                text: components.map(c => `H${c.order}`)
+            };
+        }
 
-            case "waterfall":
-                initWaterfallPanel(panel);
-                break;
+        Object.assign(traces, buildFFTOverlayTraces(panel));
 
-            case "empty":
-            default:
-                break;
-        }
+        updateTraces(panel, traces, layout);
+    }
 
-        // Plotly.jsのイベント
-        const div = document.getElementById(panel.divId);
-        div.on('plotly_relayouting', () => {
-            
+    /**
+     * 複数のトレースを 1 回の Plotly.update で更新する
+     *
+     * トレースごとに更新する属性が違ってもよい（無い属性は undefined にして、そのトレースでは変えない）。
+     *
+     * @param {GraphPanel} panel
+     * @param {Object<number, Object>} traces - トレース番号 → 更新する属性と値
+     * @param {Object} [layout]
+     */
+    function updateTraces(panel, traces, layout = {}) {
+        const indices = Object.keys(traces).map(Number);
+        const update = {};
+        indices.forEach((index, i) => {
+            Object.entries(traces[index]).forEach(([key, value]) => {
+                if (!update[key]) update[key] = new Array(indices.length).fill(undefined);
+                update[key][i] = value;
+            });
         });
+        Plotly.update(panel.divId, update, layout, indices);
+    }
 
-        div.on('plotly_relayout', (event) => {
-            // FFT以外は、将来の拡張時のためにコメントで残しています。
+    /**
+     * FFT パネルの平均・最大／最小ホールドのトレースを更新する
+     * @param {GraphPanel} panel
+     */
+    function updateFFTOverlays(panel) {
+        const traces = buildFFTOverlayTraces(panel);
+        if (Object.keys(traces).length > 0) updateTraces(panel, traces);
+    }
 
-            // 同期処理中なら無視（無限ループ防止）
-            if (isSyncingFrequency) return;
+    /**
+     * 平均・最大／最小ホールドのトレース（3～5）の更新内容
+     *
+     * どれも無効なら、前に描いた分を一度消した後は何も返さない。
+     *
+     * @param {GraphPanel} panel
+     * @returns {Object<number, Object>} updateTraces() に渡すトレースの更新内容
+     */
+    function buildFFTOverlayTraces(panel) {
+        const average = currentConfig.fftAverageMode !== "off";
+        const enabled = average || currentConfig.fftMaxHold || currentConfig.fftMinHold;
+        if (!enabled && !panel.overlaysShown) return {};
+        panel.overlaysShown = enabled;
+
+        const show = (shown, data) => (shown && data) ? Array.from(data) : [];
+        const averager = spectrumAverager;
+        return {
+            3: { y: show(average, averager?.getAverage()) },
+            4: { y: show(currentConfig.fftMaxHold, averager?.maxHold) },
+            5: { y: show(currentConfig.fftMinHold, averager?.minHold) }
+        };
+    }
 
-            let fMin, fMax;
+    /**
+     * 平均化・ホールドが有効なら、新しいフレームを加える
+     * FFT パネルを表示していなくても続ける（切り替えた時点で平均が出ているように）
+     *
+     * @param {SpectrumFrame[]} [frames] - 加えるフレーム（省略時は前回の続き）
+     */
+    function updateSpectrumAverage(frames) {
+        const enabled = currentConfig.fftAverageMode !== "off" ||
+                        currentConfig.fftMaxHold || currentConfig.fftMinHold;
+        if (!enabled) {
+            spectrumAverager = null;
+            spectrumAveragerKey = "";
+            return;
+        }
 
-            // FFT
-            if (panel.type === "fft") {
-                if ('xaxis.range[0]' in event && 'xaxis.range[1]' in event) {
-                    fMin = event['xaxis.range[0]'];
-                    fMax = event['xaxis.range[1]'];
-                }
-                // 振幅レンジ
-                if (!currentConfig.autoScale) {
-                    if ('yaxis.range[0]' in event && 'yaxis.range[1]' in event) {
-                        currentConfig.minAmplitudeInput = event['yaxis.range[0]'];
-                        currentConfig.maxAmplitudeInput = event['yaxis.range[1]'];
-                        applySpectrogramScale();
-                    }
-                }
-            }
+        const freqAxis   = MeasurementController.getFrequencyAxis();
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        if (!freqAxis) return;
 
-            // spectrogram（周波数は y 軸）
-            if (panel.type === "spectrogram") {
-                if ('yaxis.range[0]' in event && 'yaxis.range[1]' in event) {
-                    fMin = event['yaxis.range[0]'];
-                    fMax = event['yaxis.range[1]'];
-                }
-            }
+        const key = [freqAxis.length, sampleRate, currentConfig.dbDisplay, MeasurementController.getCorrectionGain()].join("/");
+        if (key !== spectrumAveragerKey) {
+            spectrumAverager = new SpectrumAverager(freqAxis.length, currentConfig.dbDisplay);
+            spectrumAveragerKey = key;
+            averageFrameSeq = MeasurementController.getLatestFrameSeq();
+        }
+        spectrumAverager.configure({
+            mode: currentConfig.fftAverageMode,
+            count: currentConfig.fftAverageCount,
+            timeConstantSec: currentConfig.fftAverageTimeSec,
+            hopSec: fftSize * (1 - currentConfig.overlap) / sampleRate
+        });
 
-            // waterfall（3D）
-            if (panel.type === "waterfall") {
-                if ('scene.xaxis.range[0]' in event && 'scene.xaxis.range[1]' in event) {
-                    fMin = event['scene.xaxis.range[0]'];
-                    fMax = event['scene.xaxis.range[1]'];
-                }
-            }
+        const newFrames = frames ?? MeasurementController.getFramesSince(averageFrameSeq);
+        newFrames.forEach(frame => spectrumAverager.push(frame.spectrum));
+        if (!frames && newFrames.length > 0) {
+            averageFrameSeq = newFrames[newFrames.length - 1].seq;
+        }
+    }
 
-            if (fMin === undefined || fMax === undefined) return;
+    /**
+     * 平均・ホールドをやり直す
+     *
+     * @param {Object} [which] - 省略時は両方
+     * @param {boolean} [which.average]
+     * @param {boolean} [which.hold]
+     */
+    function resetSpectrumAverage(which = { average: true, hold: true }) {
+        if (!spectrumAverager) return;
 
-            // 周波数軸の最大レンジを実際の周波数データ範囲に合わせる
-            const range = buildFrequencyRange({
-                ...currentConfig,
-                freqMinInput: currentConfig.freqLog ? Math.pow(10,fMin) : fMin,
-                freqMaxInput: currentConfig.freqLog ? Math.pow(10,fMax) : fMax
-            });
-            syncFrequencyRangeToAllPlots(range.min, range.max);
-            // clamp後の値を currentConfig と UI に戻す
-            if (currentConfig.freqLog) {
-                currentConfig.freqMinInput = Math.pow(10, range.min);
-                currentConfig.freqMaxInput = Math.pow(10, range.max);
-            } else {
-                currentConfig.freqMinInput = range.min;
-                currentConfig.freqMaxInput = range.max;
-            }
-            
-        });
+        if (which.average) spectrumAverager.resetAverage();
+        if (which.hold) spectrumAverager.resetHold();
+
+        panels
+            .filter(p => p.type === "fft")
+            .forEach(panel => updateFFTOverlays(panel));
     }
 
     /**
-     * 設定変更通知
+     * 高調波歪みの解析
+     * 歪み解析パネルを表示しているときだけ、スペクトル（省略時は最新）を解析する
      *
-     * @param {Object} config
-     * 
-     * 以下のような変更があった場合に使います。
-     * - FFTサイズ変更
-     * - サンプリング周波数変更
-     * - カラーマップ変更
-     * - autoscale ON/OFF
+     * @param {ArrayLike<number>} [spectrum]
      */
-    async function notifyConfigChanged(config) {
-        currentConfig = config;
-        await applyConfig(config);
+    function updateHarmonics(spectrum = MeasurementController.getSpectrum()) {
+        currentHarmonics = null;
+        if (!panels.some(p => p.type === "harmonics")) return;
+
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        if (!spectrum || !sampleRate || !fftSize) return;
+
+        currentHarmonics = HarmonicAnalyzer.analyze(spectrum, {
+            binHz: sampleRate / fftSize,
+            db: currentConfig.dbDisplay,
+            windowName: currentConfig.fftWindow,
+            kaiserBeta: currentConfig.kaiserBeta,
+            harmonicCount: currentConfig.harmonicCount,
+            minFreq: DISTORTION_BAND.min,
+            maxFreq: Math.min(DISTORTION_BAND.max, sampleRate / 2)
+        });
     }
 
     /**
-     * スペクトログラムの初期化
+     * 歪み解析パネル更新
+     *
      * @param {GraphPanel} panel
      */
-    function initSpectrogramPanel(panel) {
-        // 周波数軸
-        const freqAxis = MeasurementController.getFrequencyAxis();
-        const trace = {
-            type: "heatmap",
-            z: [],  // [freq][time]
-            x: [],  // time axis
-            y: freqAxis,  // frequency axis
-            colorscale: getPlotlyColorScale(currentConfig.colorScale)
-        };
+    function updateHarmonicsPanel(panel) {
+        const result = currentHarmonics;
+        if (!result) {
+            Plotly.update(panel.divId, { x: [[]], y: [[]], text: [[]] }, {
+                "title.text": "Distortion（基本波が見つかりません）"
+            });
+            return;
+        }
 
-        Plotly.newPlot(
-            panel.divId,
-            [trace], 
-            buildLayout("spectrogram"), 
-            { 
-                displayModeBar: true, 
-                responsive: true 
-            }
-        );
+        const percent = (ratio) => {
+            const v = ratio * 100;
+            return v >= 0.1 ? v.toFixed(3) : v.toExponential(2);
+        };
+        const toDb = (ratio) => (20 * Math.log10(Math.max(ratio, 1e-15))).toFixed(1);
+
+        const f0 = result.fundamental;
+        const level = currentConfig.dbDisplay
+            ? `${f0.level.toFixed(1)} dB`
+            : f0.level.toExponential(2);
+        const title =
+            `f0 ${f0.freq.toFixed(1)} Hz（${level}）<br>` +
+            `THD ${percent(result.thd)} %（${toDb(result.thd)} dB） / ` +
+            `THD+N ${percent(result.thdN)} %（${toDb(result.thdN)} dB） / ` +
+            `SINAD ${result.sinadDb.toFixed(1)} dB`;
+
+        Plotly.update(panel.divId, {
+            x: [result.harmonics.map(h => `H${h.order}`)],
+            y: [result.harmonics.map(h => h.dbc)],
+            text: [result.harmonics.map(h => h.dbc.toFixed(1))]
+        }, {
+            "title.text": title
+        });
     }
 
     /**
-     * スペクトログラムの初期化
-     * @param {"Standard"|"Green"|"White"} name
+     * トリガーの状態の表示名
      */
-    function getPlotlyColorScale(name) {
-        switch (name) {
-            case "Standard":
-                return "Jet";
+    const TRIGGER_STATUS_LABELS = {
+        waiting:   "Waiting",
+        triggered: "Trig'd",
+        auto:      "Auto",
+        stopped:   "Stop"
+    };
 
-            case "Green":
-                // 黒 → 緑
-                return [
-                    [0.0, "rgb(0,0,0)"],
-                    [1.0, "rgb(0,255,0)"]
-                ];
+    /**
+     * waveform バッファ更新
+     *
+     * トリガーした波形が変わったときだけ描き直し、トリガーの状態をタイトルに出す。
+     * 
+     * @param {GraphPanel} panel 
+     * @param {{ waveform: TriggeredWaveform|null, status: string }} triggered
+     */
+    function updateWaveform(panel, triggered) {
+        if (triggered.status !== panel.triggerStatus) {
+            panel.triggerStatus = triggered.status;
+            Plotly.relayout(panel.divId, {
+                "title.text": `Waveform (${TRIGGER_STATUS_LABELS[triggered.status]})`
+            });
+        }
 
-            case "White":
-                // 黒 → 白
-                return "Greys";
+        const waveform = triggered.waveform ? triggered.waveform.samples : null;
+        if (!waveform || waveform === panel.waveformData) return;
+
+        // サンプリング周波数[Hz]
+        const fs = MeasurementController.getSampleRate();
+
+        // 秒単位の時間軸を作る
+        const x = Array.from({ length: waveform.length }, (_, i) => i / fs);
 
-            default:
-                return "Jet";
-        }
+        panel.waveformData = waveform;
+
+        Plotly.restyle(panel.divId, {
+            y: [Array.from(waveform)],
+            x: [x]
+        });
     }
 
+    /**
+     * ウォーターフォール 1 本あたりの最大点数
+     * FFT サイズが大きいときは、隣り合うビンを最大値でまとめてこの点数以下にする
+     */
+    const WATERFALL_MAX_POINTS = 2048;
 
     /**
-     * FFTの初期化
-     * @param {GraphPanel} panel
+     * ウォーターフォール更新
+     *
+     * フレームは時間範囲を本数で等分したスライスに最大値でまとめて溜め、
+     * スライスが 1 本できあがったときだけ描き直す。
+     * 作りかけの最新スライスは、force のとき以外は描かない。
+     *
+     * @param {GraphPanel} panel 
+     * @param {SpectrumFrame[]} frames - 前回描画以降に解析されたフレーム
+     * @param {boolean} [force=false] - 描画間引きをせず必ず描画する
      */
-    function initFFTPanel(panel) {
-        const freqAxis = MeasurementController.getFrequencyAxis();
-        const trace = {
-            type: "scatter",
-            mode: "lines",
-            x: freqAxis,  // frequency axis
-            y: []   // [freq]
-        };
+    function updateWaterfall(panel, frames, force = false) {
+        const timeSec = frames[frames.length - 1].timeSec;
+        const minTime = timeSec - getTimeWindowSec();
 
-        const layout = buildLayout("fft");
+        const history = getSpectrogramHistory(panel, frames[0].spectrum.length, getFrameIntervalSec());
+        const prevNewest = history.newestSlot;
 
-        Plotly.newPlot(
-            panel.divId, 
-            [trace], 
-            layout,
-            {responsive: true}
-        );
+        // 追加
+        frames.forEach(frame => {
+            history.push(frame.timeSec, frame.spectrum);
+            panel.reviewHistory.push(frame.timeSec, frame.spectrum);
+        });
+
+        // 古いデータを削除
+        history.trimBefore(minTime);
+        panel.reviewHistory.trimBefore(minTime);
+
+        // 描画間引き
+        if (!force && history.newestSlot === prevNewest) return;
+
+        drawWaterfall(panel, timeSec, force);
     }
 
     /**
-     * 波形グラフの初期化
+     * ウォーターフォールを描く（作っておいたトレースの中身を入れ替える）
+     *
      * @param {GraphPanel} panel
+     * @param {number} timeSec - 最新フレームの時刻 [sec]
+     * @param {boolean} includeNewest - 作りかけの最新スライスも描くか
      */
-    function initWaveformPanel(panel) {
+    function drawWaterfall(panel, timeSec, includeNewest) {
+        const history = panel.history;
         const freqAxis = MeasurementController.getFrequencyAxis();
+        if (!history || !freqAxis) return;
 
-        const trace = {
-            type: "scatter",
-            mode: "lines",
-            x: [],  // time axis
-            y: []   // [time]
-        };
-
-        const layout = buildLayout("waveform");
+        const auto = currentConfig.autoScale === true;
+        const duration = getTimeWindowSec();
+        const mode = getScrollMode();
 
-        Plotly.newPlot(
-            panel.divId,
-            [trace], 
-            layout,
-            {responsive: true}
-        );
-    }
+        // 時間軸（スイープ時は折り返し位置）
+        const toTimeAxis = (t) => mode === "sweep" ? t % duration : t;
 
-    /**
-     * ウォーターフォールの初期化
-     * 3次元スペクトログラム、3Dウォーターフォールプロット
-     * 
-     * @param {GraphPanel} panel
-     */
-    function initWaterfallPanel(panel) {
-        panel.waterfallFrames = [];
+        // 描くスライス（古い順。本数を超える分は古い方から捨てる）
+        let positions = [];
+        history.forEachColumn((slot, pos) => {
+            if (includeNewest || slot < history.newestSlot) positions.push(pos);
+        });
+        positions = positions.slice(-currentConfig.waterfallSlices);
+
+        const step = Math.ceil(history.binCount / WATERFALL_MAX_POINTS);
+        const x = decimateFrequencyAxis(freqAxis, step);
+        const rows = positions.map(pos => decimateColumn(history.getColumnAt(pos), step));
+        const times = positions.map(pos => toTimeAxis(history.times[pos]));
+
+        const levelRange = auto
+            ? history.getLevelRange()
+            : [currentConfig.minAmplitudeInput, currentConfig.maxAmplitudeInput];
+        const cmin = levelRange ? levelRange[0] : undefined;
+        const cmax = levelRange ? levelRange[1] : undefined;
+        const colorscale = getPlotlyColorScale(currentConfig.colorScale);
+
+        const count = panel.waterfallTraceCount;
+        let dataUpdate;
+        if (currentConfig.waterfallStyle === "surface") {
+            // 曲面は y の順に並べる（スイープ表示の折り返しで前後が入れ替わる）
+            const order = times.map((_, i) => i).sort((a, b) => times[a] - times[b]);
+            dataUpdate = {
+                x: [x],
+                y: [order.map(i => times[i])],
+                z: [order.map(i => rows[i])],
+                colorscale: [colorscale],
+                cmin: [cmin],
+                cmax: [cmax]
+            };
+        } else {
+            const slices = Array.from({ length: count }, (_, i) => i);
+            dataUpdate = {
+                x: slices.map(i => rows[i] ? x : []),
+                y: slices.map(i => rows[i] ? new Array(x.length).fill(times[i]) : []),
+                z: slices.map(i => rows[i] ?? []),
+                "line.color": slices.map(i => rows[i] ?? []),
+                "line.colorscale": slices.map(() => colorscale),
+                "line.cmin": slices.map(() => cmin),
+                "line.cmax": slices.map(() => cmax)
+            };
+        }
 
-        const trace = {
-            type: "scatter3d",
-            mode: "lines",
-            x: [],
-            y: [],
-            z: [],
-            showlegend: false,
-            line: {
-                width: 2,
-                color: [],
-                colorscale: getPlotlyColorScale(currentConfig.colorScale),
-                cmin: currentConfig.minAmplitudeInput,
-                cmax: currentConfig.maxAmplitudeInput
+        // 最大ピークの周波数を時間方向の線で示す（各スライスの同じビンの値をなぞる）
+        const peak = currentConfig.autoPeakCursor ? currentPeaks[0] : null;
+        const peakLine = peak
+            ? {
+                x: times.map(() => peak.freq),
+                y: times,
+                z: positions.map(pos => history.getColumnAt(pos)[peak.bin])
             }
-        };
+            : { x: [], y: [], z: [] };
+        // 曲面の更新に含まれない項目は undefined（変更しない）で揃える
+        Object.keys(dataUpdate).forEach(key => {
+            dataUpdate[key].push(key in peakLine ? peakLine[key] : undefined);
+        });
 
-        const layout = buildLayout("waterfall");
+        const layoutUpdate = auto
+            ? { "scene.zaxis.autorange": true }
+            : {
+                "scene.zaxis.autorange": false,
+                "scene.zaxis.range": [currentConfig.minAmplitudeInput, currentConfig.maxAmplitudeInput]
+            };
+        if (mode === "sweep") {
+            layoutUpdate["scene.yaxis.autorange"] = false;
+            layoutUpdate["scene.yaxis.range"] = [0, duration];
+        } else if (mode === "scroll" && !scrollPaused) {
+            layoutUpdate["scene.yaxis.autorange"] = false;
+            layoutUpdate["scene.yaxis.range"] = [timeSec - duration, timeSec];
+        } else if (mode === "off") {
+            layoutUpdate["scene.yaxis.autorange"] = true;
+        }
 
-        Plotly.newPlot(
-            panel.divId, 
-            [trace], 
-            layout, 
-            { responsive: true }
-        );
+        const traceIndices = Array.from({ length: count + 1 }, (_, i) => i);
+        Plotly.update(panel.divId, dataUpdate, layoutUpdate, traceIndices);
     }
 
     /**
-     * emptyの初期化
-     * @param {GraphPanel} panel
+     * ビンを step 個ずつ最大値でまとめる
+     *
+     * @param {Float32Array} column - 履歴の列（内部配列のビュー）
+     * @param {number} step
+     * @returns {Float32Array} コピー
      */
-    function clearPanel(panel) {
-        Plotly.purge(panel.divId);   // Plotlyを完全に消す
+    function decimateColumn(column, step) {
+        if (step <= 1) return column.slice();
+
+        const out = new Float32Array(Math.ceil(column.length / step));
+        for (let i = 0; i < out.length; i++) {
+            const end = Math.min(column.length, (i + 1) * step);
+            let max = -Infinity;
+            for (let k = i * step; k < end; k++) {
+                if (column[k] > max) max = column[k];
+            }
+            out[i] = max;
+        }
+        return out;
     }
 
     /**
-     * 軸の再取得・再反映
-     * MeasurementController から最新の軸情報を取得して反映
+     * decimateColumn でまとめた点の周波数（まとめたビンの中央）
+     *
+     * @param {ArrayLike<number>} freqAxis
+     * @param {number} step
+     * @returns {ArrayLike<number>}
      */
-    function resetAxes() {
-        const freqAxis = MeasurementController.getFrequencyAxis();
-
-        panels.forEach(panel => {
-            if (panel.type === "spectrogram") {
-                Plotly.restyle(panel.divId, {
-                    y: [freqAxis]
-                });
-            }
+    function decimateFrequencyAxis(freqAxis, step) {
+        if (step <= 1) return freqAxis;
 
-            if (panel.type === "fft") {
-                Plotly.restyle(panel.divId, {
-                    x: [freqAxis]
-                });
-            }
-        });
+        const count = Math.ceil(freqAxis.length / step);
+        return Array.from({ length: count }, (_, i) =>
+            freqAxis[Math.min(i * step + Math.floor(step / 2), freqAxis.length - 1)]);
     }
 
     /**
-     * 描画開始
-     * MeasurementController の設定を元に再構築
+     * 手動カーソルを表示中のパネルに反映する
+     * 未配置なら配置し、現在の軸にスナップし直す
      */
-    function start() {
-        if (isRunning) return;
-
-        // 内部状態リセット
+    function refreshCursors() {
         panels.forEach(panel => {
-            resetPanel(panel);
+            if (!(panel.type in cursors)) return;
+
+            if (currentConfig.dualCursor) {
+                if (!cursors[panel.type]) placeCursors(panel);
+                snapCursors(panel.type);
+            }
+
+            const div = document.getElementById(panel.divId);
+            const shapes = (div.layout && div.layout.shapes) ? div.layout.shapes : [];
+            Plotly.relayout(panel.divId, { shapes: withCursorShapes(panel, shapes) });
         });
 
-        isRunning = true;
-        loop();
+        updateCursorReadout();
     }
 
     /**
-     * パネル単位リセット
+     * カーソルを表示範囲の 1/4・3/4 の位置に置く
+     * @param {GraphPanel} panel
      */
-    function resetPanel(panel) {
-        panel.spectrogram = [];
-        panel.timeAxis = [];
-        panel.measurementStartTime = performance.now();
+    function placeCursors(panel) {
+        const at = (min, max, ratio) => min + (max - min) * ratio;
+
+        // 周波数の表示範囲 [Hz]（LOG のときは対数上で 1/4・3/4）
+        const range = buildFrequencyRange(currentConfig);
+        const freqAt = (ratio) => currentConfig.freqLog
+            ? Math.pow(10, at(range.min, range.max, ratio))
+            : at(range.min, range.max, ratio);
+
+        switch (panel.type) {
+            case "fft":
+                cursors.fft = { a: freqAt(0.25), b: freqAt(0.75) };
+                break;
+
+            case "waveform": {
+                const duration = (MeasurementController.getFFTSize() ?? 0) /
+                                 (MeasurementController.getSampleRate() ?? 1);
+                cursors.waveform = { a: duration * 0.25, b: duration * 0.75 };
+                break;
+            }
+
+            case "spectrogram": {
+                const div = document.getElementById(panel.divId);
+                let xRange = [0, getTimeWindowSec()];
+                if (div.layout && div.layout.xaxis && Array.isArray(div.layout.xaxis.range)) {
+                    xRange = div.layout.xaxis.range;
+                } else if (panel.history && panel.history.getTimeRange()) {
+                    xRange = panel.history.getTimeRange();
+                }
+                cursors.spectrogram = {
+                    a: { x: at(xRange[0], xRange[1], 0.25), y: freqAt(0.25) },
+                    b: { x: at(xRange[0], xRange[1], 0.75), y: freqAt(0.75) }
+                };
+                break;
+            }
+        }
     }
 
     /**
-     * 描画停止
+     * カーソルをビン（FFT）またはサンプル（波形）の位置にスナップする
+     * @param {"fft"|"waveform"|"spectrogram"} type
      */
-    function stop() {
-        isRunning = false;
-        cancelAnimationFrame(animationId);
+    function snapCursors(type) {
+        const state = cursors[type];
+        const sampleRate = MeasurementController.getSampleRate();
+        const fftSize    = MeasurementController.getFFTSize();
+        if (!state || !sampleRate || !fftSize) return;
+
+        if (type === "fft") {
+            const binHz = sampleRate / fftSize;
+            // LOG 軸では 0 Hz を描けないので 1 ビン目以上
+            const minBin = currentConfig.freqLog ? 1 : 0;
+            const snap = (f) => Math.min(fftSize / 2 - 1, Math.max(minBin, Math.round(f / binHz))) * binHz;
+            state.a = snap(state.a);
+            state.b = snap(state.b);
+        } else if (type === "waveform") {
+            const snap = (t) => Math.min(fftSize - 1, Math.max(0, Math.round(t * sampleRate))) / sampleRate;
+            state.a = snap(state.a);
+            state.b = snap(state.b);
+        }
     }
 
-
     /**
-     * 設定反映
-     * graphType に応じて graph1 / graph2 を切り替える
+     * パネルのカーソル用 shapes を作る
+     * ドラッグで動かせるよう editable にし、name で他の shapes と区別する
      *
-     * @param {Object} config
+     * @param {GraphPanel} panel
+     * @returns {Object[]}
      */
-    async function applyConfig(config) {
-        // graphType → graph1 / graph2 対応表
-        const graphTypeMap = {
-            fftWaterfall:   ["fft",         "waterfall"],
-            fftColor:       ["fft",         "spectrogram"],
-            waterfallColor: ["waterfall",   "spectrogram"],
-            waveColor:      ["waveform",    "spectrogram"],
-            waveFft:        ["waveform",    "fft"],
-            fftOnly:        ["fft",         "empty"],
-            waterfallOnly:  ["waterfall",   "empty"],
-            colorOnly:      ["spectrogram", "empty"],
-            waveOnly:       ["waveform",    "empty"]
-        };
+    function buildCursorShapes(panel) {
+        const state = cursors[panel.type];
+        if (!currentConfig.dualCursor || !state) return [];
+
+        const vertical = (name, x, color, label) => ({
+            type: "line", name, editable: true,
+            xref: "x",     x0: x, x1: x,
+            yref: "paper", y0: 0, y1: 1,
+            line: { color, width: 2, dash: "dash" },
+            label: { text: label, textposition: "end", font: { color } }
+        });
+        const horizontal = (name, y, color) => ({
+            type: "line", name, editable: true,
+            xref: "paper", x0: 0, x1: 1,
+            yref: "y",     y0: y, y1: y,
+            line: { color, width: 2, dash: "dash" }
+        });
 
-        const types = graphTypeMap[config.graphType];
-        if (!types) {
-            console.warn("Unknown graphType:", config.graphType);
-            return;
+        if (panel.type === "spectrogram") {
+            return [
+                vertical("cursorA.x", state.a.x, CURSOR_COLORS.a, "A"),
+                horizontal("cursorA.y", state.a.y, CURSOR_COLORS.a),
+                vertical("cursorB.x", state.b.x, CURSOR_COLORS.b, "B"),
+                horizontal("cursorB.y", state.b.y, CURSOR_COLORS.b)
+            ];
         }
+        return [
+            vertical("cursorA", state.a, CURSOR_COLORS.a, "A"),
+            vertical("cursorB", state.b, CURSOR_COLORS.b, "B")
+        ];
+    }
 
-        // graph1 / graph2 に反映
-        setGraph1Type(types[0]);
-        setGraph2Type(types[1]);
+    /**
+     * shapes からカーソルを除き、現在のカーソルを付け直す
+     *
+     * @param {GraphPanel} panel
+     * @param {Object[]} shapes
+     * @returns {Object[]}
+     */
+    function withCursorShapes(panel, shapes) {
+        return shapes
+            .filter(shape => !(shape.name && shape.name.startsWith("cursor")))
+            .concat(buildCursorShapes(panel));
+    }
 
-        const auto    = config.autoScale === true;  // オートスケール
-        const freqLog = config.freqLog === true;    // 周波数軸LOG
+    /**
+     * カーソルのドラッグを反映する
+     *
+     * ドラッグ後の relayout イベントは "shapes[2].x0" のようなキーで届く。
+     *
+     * @param {GraphPanel} panel
+     * @param {Object} event - plotly_relayout のイベント
+     * @returns {boolean} カーソルのドラッグだった場合 true
+     */
+    function handleCursorDrag(panel, event) {
+        const state = cursors[panel.type];
+        if (!currentConfig.dualCursor || !state) return false;
 
-        // 周波数
-        // 周波数レンジ正規化
-        const range = buildFrequencyRange(config);
-        const fMin = range.min;
-        const fMax = range.max;
-        // clamp後の値を currentConfig と UI に戻す
-        if (freqLog) {
-            config.freqMinInput = Math.pow(10, fMin);
-            config.freqMaxInput = Math.pow(10, fMax);
-            currentConfig.freqMinInput = config.freqMinInput;
-            currentConfig.freqMaxInput = config.freqMaxInput;
-        } else {
-            config.freqMinInput = fMin;
-            config.freqMaxInput = fMax;
-            currentConfig.freqMinInput = config.freqMinInput;
-            currentConfig.freqMaxInput = config.freqMaxInput;
-        }
+        const div = document.getElementById(panel.divId);
+        const shapes = div.layout.shapes ?? [];
+        let moved = false;
+
+        const handled = new Set();
+        Object.keys(event).forEach(key => {
+            const match = key.match(/^shapes\[(\d+)\]\.([xy])[01]$/);
+            if (!match || handled.has(match[1] + match[2])) return;
+            handled.add(match[1] + match[2]);
+
+            const shape = shapes[Number(match[1])];
+            if (!shape || !shape.name || !shape.name.startsWith("cursor")) return;
+            moved = true;
+
+            // 線の両端は同じ位置なので、中点を新しい位置にする
+            // （端だけを引っ張った場合はその端の位置）
+            const axis = match[2];
+            const v0 = event[`shapes[${match[1]}].${axis}0`] ?? event[`shapes[${match[1]}].${axis}1`];
+            const v1 = event[`shapes[${match[1]}].${axis}1`] ?? v0;
+            const pos = (v0 + v1) / 2;
+            if (!Number.isFinite(pos)) return;
+
+            const which = shape.name[6] === "A" ? "a" : "b";
+            if (panel.type === "spectrogram") {
+                // 縦線は x、横線は y だけを動かす
+                if (shape.name.endsWith(".x") && axis === "x") state[which].x = pos;
+                if (shape.name.endsWith(".y") && axis === "y") state[which].y = pos;
+            } else if (axis === "x") {
+                state[which] = pos;
+            }
+        });
 
-        panels.forEach(panel => {
-            if (panel.type === "empty") return;
+        if (!moved) return false;
 
-            let layoutUpdate = {};
+        snapCursors(panel.type);
+        Plotly.relayout(panel.divId, { shapes: withCursorShapes(panel, shapes) });
+        updateCursorReadout();
+        return true;
+    }
 
-            if (panel.type === "spectrogram") {
-                layoutUpdate = {
-                        "yaxis.type": freqLog ? "log" : "linear",
-                        "yaxis.autorange": false,
-                        "yaxis.range": [fMin, fMax]
-                    };
-            }
+    /**
+     * カーソルの読み取り値を表示する
+     *
+     * - FFT         : 各カーソルの周波数・レベル、ΔF・ΔdB
+     * - 波形        : 各カーソルの時間・振幅、Δt・1/Δt
+     * - スペクトログラム : 各十字線の時間・周波数・レベル、Δt・ΔF
+     */
+    function updateCursorReadout() {
+        const el = document.getElementById("cursorReadout");
+        if (!el) return;
 
-            if (panel.type === "fft") {
-                layoutUpdate = auto
-                    ? {
-                        "xaxis.type": freqLog ? "log" : "linear",
-                        "xaxis.autorange": false,
-                        "xaxis.range": [fMin, fMax],
-                        "yaxis.autorange": true
-                    }
-                    : {
-                        "xaxis.type": freqLog ? "log" : "linear",
-                        "xaxis.autorange": false,
-                        "xaxis.range": [fMin, fMax],
-                        "yaxis.autorange": false,
-                        "yaxis.range": [config.minAmplitudeInput, config.maxAmplitudeInput]
-                    };
-            }
+        const lines = [];
+        if (currentConfig.dualCursor) {
+            panels.forEach(panel => {
+                const state = cursors[panel.type];
+                if (!state) return;
+
+                switch (panel.type) {
+                    case "fft":
+                        lines.push(...buildFftReadout(panel, state));
+                        break;
+                    case "waveform":
+                        lines.push(...buildWaveformReadout(panel, state));
+                        break;
+                    case "spectrogram":
+                        lines.push(...buildSpectrogramReadout(panel, state));
+                        break;
+                }
+            });
+        }
 
-            if (panel.type === "waveform") {
-                layoutUpdate = auto
-                    ? {
-                        "yaxis.autorange": true
-                    }
-                    : {
-                        "yaxis.autorange": false,
-                        "yaxis.range": [-1, 1]
-                    };
-            }
+        if (lines.length === 0) {
+            el.classList.add("btn-hidden");
+            return;
+        }
+        el.innerHTML = lines.join("<br>");
+        el.classList.remove("btn-hidden");
+    }
 
-            if (panel.type === "waterfall") {
-                layoutUpdate = {
-                    "scene.xaxis.type": freqLog ? "log" : "linear",
-                    "scene.xaxis.autorange": false,
-                    "scene.xaxis.range": [fMin, fMax],
-                    "scene.zaxis.autorange": auto,
-                    "scene.zaxis.range": auto 
-                        ? undefined 
-                        : [config.minAmplitudeInput, config.maxAmplitudeInput]
-                };
-            }
+    /**
+     * FFT の読み取り値
+     * @returns {string[]}
+     */
+    function buildFftReadout(panel, state) {
+        const binHz = MeasurementController.getSampleRate() / MeasurementController.getFFTSize();
+        const levelAt = (f) => panel.fftData ? panel.fftData[Math.round(f / binHz)] : undefined;
+        const la = levelAt(state.a);
+        const lb = levelAt(state.b);
+
+        const unit = currentConfig.dbDisplay ? " dB" : "";
+        const deltaLabel = currentConfig.dbDisplay ? "ΔdB" : "比 B/A";
+        const delta = (la === undefined || lb === undefined)
+            ? "-"
+            : currentConfig.dbDisplay ? formatLevel(lb - la) + " dB" : formatLevel(lb / la);
+
+        return [
+            `<b>FFT</b> A: ${formatFreq(state.a)} ${formatLevel(la)}${unit} / B: ${formatFreq(state.b)} ${formatLevel(lb)}${unit}`,
+            `ΔF: ${formatFreq(state.b - state.a)} / ${deltaLabel}: ${delta}`
+        ];
+    }
 
-            Plotly.relayout(panel.divId, layoutUpdate);
-        });
-        applySpectrogramScale();
-        await MeasurementController.updateConfig(config);
+    /**
+     * 波形の読み取り値
+     * @returns {string[]}
+     */
+    function buildWaveformReadout(panel, state) {
+        const sampleRate = MeasurementController.getSampleRate();
+        const valueAt = (t) => panel.waveformData ? panel.waveformData[Math.round(t * sampleRate)] : undefined;
+        const dt = state.b - state.a;
+
+        return [
+            `<b>波形</b> A: ${(state.a * 1000).toFixed(3)} ms ${formatLevel(valueAt(state.a))} / ` +
+            `B: ${(state.b * 1000).toFixed(3)} ms ${formatLevel(valueAt(state.b))}`,
+            `Δt: ${(dt * 1000).toFixed(3)} ms / 1/Δt: ${dt !== 0 ? formatFreq(1 / Math.abs(dt)) : "-"}`
+        ];
     }
 
     /**
-     * パネル表示制御
-     * panel.type に応じて DOM の表示／非表示を切り替える。
-     * empty の場合は非表示にする。
-     * 
-     * @param {Object} config
+     * スペクトログラムの読み取り値
+     * @returns {string[]}
      */
-    function updatePanelVisibility(panel) {
-        const div = document.getElementById(panel.divId);
-        if (!div) return;
+    function buildSpectrogramReadout(panel, state) {
+        const binHz = MeasurementController.getSampleRate() / MeasurementController.getFFTSize();
+
+        // 十字線の位置の列のレベル
+        const levelAt = (pos) => {
+            const timeSec = panel.renderer ? panel.renderer.xToTime(pos.x) : null;
+            if (!panel.history || timeSec === null) return undefined;
+            return panel.history.valueAt(timeSec, Math.round(pos.y / binHz));
+        };
 
-        if (panel.type === "empty") {
-            div.classList.add("graph-hidden");
-        } else {
-            div.classList.remove("graph-hidden");
-        }
+        return [
+            `<b>カラー</b> A: ${state.a.x.toFixed(2)} s ${formatFreq(state.a.y)} ${formatLevel(levelAt(state.a))} / ` +
+            `B: ${state.b.x.toFixed(2)} s ${formatFreq(state.b.y)} ${formatLevel(levelAt(state.b))}`,
+            `Δt: ${(state.b.x - state.a.x).toFixed(3)} s / ΔF: ${formatFreq(state.b.y - state.a.y)}`
+        ];
     }
 
     /**
-     * 全パネルの可視状態を更新する
-     * graph2 が empty の場合、graph1 が全領域を使用する
+     * 周波数の表示文字列
+     * @param {number} freq
+     * @returns {string}
      */
-    function updateAllPanelVisibility() {
-        panels.forEach(panel => updatePanelVisibility(panel));
+    function formatFreq(freq) {
+        return Math.abs(freq) >= 1000
+            ? `${(freq / 1000).toFixed(3)} kHz`
+            : `${freq.toFixed(2)} Hz`;
+    }
 
-        // 表示変更後に Plotly にサイズ再計算させる
-        requestAnimationFrame(() => {
-            panels.forEach(panel => {
-                const div = document.getElementById(panel.divId);
-                if (!div) return;
-                if (panel.type !== "empty") {
-                    Plotly.Plots.resize(div);
-                }
-            });
-        });
+    /**
+     * レベル・振幅の表示文字列
+     * @param {number|undefined} value
+     * @returns {string}
+     */
+    function formatLevel(value) {
+        if (value === undefined || !Number.isFinite(value)) return "-";
+        return Math.abs(value) >= 0.01 || value === 0 ? value.toFixed(2) : value.toExponential(2);
     }
 
     /**
-     * メイン描画ループ
+     * HOLD する（表示を止め、履歴を振り返れるようにする）
+     *
+     * 振り返りに使う履歴は、スペクトログラム → ウォーターフォール →
+     * MeasurementController に残っている直近フレーム の順で、表示中のものを使う。
+     *
+     * @param {(index: number) => void} [onFrameChange]
+     *      スペクトログラムのクリックで位置が変わったときに呼ばれる
+     * @returns {{ timeSec: number[], mergedColumnSec: number|null }|null}
+     *      振り返れる履歴（HOLD できなければ null）。mergedColumnSec は buildHoldHistory() を参照
      */
-    function loop() {
-        if (!isRunning) return;
+    function hold(onFrameChange) {
+        if (!isRunning || holding) return null;
+
+        holding = true;
+        onHoldFrameChange = onFrameChange ?? null;
 
         panels.forEach(panel => {
-            updatePanel(panel);
+            panel.heldFrames = [];
+            if (panel.type === "spectrogram") {
+                const div = document.getElementById(panel.divId);
+                panel.holdBaseShapes = (div.layout && div.layout.shapes) ? div.layout.shapes.slice() : [];
+            }
         });
-        
-        animationId = requestAnimationFrame(loop);
+
+        holdHistory = buildHoldHistory();
+        holdIndex = holdHistory.timeSec.length - 1;
+
+        return { timeSec: holdHistory.timeSec, mergedColumnSec: holdHistory.mergedColumnSec };
     }
 
     /**
-     * パネル単位更新
-     * 
-     * @param {GraphPanel} panel 
+     * HOLD を解除し、溜めていたフレームを描画してライブ表示に戻る
      */
-    function updatePanel(panel) {
-        if (panel.type === "empty") return;
+    function releaseHold() {
+        if (!holding) return;
 
-        switch (panel.type) {
-            case "spectrogram": {
-                const spectrum = MeasurementController.getSpectrum();
-                if (spectrum) updateSpectrogram(panel, spectrum);
-                break;
-            }
+        holding = false;
+        holdHistory = null;
+        holdIndex = -1;
+        onHoldFrameChange = null;
 
-            case "fft": {
-                const spectrum = MeasurementController.getSpectrum();
-                if (spectrum) updateFFT(panel, spectrum);
-                break;
-            }
+        panels.forEach(panel => {
+            const frames = panel.heldFrames ?? [];
+            panel.heldFrames = [];
 
-            case "waveform": {
-                const waveform = MeasurementController.getWaveform();
-                if (waveform) updateWaveform(panel, waveform);
-                break;
+            if (panel.type === "spectrogram") {
+                // 履歴カーソルを消す
+                Plotly.relayout(panel.divId, { shapes: withCursorShapes(panel, panel.holdBaseShapes ?? []) });
+                if (frames.length > 0) updateSpectrogram(panel, frames);
+            } else if (panel.type === "octaveSpectrogram" && frames.length > 0) {
+                updateSpectrogram(panel, toBandFrames(frames));
+            } else if (panel.type === "waterfall" && frames.length > 0) {
+                updateWaterfall(panel, frames, true);
             }
+        });
+    }
 
-            case "waterfall": {
-                const spectrum = MeasurementController.getSpectrum();
-                if (spectrum) updateWaterfall(panel, spectrum);
-                break;
-            }
-        }
+    /**
+     * HOLD 中か
+     * @returns {boolean}
+     */
+    function isHolding() {
+        return holding;
     }
 
     /**
-     * スペクトログラムバッファ更新
+     * 振り返り用の履歴を作る（HOLD した時点のもの）
      *
-     * @param {GraphPanel} panel 
-     * @param {Float32Array} spectrum
+     * スペクトログラムの列は履歴の内部配列のビューだが、
+     * HOLD 中は新しいフレームを書き込まないので、そのまま使える。
+     *
+     * 長い時間軸では 1 列に複数のフレームを最大値でまとめているので、
+     * そのときは列の幅（mergedColumnSec）も返す。
+     *
+     * @returns {{ timeSec: number[], spectra: ArrayLike<number>[], mergedColumnSec: number|null }}
      */
-    function updateSpectrogram(panel, spectrum) {
-        const timeSec = (performance.now() - panel.measurementStartTime) / 1000;
-        const minTime = timeSec - currentConfig.recordDurationSec;
-
-        // データ追加
-        panel.timeAxis.push(timeSec);
-        panel.spectrogram.push(Array.from(spectrum));
-
-        // 古いデータを削除
-        while (panel.timeAxis.length > 0 && panel.timeAxis[0] < minTime) {
-            panel.timeAxis.shift();
-            panel.spectrogram.shift();
+    function buildHoldHistory() {
+        const history = findReviewHistory();
+        if (history) {
+            return {
+                ...history.getColumns(),
+                mergedColumnSec: history.isMerging() ? history.columnSec : null
+            };
         }
 
-        // spectrogram : [time][freq] → [freq][time]
-        Plotly.restyle(panel.divId, {
-            z: [transpose(panel.spectrogram)],
-            x: [panel.timeAxis],
-            colorscale: [getPlotlyColorScale(currentConfig.colorScale)]
-        }, [0]);
+        const frames = MeasurementController.getFramesSince(-1);
+        return { timeSec: frames.map(f => f.timeSec), spectra: frames.map(f => f.spectrum), mergedColumnSec: null };
     }
 
     /**
-     * FFT バッファ更新
-     * 
-     * @param {GraphPanel} panel 
-     * @param {Float32Array} spectrum 
+     * 振り返り・書き出しに使うスペクトルの履歴
+     * （スペクトログラム、なければウォーターフォールのもの。
+     *   ウォーターフォールは表示用の本数にまとめていない、振り返り用の履歴を使う）
+     *
+     * @returns {SpectrogramHistory|null}
      */
-    function updateFFT(panel, spectrum) {
-        panel.fftData = Array.from(spectrum);
+    function findReviewHistory() {
+        const specPanel = panels.find(p => p.type === "spectrogram" && p.history?.getColumnCount() > 0);
+        if (specPanel) return specPanel.history;
 
-        Plotly.restyle(panel.divId, {
-            y: [panel.fftData]
-        });
+        const waterfallPanel = panels.find(p => p.type === "waterfall" && p.reviewHistory?.getColumnCount() > 0);
+        return waterfallPanel ? waterfallPanel.reviewHistory : null;
     }
 
     /**
-     * waveform バッファ更新
-     * 
-     * @param {GraphPanel} panel 
-     * @param {Float32Array} waveform 
+     * HOLD 中に届いたフレームを溜める
+     * 時間軸の長さより古いものは、解除時にどうせ捨てられるので溜めない
+     *
+     * @param {GraphPanel} panel
      */
-    function updateWaveform(panel, waveform) {
-        if (!waveform) return;
+    function queueHeldFrames(panel) {
+        if (!isSpectrogramType(panel.type) && panel.type !== "waterfall") return;
 
-        // サンプリング周波数[Hz]
-        const fs = MeasurementController.getSampleRate();
+        const frames = takeNewFrames(panel);
+        if (frames.length === 0) return;
 
-        // 秒単位の時間軸を作る
-        const x = Array.from({ length: waveform.length }, (_, i) => i / fs);
+        const queue = panel.heldFrames;
+        frames.forEach(frame => queue.push(frame));
 
-        Plotly.restyle(panel.divId, {
-            y: [Array.from(waveform)],
-            x: [x]
-        });
+        const minTime = queue[queue.length - 1].timeSec - getTimeWindowSec();
+        let drop = 0;
+        while (drop < queue.length && queue[drop].timeSec < minTime) drop++;
+        if (drop > 0) queue.splice(0, drop);
     }
 
-    let waterfallDrawCounter = 0
     /**
-     * ウォーターフォール更新
+     * HOLD 中に、履歴の指定位置のフレームを表示する
      *
-     * @param {GraphPanel} panel 
-     * @param {Float32Array} spectrum
+     * FFT パネルにはそのフレームのスペクトルを、
+     * スペクトログラムにはその時刻の縦線を表示する。
+     *
+     * @param {number} index - hold() が返した timeSec のインデックス
      */
-    function updateWaterfall(panel, spectrum) {
-        if (!panel.waterfallFrames) {
-            panel.waterfallFrames = [];
-            panel.waterfallTimes = [];
-        }
+    function showHoldFrame(index) {
+        if (!holding || !holdHistory) return;
+        const spectrum = holdHistory.spectra[index];
+        if (!spectrum) return;
+        holdIndex = index;
 
-        const timeSec = (performance.now() - panel.measurementStartTime) / 1000;
-        const minTime = timeSec - currentConfig.recordDurationSec;
+        updatePeaks(spectrum);
+        updateHarmonics(spectrum);
 
-        // 追加
-        panel.waterfallFrames.push(spectrum.slice());
-        panel.waterfallTimes.push(timeSec);
+        const timeSec = holdHistory.timeSec[index];
+        panels.forEach(panel => {
+            if (panel.type === "fft") {
+                updateFFT(panel, spectrum);
+            } else if (panel.type === "harmonics") {
+                updateHarmonicsPanel(panel);
+            } else if (panel.type === "octave") {
+                updateOctave(panel, spectrum);
+            } else if (panel.type === "spectrogram") {
+                const x = toSpectrogramX(timeSec);
+                Plotly.relayout(panel.divId, {
+                    shapes: withCursorShapes(panel, panel.holdBaseShapes ?? []).concat([{
+                        type: "line",
+                        xref: "x",     x0: x, x1: x,
+                        yref: "paper", y0: 0, y1: 1,
+                        line: { color: "yellow", width: 2 }
+                    }])
+                });
+            }
+        });
+    }
 
-        // 古いデータを削除
-        while (panel.waterfallTimes.length > 0 && panel.waterfallTimes[0] < minTime) {
-            panel.waterfallTimes.shift();
-            panel.waterfallFrames.shift();
-        }
+    /**
+     * スペクトログラムの x 座標から、最も近い履歴の位置を探す
+     *
+     * @param {number} x
+     * @returns {number} インデックス（履歴がなければ -1）
+     */
+    function findHoldIndex(x) {
+        if (!holdHistory) return -1;
+
+        let best = -1;
+        let bestDist = Infinity;
+        holdHistory.timeSec.forEach((t, i) => {
+            const dist = Math.abs(toSpectrogramX(t) - x);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        });
+        return best;
+    }
 
-        // 描画間引き
-        waterfallDrawCounter++;
-        if (waterfallDrawCounter % 3 !== 0) return;
+    /**
+     * 時刻をスペクトログラムの x 座標に変換する（スイープ表示では折り返す）
+     *
+     * @param {number} timeSec
+     * @returns {number}
+     */
+    function toSpectrogramX(timeSec) {
+        return getScrollMode() === "sweep" ? timeSec % getTimeWindowSec() : timeSec;
+    }
 
-        const freqAxis = MeasurementController.getFrequencyAxis();
-        const auto = currentConfig.autoScale === true
+    /**
+     * 時間軸の自動スクロールを一時停止する
+     */
+    function pauseScroll() {
+        if (scrollPaused) return;
+        scrollPaused = true;
+        document.getElementById("resumeScrollBtn").classList.remove("btn-hidden");
+    }
 
-        const traces = panel.waterfallFrames.map((frame, i) => {
-            return {
-                type: "scatter3d",
-                mode: "lines",
-                x: freqAxis,
-                y: Array(freqAxis.length).fill(panel.waterfallTimes[i]),
-                z: frame,
-                line: {
-                    width: 2,
-                    color: frame,
-                    colorscale: getPlotlyColorScale(currentConfig.colorScale),
-                    cmin: auto ? undefined : currentConfig.minAmplitudeInput,
-                    cmax: auto ? undefined : currentConfig.maxAmplitudeInput
-                },
-                showlegend: false
-            };
-        });
+    /**
+     * 時間軸の自動スクロールを再開する
+     */
+    function resumeScroll() {
+        if (!scrollPaused) return;
+        scrollPaused = false;
+        document.getElementById("resumeScrollBtn").classList.add("btn-hidden");
 
-        const layout = document.getElementById(panel.divId).layout;
-        if (auto){
-            layout.scene.zaxis.autorange = true;
-            layout.scene.zaxis.range = undefined;
-        } else {
-            layout.scene.zaxis.autorange = false;
-            layout.scene.zaxis.range = [
-                currentConfig.minAmplitudeInput,
-                currentConfig.maxAmplitudeInput
-            ];
+        // オフ（従来動作）は履歴全体に戻す。スクロール／スイープは次の描画で範囲が設定される
+        if (currentConfig.autoScrollMode === "off") {
+            panels.forEach(panel => {
+                if (isSpectrogramType(panel.type)) fitSpectrogramTimeRange(panel);
+            });
         }
-        layout.uirevision = "waterfall";
-        Plotly.react(panel.divId, traces, layout);
     }
 
     /**
      * グラフ種別に応じたレイアウトを構築する
      *
-     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"} type
+     * @param {"spectrogram"|"fft"|"waveform"|"waterfall"|"harmonics"|"octave"|"octaveSpectrogram"} type
      * @returns {Object} Plotly layout
      */
     function buildLayout(type) {
@@ -1254,6 +5029,9 @@ const GraphManager = (function () {
                         range: [fMin, fMax]
                     },
                     margin: { t: 40, l: 60, r: 20, b: 40 },
+                    // 下に重ねたキャンバス（SpectrogramRenderer）を透かす
+                    paper_bgcolor: "rgba(0,0,0,0)",
+                    plot_bgcolor: "rgba(0,0,0,0)",
                     uirevision: "spectrogram"
                 };
 
@@ -1280,6 +5058,117 @@ const GraphManager = (function () {
                     uirevision: "waveform"
                 };
 
+            case "octave":
+                return {
+                    title: { text: `1/${currentConfig.octaveFraction} Octave Bands` },
+                    xaxis: { title: { text: "Frequency (Hz)" }, type: "category" },
+                    yaxis: { title: { text: ampLabel } },
+                    bargap: 0.1,
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    uirevision: "octave"
+                };
+
+            case "octaveSpectrogram":
+                return {
+                    title: { text: `1/${currentConfig.octaveFraction} Octave Spectrogram` },
+                    xaxis: { title: { text: "Time (s)" } },
+                    yaxis: { title: { text: "Frequency (Hz)" }, type: "category" },
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    paper_bgcolor: "rgba(0,0,0,0)",
+                    plot_bgcolor: "rgba(0,0,0,0)",
+                    uirevision: "octaveSpectrogram"
+                };
+
+            case "transfer":
+                return {
+                    title: { text: currentConfig.stereoInput ? "Transfer Function" : "Transfer Function (stereo input required)" },
+                    xaxis: {
+                        title: { text: "Frequency (Hz)" },
+                        type: freqLog ? 'log' : 'linear',
+                        autorange: false,
+                        range: [fMin, fMax]
+                    },
+                    yaxis: { title: { text: "Magnitude (dB)" } },
+                    yaxis2: {
+                        title: { text: "Phase (deg)" },
+                        overlaying: "y",
+                        side: "right",
+                        range: [-180, 180],
+                        dtick: 90,
+                        showgrid: false,
+                        zeroline: false
+                    },
+                    legend: { orientation: "h", x: 1, xanchor: "right", y: 1, yanchor: "bottom" },
+                    margin: { t: 40, l: 60, r: 60, b: 40 },
+                    uirevision: "transfer"
+                };
+
+            case "coherence":
+                return {
+                    title: { text: currentConfig.stereoInput ? "Coherence" : "Coherence (stereo input required)" },
+                    xaxis: {
+                        title: { text: "Frequency (Hz)" },
+                        type: freqLog ? 'log' : 'linear',
+                        autorange: false,
+                        range: [fMin, fMax]
+                    },
+                    yaxis: { title: { text: "Coherence" }, range: [0, 1.05] },
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    uirevision: "coherence"
+                };
+
+            case "impulse":
+                return {
+                    title: { text: currentConfig.stereoInput ? "Impulse Response" : "Impulse Response (stereo input required)" },
+                    xaxis: { title: { text: "Time (ms)" } },
+                    yaxis: { title: { text: "Amplitude" } },
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    uirevision: "impulse"
+                };
+
+            case "tuner":
+                return {
+                    title: { text: buildTunerTitle() },
+                    margin: { t: 60, l: 40, r: 40, b: 20 },
+                    uirevision: "tuner"
+                };
+
+            case "sweepImpulse":
+                return {
+                    title: { text: "Impulse Response (ESS)" },
+                    xaxis: { title: { text: "Time (ms)" } },
+                    yaxis: { title: { text: "Amplitude" } },
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    uirevision: "sweepImpulse"
+                };
+
+            case "sweepEtc":
+                return {
+                    title: { text: "Energy Time Curve" },
+                    xaxis: { title: { text: "Time (ms)" } },
+                    yaxis: { title: { text: "Level (dB)" }, range: [-100, 5] },
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    uirevision: "sweepEtc"
+                };
+
+            case "sweepResponse":
+                return {
+                    title: { text: "Frequency Response (ESS)" },
+                    xaxis: { title: { text: "Frequency (Hz)" }, type: "log" },
+                    yaxis: { title: { text: "Magnitude (dB)" } },
+                    margin: { t: 40, l: 60, r: 20, b: 40 },
+                    uirevision: "sweepResponse"
+                };
+
+            case "harmonics":
+                return {
+                    title: { text: "Distortion", font: { size: 13 } },
+                    xaxis: { title: { text: "Harmonic" }, type: "category" },
+                    yaxis: { title: { text: "Level (dBc)" }, autorange: true },
+                    margin: { t: 60, l: 60, r: 20, b: 40 },
+                    uirevision: "harmonics"
+                };
+
             case "waterfall":
                 return {
                     title: { text: "Waterfall" },
@@ -1311,24 +5200,32 @@ const GraphManager = (function () {
      * スペクトログラムのカラースケールを
      * currentConfig に従って設定する
      *
-     * - autoScale = true  : Plotly に任せる
+     * - autoScale = true  : 保持中の最小～最大（カラーバーはカラーバー用トレースの値に合わせる）
      * - autoScale = false : min/max を固定
      */
     function applySpectrogramScale() {
-        const panel = panels.find(p => p.type === "spectrogram");
-        if (!panel) return;
+        panels.filter(p => isSpectrogramType(p.type)).forEach(panel => {
+            if (panel.renderer) {
+                panel.renderer.setLevelRange(currentConfig.autoScale
+                    ? null
+                    : [currentConfig.minAmplitudeInput, currentConfig.maxAmplitudeInput]);
+                panel.renderer.draw();
+                panel.scaleKey = "";
+                updateScaleTrace(panel);
+            }
 
-        if (currentConfig.autoScale) {
-            Plotly.restyle(panel.divId, {
-                zmin: null,
-                zmax: null
-            }, [0]);
-        } else {
-            Plotly.restyle(panel.divId, {
-                zmin: currentConfig.minAmplitudeInput,
-                zmax: currentConfig.maxAmplitudeInput
-            }, [0]);
-        }
+            if (currentConfig.autoScale) {
+                Plotly.restyle(panel.divId, {
+                    zmin: null,
+                    zmax: null
+                }, [0]);
+            } else {
+                Plotly.restyle(panel.divId, {
+                    zmin: currentConfig.minAmplitudeInput,
+                    zmax: currentConfig.maxAmplitudeInput
+                }, [0]);
+            }
+        });
     }
 
     /**
@@ -1355,7 +5252,7 @@ const GraphManager = (function () {
                 });
             }
 
-            if (panel.type === "fft") {
+            if (panel.type === "fft" || panel.type === "transfer" || panel.type === "coherence") {
                 Plotly.relayout(panel.divId,{
                     "xaxis.autorange": false,
                     "xaxis.range":  [fMin, fMax]
@@ -1366,27 +5263,6 @@ const GraphManager = (function () {
     }
 
 
-    /**
-     * 2次元配列を転置する
-     * @param {number[][]} matrix [time][freq]
-     * @returns {number[][]} [freq][time]
-     */
-    function transpose(matrix) {
-        if (matrix.length === 0) return [];
-
-        const rows = matrix.length;
-        const cols = matrix[0].length;
-
-        const result = Array.from({ length: cols }, () => new Array(rows));
-
-        for (let i = 0; i < rows; i++) {
-            for (let j = 0; j < cols; j++) {
-                result[j][i] = matrix[i][j];
-            }
-        }
-        return result;
-    }
-
     /**
      * 周波数レンジ正規化
      * 常に、実データの物理範囲を超えない周波数軸範囲を返します。
@@ -1431,6 +5307,39 @@ const GraphManager = (function () {
         }
     }
 
+    /**
+     * 表示中のデータを書き出し用に取り出す
+     *
+     * - "spectrum"    : FFT パネルの現在のスペクトル（FFT パネルがなければ最新フレーム）
+     * - "spectrogram" : スペクトログラムの保持中の履歴（なければウォーターフォールの履歴）
+     *
+     * @param {"spectrum"|"spectrogram"} kind
+     * @returns {ExportData|null} データがなければ null
+     */
+    function getExportData(kind) {
+        const frequencyHz = MeasurementController.getFrequencyAxis();
+        if (!frequencyHz) return null;
+
+        if (kind === "spectrum") {
+            const fftPanel = panels.find(p => p.type === "fft" && p.fftData);
+            const spectrum = fftPanel ? fftPanel.fftData : MeasurementController.getSpectrum();
+            if (!spectrum) return null;
+            return { frequencyHz, levels: [spectrum] };
+        }
+
+        const history = findReviewHistory();
+        if (!history) return null;
+
+        const columns = history.getColumns();
+        return {
+            frequencyHz,
+            timeSec: columns.timeSec,
+            levels: columns.spectra.map(column => column.slice()),
+            columnSec: history.columnSec,
+            merged: history.isMerging()
+        };
+    }
+
     return {
         init,
         resetAxes,
@@ -1439,7 +5348,15 @@ const GraphManager = (function () {
         applyConfig,
         setGraph1Type,
         setGraph2Type,
-        updateAllPanelVisibility
+        updateAllPanelVisibility,
+        resumeScroll,
+        renderBatch,
+        getExportData,
+        resetSpectrumAverage,
+        hold,
+        releaseHold,
+        isHolding,
+        showHoldFrame
     };
 
 })();
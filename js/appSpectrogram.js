@@ -0,0 +1,908 @@
+/******************************************************
+ * appSpectrogram.js
+ *
+ * スペクトログラムの描画
+ *
+ * 役割:
+ *  - スペクトルの履歴を固定長の型付き配列（リングバッファ）で保持する
+ *  - 新しく届いた列だけをキャンバスの画像に塗り足す
+ *  - 画像を Plotly のプロット領域の下に重ね、軸・ズーム・パンに合わせて貼り直す
+ *
+ * 毎フレーム z 全体を転置して Plotly.restyle すると、時間軸が長く
+ * FFT サイズが大きいほど重くなるため、ヒートマップ本体は自前で描く。
+ * 軸・目盛り・カラーバー・シェイプは引き続き Plotly が描く。
+ ******************************************************/
+
+/******************************************************
+ * SpectrogramColors
+ *
+ * Plotly のカラースケールを 256 色の色表に変換する
+ ******************************************************/
+
+const SpectrogramColors = (function () {
+
+    /**
+     * 名前で指定する Plotly の組み込みカラースケール（使うものだけ）
+     */
+    const NAMED_SCALES = {
+        Jet: [
+            [0.0,   "rgb(0,0,131)"],
+            [0.125, "rgb(0,60,170)"],
+            [0.375, "rgb(5,255,255)"],
+            [0.625, "rgb(255,255,0)"],
+            [0.875, "rgb(250,0,0)"],
+            [1.0,   "rgb(128,0,0)"]
+        ],
+        Greys: [
+            [0.0, "rgb(0,0,0)"],
+            [1.0, "rgb(255,255,255)"]
+        ]
+    };
+
+    /** 色表の段数 */
+    const SIZE = 256;
+
+    /**
+     * "rgb(r,g,b)" を [r, g, b] にする
+     * @param {string} color
+     * @returns {number[]}
+     */
+    function parseColor(color) {
+        const m = /rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/.exec(color);
+        return m ? [Number(m[1]), Number(m[2]), Number(m[3])] : [0, 0, 0];
+    }
+
+    /**
+     * カラースケールから色表を作る
+     *
+     * @param {string|Array<[number, string]>} colorscale - Plotly の colorscale と同じ形式
+     * @returns {Uint8ClampedArray} RGBA × 256
+     */
+    function createTable(colorscale) {
+        const stops = (typeof colorscale === "string"
+            ? (NAMED_SCALES[colorscale] ?? NAMED_SCALES.Jet)
+            : colorscale
+        ).map(([pos, color]) => ({ pos, rgb: parseColor(color) }));
+
+        const table = new Uint8ClampedArray(SIZE * 4);
+        let k = 0;
+        for (let i = 0; i < SIZE; i++) {
+            const pos = i / (SIZE - 1);
+            while (k < stops.length - 2 && stops[k + 1].pos < pos) k++;
+
+            const a = stops[k];
+            const b = stops[Math.min(k + 1, stops.length - 1)];
+            const t = b.pos > a.pos ? Math.min(Math.max((pos - a.pos) / (b.pos - a.pos), 0), 1) : 0;
+            for (let c = 0; c < 3; c++) {
+                table[i * 4 + c] = a.rgb[c] + (b.rgb[c] - a.rgb[c]) * t;
+            }
+            table[i * 4 + 3] = 255;
+        }
+        return table;
+    }
+
+    return {
+        SIZE,
+        createTable
+    };
+
+})();
+
+
+/******************************************************
+ * SpectrogramHistory
+ *
+ * スペクトログラムの履歴（時間 × ビン）を保持するリングバッファ
+ *
+ * 時間軸を columnSec ごとの列（スロット）に区切り、
+ * スロット番号 = round(時刻 / columnSec) の位置に書き込む。
+ * 同じスロットに入るフレームは最大値でまとめる（表示の間引き）。
+ * 書き込むスロットが飛んだときは、間のスロットを空にする。
+ *
+ * 配列は作成時に確保したものを使い回し、フレームごとの確保はしない。
+ ******************************************************/
+
+class SpectrogramHistory {
+
+    /**
+     * @param {number} binCount - 1 列のビン数
+     * @param {Object} options
+     * @param {number} options.columnSec - 1 列の時間幅 [sec]
+     * @param {number} options.capacity - 保持する列数
+     * @param {number} [options.frameSec] - フレームの間隔 [sec]（省略時は columnSec）
+     */
+    constructor(binCount, { columnSec, capacity, frameSec = columnSec }) {
+        this.binCount  = binCount;
+        this.columnSec = columnSec;
+        this.capacity  = capacity;
+        this.frameSec  = frameSec;
+
+        this.data = new Float32Array(capacity * binCount);
+        // 位置ごとに、書き込まれているスロット番号（NaN = 空）
+        this.slots = new Float64Array(capacity).fill(NaN);
+        // 位置ごとに、最後に書き込んだフレームの時刻 [sec]
+        this.times = new Float64Array(capacity);
+        // 位置ごとの最小・最大レベル（オートスケール用。有限の値のみ）
+        this.columnMin = new Float32Array(capacity);
+        this.columnMax = new Float32Array(capacity);
+
+        // 保持している範囲のスロット番号（firstSlot > newestSlot なら空）
+        this.firstSlot  = Infinity;
+        this.newestSlot = -Infinity;
+
+        /**
+         * 前回 takeChanged() してから書き換わった位置
+         * @type {Set<number>}
+         */
+        this.changed = new Set();
+    }
+
+    /**
+     * 時間軸の長さとフレーム間隔から履歴を作る
+     *
+     * 列数は maxColumns 列、全体のセル数は maxCells までに抑え、
+     * 超える分は 1 列の時間幅を広げて間引く。
+     *
+     * @param {number} binCount
+     * @param {number} windowSec - 保持する時間の長さ [sec]
+     * @param {number} frameSec - フレームの間隔 [sec]
+     * @param {Object} [options]
+     * @param {number} [options.maxColumns=4096]
+     * @param {number} [options.maxCells=8388608]
+     * @returns {SpectrogramHistory}
+     */
+    static create(binCount, windowSec, frameSec, { maxColumns = 4096, maxCells = 8 * 1024 * 1024 } = {}) {
+        // 両端の欠けた列の分を余分に持つ
+        const columnLimit = Math.max(3, Math.min(maxColumns, Math.floor(maxCells / binCount)));
+        const columnSec = Math.max(frameSec, windowSec / (columnLimit - 2));
+        const capacity = Math.min(columnLimit, Math.ceil(windowSec / columnSec) + 2);
+
+        return new SpectrogramHistory(binCount, { columnSec, capacity, frameSec });
+    }
+
+    /**
+     * スロット番号の配列上の位置
+     * @param {number} slot
+     * @returns {number}
+     */
+    positionOf(slot) {
+        return ((slot % this.capacity) + this.capacity) % this.capacity;
+    }
+
+    /**
+     * スロットにデータがあるか
+     * @param {number} slot
+     * @returns {boolean}
+     */
+    hasSlot(slot) {
+        return this.slots[this.positionOf(slot)] === slot;
+    }
+
+    /**
+     * フレームを追加する
+     *
+     * @param {number} timeSec - フレームの時刻 [sec]
+     * @param {ArrayLike<number|null>} spectrum - binCount 個の値（null は値なし）
+     */
+    push(timeSec, spectrum) {
+        const slot = Math.round(timeSec / this.columnSec);
+        // 保持できる範囲より古い
+        if (slot <= this.newestSlot - this.capacity) return;
+
+        if (slot > this.newestSlot) {
+            // 飛ばしたスロットと、これから上書きする古いスロットを空ける
+            const from = Math.max(this.newestSlot + 1, slot - this.capacity + 1);
+            for (let s = from; s <= slot; s++) this.clearSlot(s);
+            this.newestSlot = slot;
+            this.firstSlot = Math.max(this.firstSlot, slot - this.capacity + 1);
+        }
+        if (slot < this.firstSlot) this.firstSlot = slot;
+
+        const pos = this.positionOf(slot);
+        const merge = this.slots[pos] === slot;
+        const data = this.data;
+        const offset = pos * this.binCount;
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let k = 0; k < this.binCount; k++) {
+            let v = spectrum[k] ?? NaN;
+            if (merge) {
+                const old = data[offset + k];
+                // NaN（値なし）より値のある方、値同士なら大きい方
+                if (v !== v || old > v) v = old;
+            }
+            data[offset + k] = v;
+            if (Number.isFinite(v)) {
+                if (v < min) min = v;
+                if (v > max) max = v;
+            }
+        }
+
+        this.slots[pos] = slot;
+        this.times[pos] = timeSec;
+        this.columnMin[pos] = min;
+        this.columnMax[pos] = max;
+        this.changed.add(pos);
+    }
+
+    /**
+     * 指定時刻より古い列を捨てる
+     * @param {number} minTime [sec]
+     */
+    trimBefore(minTime) {
+        while (this.firstSlot <= this.newestSlot) {
+            const pos = this.positionOf(this.firstSlot);
+            if (this.slots[pos] === this.firstSlot && this.times[pos] >= minTime) break;
+            this.clearSlot(this.firstSlot);
+            this.firstSlot++;
+        }
+    }
+
+    /**
+     * すべての列を捨てる
+     */
+    clear() {
+        this.slots.fill(NaN);
+        this.firstSlot  = Infinity;
+        this.newestSlot = -Infinity;
+        this.changed.clear();
+        for (let pos = 0; pos < this.capacity; pos++) this.changed.add(pos);
+    }
+
+    /**
+     * スロットを空にする
+     * @param {number} slot
+     * @private
+     */
+    clearSlot(slot) {
+        const pos = this.positionOf(slot);
+        if (Number.isNaN(this.slots[pos])) return;
+        this.slots[pos] = NaN;
+        this.changed.add(pos);
+    }
+
+    /**
+     * 前回から書き換わった位置を取り出す（描画側が使う）
+     * @returns {number[]}
+     */
+    takeChanged() {
+        const positions = Array.from(this.changed);
+        this.changed.clear();
+        return positions;
+    }
+
+    /**
+     * データのある列を古い順にたどる
+     * @param {(slot: number, pos: number) => void} callback
+     */
+    forEachColumn(callback) {
+        for (let slot = this.firstSlot; slot <= this.newestSlot; slot++) {
+            const pos = this.positionOf(slot);
+            if (this.slots[pos] === slot) callback(slot, pos);
+        }
+    }
+
+    /**
+     * 列のデータ（内部配列のビュー。次の push までに使うこと）
+     * @param {number} pos - 配列上の位置
+     * @returns {Float32Array}
+     */
+    getColumnAt(pos) {
+        return this.data.subarray(pos * this.binCount, (pos + 1) * this.binCount);
+    }
+
+    /**
+     * 保持している履歴
+     * spectra は内部配列のビューなので、残しておくときはコピーすること
+     *
+     * @returns {{ timeSec: number[], spectra: Float32Array[] }}
+     */
+    getColumns() {
+        const timeSec = [];
+        const spectra = [];
+        this.forEachColumn((slot, pos) => {
+            timeSec.push(this.times[pos]);
+            spectra.push(this.getColumnAt(pos));
+        });
+        return { timeSec, spectra };
+    }
+
+    /**
+     * 1 列に複数のフレームをまとめているか（列の幅がフレームの間隔より広い）
+     * @returns {boolean}
+     */
+    isMerging() {
+        return this.columnSec > this.frameSec;
+    }
+
+    /**
+     * データのある列の数
+     * @returns {number}
+     */
+    getColumnCount() {
+        let count = 0;
+        this.forEachColumn(() => count++);
+        return count;
+    }
+
+    /**
+     * 保持している列が占める時間の範囲（列の幅を含む）
+     * @returns {[number, number]|null} [sec]（空なら null）
+     */
+    getTimeRange() {
+        let first = null;
+        this.forEachColumn((slot) => { if (first === null) first = slot; });
+        if (first === null) return null;
+        return [(first - 0.5) * this.columnSec, (this.newestSlot + 0.5) * this.columnSec];
+    }
+
+    /**
+     * 指定時刻を含む列の位置
+     * @param {number} timeSec
+     * @returns {number} 配列上の位置（データがなければ -1）
+     */
+    findColumn(timeSec) {
+        const slot = Math.round(timeSec / this.columnSec);
+        return this.hasSlot(slot) ? this.positionOf(slot) : -1;
+    }
+
+    /**
+     * 指定時刻・ビンの値
+     * @param {number} timeSec
+     * @param {number} bin
+     * @returns {number|undefined}
+     */
+    valueAt(timeSec, bin) {
+        const pos = this.findColumn(timeSec);
+        if (pos < 0 || bin < 0 || bin >= this.binCount) return undefined;
+        const v = this.data[pos * this.binCount + bin];
+        return Number.isNaN(v) ? undefined : v;
+    }
+
+    /**
+     * 保持している値の最小・最大（有限の値のみ）
+     * @returns {[number, number]|null} 値がなければ null
+     */
+    getLevelRange() {
+        let min = Infinity;
+        let max = -Infinity;
+        this.forEachColumn((slot, pos) => {
+            if (this.columnMin[pos] < min) min = this.columnMin[pos];
+            if (this.columnMax[pos] > max) max = this.columnMax[pos];
+        });
+        return min <= max ? [min, max] : null;
+    }
+}
+
+
+/******************************************************
+ * SpectrogramRenderer
+ *
+ * SpectrogramHistory を Plotly のグラフに重ねて描く
+ *
+ * 構成:
+ *  - オフスクリーンの画像: 横 = 履歴の列数（リングバッファと同じ並び）、
+ *    縦 = プロット領域の画素数。各行には、その行に入るビンの最大値を塗る
+ *  - 表示用キャンバス: Plotly の .svg-container の先頭（SVG の下）に置き、
+ *    x 軸の範囲に合わせて画像を貼る（折り返しの位置で 2 回に分ける）
+ *
+ * 新しい列は画像の 1 列だけを塗り直す。縦軸の範囲・種類、高さ、
+ * 色、レベルの範囲が変わったときだけ画像全体を塗り直す。
+ *
+ * SVG の背景（paper_bgcolor, plot_bgcolor）は透明にしておくこと。
+ ******************************************************/
+
+class SpectrogramRenderer {
+
+    /**
+     * 描画する時間の区間
+     * 時刻 t（start ≦ t < end）を x = t - offset の位置に描く
+     *
+     * @typedef {Object} SpectrogramSegment
+     * @property {number} start [sec]
+     * @property {number} end [sec]
+     * @property {number} offset [sec]
+     */
+
+    /**
+     * マウス位置の値
+     *
+     * @typedef {Object} SpectrogramPoint
+     * @property {number} x - x 軸の座標
+     * @property {number} timeSec - 時刻 [sec]
+     * @property {number} bin - ビン番号（カテゴリ軸ではカテゴリの番号）
+     * @property {number|undefined} value - 値（その位置に列がなければ undefined）
+     */
+
+    /**
+     * @param {HTMLElement} gd - Plotly のグラフの div（newPlot 済み）
+     * @param {Object} [options]
+     * @param {(point: SpectrogramPoint) => string} [options.formatHover]
+     *      ホバー表示の HTML（省略時はホバー表示なし）
+     * @param {(point: SpectrogramPoint) => void} [options.onClick]
+     *      プロット領域をクリックしたとき（ドラッグでのズームは除く）
+     */
+    constructor(gd, { formatHover = null, onClick = null } = {}) {
+        this.gd = gd;
+        this.formatHover = formatHover;
+        this.onClick = onClick;
+
+        /** @type {SpectrogramHistory|null} */
+        this.history = null;
+
+        // 周波数軸のビン間隔 [Hz]（カテゴリ軸では使わない）
+        this.binHz = 1;
+
+        /** @type {SpectrogramSegment[]} */
+        this.segments = [{ start: -Infinity, end: Infinity, offset: 0 }];
+
+        // 色表
+        this.colorTable = SpectrogramColors.createTable("Jet");
+        this.colorKey = "";
+
+        // 固定のレベル範囲（null ならオートスケール）と、実際に使っている範囲
+        this.fixedRange = null;
+        this.levelRange = null;
+
+        // 表示用キャンバス
+        this.canvas = document.createElement("canvas");
+        this.canvas.className = "spectrogram-canvas";
+        this.context = this.canvas.getContext("2d");
+
+        // 列を貯めておく画像
+        this.image = document.createElement("canvas");
+        this.imageContext = this.image.getContext("2d");
+        this.columnImage = null;   // 1 列分の ImageData
+        this.fullImage = null;     // 全体の ImageData（塗り直し用）
+
+        // 行ごとのビン範囲（-1 はプロット範囲外）
+        this.rowStart = new Int32Array(0);
+        this.rowEnd   = new Int32Array(0);
+
+        // 画像を塗ったときの条件（変わったら全体を塗り直す）
+        this.paintedKey = "";
+        this.paintedHistory = null;
+
+        // ホバー表示
+        this.tooltip = document.createElement("div");
+        this.tooltip.className = "spectrogram-hover";
+
+        // クリックとドラッグを区別するための押下位置
+        this.downPosition = null;
+
+        this.handleMouseMove  = (e) => this.updateTooltip(e);
+        this.handleMouseLeave = () => this.hideTooltip();
+        this.handleMouseDown  = (e) => { this.downPosition = { x: e.clientX, y: e.clientY }; };
+        this.handleClick      = (e) => this.click(e);
+        this.handlePlotChange = () => this.draw();
+
+        gd.addEventListener("mousemove", this.handleMouseMove);
+        gd.addEventListener("mouseleave", this.handleMouseLeave);
+        gd.addEventListener("mousedown", this.handleMouseDown);
+        gd.addEventListener("click", this.handleClick);
+        // 軸の範囲・サイズが変わったら貼り直す
+        gd.on("plotly_afterplot", this.handlePlotChange);
+        gd.on("plotly_relayout", this.handlePlotChange);
+
+        this.attach();
+    }
+
+    /**
+     * 描画する履歴を設定する（null で消去）
+     * @param {SpectrogramHistory|null} history
+     */
+    setHistory(history) {
+        this.history = history;
+        this.paintedHistory = null;
+        this.draw();
+    }
+
+    /**
+     * 周波数軸のビン間隔を設定する
+     * @param {number} binHz
+     */
+    setBinHz(binHz) {
+        this.binHz = binHz;
+    }
+
+    /**
+     * カラースケールを設定する
+     * @param {string|Array<[number, string]>} colorscale - Plotly の colorscale と同じ形式
+     */
+    setColorScale(colorscale) {
+        const key = JSON.stringify(colorscale);
+        if (key === this.colorKey) return;
+        this.colorKey = key;
+        this.colorTable = SpectrogramColors.createTable(colorscale);
+    }
+
+    /**
+     * レベルの範囲を設定する
+     * @param {[number, number]|null} range - null ならオートスケール
+     */
+    setLevelRange(range) {
+        this.fixedRange = range;
+    }
+
+    /**
+     * 描画に使ったレベルの範囲（カラーバーを合わせるため）
+     * @returns {[number, number]|null} まだ描いていなければ null
+     */
+    getLevelRange() {
+        return this.levelRange;
+    }
+
+    /**
+     * 時刻の区間と x 座標の対応を設定する
+     * @param {SpectrogramSegment[]} segments
+     */
+    setSegments(segments) {
+        this.segments = segments;
+    }
+
+    /**
+     * x 座標を時刻に変換する
+     * @param {number} x
+     * @returns {number|null} どの区間にも入らなければ null
+     */
+    xToTime(x) {
+        for (const segment of this.segments) {
+            const t = x + segment.offset;
+            if (t >= segment.start && t < segment.end) return t;
+        }
+        return null;
+    }
+
+    /**
+     * キャンバスとホバー表示を Plotly の SVG の下に置く
+     * （Plotly が作り直したときにも呼ぶ）
+     * @private
+     */
+    attach() {
+        const container = this.gd.querySelector(".svg-container");
+        if (!container) return;
+        if (this.canvas.parentNode !== container) {
+            container.insertBefore(this.canvas, container.firstChild);
+        }
+        if (this.tooltip.parentNode !== container) {
+            container.appendChild(this.tooltip);
+        }
+    }
+
+    /**
+     * 描画する（届いた列を画像に塗り足し、キャンバスに貼る）
+     */
+    draw() {
+        const fullLayout = this.gd._fullLayout;
+        if (!fullLayout || !fullLayout._size || !fullLayout.xaxis || !fullLayout.yaxis) return;
+        this.attach();
+
+        // プロット領域に合わせる
+        const size = fullLayout._size;
+        const ratio = window.devicePixelRatio || 1;
+        const width  = Math.max(1, Math.round(size.w * ratio));
+        const height = Math.max(1, Math.round(size.h * ratio));
+        const style = this.canvas.style;
+        style.left   = `${size.l}px`;
+        style.top    = `${size.t}px`;
+        style.width  = `${size.w}px`;
+        style.height = `${size.h}px`;
+        if (this.canvas.width !== width)   this.canvas.width  = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, width, height);
+
+        const history = this.history;
+        if (!history) return;
+
+        this.paint(history, fullLayout.yaxis, height);
+        this.composite(history, fullLayout.xaxis.range, width, height);
+    }
+
+    /**
+     * 画像を更新する（条件が変わっていれば全体、そうでなければ変わった列だけ）
+     *
+     * @param {SpectrogramHistory} history
+     * @param {Object} yaxis - Plotly の _fullLayout.yaxis
+     * @param {number} rows - 画像の高さ [px]
+     * @private
+     */
+    paint(history, yaxis, rows) {
+        const range = this.resolveLevelRange(history);
+        const key = JSON.stringify([
+            yaxis.type, yaxis.range, rows, this.binHz, range, this.colorKey
+        ]);
+
+        const changed = history.takeChanged();
+        if (key !== this.paintedKey || history !== this.paintedHistory
+            || changed.length > history.capacity / 4) {
+            this.paintedKey = key;
+            this.paintedHistory = history;
+            this.levelRange = range;
+            this.buildRows(history, yaxis, rows);
+            this.paintAll(history, rows);
+            return;
+        }
+
+        // 変わった列だけ塗る
+        const image = this.columnImage;
+        changed.forEach(pos => {
+            this.paintColumn(history, pos, image.data, 1, 0);
+            this.imageContext.putImageData(image, pos, 0);
+        });
+    }
+
+    /**
+     * 描画に使うレベルの範囲を決める
+     *
+     * オートスケールでは保持中の最小・最大を使う。
+     * 範囲が変わるたびに全体を塗り直すと重いので、
+     * 幅の 2% 以内の変化なら前回の範囲を使い続ける。
+     *
+     * @param {SpectrogramHistory} history
+     * @returns {[number, number]}
+     * @private
+     */
+    resolveLevelRange(history) {
+        let range = this.fixedRange ?? history.getLevelRange();
+        const prev = this.levelRange;
+        if (!this.fixedRange && range && prev && history === this.paintedHistory) {
+            const tolerance = (prev[1] - prev[0]) * 0.02;
+            if (Math.abs(range[0] - prev[0]) <= tolerance && Math.abs(range[1] - prev[1]) <= tolerance) {
+                range = prev;
+            }
+        }
+        if (!range) return prev ?? [0, 1];
+        return range[1] > range[0] ? range : [range[0], range[0] + 1];
+    }
+
+    /**
+     * 画像の各行に入るビンの範囲を求める
+     *
+     * @param {SpectrogramHistory} history
+     * @param {Object} yaxis - Plotly の _fullLayout.yaxis
+     * @param {number} rows
+     * @private
+     */
+    buildRows(history, yaxis, rows) {
+        const [bottom, top] = yaxis.range;
+        const toBin = yaxis.type === "category" ? (v) => v
+            : yaxis.type === "log" ? (v) => Math.pow(10, v) / this.binHz
+            : (v) => v / this.binHz;
+
+        if (this.rowStart.length !== rows) {
+            this.rowStart = new Int32Array(rows);
+            this.rowEnd   = new Int32Array(rows);
+        }
+
+        const last = history.binCount - 1;
+        for (let r = 0; r < rows; r++) {
+            // 行の上端・下端（画像の 0 行目が上）
+            let a = toBin(top + (bottom - top) * r / rows);
+            let b = toBin(top + (bottom - top) * (r + 1) / rows);
+            if (a > b) [a, b] = [b, a];
+
+            // ビン k は k-0.5 ～ k+0.5 を受け持つ
+            if (b < -0.5 || a > last + 0.5) {
+                this.rowStart[r] = -1;
+                continue;
+            }
+            this.rowStart[r] = Math.min(Math.max(Math.round(a), 0), last);
+            this.rowEnd[r]   = Math.min(Math.max(Math.round(b), this.rowStart[r]), last);
+        }
+    }
+
+    /**
+     * 画像全体を塗り直す
+     * @param {SpectrogramHistory} history
+     * @param {number} rows
+     * @private
+     */
+    paintAll(history, rows) {
+        const columns = history.capacity;
+        if (this.image.width !== columns || this.image.height !== rows) {
+            this.image.width  = columns;
+            this.image.height = rows;
+        }
+        if (!this.fullImage || this.fullImage.width !== columns || this.fullImage.height !== rows) {
+            this.fullImage = this.imageContext.createImageData(columns, rows);
+            this.columnImage = this.imageContext.createImageData(1, rows);
+        }
+
+        const pixels = this.fullImage.data;
+        for (let pos = 0; pos < columns; pos++) {
+            this.paintColumn(history, pos, pixels, columns, pos);
+        }
+        this.imageContext.putImageData(this.fullImage, 0, 0);
+    }
+
+    /**
+     * 1 列を塗る（データのない列・範囲外の行は透明）
+     *
+     * @param {SpectrogramHistory} history
+     * @param {number} pos - 履歴の配列上の位置
+     * @param {Uint8ClampedArray} pixels - 書き込み先の RGBA
+     * @param {number} stride - 書き込み先の幅 [px]
+     * @param {number} x - 書き込み先の列
+     * @private
+     */
+    paintColumn(history, pos, pixels, stride, x) {
+        const rows = this.rowStart.length;
+        const valid = Number.isFinite(history.slots[pos]);
+        const data = history.data;
+        const offset = pos * history.binCount;
+
+        const table = this.colorTable;
+        const steps = SpectrogramColors.SIZE - 1;
+        const [lo, hi] = this.levelRange;
+        const scale = steps / (hi - lo);
+
+        for (let r = 0; r < rows; r++) {
+            const p = (r * stride + x) * 4;
+            const start = this.rowStart[r];
+
+            let max = -Infinity;
+            let found = false;
+            if (valid && start >= 0) {
+                const end = this.rowEnd[r];
+                for (let k = offset + start; k <= offset + end; k++) {
+                    const v = data[k];
+                    if (v === v) {
+                        found = true;
+                        if (v > max) max = v;
+                    }
+                }
+            }
+            if (!found) {
+                pixels[p + 3] = 0;
+                continue;
+            }
+
+            const index = Math.min(Math.max(Math.floor((max - lo) * scale), 0), steps) * 4;
+            pixels[p]     = table[index];
+            pixels[p + 1] = table[index + 1];
+            pixels[p + 2] = table[index + 2];
+            pixels[p + 3] = 255;
+        }
+    }
+
+    /**
+     * 画像を x 軸の範囲に合わせてキャンバスに貼る
+     *
+     * @param {SpectrogramHistory} history
+     * @param {number[]} xRange - Plotly の _fullLayout.xaxis.range
+     * @param {number} width - キャンバスの幅 [px]
+     * @param {number} height - キャンバスの高さ [px]
+     * @private
+     */
+    composite(history, xRange, width, height) {
+        const [xMin, xMax] = xRange;
+        if (history.firstSlot > history.newestSlot || !(xMax > xMin)) return;
+
+        const ctx = this.context;
+        ctx.imageSmoothingEnabled = false;
+
+        const pxPerSec = width / (xMax - xMin);
+        const c = history.columnSec;
+
+        this.segments.forEach(segment => {
+            // 列の中心が区間に入り、一部でも表示範囲にかかる列
+            const first = Math.max(
+                Math.ceil(segment.start / c),
+                Math.round((xMin + segment.offset) / c),
+                history.firstSlot
+            );
+            const last = Math.min(
+                Math.ceil(segment.end / c) - 1,
+                Math.round((xMax + segment.offset) / c),
+                history.newestSlot
+            );
+
+            // 配列の折り返しで分けて貼る
+            for (let slot = first; slot <= last;) {
+                const pos = history.positionOf(slot);
+                const count = Math.min(last - slot + 1, history.capacity - pos);
+                const dx = ((slot - 0.5) * c - segment.offset - xMin) * pxPerSec;
+                ctx.drawImage(this.image, pos, 0, count, this.image.height, dx, 0, count * c * pxPerSec, height);
+                slot += count;
+            }
+        });
+    }
+
+    /**
+     * マウス位置の値を求める
+     *
+     * @param {MouseEvent} e
+     * @returns {SpectrogramPoint|null} プロット領域の外なら null
+     * @private
+     */
+    pointAt(e) {
+        const fullLayout = this.gd._fullLayout;
+        if (!this.history || !fullLayout || !fullLayout.xaxis) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const px = (e.clientX - rect.left) / rect.width;
+        const py = (e.clientY - rect.top) / rect.height;
+        if (!(px >= 0 && px <= 1 && py >= 0 && py <= 1)) return null;
+
+        const [xMin, xMax] = fullLayout.xaxis.range;
+        const [yMin, yMax] = fullLayout.yaxis.range;
+        const x = xMin + (xMax - xMin) * px;
+        const y = yMax + (yMin - yMax) * py;
+
+        const timeSec = this.xToTime(x);
+        if (timeSec === null) return null;
+
+        const type = fullLayout.yaxis.type;
+        const bin = Math.round(type === "category" ? y
+            : type === "log" ? Math.pow(10, y) / this.binHz
+            : y / this.binHz);
+
+        return { x, timeSec, bin, value: this.history.valueAt(timeSec, bin) };
+    }
+
+    /**
+     * ホバー表示を更新する
+     * @param {MouseEvent} e
+     * @private
+     */
+    updateTooltip(e) {
+        const point = this.formatHover ? this.pointAt(e) : null;
+        if (!point || point.value === undefined) {
+            this.hideTooltip();
+            return;
+        }
+
+        const container = this.tooltip.parentNode;
+        if (!container) return;
+        const rect = container.getBoundingClientRect();
+
+        this.tooltip.innerHTML = this.formatHover(point);
+        this.tooltip.style.left = `${e.clientX - rect.left + 12}px`;
+        this.tooltip.style.top  = `${e.clientY - rect.top + 12}px`;
+        this.tooltip.style.display = "block";
+    }
+
+    /**
+     * ホバー表示を消す
+     * @private
+     */
+    hideTooltip() {
+        this.tooltip.style.display = "none";
+    }
+
+    /**
+     * クリック（押した位置から動いていなければ）
+     * @param {MouseEvent} e
+     * @private
+     */
+    click(e) {
+        const down = this.downPosition;
+        this.downPosition = null;
+        if (!this.onClick || !down) return;
+        if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+
+        const point = this.pointAt(e);
+        if (point) this.onClick(point);
+    }
+
+    /**
+     * イベントを外し、キャンバスを取り除く
+     */
+    destroy() {
+        const gd = this.gd;
+        gd.removeEventListener("mousemove", this.handleMouseMove);
+        gd.removeEventListener("mouseleave", this.handleMouseLeave);
+        gd.removeEventListener("mousedown", this.handleMouseDown);
+        gd.removeEventListener("click", this.handleClick);
+        if (gd.removeListener) {
+            gd.removeListener("plotly_afterplot", this.handlePlotChange);
+            gd.removeListener("plotly_relayout", this.handlePlotChange);
+        }
+        this.canvas.remove();
+        this.tooltip.remove();
+        this.history = null;
+    }
+}
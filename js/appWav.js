@@ -0,0 +1,479 @@
+/******************************************************
+ * appWav.js
+ *
+ * WAV ファイルの書き出し
+ *
+ * 役割:
+ *  - WAV ヘッダ・サンプルのエンコード（16/24bit PCM, 32bit float）
+ *  - 計測中の入力を少しずつストレージへ書き出す録音
+ ******************************************************/
+
+/******************************************************
+ * WavFormat
+ *
+ * WAV（RIFF）形式のエンコード
+ ******************************************************/
+
+const WavFormat = (function () {
+
+    /**
+     * サンプル形式
+     * @type {Object<string, { bits: number, formatTag: number }>}
+     *   formatTag: 1 = PCM, 3 = IEEE float
+     */
+    const FORMATS = {
+        pcm16:   { bits: 16, formatTag: 1 },
+        pcm24:   { bits: 24, formatTag: 1 },
+        float32: { bits: 32, formatTag: 3 }
+    };
+
+    /**
+     * WAV ヘッダを作る
+     *
+     * データ長が分からない録音開始時は dataBytes = 0 で作り、
+     * 録音終了時に同じ長さのヘッダで上書きする。
+     * dataBytes が奇数のときは、data チャンクの後ろに 1 バイトのパディングが付くものとして
+     * RIFF のサイズを計算する（パディング自体は呼び出し側で書く）。
+     *
+     * @param {Object} params
+     * @param {number} params.sampleRate
+     * @param {number} params.channels
+     * @param {"pcm16"|"pcm24"|"float32"} params.format
+     * @param {number} params.dataBytes - data チャンクのバイト数
+     * @param {Object<string, string>} [params.info] - LIST/INFO に書くメタデータ
+     *      例: { ICRD: "2026-01-01T00:00:00", ISFT: "Web Sound Analyzer" }
+     * @returns {Uint8Array}
+     */
+    function createHeader({ sampleRate, channels, format, dataBytes, info = {} }) {
+        const { bits, formatTag } = FORMATS[format];
+        const blockAlign = channels * bits / 8;
+        const isFloat = formatTag === 3;
+
+        // LIST/INFO の中身（各文字列は NUL 終端・偶数長）
+        const encoder = new TextEncoder();
+        const infoChunks = Object.entries(info).map(([id, text]) => {
+            const bytes = encoder.encode(text + "\0");
+            const padded = new Uint8Array(bytes.length + (bytes.length % 2));
+            padded.set(bytes);
+            return { id, bytes: padded };
+        });
+        const listBytes = infoChunks.length > 0
+            ? 4 + infoChunks.reduce((sum, c) => sum + 8 + c.bytes.length, 0)
+            : 0;
+
+        const headerBytes =
+            12 +                          // RIFF
+            8 + 16 +                      // fmt
+            (isFloat ? 8 + 4 : 0) +       // fact（float のみ）
+            (listBytes > 0 ? 8 + listBytes : 0) +
+            8;                            // data チャンクヘッダ
+
+        const buf = new Uint8Array(headerBytes);
+        const view = new DataView(buf.buffer);
+        let pos = 0;
+
+        const writeId = (id) => {
+            for (let i = 0; i < 4; i++) buf[pos++] = id.charCodeAt(i);
+        };
+        const writeU32 = (v) => { view.setUint32(pos, v, true); pos += 4; };
+        const writeU16 = (v) => { view.setUint16(pos, v, true); pos += 2; };
+
+        writeId("RIFF");
+        writeU32(headerBytes - 8 + dataBytes + paddingBytes(dataBytes));
+        writeId("WAVE");
+
+        writeId("fmt ");
+        writeU32(16);
+        writeU16(formatTag);
+        writeU16(channels);
+        writeU32(sampleRate);
+        writeU32(sampleRate * blockAlign);
+        writeU16(blockAlign);
+        writeU16(bits);
+
+        if (isFloat) {
+            writeId("fact");
+            writeU32(4);
+            writeU32(Math.floor(dataBytes / blockAlign));
+        }
+
+        if (listBytes > 0) {
+            writeId("LIST");
+            writeU32(listBytes);
+            writeId("INFO");
+            infoChunks.forEach(c => {
+                writeId(c.id);
+                writeU32(c.bytes.length);
+                buf.set(c.bytes, pos);
+                pos += c.bytes.length;
+            });
+        }
+
+        writeId("data");
+        writeU32(dataBytes);
+
+        return buf;
+    }
+
+    /**
+     * data チャンクの後ろに付けるパディングのバイト数
+     *
+     * RIFF のチャンクは偶数長にそろえる（24bit モノラルで奇数サンプルのときなど）。
+     *
+     * @param {number} dataBytes
+     * @returns {number} 0 または 1
+     */
+    function paddingBytes(dataBytes) {
+        return dataBytes % 2;
+    }
+
+    /**
+     * サンプル列をエンコードする
+     *
+     * samples2 を渡すとステレオとして、L・R を交互に並べる（インターリーブ）。
+     *
+     * @param {Float32Array} samples - -1.0 ～ 1.0（ステレオでは 1 チャンネル目）
+     * @param {"pcm16"|"pcm24"|"float32"} format
+     * @param {Float32Array} [samples2] - 2 チャンネル目（samples と同じ長さ）
+     * @returns {Uint8Array}
+     */
+    function encodeSamples(samples, format, samples2) {
+        const bytesPerSample = FORMATS[format].bits / 8;
+        const channels = samples2 ? 2 : 1;
+        const buf = new Uint8Array(samples.length * channels * bytesPerSample);
+        const view = new DataView(buf.buffer);
+
+        for (let n = 0; n < samples.length * channels; n++) {
+            const i = n >> (channels - 1);
+            const s = (channels === 2 && (n & 1)) ? samples2[i] : samples[i];
+            const pos = n * bytesPerSample;
+            if (format === "float32") {
+                view.setFloat32(pos, s, true);
+                continue;
+            }
+
+            // PCM はクリップしてから整数化
+            const clipped = Math.max(-1, Math.min(1, s));
+            if (format === "pcm16") {
+                view.setInt16(pos, Math.round(clipped * 32767), true);
+            } else {
+                const v = Math.round(clipped * 8388607);
+                buf[pos]     = v & 0xff;
+                buf[pos + 1] = (v >> 8) & 0xff;
+                buf[pos + 2] = (v >> 16) & 0xff;
+            }
+        }
+        return buf;
+    }
+
+    /**
+     * サンプル列全体を WAV ファイルにする
+     *
+     * @param {Float32Array} samples
+     * @param {number} sampleRate
+     * @param {"pcm16"|"pcm24"|"float32"} format
+     * @param {Object<string, string>} [info]
+     * @returns {Blob}
+     */
+    function encodeFile(samples, sampleRate, format, info) {
+        const data = encodeSamples(samples, format);
+        const header = createHeader({
+            sampleRate,
+            channels: 1,
+            format,
+            dataBytes: data.length,
+            info
+        });
+        return new Blob([header, data, new Uint8Array(paddingBytes(data.length))], { type: "audio/wav" });
+    }
+
+    /**
+     * 標準的なメタデータ（作成日時・ソフトウェア名・コメント）を作る
+     *
+     * @param {Date} date
+     * @param {string} [comment]
+     * @returns {Object<string, string>}
+     */
+    function buildInfo(date, comment) {
+        const info = {
+            ICRD: date.toISOString(),
+            ISFT: "Web Sound Analyzer"
+        };
+        if (comment) info.ICMT = comment;
+        return info;
+    }
+
+    return {
+        FORMATS,
+        createHeader,
+        paddingBytes,
+        encodeSamples,
+        encodeFile,
+        buildInfo
+    };
+
+})();
+
+
+/******************************************************
+ * WavRecorder
+ *
+ * 入力サンプルを WAV として少しずつストレージに書き出す
+ *
+ * 役割:
+ *  - 受け取ったサンプルを一定量ためてからエンコード・書き込み
+ *  - Origin Private File System（OPFS）へ逐次書き込み
+ *    （使えないブラウザでは Blob の配列として保持）
+ *  - 終了時にヘッダを確定してファイルを返す
+ ******************************************************/
+
+class WavRecorder {
+
+    /**
+     * @param {Object} options
+     * @param {number} options.sampleRate
+     * @param {"pcm16"|"pcm24"|"float32"} options.format
+     * @param {1|2} [options.channels=1]
+     */
+    constructor({ sampleRate, format, channels = 1 }) {
+        this.sampleRate = sampleRate;
+        this.format = format;
+        this.channels = channels;
+        this.startDate = new Date();
+        this.info = WavFormat.buildInfo(
+            this.startDate,
+            `sampleRate=${sampleRate}Hz format=${format} channels=${channels}`
+        );
+
+        // 約 1 秒分ためてから書き込む
+        this.chunkSamples = sampleRate;
+        this.pending = [];
+        // ステレオの 2 チャンネル目（pending と同じ長さずつ）
+        this.pending2 = [];
+        this.pendingLength = 0;
+
+        this.totalSamples = 0;
+        this.dataBytes = 0;
+        this.headerLength = 0;
+
+        // OPFS
+        this.fileHandle = null;
+        this.writable = null;
+        // OPFS が使えない場合
+        this.blobParts = null;
+
+        // 書き込みは順番に行う
+        this.queue = Promise.resolve();
+        this.error = null;
+    }
+
+    /**
+     * 録音ファイル名（OPFS 上とダウンロード時で共通）
+     * @returns {string}
+     */
+    get fileName() {
+        const d = this.startDate;
+        const pad = (n) => String(n).padStart(2, "0");
+        return `wsa_${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+               `_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}.wav`;
+    }
+
+    /**
+     * 書き込み先を準備する
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const header = this._buildHeader();
+        this.headerLength = header.length;
+
+        try {
+            const root = await navigator.storage.getDirectory();
+            await WavRecorder.removeOldRecordings(root);
+            this.fileHandle = await root.getFileHandle(this.fileName, { create: true });
+            this.writable = await this.fileHandle.createWritable();
+            await this.writable.write(header);
+        } catch (err) {
+            console.warn("WavRecorder: OPFS が使えないためメモリに保持します。", err);
+            this.fileHandle = null;
+            this.writable = null;
+            this.blobParts = [header];
+        }
+    }
+
+    /**
+     * サンプルを追加する
+     * @param {Float32Array} samples - ステレオでは 1 チャンネル目
+     * @param {Float32Array} [samples2] - ステレオの 2 チャンネル目（samples と同じ長さ）
+     */
+    append(samples, samples2) {
+        // WAV は 4GB までなので、それを超える分は捨てる（末尾のパディング 1 バイト分を残す）
+        const bytesPerFrame = this.channels * WavFormat.FORMATS[this.format].bits / 8;
+        const limit = Math.floor((0xffffffff - this.headerLength - 1) / bytesPerFrame);
+        const room = limit - this.totalSamples - this.pendingLength;
+        if (room <= 0) return;
+
+        const count = Math.min(samples.length, room);
+        this.pending.push(samples.subarray(0, count));
+        if (this.channels === 2) {
+            // 2 チャンネル目が無ければ無音にする
+            this.pending2.push(samples2 ? samples2.subarray(0, count) : new Float32Array(count));
+        }
+        this.pendingLength += count;
+
+        if (this.pendingLength >= this.chunkSamples) {
+            this._flush();
+        }
+    }
+
+    /**
+     * 録音時間 [sec]
+     * @returns {number}
+     */
+    getDurationSec() {
+        return (this.totalSamples + this.pendingLength) / this.sampleRate;
+    }
+
+    /**
+     * 録音を終了し、ファイルを返す
+     * @returns {Promise<File>}
+     */
+    async finish() {
+        this._flush();
+        await this.queue;
+        if (this.error) throw this.error;
+
+        const header = this._buildHeader();
+        const padding = new Uint8Array(WavFormat.paddingBytes(this.dataBytes));
+
+        if (this.writable) {
+            try {
+                if (padding.length > 0) await this.writable.write(padding);
+                // ヘッダのデータ長を確定させる
+                await this.writable.write({ type: "write", position: 0, data: header });
+                await this.writable.close();
+            } catch (err) {
+                await this._abort();
+                throw err;
+            }
+            return await this.fileHandle.getFile();
+        }
+
+        this.blobParts[0] = header;
+        if (padding.length > 0) this.blobParts.push(padding);
+        return new File(this.blobParts, this.fileName, { type: "audio/wav" });
+    }
+
+    /**
+     * 録音を取りやめる（書き込み中のファイルを閉じて削除する）
+     * @returns {Promise<void>}
+     */
+    async cancel() {
+        this.pending = [];
+        this.pending2 = [];
+        this.pendingLength = 0;
+        await this.queue;
+        await this._abort();
+
+        if (this.fileHandle) {
+            try {
+                const root = await navigator.storage.getDirectory();
+                await root.removeEntry(this.fileName);
+            } catch (err) {
+                console.warn("WavRecorder: 録音ファイルの削除に失敗しました。", err);
+            }
+            this.fileHandle = null;
+        }
+        this.blobParts = null;
+    }
+
+    /**
+     * たまったサンプルをエンコードして書き込む
+     * @private
+     */
+    _flush() {
+        if (this.pendingLength === 0) return;
+
+        const merge = (chunks) => {
+            const merged = new Float32Array(this.pendingLength);
+            let pos = 0;
+            chunks.forEach(chunk => {
+                merged.set(chunk, pos);
+                pos += chunk.length;
+            });
+            return merged;
+        };
+        const merged = merge(this.pending);
+        const merged2 = this.channels === 2 ? merge(this.pending2) : undefined;
+        this.pending = [];
+        this.pending2 = [];
+        this.pendingLength = 0;
+
+        const bytes = WavFormat.encodeSamples(merged, this.format, merged2);
+        this.totalSamples += merged.length;
+        this.dataBytes += bytes.length;
+
+        if (this.blobParts) {
+            this.blobParts.push(new Blob([bytes]));
+            return;
+        }
+
+        this.queue = this.queue
+            .then(() => {
+                // 書き込みに失敗した後の分は捨てる（finish() でエラーを返す）
+                if (!this.error) return this.writable.write(bytes);
+            })
+            .catch(err => {
+                this.error = err;
+                return this._abort();
+            });
+    }
+
+    /**
+     * 書き込みを中止して OPFS のファイルを閉じる
+     *
+     * 開いたままにすると、次の録音開始時に古いファイルを削除できない。
+     *
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _abort() {
+        const writable = this.writable;
+        this.writable = null;
+        if (!writable) return;
+
+        try {
+            await writable.abort();
+        } catch (err) {
+            console.warn("WavRecorder: 書き込みの中止に失敗しました。", err);
+        }
+    }
+
+    /**
+     * 現在のデータ長でヘッダを作る
+     * @private
+     */
+    _buildHeader() {
+        return WavFormat.createHeader({
+            sampleRate: this.sampleRate,
+            channels: this.channels,
+            format: this.format,
+            dataBytes: this.dataBytes,
+            info: this.info
+        });
+    }
+
+    /**
+     * 以前の録音ファイルを OPFS から削除する
+     *
+     * ダウンロード中に消さないよう、次の録音開始時にまとめて消す。
+     *
+     * @param {FileSystemDirectoryHandle} root
+     */
+    static async removeOldRecordings(root) {
+        for await (const name of root.keys()) {
+            if (name.startsWith("wsa_") && name.endsWith(".wav")) {
+                await root.removeEntry(name);
+            }
+        }
+    }
+}
@@ -0,0 +1,124 @@
+/******************************************************
+ * captureWorklet.js
+ *
+ * AudioWorklet 上で動くサンプル取得プロセッサ
+ *
+ * 役割:
+ *  - 入力サンプルを 1 つも落とさずメインスレッドへ渡す
+ *  - ステレオ入力では 2 チャンネル目を別のバッファへ渡す（伝達関数の基準チャンネル）
+ *  - SharedArrayBuffer が使える場合はリングバッファへ直接書き込む
+ *  - 使えない場合はブロックをまとめて postMessage で送る
+ *  - 最初のサンプルの AudioContext 上のフレーム位置を通知する（再生と録音の同期用）
+ *
+ * ※ AudioWorkletGlobalScope で実行されるため DOM は使えない
+ ******************************************************/
+
+class CaptureProcessor extends AudioWorkletProcessor {
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.processorOptions
+     * @param {SharedArrayBuffer=} options.processorOptions.sharedData
+     *      サンプル格納用（Float32）
+     * @param {SharedArrayBuffer=} options.processorOptions.sharedData2
+     *      2 チャンネル目の格納用（Float32, ステレオ入力時のみ）
+     * @param {SharedArrayBuffer=} options.processorOptions.sharedIndex
+     *      書き込み済みサンプル数（Uint32, 2^32 で一周する）
+     * @param {number=} options.processorOptions.chunkSize
+     *      postMessage 時のまとめ送りサイズ [サンプル]
+     * @param {number=} options.processorOptions.channels
+     *      取得するチャンネル数（1 または 2）
+     */
+    constructor(options) {
+        super();
+        const opts = options.processorOptions || {};
+
+        this.channels = opts.channels === 2 ? 2 : 1;
+
+        // 共有メモリモード
+        this.data  = opts.sharedData  ? new Float32Array(opts.sharedData) : null;
+        this.data2 = opts.sharedData2 ? new Float32Array(opts.sharedData2) : null;
+        this.index = opts.sharedIndex ? new Uint32Array(opts.sharedIndex) : null;
+        this.writePos = 0;
+
+        // postMessage モード
+        this.chunkSize = opts.chunkSize || 1024;
+        this.chunk  = new Float32Array(this.chunkSize);
+        this.chunk2 = this.channels === 2 ? new Float32Array(this.chunkSize) : null;
+        this.chunkFill = 0;
+
+        this.started = false;
+        this.active = true;
+        this.port.onmessage = (event) => {
+            if (event.data === "stop") {
+                this.active = false;
+            }
+        };
+    }
+
+    /**
+     * 1 レンダー量子（通常 128 サンプル）ごとに呼ばれる
+     */
+    process(inputs) {
+        if (!this.started) {
+            // リングバッファの位置 0 が AudioContext のどのフレームかを知らせる
+            this.started = true;
+            this.port.postMessage({ type: "start", frame: currentFrame });
+        }
+
+        const input = inputs[0];
+        // 入力未接続のときは無音として時間を進める（サンプル位置と時刻を一致させるため）
+        const samples = (input && input.length > 0) ? input[0] : null;
+        const frames  = samples ? samples.length : 128;
+        // モノラルの音源は channelCount: 2 で両チャンネルに同じものが入るが、念のため
+        const samples2 = this.channels === 2 && samples ? (input[1] || samples) : null;
+
+        if (this.data) {
+            this.writeShared(samples, samples2, frames);
+        } else {
+            this.writeChunk(samples, samples2, frames);
+        }
+        return this.active;
+    }
+
+    /**
+     * 共有リングバッファへ書き込む
+     */
+    writeShared(samples, samples2, frames) {
+        const capacity = this.data.length;
+        for (let i = 0; i < frames; i++) {
+            this.data[this.writePos] = samples ? samples[i] : 0;
+            if (this.data2) this.data2[this.writePos] = samples2 ? samples2[i] : 0;
+            this.writePos++;
+            if (this.writePos >= capacity) this.writePos = 0;
+        }
+        // 書き込み完了後に位置を公開する
+        Atomics.add(this.index, 0, frames);
+    }
+
+    /**
+     * チャンクにまとめて postMessage で送る
+     */
+    writeChunk(samples, samples2, frames) {
+        for (let i = 0; i < frames; i++) {
+            if (this.chunk2) this.chunk2[this.chunkFill] = samples2 ? samples2[i] : 0;
+            this.chunk[this.chunkFill++] = samples ? samples[i] : 0;
+            if (this.chunkFill === this.chunkSize) {
+                // 転送後は使えなくなるので新しく確保する
+                if (this.chunk2) {
+                    this.port.postMessage(
+                        { type: "samples", samples: this.chunk, samples2: this.chunk2 },
+                        [this.chunk.buffer, this.chunk2.buffer]
+                    );
+                    this.chunk2 = new Float32Array(this.chunkSize);
+                } else {
+                    this.port.postMessage({ type: "samples", samples: this.chunk }, [this.chunk.buffer]);
+                }
+                this.chunk = new Float32Array(this.chunkSize);
+                this.chunkFill = 0;
+            }
+        }
+    }
+}
+
+registerProcessor("capture-processor", CaptureProcessor);
@@ -9,7 +9,7 @@
 /**
  * キャッシュのバージョン
  */
-const CACHE_NAME = "wsoundanalyzer-v20260301-20";
+const CACHE_NAME = "wsoundanalyzer-v20260301-62";
 
 /**
  * 事前キャッシュする最低限のファイル
@@ -18,8 +18,17 @@ const ASSETS_TO_CACHE = [
   "./index.html",
   "./manifest.json",
   "./js/app.js",
+  "./js/appDsp.js",
+  "./js/appWav.js",
+  "./js/appExport.js",
+  "./js/appCalibration.js",
+  "./js/appDevice.js",
+  "./js/appGenerator.js",
+  "./js/appSpectrogram.js",
   "./js/appSound.js",
   "./js/bootstrap.bundle.js",
+  "./js/captureWorklet.js",
+  "./js/analysisWorker.js",
   "./js/plotly-3.3.0.min.js",
   "./js/pwa.js",
   "./css/bootstrap.css",